@@ -6,11 +6,63 @@ const Calculator = {
     routes: null,
     fees: null,
     rules: null,
+    exchangeRates: null,
+    financial: null,
+    nationalities: null,
+    processing: null,
+
+    /**
+     * localStorage key for the secondary display currency
+     */
+    currencyStorageKey: 'ukvisa_display_currency',
+
+    /**
+     * Page that shared quote links open
+     * null keeps each quote in this page's address bar and restores one from it.
+     * The embeddable widget points links at the main site instead.
+     */
+    shareUrl: null,
+
+    /**
+     * Called with (result, quoteUrl) after each calculation from the form
+     */
+    onResult: null,
+
+    /**
+     * Link that reopens the last quote
+     */
+    quoteUrl: null,
+
+    watchingUpdates: false,
+
+    /**
+     * How long the form waits for the optional data files once the fees have
+     * loaded (ms). A file arriving later is used from the next form or calculation.
+     */
+    optionalWait: 3000,
 
     /**
      * Initialize calculator with data
      */
     async init() {
+        // The optional files load alongside the fees, and each feature is left out while its file is missing
+        const optional = Promise.allSettled([
+            DataLoader.getExchangeRates(),
+            DataLoader.getFinancialRequirements(),
+            DataLoader.getNationalities(),
+            DataLoader.getProcessingTimes()
+        ]).then(([exchangeRates, financial, nationalities, processing]) => {
+            const loaded = outcome => (outcome.status === 'fulfilled' ? outcome.value : null);
+            // Converted amounts: the calculator still works without rates
+            this.exchangeRates = loaded(exchangeRates);
+            // The money to show, shown beside the fees
+            this.financial = loaded(financial);
+            // Without the nationality rules the form simply does not ask for one
+            this.nationalities = loaded(nationalities);
+            // The submission planner is offered only when the decision times load
+            this.processing = loaded(processing);
+        });
+
         try {
             [this.routes, this.fees, this.rules] = await Promise.all([
                 DataLoader.getRoutes(),
@@ -21,169 +73,138 @@ const Calculator = {
             console.error('Failed to initialize calculator:', error);
             throw error;
         }
-    },
 
-    /**
-     * Calculate visa costs
-     * @param {Object} params - Calculation parameters
-     * @returns {Object} Calculation result with breakdown
-     */
-    calculate(params) {
-        const {
-            routeId,
-            applyFrom,
-            duration,
-            applicants = 1,
-            dependants = 0,
-            addPriority = false,
-            addSuperPriority = false
-        } = params;
+        // A slow or failing optional file does not keep the form from showing
+        let timer;
+        await Promise.race([optional, new Promise(resolve => { timer = setTimeout(resolve, this.optionalWait); })]);
+        clearTimeout(timer);
 
-        const route = this.routes.find(r => r.route_id === routeId);
-        if (!route) {
-            throw new Error('Route not found');
+        // A newer copy fetched in the background replaces the one in use
+        if (!this.watchingUpdates) {
+            this.watchingUpdates = true;
+            DataLoader.onUpdate(UI.debounce(() => {
+                this.init()
+                    .then(() => UI.showNotice('The fee data has been updated. Calculate again to see the latest figures.'))
+                    .catch(() => {});
+            }, 500));
         }
+    },
 
-        const breakdown = [];
-        let total = 0;
-
-        // Application fees
-        const feeKey = this.getFeeKey(route, applyFrom);
-        if (feeKey && this.fees[feeKey]) {
-            const feeAmount = this.getFeeAmount(feeKey, applyFrom);
-            const totalApplicants = parseInt(applicants) + parseInt(dependants);
-            const applicationCost = feeAmount * totalApplicants;
-
-            breakdown.push({
-                item: `Application Fee (${totalApplicants} applicant${totalApplicants > 1 ? 's' : ''})`,
-                amount: applicationCost
-            });
-            total += applicationCost;
+    /**
+     * Secondary currency chosen on a previous visit, if still listed
+     * @returns {string} Currency code, or '' for pounds only
+     */
+    getDisplayCurrency() {
+        try {
+            const code = localStorage.getItem(this.currencyStorageKey) || '';
+            return this.exchangeRates && this.exchangeRates.currencies[code] ? code : '';
+        } catch (error) {
+            // localStorage unavailable (e.g. private browsing with strict settings)
+            return '';
         }
+    },
 
-        // Immigration Health Surcharge
-        if (route.ihs_policy !== 'not_required' && route.ihs_policy !== 'exempt') {
-            const ihsCost = this.calculateIHS(route, duration, applicants, dependants);
-            if (ihsCost > 0) {
-                breakdown.push({
-                    item: 'Immigration Health Surcharge',
-                    amount: ihsCost
-                });
-                total += ihsCost;
+    /**
+     * Remember the secondary currency between visits
+     * @param {string} code - Currency code, or '' for pounds only
+     */
+    setDisplayCurrency(code) {
+        try {
+            if (code) {
+                localStorage.setItem(this.currencyStorageKey, code);
+            } else {
+                localStorage.removeItem(this.currencyStorageKey);
             }
+        } catch (error) {
+            // ignore
         }
-
-        // Priority services
-        if (addPriority && route.extras_supported.includes('priority')) {
-            const priorityCost = this.getPriorityFee(applyFrom) * (parseInt(applicants) + parseInt(dependants));
-            breakdown.push({
-                item: 'Priority Service',
-                amount: priorityCost
-            });
-            total += priorityCost;
-        }
-
-        if (addSuperPriority && route.extras_supported.includes('super_priority')) {
-            const superPriorityCost = this.getSuperPriorityFee(applyFrom) * (parseInt(applicants) + parseInt(dependants));
-            breakdown.push({
-                item: 'Super Priority Service',
-                amount: superPriorityCost
-            });
-            total += superPriorityCost;
-        }
-
-        // Citizenship ceremony for citizenship applications
-        if (route.extras_supported.includes('citizenship_ceremony')) {
-            const ceremonyCost = this.fees['citizenship_ceremony'].amount_inside_uk * (parseInt(applicants) + parseInt(dependants));
-            breakdown.push({
-                item: 'Citizenship Ceremony',
-                amount: ceremonyCost
-            });
-            total += ceremonyCost;
-        }
-
-        // Life in the UK test for ILR/Citizenship
-        if (routeId.includes('indefinite-leave') || routeId.includes('citizenship')) {
-            const testCost = 50 * (parseInt(applicants) + parseInt(dependants));
-            breakdown.push({
-                item: 'Life in the UK Test',
-                amount: testCost
-            });
-            total += testCost;
-        }
-
-        return {
-            breakdown,
-            total,
-            lastReviewed: route.last_reviewed
-        };
     },
 
     /**
-     * Calculate Immigration Health Surcharge
+     * Pound amount with the secondary currency underneath, when one is chosen
      */
-    calculateIHS(route, durationMonths, applicants, dependants) {
-        let rate = this.rules.ihs_rates.standard.rate_per_year;
-
-        // Use student rate if applicable
-        if (route.ihs_policy === 'required_student') {
-            rate = this.rules.ihs_rates.student.rate_per_year;
-        }
-
-        // Convert months to years, round up to nearest 0.5
-        const years = Math.ceil(durationMonths / 6) * 0.5;
-
-        const totalApplicants = parseInt(applicants) + parseInt(dependants);
-        return rate * years * totalApplicants;
+    formatAmounts(amount) {
+        const converted = FeeEngine.formatConverted(this.exchangeRates, amount, this.getDisplayCurrency());
+        return UI.formatCurrency(amount) + (converted ? `<br><small class="text-muted">${converted}</small>` : '');
     },
 
     /**
-     * Get fee key for route and location
+     * Calculate visa costs
+     * @param {Object} params - Calculation parameters (see FeeEngine.calculate)
+     * @returns {Object} Calculation result with breakdown
      */
-    getFeeKey(route, applyFrom) {
-        const feeItems = route.fee_items;
-        if (!feeItems || feeItems.length === 0) return null;
-
-        // Find fee item matching location
-        if (applyFrom === 'inside_uk') {
-            return feeItems.find(f => f.includes('inside')) || feeItems[0];
-        } else {
-            return feeItems.find(f => f.includes('outside')) || feeItems[0];
-        }
+    calculate(params) {
+        return FeeEngine.calculate(this.getData(), params);
     },
 
     /**
-     * Get fee amount for location
+     * Get the loaded data files in the shape the fee engine expects
+     * @returns {Object} { routes, fees, rules, nationalities }
      */
-    getFeeAmount(feeKey, applyFrom) {
-        const fee = this.fees[feeKey];
-        if (!fee) return 0;
+    getData() {
+        return {
+            routes: this.routes,
+            fees: this.fees,
+            rules: this.rules,
+            nationalities: this.nationalities
+        };
+    },
 
-        if (applyFrom === 'inside_uk' && fee.amount_inside_uk !== null) {
-            return fee.amount_inside_uk;
-        }
-        if (applyFrom === 'outside_uk' && fee.amount_outside_uk !== null) {
-            return fee.amount_outside_uk;
-        }
+    /**
+     * Nationality chosen on the page, above the route choice or on the form
+     * @returns {string|undefined} Code from nationalities.json
+     */
+    getNationality() {
+        return document.getElementById('nationality')?.value || undefined;
+    },
 
-        // Fallback
-        return fee.amount_inside_uk || fee.amount_outside_uk || 0;
+    /**
+     * Nationality choice, shown above a route choice or at the top of the form
+     * @returns {string} HTML, empty when the nationality rules did not load
+     */
+    renderNationalityField() {
+        if (!this.nationalities) return '';
+        const options = Object.entries(this.nationalities.nationalities)
+            .map(([code, nationality]) => `<option value="${code}">${UI.escapeHTML(nationality.name)}</option>`)
+            .join('');
+        return `
+        <div class="form-group">
+          <label for="nationality" class="form-label">Nationality (optional)</label>
+          <select id="nationality" class="form-select">
+            <option value="">Not given</option>
+            ${options}
+          </select>
+          <small class="text-muted">Decides whether a visitor needs a visa or an ETA, the TB test, reciprocal fee discounts and which routes are open. Everyone applying is assumed to share it.</small>
+        </div>
+      `;
     },
 
     /**
-     * Get priority service fee
+     * Follow the nationality choice: hide routes not open to it and
+     * include the TB test where it is needed
+     * Set as the select's onchange, so rendering a form again does not add a second handler.
      */
-    getPriorityFee(applyFrom) {
-        const fee = this.fees['priority'];
-        return applyFrom === 'inside_uk' ? fee.amount_inside_uk : fee.amount_outside_uk;
+    bindNationality() {
+        const select = document.getElementById('nationality');
+        if (select) select.onchange = () => this.applyNationality();
     },
 
     /**
-     * Get super priority service fee
+     * Update the route choice and the form for the nationality chosen
      */
-    getSuperPriorityFee(applyFrom) {
-        const fee = this.fees['super_priority'];
-        return applyFrom === 'inside_uk' ? fee.amount_inside_uk : fee.amount_outside_uk;
+    applyNationality() {
+        const code = this.getNationality();
+        const routeSelect = document.getElementById('route-select');
+        if (routeSelect) {
+            Array.from(routeSelect.options).filter(option => option.value).forEach(option => {
+                const route = FeeEngine.getRoute(this.getData(), option.value);
+                const open = !route || FeeEngine.getRouteAccess(this.nationalities, route, code).open;
+                option.hidden = !open;
+                option.disabled = !open;
+            });
+        }
+        const tbInput = this.nationalities && document.getElementById(`cost-${this.nationalities.tb_test_cost}`);
+        if (tbInput) tbInput.checked = FeeEngine.isDefaultCost(this.getData(), this.nationalities.tb_test_cost, code);
     },
 
     /**
@@ -207,6 +228,12 @@ const Calculator = {
         </div>
     `;
 
+        // Nationality, unless the page already asks for it above the route choice
+        const nationality = this.getNationality();
+        if (!document.getElementById('nationality')) {
+            html += this.renderNationalityField();
+        }
+
         // Apply from (if both options available)
         if (route.apply_from_options === 'both') {
             html += `
@@ -222,6 +249,26 @@ const Calculator = {
             html += `<input type="hidden" id="apply-from" value="${route.apply_from_options}">`;
         }
 
+        // Current visa, for extensions and switches made from inside the UK
+        if (route.apply_from_options !== 'outside_uk') {
+            const currentOptions = this.routes
+                .filter(r => r.indexable && r.duration_policy !== 'permanent')
+                .map(r => `<option value="${r.route_id}">${r.name}</option>`)
+                .join('');
+            html += `
+        <div class="form-group">
+          <label for="current-route" class="form-label">Current UK Visa (for an extension or switch)</label>
+          <select id="current-route" class="form-select">
+            <option value="">None - not in the UK on a visa</option>
+            ${currentOptions}
+          </select>
+          <label for="current-leave-end" class="form-label">Current Leave Ends (optional)</label>
+          <input type="date" id="current-leave-end" class="form-input">
+          <small class="text-muted">An extension or switch is applied for from inside the UK. IHS already paid up to the date your current leave ends is not charged again.</small>
+        </div>
+      `;
+        }
+
         // Duration
         if (route.duration_policy === 'fixed' && route.duration_options) {
             html += `
@@ -241,6 +288,32 @@ const Calculator = {
       `;
         } else if (route.duration_policy === 'permanent') {
             html += `<input type="hidden" id="duration" value="0">`;
+        } else if (route.duration_policy === 'match_sponsor') {
+            html += `
+        <div class="form-group">
+          <label for="sponsor-leave-end" class="form-label">Main Applicant's Leave Ends</label>
+          <input type="date" id="sponsor-leave-end" class="form-input" required>
+          <label for="joining-date" class="form-label">Date Joining (optional)</label>
+          <input type="date" id="joining-date" class="form-input">
+          <small class="text-muted">Leave is granted to end on the same day as the main applicant's, so the IHS is charged from the joining date (or the application date) until then.</small>
+        </div>
+      `;
+        }
+
+        // Exact leave dates for the IHS
+        if (FeeEngine.ihsApplies(route) && route.duration_policy !== 'permanent' && route.duration_policy !== 'match_sponsor') {
+            html += `
+        <div class="form-group">
+          <label for="leave-start" class="form-label">Exact Leave Dates (optional)</label>
+          <input type="date" id="leave-start" class="form-input mb-sm" aria-label="Leave start date">
+          <input type="date" id="leave-end" class="form-input mb-sm" aria-label="Leave end date">
+          ${route.leave_padding ? `
+          <label>
+            <input type="checkbox" id="add-extra-leave" checked> These are my CoS or course dates. Add the extra leave normally granted before and after them
+          </label><br>` : ''}
+          <small class="text-muted">Enter a start and end date to work out the IHS exactly: each whole year, plus half a year for any remaining 6 months or less. The dates replace the duration above.</small>
+        </div>
+      `;
         }
 
         // Applicants
@@ -254,8 +327,21 @@ const Calculator = {
         <label for="dependants" class="form-label">Number of Dependants</label>
         <input type="number" id="dependants" class="form-input" min="0" max="10" value="0">
       </div>
+
+      <div id="dependant-details"></div>
     `;
 
+        // New entrant rate
+        if (route.new_entrant_fee_items) {
+            html += `
+        <div class="form-group">
+          <label>
+            <input type="checkbox" id="new-entrant"> Apply new entrant rate
+          </label>
+        </div>
+      `;
+        }
+
         // Priority services
         if (route.extras_supported.includes('priority')) {
             html += `
@@ -277,6 +363,96 @@ const Calculator = {
       `;
         }
 
+        // Additional costs: tests, endorsements and sponsorship
+        const costs = FeeEngine.getRouteCosts(this.getData(), route);
+        if (costs.length > 0) {
+            html += `
+        <fieldset class="form-group">
+          <legend class="form-label">Additional Costs</legend>
+      `;
+            costs.forEach(cost => {
+                const payer = cost.paid_by === 'employer' ? ' (paid by the employer)' : '';
+                const help = cost.description ? `<br><small class="text-muted">${cost.description}</small>` : '';
+                if (cost.charged === 'per_item') {
+                    html += `
+          <label for="cost-${cost.id}">${cost.label}${payer}: number of documents</label>
+          <input type="number" id="cost-${cost.id}" class="form-input" min="0" max="50" value="0">${help}
+        `;
+                } else {
+                    html += `
+          <label>
+            <input type="checkbox" id="cost-${cost.id}"${FeeEngine.isDefaultCost(this.getData(), cost.id, nationality) ? ' checked' : ''}> ${cost.label}${payer}
+          </label>${help}
+        `;
+                }
+                if (cost.small_sponsor_fee_key) {
+                    html += `
+          <label>
+            <input type="checkbox" id="small-sponsor"> Small or charitable sponsor (lower ${cost.label} rate)
+          </label>
+        `;
+                }
+            });
+            html += '</fieldset>';
+        }
+
+        // Money to show: maintenance funds and minimum income
+        const requirements = this.getRouteRequirements(routeId);
+        if (requirements.length > 0) {
+            html += `
+        <fieldset class="form-group">
+          <legend class="form-label">Money You Must Show (optional details)</legend>
+      `;
+            if (requirements.some(requirement => requirement.type === 'monthly')) {
+                html += `
+          <label for="study-location">Where you will study</label>
+          <select id="study-location" class="form-select mb-sm">
+            <option value="outside_london">Outside London</option>
+            <option value="london">In London</option>
+          </select>
+          <label for="course-months">Months of the course left (if less than the leave)</label>
+          <input type="number" id="course-months" class="form-input mb-sm" min="1" max="120">
+        `;
+            }
+            if (requirements.some(requirement => requirement.type === 'minimum_income')) {
+                html += `
+          <label for="yearly-income">Your partner's yearly income before tax (£)</label>
+          <input type="number" id="yearly-income" class="form-input mb-sm" min="0" step="100">
+          <small class="text-muted">With an income, the savings needed to make up any shortfall are worked out.</small><br>
+        `;
+            }
+            const maintenance = requirements.find(requirement => requirement.type !== 'minimum_income');
+            if (maintenance) {
+                html += `
+          <label>
+            <input type="checkbox" id="maintenance-exempt"> I do not need to show maintenance funds
+          </label><br>
+          <small class="text-muted">${maintenance.exemption || ''}</small>
+        `;
+            }
+            html += '</fieldset>';
+        }
+
+        // Application date (selects the fee schedule in force)
+        html += `
+        <div class="form-group">
+          <label for="application-date" class="form-label">Application Date</label>
+          <input type="date" id="application-date" class="form-input" value="${FeeEngine.today()}" required>
+          <small class="text-muted">Fees in force on this date are used. Pick a future date to include announced fee changes.</small>
+        </div>
+      `;
+
+        // Target date for the submission planner
+        if (this.processing && this.processing.routes[routeId]) {
+            html += `
+        <div class="form-group">
+          <label for="decision-by" class="form-label">Decision Needed By (optional)</label>
+          <input type="date" id="decision-by" class="form-input">
+          <small class="text-muted">Your job or course start date, or travel date. Shows the latest day to apply with each processing service, and what each costs.</small>
+        </div>
+      `;
+        }
+
         html += `
         <button type="submit" class="btn btn-primary" style="width: 100%;">Calculate Total Cost</button>
       </form>
@@ -286,22 +462,185 @@ const Calculator = {
 
         container.innerHTML = html;
 
+        // One row per dependant for relationship and age
+        const dependantsInput = document.getElementById('dependants');
+        dependantsInput.addEventListener('input', () => this.renderDependantFields(route));
+        if (route.dependants_allowed === false) {
+            dependantsInput.disabled = true;
+        }
+
+        this.bindNationality();
+
         // Add form submit handler
         document.getElementById('calc-form').addEventListener('submit', (e) => {
             e.preventDefault();
             this.handleCalculate(routeId);
         });
+
+        if (!this.shareUrl) this.restoreFromUrl(route);
+    },
+
+    /**
+     * Fill the form from a shared quote link and recalculate it
+     * Only applies when the link is for this route. Values the fee engine
+     * rejects, or that the form cannot show, are listed above the result.
+     * @param {Object} route - Route the form was rendered for
+     */
+    restoreFromUrl(route) {
+        const { params, rejected } = FeeEngine.decodeQuery(this.getData(), window.location.search);
+        if (!params || params.routeId !== route.route_id) return;
+
+        const setValue = (id, value, key) => {
+            const input = document.getElementById(id);
+            if (value === undefined || !input) return;
+            input.value = value;
+            // A select silently keeps its old value when the option does not exist
+            if (input.value !== String(value)) rejected.push(key);
+        };
+        const setChecked = (id, checked, key) => {
+            const input = document.getElementById(id);
+            if (!checked) return;
+            if (input) {
+                input.checked = true;
+            } else {
+                rejected.push(key);
+            }
+        };
+
+        setValue('nationality', params.nationality, 'nationality');
+        this.applyNationality();
+        if (route.apply_from_options === 'both') setValue('apply-from', params.applyFrom, 'from');
+        setValue('duration', params.duration, 'months');
+        setValue('leave-start', params.leaveStart, 'start');
+        setValue('leave-end', params.leaveEnd, 'end');
+        setValue('sponsor-leave-end', params.sponsorLeaveEnd, 'sponsor_end');
+        setValue('joining-date', params.joiningDate, 'joining');
+        const extraLeave = document.getElementById('add-extra-leave');
+        if (extraLeave && params.addExtraLeave === false) extraLeave.checked = false;
+        setValue('application-date', params.applicationDate, 'date');
+        setValue('current-route', params.currentRouteId, 'current');
+        setValue('current-leave-end', params.currentLeaveEnd, 'current_end');
+        setValue('applicants', params.applicants, 'applicants');
+        setValue('dependants', params.dependants, 'dependants');
+        this.renderDependantFields(route);
+        (params.people || []).filter(person => person.relationship !== 'main').forEach((person, i) => {
+            if (person.relationship !== 'dependant') setValue(`dependant-${i}-relationship`, person.relationship, 'people');
+            setValue(`dependant-${i}-age`, person.age, 'people');
+            setValue(`dependant-${i}-dob`, person.dateOfBirth, 'people');
+        });
+        setChecked('new-entrant', params.isNewEntrant, 'new_entrant');
+        setChecked('add-priority', params.addPriority, 'priority');
+        setChecked('add-super-priority', params.addSuperPriority, 'super_priority');
+        setChecked('add-premium-lounge', params.addPremiumLounge, 'premium_customer_service');
+        Object.entries(params.extraCosts || {}).forEach(([id, value]) => {
+            const input = document.getElementById(`cost-${id}`);
+            if (!input) {
+                rejected.push(id);
+            } else if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+        });
+        setChecked('small-sponsor', params.smallSponsor, 'small_sponsor');
+
+        const financial = FeeEngine.decodeFinancialOptions(window.location.search);
+        rejected.push(...financial.rejected);
+        setValue('study-location', financial.options.studyLocation, 'study_location');
+        setValue('course-months', financial.options.courseMonths, 'course_months');
+        setValue('yearly-income', financial.options.income, 'income');
+        setChecked('maintenance-exempt', financial.options.maintenanceExempt, 'maintenance_exempt');
+        const decisionBy = new URLSearchParams(window.location.search).get('decision_by');
+        if (decisionBy !== null) {
+            if (FeeEngine.isValidDate(decisionBy)) {
+                setValue('decision-by', decisionBy, 'decision_by');
+                if (!document.getElementById('decision-by')) rejected.push('decision_by');
+            } else {
+                rejected.push('decision_by');
+            }
+        }
+
+        const notices = [];
+        if (rejected.length > 0) {
+            notices.push(`Some values in this link are not valid for the ${route.name} and were ignored: ${[...new Set(rejected)].join(', ')}.`);
+        }
+        this.handleCalculate(route.route_id, notices);
+    },
+
+    /**
+     * Render relationship and age fields for each dependant, keeping values already entered
+     * @param {Object|null} route - Route whose dependant rules apply (null allows partner and child)
+     * @param {string} [prefix] - ID prefix, so the compare form can sit beside the calculator
+     */
+    renderDependantFields(route, prefix = '') {
+        const container = document.getElementById(`${prefix}dependant-details`);
+        if (!container) return;
+
+        const count = Math.min(Math.max(parseInt(document.getElementById(`${prefix}dependants`).value) || 0, 0), 10);
+        const relationships = (route && route.dependant_rules && route.dependant_rules.relationships) || ['partner', 'child'];
+        const existing = this.getDependantDetails(prefix);
+
+        let html = '';
+        if (count > 0) {
+            html += '<p class="text-muted mb-sm"><small>Children under 18 pay a reduced Immigration Health Surcharge. Add an age or date of birth for each dependant.</small></p>';
+        }
+        for (let i = 0; i < count; i++) {
+            const current = existing[i] || {};
+            const relationship = relationships.includes(current.relationship)
+                ? current.relationship
+                : (i === 0 || !relationships.includes('child') ? relationships[0] : 'child');
+
+            html += `
+        <div class="form-group dependant-row" data-index="${i}">
+          <label for="${prefix}dependant-${i}-relationship" class="form-label">Dependant ${i + 1}</label>
+          <select id="${prefix}dependant-${i}-relationship" class="form-select dependant-relationship">
+            ${relationships.map(r => `<option value="${r}"${r === relationship ? ' selected' : ''}>${FeeEngine.relationships[r]}</option>`).join('')}
+          </select>
+          <input type="number" id="${prefix}dependant-${i}-age" class="form-input dependant-age" min="0" max="120" placeholder="Age (optional)" value="${current.age ?? ''}">
+          <input type="date" id="${prefix}dependant-${i}-dob" class="form-input dependant-dob" aria-label="Date of birth (optional)" value="${current.dateOfBirth || ''}">
+        </div>
+      `;
+        }
+        container.innerHTML = html;
+    },
+
+    /**
+     * Read the dependant rows into the people format the fee engine expects
+     * @param {string} [prefix] - ID prefix used when the rows were rendered
+     * @returns {Array} [{ relationship, age?, dateOfBirth? }]
+     */
+    getDependantDetails(prefix = '') {
+        return Array.from(document.querySelectorAll(`#${prefix}dependant-details .dependant-row`)).map(row => {
+            const age = row.querySelector('.dependant-age').value;
+            const dateOfBirth = row.querySelector('.dependant-dob').value;
+            return {
+                relationship: row.querySelector('.dependant-relationship').value,
+                age: age === '' ? undefined : parseInt(age),
+                dateOfBirth: dateOfBirth || undefined
+            };
+        });
     },
 
     /**
      * Handle calculation
+     * @param {string} routeId - Route the form was rendered for
+     * @param {Array} [notices] - Extra warnings to show above the result
      */
-    handleCalculate(routeId) {
+    handleCalculate(routeId, notices = []) {
         // Get form values
         const applyFrom = document.getElementById('apply-from')?.value;
         const durationInput = document.getElementById('duration');
         const applicantsInput = document.getElementById('applicants');
         const dependantsInput = document.getElementById('dependants');
+        const applicationDate = document.getElementById('application-date')?.value;
+        const details = this.getDependantDetails();
+        const leaveStart = document.getElementById('leave-start')?.value;
+        const leaveEnd = document.getElementById('leave-end')?.value;
+        const sponsorLeaveInput = document.getElementById('sponsor-leave-end');
+        const joiningDate = document.getElementById('joining-date')?.value;
+        const currentRouteId = document.getElementById('current-route')?.value;
+        const currentLeaveEnd = currentRouteId ? document.getElementById('current-leave-end')?.value : '';
+        const decisionBy = document.getElementById('decision-by')?.value;
 
         const duration = parseInt(durationInput?.value || 0);
         const applicants = parseInt(applicantsInput?.value || 1);
@@ -314,7 +653,7 @@ const Calculator = {
             errors.push('Please select where you are applying from.');
         }
 
-        if (durationInput && (isNaN(duration) || duration < 1)) {
+        if (durationInput && !leaveStart && (isNaN(duration) || duration < 1)) {
             errors.push('Please enter a valid visa duration (at least 1 month).');
         }
 
@@ -326,6 +665,39 @@ const Calculator = {
             errors.push('Number of dependants must be between 0 and 10.');
         }
 
+        if (applicationDate && !FeeEngine.isValidDate(applicationDate)) {
+            errors.push('Please enter a valid application date.');
+        }
+
+        if ((leaveStart || leaveEnd) && !(leaveStart && leaveEnd)) {
+            errors.push('Please enter both a leave start date and end date, or neither.');
+        } else if (leaveStart && leaveEnd < leaveStart) {
+            errors.push('The leave end date must be after the start date.');
+        }
+
+        if (sponsorLeaveInput) {
+            const sponsorLeaveEnd = sponsorLeaveInput.value;
+            if (!FeeEngine.isValidDate(sponsorLeaveEnd)) {
+                errors.push('Please enter the date the main applicant\'s leave ends.');
+            } else if (sponsorLeaveEnd <= (applicationDate || FeeEngine.today()) || (joiningDate && sponsorLeaveEnd <= joiningDate)) {
+                errors.push('The main applicant\'s leave must end after the date of joining.');
+            }
+        }
+
+        if (decisionBy && !FeeEngine.isValidDate(decisionBy)) {
+            errors.push('Please enter a valid date for when the decision is needed.');
+        }
+
+        if (currentLeaveEnd && !FeeEngine.isValidDate(currentLeaveEnd)) {
+            errors.push('Please enter a valid date for when your current leave ends.');
+        }
+
+        details.forEach((person, i) => {
+            if (person.dateOfBirth && (!FeeEngine.isValidDate(person.dateOfBirth) || person.dateOfBirth > (applicationDate || FeeEngine.today()))) {
+                errors.push(`Dependant ${i + 1}: date of birth must be on or before the application date.`);
+            }
+        });
+
         // Display errors if any
         if (errors.length > 0) {
             const resultDiv = document.getElementById('calc-result');
@@ -348,34 +720,825 @@ const Calculator = {
         const params = {
             routeId,
             applyFrom,
+            nationality: this.getNationality(),
             duration,
-            applicants,
-            dependants,
+            leaveStart: leaveStart || undefined,
+            leaveEnd: leaveEnd || undefined,
+            addExtraLeave: document.getElementById('add-extra-leave')?.checked ?? true,
+            sponsorLeaveEnd: sponsorLeaveInput?.value || undefined,
+            joiningDate: joiningDate || undefined,
+            people: [
+                ...Array.from({ length: applicants }, () => ({ relationship: 'main' })),
+                ...Array.from({ length: dependants }, (_, i) => details[i] || { relationship: 'dependant' })
+            ],
+            applicationDate: applicationDate || undefined,
+            isNewEntrant: document.getElementById('new-entrant')?.checked || false,
             addPriority: document.getElementById('add-priority')?.checked || false,
-            addSuperPriority: document.getElementById('add-super-priority')?.checked || false
+            addSuperPriority: document.getElementById('add-super-priority')?.checked || false,
+            extraCosts: this.getExtraCosts(routeId),
+            smallSponsor: document.getElementById('small-sponsor')?.checked || undefined,
+            currentRouteId: currentRouteId || undefined,
+            currentLeaveEnd: currentLeaveEnd || undefined
         };
 
         const result = this.calculate(params);
-        this.displayResult(result);
+        const financialOptions = this.getFinancialOptions();
+        const financial = this.financial ? FeeEngine.getFinancialRequirements(this.financial, result, financialOptions) : null;
+        const plan = decisionBy && this.processing ? FeeEngine.planSubmission(this.processing, this.getData(), params, decisionBy) : null;
+        const query = [
+            FeeEngine.encodeQuery(params),
+            FeeEngine.encodeFinancialOptions(financialOptions),
+            decisionBy ? `decision_by=${decisionBy}` : ''
+        ].filter(Boolean).join('&');
+        if (this.shareUrl) {
+            this.quoteUrl = `${this.shareUrl}?${query}`;
+        } else {
+            // Keep the quote in the address bar so it can be copied or bookmarked
+            window.history.replaceState(null, '', `${window.location.pathname}?${query}`);
+            this.quoteUrl = window.location.href;
+        }
+        this.displayResult(result, notices, financial, plan);
+        if (this.onResult) this.onResult(result, this.quoteUrl);
+    },
+
+    /**
+     * Financial requirements that apply to a route
+     * @param {string} routeId - Route identifier
+     * @returns {Array} financial-requirements.json requirements
+     */
+    getRouteRequirements(routeId) {
+        if (!this.financial) return [];
+        return Object.values(this.financial.requirements).filter(requirement => requirement.routes.includes(routeId));
+    },
+
+    /**
+     * Money-to-show details entered on the form, as getFinancialRequirements() options
+     * @returns {Object}
+     */
+    getFinancialOptions() {
+        const options = {};
+        const location = document.getElementById('study-location')?.value;
+        if (location) options.studyLocation = location;
+        const courseMonths = parseInt(document.getElementById('course-months')?.value);
+        if (courseMonths > 0) options.courseMonths = courseMonths;
+        const income = parseFloat(document.getElementById('yearly-income')?.value);
+        if (income >= 0) options.income = income;
+        if (document.getElementById('maintenance-exempt')?.checked) options.maintenanceExempt = true;
+        return options;
+    },
+
+    /**
+     * Additional costs chosen on the form, as calculate() extraCosts
+     * Only choices that differ from the cost's default are kept, so shared links stay short.
+     * @param {string} routeId - Route the form was rendered for
+     * @returns {Object|undefined} { [costId]: boolean|number }
+     */
+    getExtraCosts(routeId) {
+        const extraCosts = {};
+        FeeEngine.getRouteCosts(this.getData(), FeeEngine.getRoute(this.getData(), routeId)).forEach(cost => {
+            const input = document.getElementById(`cost-${cost.id}`);
+            if (!input) return;
+            if (cost.charged === 'per_item') {
+                const count = parseInt(input.value) || 0;
+                if (count > 0) extraCosts[cost.id] = Math.min(count, 50);
+            } else if (input.checked !== FeeEngine.isDefaultCost(this.getData(), cost.id, this.getNationality())) {
+                extraCosts[cost.id] = input.checked;
+            }
+        });
+        return Object.keys(extraCosts).length > 0 ? extraCosts : undefined;
     },
 
     /**
      * Display calculation result
+     * @param {Object} result - FeeEngine.calculate() result
+     * @param {Array} [notices] - Extra warnings to show above the breakdown
+     * @param {Object} [financial] - FeeEngine.getFinancialRequirements() result, shown beside the fees
+     * @param {Object} [plan] - FeeEngine.planSubmission() result, shown after the fees
      */
-    displayResult(result) {
+    displayResult(result, notices = [], financial = null, plan = null) {
         const resultDiv = document.getElementById('calc-result');
         if (!resultDiv) return;
 
-        let html = '<ul class="result-breakdown">';
+        let html = '';
+        notices.forEach(text => {
+            html += `<div class="result-notes result-notes-warning">${text}</div>`;
+        });
+
+        const currency = this.getDisplayCurrency();
+        if (this.exchangeRates) {
+            const options = Object.entries(this.exchangeRates.currencies)
+                .map(([code, details]) => `<option value="${code}"${code === currency ? ' selected' : ''}>${code} - ${details.name}</option>`)
+                .join('');
+            html += `
+        <div class="form-group">
+          <label for="display-currency" class="form-label">Also show amounts in</label>
+          <select id="display-currency" class="form-select">
+            <option value="">Pounds only (GBP)</option>
+            ${options}
+          </select>
+        </div>
+      `;
+        }
+
+        html += '<ul class="result-breakdown">';
         result.breakdown.forEach(item => {
-            html += `<li><span>${item.item}</span><span>${UI.formatCurrency(item.amount)}</span></li>`;
+            const payer = item.paidBy === 'employer' ? ' <small class="text-muted">(employer)</small>' : '';
+            html += `<li><span>${item.label}${payer}${item.note ? `<br><small class="text-muted">${item.note}</small>` : ''}</span><span class="result-amount">${this.formatAmounts(item.amount)}</span></li>`;
         });
-        html += `<li><span><strong>Total Estimated Cost</strong></span><span><strong>${UI.formatCurrency(result.total)}</strong></span></li>`;
+        html += `<li><span><strong>Total Estimated Cost</strong></span><span class="result-amount"><strong>${this.formatAmounts(result.total)}</strong></span></li>`;
+        if (result.employerTotal > 0) {
+            html += `<li><span>Paid by you</span><span class="result-amount">${this.formatAmounts(result.applicantTotal)}</span></li>`;
+            html += `<li><span>Paid by the employer</span><span class="result-amount">${this.formatAmounts(result.employerTotal)}</span></li>`;
+        }
         html += '</ul>';
 
+        const currencyNote = currency ? FeeEngine.describeExchangeRate(this.exchangeRates, currency) : 'Fees are payable in GBP (£).';
+        html += `<p class="text-muted"><small>${currencyNote}</small></p>`;
+
+        if (financial && financial.requirements.length > 0) {
+            html += this.formatFinancialRequirements(financial, result);
+        }
+
+        if (plan) {
+            html += this.formatSubmissionPlan(plan);
+        }
+
+        if (result.ihsTotal > 0) {
+            html += '<div class="result-notes"><strong>IHS per person</strong><ul>';
+            result.people.forEach(person => {
+                const period = person.leaveStart ? ` (${person.leaveStart} to ${person.leaveEnd})` : '';
+                html += `<li>${person.label}: ${person.ihsYears} year${person.ihsYears !== 1 ? 's' : ''} × ${UI.formatCurrency(person.ihsRate)}${period} = ${UI.formatCurrency(person.ihsAmount)}</li>`;
+            });
+            html += '</ul></div>';
+        }
+
+        if (result.assumptions.length > 0) {
+            html += '<div class="result-notes"><strong>Assumptions used</strong><ul>';
+            result.assumptions.forEach(text => {
+                html += `<li>${text}</li>`;
+            });
+            html += '</ul></div>';
+        }
+
+        if (result.warnings.length > 0) {
+            html += '<div class="result-notes result-notes-warning"><strong>Please note</strong><ul>';
+            result.warnings.forEach(text => {
+                html += `<li>${text}</li>`;
+            });
+            html += '</ul></div>';
+        }
+
+        html += UI.formatDataStatus(DataLoader.getDataStatus());
+        html += `
+        <div class="quote-actions">
+          <button type="button" id="copy-quote-link" class="btn btn-secondary">Copy link to this quote</button>
+          <button type="button" class="btn btn-secondary" data-export="pdf">Download PDF</button>
+          <button type="button" class="btn btn-secondary" data-export="csv">CSV</button>
+          <button type="button" class="btn btn-secondary" data-export="json">JSON</button>
+        </div>
+      `;
+
         resultDiv.innerHTML = html;
         resultDiv.style.display = 'block';
         resultDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+        document.getElementById('copy-quote-link').addEventListener('click', (e) => {
+            navigator.clipboard.writeText(this.quoteUrl || window.location.href).then(() => {
+                e.target.textContent = 'Link copied';
+            });
+        });
+
+        document.getElementById('display-currency')?.addEventListener('change', (e) => {
+            this.setDisplayCurrency(e.target.value);
+            this.displayResult(result, notices, financial, plan);
+        });
+
+        resultDiv.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportQuote(result, button.dataset.export));
+        });
+    },
+
+    /**
+     * Money to show set against the money to pay
+     * @param {Object} financial - FeeEngine.getFinancialRequirements() result
+     * @param {Object} result - FeeEngine.calculate() result
+     * @returns {string} HTML
+     */
+    formatFinancialRequirements(financial, result) {
+        let html = '<div class="financial-summary">';
+        html += `<div class="financial-total"><span>Money you will pay</span><strong>${this.formatAmounts(result.total)}</strong></div>`;
+        const income = financial.requirements.find(requirement => requirement.funds === null);
+        const toShow = income
+            ? `${UI.formatCurrency(income.income)} a year<br><small class="text-muted">or ${UI.formatCurrency(income.savingsOnly)} in savings</small>`
+            : this.formatAmounts(financial.fundsTotal);
+        html += `<div class="financial-total"><span>Money you must show</span><strong>${toShow}</strong></div>`;
+        html += '</div>';
+
+        financial.requirements.forEach(requirement => {
+            html += `<h4 class="financial-heading">${requirement.label}</h4><ul class="financial-breakdown">`;
+            requirement.lines.forEach(item => {
+                html += `<li><span>${item.label}${item.note ? `<br><small class="text-muted">${item.note}</small>` : ''}</span><span class="result-amount">${this.formatAmounts(item.amount)}</span></li>`;
+            });
+            html += '</ul>';
+            const source = requirement.sourceUrl ? ` <a href="${requirement.sourceUrl}" target="_blank" rel="noopener">Check on GOV.UK</a>` : '';
+            if (requirement.description) {
+                html += `<p class="text-muted"><small>${requirement.description} Figures in force from ${requirement.effectiveDate}.${source}</small></p>`;
+            }
+        });
+
+        if (financial.assumptions.length > 0) {
+            html += `<p class="text-muted"><small>${financial.assumptions.join(' ')}</small></p>`;
+        }
+        return html;
+    },
+
+    /**
+     * Latest submission date and cost under each processing service
+     * @param {Object} plan - FeeEngine.planSubmission() result
+     * @returns {string} HTML
+     */
+    formatSubmissionPlan(plan) {
+        let html = `<h4 class="plan-heading">When to Apply for a Decision by ${plan.targetDate}</h4>`;
+        html += `<p>${plan.summary}</p>`;
+        if (plan.options.length === 0) return html;
+
+        html += '<ul class="plan-options">';
+        plan.options.forEach(option => {
+            if (!option.available) {
+                html += `<li class="plan-unavailable"><span>${option.label}<br><small>${option.reason}</small></span><span>Not available</span></li>`;
+                return;
+            }
+            const timing = option.feasible
+                ? `Decision in ${option.processingTime}; apply by ${option.latestSubmission}`
+                : `Decision in ${option.processingTime}; too late, the last day was ${option.latestSubmission}`;
+            const extra = option.extraCost > 0 ? `+${this.formatAmounts(option.extraCost)}` : 'No extra cost';
+            const className = option.service === plan.recommended ? ' class="plan-recommended"' : '';
+            html += `<li${className}><span>${option.label}<br><small class="text-muted">${timing}</small></span><span class="result-amount">${extra}</span></li>`;
+        });
+        html += '</ul>';
+
+        const source = plan.sourceUrl ? ` <a href="${plan.sourceUrl}" target="_blank" rel="noopener">Check on GOV.UK</a>` : '';
+        html += `<p class="text-muted"><small>${plan.assumptions.join(' ')}${source}</small></p>`;
+        return html;
+    },
+
+    /**
+     * Download the result as a quote document
+     * @param {Object} result - FeeEngine.calculate() result
+     * @param {string} format - 'pdf', 'csv' or 'json'
+     */
+    exportQuote(result, format) {
+        const quote = QuoteExport.create(result, { url: this.quoteUrl || window.location.href });
+        const files = {
+            pdf: () => QuoteExport.toPDF(quote),
+            csv: () => QuoteExport.toCSV(quote),
+            json: () => QuoteExport.toJSON(quote)
+        };
+        const types = { pdf: 'application/pdf', csv: 'text/csv;charset=utf-8', json: 'application/json' };
+        UI.downloadFile(QuoteExport.getFileName(quote, format), files[format](), types[format]);
+    },
+
+    /**
+     * Render the side-by-side comparison form: 2-4 routes priced for one household
+     * @param {string} containerId - Element to render into
+     * @param {Array} routes - Routes offered in each select
+     */
+    renderCompareForm(containerId, routes) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const options = routes.map(route => `<option value="${route.route_id}">${route.name}</option>`).join('');
+        let html = `
+      <form id="compare-form" class="calculator-form">
+        <div class="compare-routes">
+    `;
+        for (let i = 0; i < 4; i++) {
+            html += `
+          <div class="form-group">
+            <label for="compare-route-${i}" class="form-label">Route ${i + 1}${i >= 2 ? ' (optional)' : ''}</label>
+            <select id="compare-route-${i}" class="form-select compare-route"${i < 2 ? ' required' : ''}>
+              <option value="">-- Choose a visa type --</option>
+              ${options}
+            </select>
+          </div>
+      `;
+        }
+        html += `
+        </div>
+
+        <div class="form-group">
+          <label for="compare-apply-from" class="form-label">Applying From</label>
+          <select id="compare-apply-from" class="form-select">
+            <option value="outside_uk">Outside UK</option>
+            <option value="inside_uk">Inside UK</option>
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label for="compare-duration" class="form-label">Visa Duration (months)</label>
+          <input type="number" id="compare-duration" class="form-input" min="1" max="120" value="36" required>
+        </div>
+
+        <div class="form-group">
+          <label for="compare-applicants" class="form-label">Number of Main Applicants</label>
+          <input type="number" id="compare-applicants" class="form-input" min="1" max="10" value="1" required>
+        </div>
+
+        <div class="form-group">
+          <label for="compare-dependants" class="form-label">Number of Dependants</label>
+          <input type="number" id="compare-dependants" class="form-input" min="0" max="10" value="0">
+        </div>
+
+        <div id="compare-dependant-details"></div>
+
+        <button type="submit" class="btn btn-primary" style="width: 100%;">Compare Routes</button>
+      </form>
+
+      <div id="compare-result" class="calculator-result" style="display: none;"></div>
+    `;
+
+        container.innerHTML = html;
+
+        document.getElementById('compare-dependants').addEventListener('input', () => this.renderDependantFields(null, 'compare-'));
+        document.getElementById('compare-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleCompare();
+        });
+    },
+
+    /**
+     * Handle comparison
+     */
+    handleCompare() {
+        const resultDiv = document.getElementById('compare-result');
+        const routeIds = Array.from(document.querySelectorAll('#compare-form .compare-route'))
+            .map(select => select.value)
+            .filter(Boolean);
+        const duration = parseInt(document.getElementById('compare-duration').value);
+        const applicants = parseInt(document.getElementById('compare-applicants').value || 1);
+        const dependants = parseInt(document.getElementById('compare-dependants').value || 0);
+        const details = this.getDependantDetails('compare-');
+
+        const errors = [];
+
+        if (routeIds.length < 2) {
+            errors.push('Please choose at least two routes to compare.');
+        } else if (new Set(routeIds).size !== routeIds.length) {
+            errors.push('Please choose a different route in each box.');
+        }
+
+        if (isNaN(duration) || duration < 1) {
+            errors.push('Please enter a valid visa duration (at least 1 month).');
+        }
+
+        if (isNaN(applicants) || applicants < 1 || applicants > 10) {
+            errors.push('Number of main applicants must be between 1 and 10.');
+        }
+
+        if (isNaN(dependants) || dependants < 0 || dependants > 10) {
+            errors.push('Number of dependants must be between 0 and 10.');
+        }
+
+        details.forEach((person, i) => {
+            if (person.dateOfBirth && (!FeeEngine.isValidDate(person.dateOfBirth) || person.dateOfBirth > FeeEngine.today())) {
+                errors.push(`Dependant ${i + 1}: date of birth must be on or before today.`);
+            }
+        });
+
+        if (errors.length > 0) {
+            resultDiv.innerHTML = `<div class="card" style="border-color: var(--color-accent); background-color: #fef3c7;">
+                <h3 style="color: #92400e;">⚠️ Please fix the following:</h3>
+                <ul style="margin-bottom: 0; color: #78350f;">${errors.map(err => `<li>${err}</li>`).join('')}</ul>
+            </div>`;
+            resultDiv.style.display = 'block';
+            return;
+        }
+
+        const comparison = FeeEngine.compareRoutes(this.getData(), routeIds, {
+            applyFrom: document.getElementById('compare-apply-from').value,
+            duration,
+            people: [
+                ...Array.from({ length: applicants }, () => ({ relationship: 'main' })),
+                ...Array.from({ length: dependants }, (_, i) => details[i] || { relationship: 'dependant' })
+            ]
+        });
+        this.displayComparison(comparison);
+    },
+
+    /**
+     * Display a comparison as a table with one aligned row per cost
+     */
+    displayComparison(comparison) {
+        const resultDiv = document.getElementById('compare-result');
+        if (!resultDiv) return;
+
+        let html = '<div class="compare-table-wrapper"><table class="compare-table"><thead><tr><th>Cost</th>';
+        comparison.routes.forEach(route => {
+            const cheapest = route.routeId === comparison.cheapestRouteId;
+            html += `<th>${route.routeName}${cheapest ? '<br><span class="compare-badge">Lowest cost</span>' : ''}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+
+        comparison.rows.forEach(row => {
+            html += `<tr${row.differs ? ' class="compare-differs"' : ''}><td>${row.label}</td>`;
+            row.amounts.forEach((amount, i) => {
+                html += amount === null
+                    ? '<td class="text-muted">—</td>'
+                    : `<td>${UI.formatCurrency(amount)}${row.notes[i] ? `<br><small class="text-muted">${row.notes[i]}</small>` : ''}</td>`;
+            });
+            html += '</tr>';
+        });
+
+        html += '</tbody><tfoot><tr><td>Total Estimated Cost</td>';
+        comparison.routes.forEach(route => {
+            html += `<td>${UI.formatCurrency(route.total)}${route.difference > 0 ? `<br><small class="compare-difference">+${UI.formatCurrency(route.difference)}</small>` : ''}</td>`;
+        });
+        html += '</tr></tfoot></table></div>';
+        html += '<p class="text-muted"><small>Highlighted rows differ between the routes.</small></p>';
+
+        comparison.routes.forEach(route => {
+            const notes = [
+                ...route.notes,
+                ...route.result.warnings.filter(text => text !== FeeEngine.disclaimer)
+            ];
+            html += `<div class="result-notes"><strong>${route.routeName}</strong><ul>`;
+            route.options.forEach(option => {
+                html += `<li>${option.available ? '✓' : '✗'} ${option.label}</li>`;
+            });
+            notes.forEach(text => {
+                html += `<li>${text}</li>`;
+            });
+            html += '</ul></div>';
+        });
+
+        html += `<div class="result-notes result-notes-warning">${FeeEngine.disclaimer}</div>`;
+        html += UI.formatDataStatus(DataLoader.getDataStatus());
+
+        resultDiv.innerHTML = html;
+        resultDiv.style.display = 'block';
+        resultDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    },
+
+    /**
+     * Render the employer bulk quote form: a list of hires, typed in or imported from CSV
+     * @param {string} containerId - Element to render into
+     * @param {Array} routes - Routes offered for each hire
+     */
+    renderBulkForm(containerId, routes) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        this.bulkRoutes = routes;
+        container.innerHTML = `
+      <form id="bulk-form" class="calculator-form">
+        <div class="compare-table-wrapper">
+          <table class="compare-table bulk-table">
+            <thead>
+              <tr>
+                <th>Reference</th><th>Route</th><th>Applying From</th><th>Months</th><th>Start Date</th>
+                <th>Partners</th><th>Children</th><th>New Entrant</th><th></th>
+              </tr>
+            </thead>
+            <tbody id="bulk-hires"></tbody>
+          </table>
+        </div>
+
+        <div class="quote-actions">
+          <button type="button" id="bulk-add" class="btn btn-secondary">Add hire</button>
+          <label for="bulk-import" class="btn btn-secondary">Import CSV</label>
+          <input type="file" id="bulk-import" accept=".csv,text/csv" hidden>
+          <button type="button" id="bulk-template" class="btn btn-secondary">Download CSV template</button>
+        </div>
+
+        <div class="form-group">
+          <label>
+            <input type="checkbox" id="bulk-employer-costs" checked> Include the employer's Certificate of Sponsorship and Immigration Skills Charge
+          </label>
+          <label>
+            <input type="checkbox" id="bulk-small-sponsor"> Small or charitable sponsor (lower Immigration Skills Charge rate)
+          </label>
+        </div>
+
+        <div class="form-group">
+          <label for="bulk-application-date" class="form-label">Application Date</label>
+          <input type="date" id="bulk-application-date" class="form-input" value="${FeeEngine.today()}" required>
+          <small class="text-muted">Every hire is priced with the fees in force on this date.</small>
+        </div>
+
+        <button type="submit" class="btn btn-primary" style="width: 100%;">Price All Hires</button>
+      </form>
+
+      <div id="bulk-result" class="calculator-result" style="display: none;"></div>
+    `;
+
+        this.setBulkHires([{ routeId: routes[0].route_id, applyFrom: 'outside_uk', duration: 36 }]);
+
+        document.getElementById('bulk-add').addEventListener('click', () => {
+            this.setBulkHires([...this.getBulkHires(), { routeId: routes[0].route_id, applyFrom: 'outside_uk', duration: 36 }]);
+        });
+        document.getElementById('bulk-hires').addEventListener('click', (e) => {
+            if (!e.target.matches('[data-remove-hire]')) return;
+            e.target.closest('tr').remove();
+        });
+        document.getElementById('bulk-template').addEventListener('click', () => {
+            UI.downloadFile('hire-list-template.csv', QuoteExport.getHiresTemplate(), 'text/csv;charset=utf-8');
+        });
+        document.getElementById('bulk-import').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                const { hires, errors } = QuoteExport.parseHiresCSV(text);
+                if (hires.length > 0) this.setBulkHires(hires);
+                e.target.value = '';
+                this.handleBulkQuote(errors);
+            }).catch(error => {
+                console.error('Could not read the hire list:', error);
+                e.target.value = '';
+                const resultDiv = document.getElementById('bulk-result');
+                UI.showError(resultDiv, `${UI.escapeHTML(file.name)} could not be read. Please check the file and import it again.`);
+                if (resultDiv) resultDiv.style.display = 'block';
+            });
+        });
+        document.getElementById('bulk-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleBulkQuote();
+        });
+    },
+
+    /**
+     * Replace the rows of the hire list
+     * @param {Array} hires - FeeEngine.priceHires() hires
+     */
+    setBulkHires(hires) {
+        const tbody = document.getElementById('bulk-hires');
+        if (!tbody) return;
+
+        // Imported route ids that are not offered still get a row, so the error can be shown against it
+        const routeOptions = selected => {
+            const routes = this.bulkRoutes.some(route => route.route_id === selected)
+                ? this.bulkRoutes
+                : [...this.bulkRoutes, { route_id: selected, name: selected }];
+            return routes.map(route => `<option value="${UI.escapeHTML(route.route_id)}"${route.route_id === selected ? ' selected' : ''}>${UI.escapeHTML(route.name)}</option>`).join('');
+        };
+
+        tbody.innerHTML = hires.map((hire, i) => `
+          <tr class="bulk-hire">
+            <td><input type="text" class="form-input" data-field="reference" value="${UI.escapeHTML(hire.reference)}" placeholder="Hire ${i + 1}" aria-label="Reference"></td>
+            <td><select class="form-select" data-field="routeId" aria-label="Route">${routeOptions(hire.routeId)}</select></td>
+            <td>
+              <select class="form-select" data-field="applyFrom" aria-label="Applying from">
+                <option value="outside_uk">Outside UK</option>
+                <option value="inside_uk"${hire.applyFrom === 'inside_uk' ? ' selected' : ''}>Inside UK</option>
+              </select>
+            </td>
+            <td><input type="number" class="form-input" data-field="duration" min="1" max="120" value="${UI.escapeHTML(hire.duration)}" aria-label="Duration in months"></td>
+            <td><input type="date" class="form-input" data-field="startDate" value="${UI.escapeHTML(hire.startDate)}" aria-label="Start date"></td>
+            <td><input type="number" class="form-input" data-field="partners" min="0" max="10" value="${hire.partners || 0}" aria-label="Partners"></td>
+            <td><input type="number" class="form-input" data-field="children" min="0" max="10" value="${hire.children || 0}" aria-label="Children"></td>
+            <td><input type="checkbox" data-field="isNewEntrant"${hire.isNewEntrant ? ' checked' : ''} aria-label="New entrant"></td>
+            <td><button type="button" class="btn btn-secondary" data-remove-hire aria-label="Remove hire">✕</button></td>
+          </tr>
+        `).join('');
+    },
+
+    /**
+     * Read the hire list from the form
+     * @returns {Array} FeeEngine.priceHires() hires
+     */
+    getBulkHires() {
+        return Array.from(document.querySelectorAll('#bulk-hires .bulk-hire')).map(row => {
+            const field = name => row.querySelector(`[data-field="${name}"]`);
+            return {
+                reference: field('reference').value.trim() || undefined,
+                routeId: field('routeId').value,
+                applyFrom: field('applyFrom').value,
+                duration: parseInt(field('duration').value) || undefined,
+                startDate: field('startDate').value || undefined,
+                partners: parseInt(field('partners').value) || 0,
+                children: parseInt(field('children').value) || 0,
+                isNewEntrant: field('isNewEntrant').checked
+            };
+        });
+    },
+
+    /**
+     * Price the hire list
+     * @param {Array} [notices] - Messages to show above the result, e.g. skipped CSV rows
+     */
+    handleBulkQuote(notices = []) {
+        const resultDiv = document.getElementById('bulk-result');
+        const hires = this.getBulkHires();
+        const applicationDate = document.getElementById('bulk-application-date').value;
+
+        const errors = [];
+        if (hires.length === 0) {
+            errors.push('Please add at least one hire.');
+        }
+        if (!FeeEngine.isValidDate(applicationDate)) {
+            errors.push('Please enter a valid application date.');
+        }
+        hires.forEach((hire, i) => {
+            if (hire.partners < 0 || hire.partners > 10 || hire.children < 0 || hire.children > 10) {
+                errors.push(`${hire.reference || `Hire ${i + 1}`}: partners and children must each be between 0 and 10.`);
+            }
+        });
+
+        if (errors.length > 0) {
+            resultDiv.innerHTML = `<div class="card" style="border-color: var(--color-accent); background-color: #fef3c7;">
+                <h3 style="color: #92400e;">⚠️ Please fix the following:</h3>
+                <ul style="margin-bottom: 0; color: #78350f;">${[...notices, ...errors].map(err => `<li>${UI.escapeHTML(err)}</li>`).join('')}</ul>
+            </div>`;
+            resultDiv.style.display = 'block';
+            return;
+        }
+
+        const batch = FeeEngine.priceHires(this.getData(), hires, {
+            applicationDate,
+            employerCosts: document.getElementById('bulk-employer-costs').checked,
+            smallSponsor: document.getElementById('bulk-small-sponsor').checked
+        });
+        this.displayBulkQuote(batch, notices);
+    },
+
+    /**
+     * Display a priced hire list: one row per hire, route subtotals and the overall split
+     * @param {Object} batch - FeeEngine.priceHires() result
+     * @param {Array} [notices] - Messages to show above the table
+     */
+    displayBulkQuote(batch, notices = []) {
+        const resultDiv = document.getElementById('bulk-result');
+        if (!resultDiv) return;
+
+        let html = '';
+        notices.forEach(text => {
+            html += `<div class="result-notes result-notes-warning">${UI.escapeHTML(text)}</div>`;
+        });
+
+        html += `<div class="compare-table-wrapper"><table class="compare-table"><thead><tr>
+            <th>Hire</th><th>People</th><th>Paid by the employee</th><th>Paid by the employer</th><th>Total</th>
+          </tr></thead><tbody>`;
+        batch.hires.forEach(hire => {
+            const name = `${UI.escapeHTML(hire.reference)}<br><small class="text-muted">${UI.escapeHTML(hire.routeName)}</small>`;
+            html += hire.result
+                ? `<tr><td>${name}</td><td>${hire.result.people.length}</td><td>${UI.formatCurrency(hire.result.applicantTotal)}</td>` +
+                  `<td>${UI.formatCurrency(hire.result.employerTotal)}</td><td>${UI.formatCurrency(hire.result.total)}</td></tr>`
+                : `<tr class="compare-differs"><td>${name}</td><td colspan="4">${UI.escapeHTML(hire.error)}</td></tr>`;
+        });
+        html += '</tbody><tfoot>';
+        if (batch.routes.length > 1) {
+            batch.routes.forEach(route => {
+                html += `<tr><td>${UI.escapeHTML(route.routeName)} (${route.hires} hire${route.hires !== 1 ? 's' : ''})</td><td>${route.people}</td>` +
+                    `<td>${UI.formatCurrency(route.applicantTotal)}</td><td>${UI.formatCurrency(route.employerTotal)}</td><td>${UI.formatCurrency(route.total)}</td></tr>`;
+            });
+        }
+        html += `<tr><td>Total Estimated Cost</td><td>${batch.totals.people}</td><td>${UI.formatCurrency(batch.totals.applicant)}</td>` +
+            `<td>${UI.formatCurrency(batch.totals.employer)}</td><td>${UI.formatCurrency(batch.totals.total)}</td></tr>`;
+        html += '</tfoot></table></div>';
+
+        if (batch.totals.failed > 0) {
+            html += `<p class="text-muted"><small>${batch.totals.failed} of ${batch.totals.hires} hires could not be priced and are not in the totals.</small></p>`;
+        }
+
+        const notes = batch.hires.filter(hire => hire.notes.length > 0);
+        if (notes.length > 0) {
+            html += '<div class="result-notes result-notes-warning"><strong>Please note</strong><ul>';
+            notes.forEach(hire => {
+                html += `<li><strong>${UI.escapeHTML(hire.reference)}:</strong> ${UI.escapeHTML(hire.notes.join(' '))}</li>`;
+            });
+            html += '</ul></div>';
+        }
+
+        html += `<div class="result-notes result-notes-warning">${FeeEngine.disclaimer}</div>`;
+        html += UI.formatDataStatus(DataLoader.getDataStatus());
+        html += `
+        <div class="quote-actions">
+          <button type="button" id="bulk-export" class="btn btn-secondary">Download CSV</button>
+        </div>
+      `;
+
+        resultDiv.innerHTML = html;
+        resultDiv.style.display = 'block';
+        resultDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+        document.getElementById('bulk-export').addEventListener('click', () => {
+            const fileName = `hire-quotes-${FeeEngine.today().replace(/-/g, '')}.csv`;
+            UI.downloadFile(fileName, QuoteExport.hiresToCSV(batch), 'text/csv;charset=utf-8');
+        });
+    },
+
+    /**
+     * Render a route's worked examples, priced with today's fees
+     * @param {string} containerId - Element to fill with one card per example
+     * @param {string} routeId - Route the examples belong to
+     * @param {Array} examples - example_scenarios from the route's content file
+     */
+    renderExamples(containerId, routeId, examples) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = (examples || []).map(example => {
+            let priced;
+            try {
+                priced = FeeEngine.priceExample(this.getData(), routeId, example);
+            } catch (error) {
+                console.error(`Could not price example "${example.title}":`, error);
+                return '';
+            }
+            return `
+          <div class="card">
+            <h3 class="card-title">${priced.title}</h3>
+            <p class="text-muted">${priced.details}</p>
+            ${priced.breakdown.map(line =>
+                `<p style="margin-bottom: 0.5rem;"><strong>${line.label}:</strong> ${line.value}</p>`
+            ).join('')}
+          </div>
+        `;
+        }).join('');
+    },
+
+    /**
+     * Render the route finder questionnaire, suggesting routes as it is answered
+     * Each suggestion links to the calculator on this page, pre-filled through
+     * the same ?route= query a shared quote uses.
+     * @param {string} containerId - Element to render into
+     * @param {Object} finder - Parsed data/route-finder.json
+     */
+    renderRouteFinder(containerId, finder) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const answers = {};
+        const render = focusId => {
+            // Forget answers to questions that are no longer asked
+            let questions = FeeEngine.getFinderQuestions(finder, answers);
+            while (Object.keys(answers).some(id => !questions.some(q => q.id === id))) {
+                Object.keys(answers).filter(id => !questions.some(q => q.id === id)).forEach(id => delete answers[id]);
+                questions = FeeEngine.getFinderQuestions(finder, answers);
+            }
+
+            container.innerHTML = `
+      <form id="route-finder-form" class="calculator-form">
+        ${questions.map(question => `
+          <div class="form-group">
+            <label for="finder-${question.id}" class="form-label">${question.question}</label>
+            <select id="finder-${question.id}" class="form-select" data-question="${question.id}">
+              <option value="">-- Not sure / skip --</option>
+              ${question.options.map(option =>
+                `<option value="${option.value}"${answers[question.id] === option.value ? ' selected' : ''}>${option.label}</option>`
+            ).join('')}
+            </select>
+          </div>
+        `).join('')}
+      </form>
+      <div id="route-finder-result"></div>
+    `;
+
+            container.querySelectorAll('select[data-question]').forEach(select => {
+                select.addEventListener('change', () => {
+                    if (select.value) {
+                        answers[select.dataset.question] = select.value;
+                    } else {
+                        delete answers[select.dataset.question];
+                    }
+                    render(select.id);
+                });
+            });
+            if (focusId) document.getElementById(focusId).focus();
+
+            this.displayRouteMatches(FeeEngine.findRoutes(this.getData(), finder, answers), Object.keys(answers).length > 0);
+        };
+        render();
+    },
+
+    /**
+     * Display route finder suggestions
+     * @param {Array} matches - FeeEngine.findRoutes() result
+     * @param {boolean} answered - Whether any question has been answered yet
+     */
+    displayRouteMatches(matches, answered) {
+        const resultDiv = document.getElementById('route-finder-result');
+        if (!resultDiv) return;
+
+        if (!answered) {
+            resultDiv.innerHTML = '<p class="text-muted">Answer a question to see the visa routes that could fit.</p>';
+            return;
+        }
+        if (matches.length === 0) {
+            resultDiv.innerHTML = '<div class="result-notes result-notes-warning">No visa route fits all of these answers. Try skipping a question.</div>';
+            return;
+        }
+
+        resultDiv.innerHTML = matches.map(match => `
+        <div class="card">
+          <h3 class="card-title">${match.routeName}</h3>
+          <p><strong>You will need:</strong> ${match.summary}</p>
+          <ul class="text-muted">
+            ${match.reasons.map(reason => `<li>✓ ${reason}</li>`).join('')}
+            ${match.unanswered.map(question => `<li>? ${question}</li>`).join('')}
+          </ul>
+          <a class="btn btn-secondary" href="?${FeeEngine.encodeQuery({ routeId: match.routeId, applyFrom: match.applyFrom })}#master-calculator">Price this visa</a>
+        </div>
+      `).join('');
     }
 };
 
@@ -6,26 +6,62 @@ const DataLoader = {
   cache: {},
 
   /**
-   * Get the base path for the site (handles GitHub Pages subpaths)
+   * When each cached file was fetched, by URL
+   */
+  fetchedAt: {},
+
+  /**
+   * Extra attempts after a failed request, and the wait before the first (doubled each time)
+   */
+  retries: 2,
+  retryDelay: 1000,
+
+  /**
+   * A request that takes longer than this (ms) is abandoned and retried
+   */
+  timeout: 15000,
+
+  /**
+   * Site root set by a page that knows it, overriding the meta tag and script location
+   */
+  basePath: null,
+
+  /**
+   * Where this script was loaded from: js/data-loader.js, one level below the site root
+   */
+  scriptBase: typeof document !== 'undefined' && document.currentScript
+    ? new URL('../', document.currentScript.src).href
+    : null,
+
+  updateHandlers: [],
+
+  /**
+   * Set the site root data is loaded from
+   * @param {string|URL} url - Site root, absolute or relative to the page
+   */
+  setBasePath(url) {
+    const base = String(url);
+    this.basePath = base.endsWith('/') ? base : `${base}/`;
+  },
+
+  /**
+   * Get the base URL of the site, wherever it is hosted
+   * In order: setBasePath(), a <meta name="site-root" content="../"> tag
+   * (relative to the page), then the folder this script was loaded from.
    * @returns {string} Base path with trailing slash
    */
   getBasePath() {
-    // Check if we're in a subdirectory by examining current path
-    const path = window.location.pathname;
-    const depth = (path.match(/\//g) || []).length - 1;
-
-    // If we're at root or in a route page, return appropriate base
-    if (depth === 0 || path === '/') {
-      return './';
-    } else if (depth === 1 && path.endsWith('/')) {
-      return '../';
-    } else if (depth === 2 && path.endsWith('/')) {
-      return '../../';
-    } else if (depth === 3 && path.endsWith('/')) {
-      return '../../../';
-    } else {
-      return './';
+    if (this.basePath) {
+      return this.basePath;
     }
+
+    const meta = document.querySelector('meta[name="site-root"]');
+    if (meta && meta.content) {
+      const base = new URL(meta.content, window.location.href).href;
+      return base.endsWith('/') ? base : `${base}/`;
+    }
+
+    return this.scriptBase || './';
   },
 
   /**
@@ -38,6 +74,37 @@ const DataLoader = {
     return basePath + path;
   },
 
+  /**
+   * Fetch a JSON file, retrying network errors, timeouts and server errors
+   * A missing file (4xx) is not retried.
+   * @param {string} url - URL to JSON file
+   * @returns {Promise<Object>} { data, fetchedAt }
+   */
+  async fetchJSON(url) {
+    for (let attempt = 0; ; attempt++) {
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+      try {
+        const response = await fetch(url, controller ? { signal: controller.signal } : undefined);
+        if (!response.ok) {
+          const error = new Error(`Failed to load ${url}: ${response.status}`);
+          error.status = response.status;
+          throw error;
+        }
+        // The service worker stamps the copies it keeps with the time they were fetched
+        const fetchedAt = response.headers.get('x-fetched-at') || new Date().toISOString();
+        return { data: await response.json(), fetchedAt };
+      } catch (error) {
+        if (attempt >= this.retries || (error.status >= 400 && error.status < 500)) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** attempt));
+      } finally {
+        if (timer) clearTimeout(timer);
+      }
+    }
+  },
+
   /**
    * Load JSON data with caching
    * @param {string} url - URL to JSON file
@@ -50,14 +117,9 @@ const DataLoader = {
     }
 
     try {
-      const response = await fetch(url);
-
-      if (!response.ok) {
-        throw new Error(`Failed to load ${url}: ${response.status}`);
-      }
-
-      const data = await response.json();
+      const { data, fetchedAt } = await this.fetchJSON(url);
       this.cache[url] = data;
+      this.fetchedAt[url] = fetchedAt;
       return data;
     } catch (error) {
       console.error('DataLoader error:', error);
@@ -65,6 +127,68 @@ const DataLoader = {
     }
   },
 
+  /**
+   * How current the loaded data is
+   * The data is dated by the latest effective_date in it that has already
+   * passed, i.e. the last fee or rate change it records, so a fresh copy of
+   * stale data does not look current. The oldest fetch time stands for the
+   * set, since a quote uses all of them.
+   * @param {string} [today] - YYYY-MM-DD, defaults to today
+   * @returns {Object|null} { dataDate, fetchedAt, offline }, or null before anything has loaded
+   */
+  getDataStatus(today = new Date().toISOString().slice(0, 10)) {
+    const times = Object.values(this.fetchedAt).sort();
+    if (times.length === 0) return null;
+
+    let dataDate = null;
+    const visit = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(visit);
+      } else if (value && typeof value === 'object') {
+        const date = value.effective_date;
+        if (typeof date === 'string' && date <= today && (!dataDate || date > dataDate)) dataDate = date;
+        Object.values(value).forEach(visit);
+      }
+    };
+    Object.values(this.cache).forEach(visit);
+
+    return {
+      dataDate,
+      fetchedAt: times[0],
+      offline: typeof navigator !== 'undefined' && navigator.onLine === false
+    };
+  },
+
+  /**
+   * Call a handler when the service worker fetches a newer copy of a data file
+   * The stale copy is dropped from the cache first, so the handler can reload it.
+   * @param {Function} handler - Called with the file's URL
+   */
+  onUpdate(handler) {
+    this.updateHandlers.push(handler);
+  },
+
+  /**
+   * Keep the site working offline after the first visit (see sw.js)
+   */
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+    const base = new URL(this.getBasePath(), window.location.href).href;
+    navigator.serviceWorker.register(`${base}sw.js`, { scope: base }).catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (!event.data || event.data.type !== 'data-updated') return;
+      const url = Object.keys(this.cache).find(key => new URL(key, window.location.href).href === event.data.url);
+      if (!url) return;
+      delete this.cache[url];
+      delete this.fetchedAt[url];
+      this.updateHandlers.forEach(handler => handler(url));
+    });
+  },
+
   /**
    * Load multiple JSON files in parallel
    * @param {Array<string>} urls - Array of URLs
@@ -98,6 +222,47 @@ const DataLoader = {
     return this.load(this.resolvePath('data/rules.json'));
   },
 
+  /**
+   * Get indicative exchange rates for secondary currency display
+   * @returns {Promise<Object>} Rates object (units per £1)
+   */
+  async getExchangeRates() {
+    return this.load(this.resolvePath('data/exchange-rates.json'));
+  },
+
+  /**
+   * Get the maintenance funds and minimum income each route requires
+   * @returns {Promise<Object>} Financial requirements object
+   */
+  async getFinancialRequirements() {
+    return this.load(this.resolvePath('data/financial-requirements.json'));
+  },
+
+  /**
+   * Get visitor status, TB test requirements, route restrictions and
+   * reciprocal arrangements by nationality
+   * @returns {Promise<Object>} Nationalities object
+   */
+  async getNationalities() {
+    return this.load(this.resolvePath('data/nationalities.json'));
+  },
+
+  /**
+   * Get the usual decision times by route and location, for the submission planner
+   * @returns {Promise<Object>} Processing times object
+   */
+  async getProcessingTimes() {
+    return this.load(this.resolvePath('data/processing-times.json'));
+  },
+
+  /**
+   * Get route finder questions
+   * @returns {Promise<Object>} Route finder object
+   */
+  async getRouteFinder() {
+    return this.load(this.resolvePath('data/route-finder.json'));
+  },
+
   /**
    * Get site config
    * @returns {Promise<Object>} Site config object
@@ -149,9 +314,14 @@ const DataLoader = {
    */
   clearCache() {
     this.cache = {};
+    this.fetchedAt = {};
   }
 };
 
+if (typeof window !== 'undefined') {
+  DataLoader.registerServiceWorker();
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = DataLoader;
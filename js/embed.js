@@ -0,0 +1,157 @@
+/**
+ * Embed - Puts the calculator on another site
+ *
+ *   <script src="https://example.com/js/embed.js" data-route="skilled-worker" data-primary="#0f766e" async></script>
+ *
+ * The widget (embed/index.html) opens in an iframe inserted after the script
+ * tag, or into the element matched by data-target. It resizes to its content
+ * and each result is dispatched on the iframe as a 'ukvisa:quote' event whose
+ * detail is the QuoteExport quote. Widget options are the data-attributes
+ * route, group, primary, accent, text, background, font and radius (see js/widget.js).
+ *
+ * Further widgets can be added from script:
+ *   UKVisaEmbed.mount('#calculator', { group: 'family' });
+ */
+
+const UKVisaEmbed = {
+    /**
+     * Source of widget messages, matching Widget.messageSource
+     */
+    messageSource: 'uk-visa-calculator',
+
+    /**
+     * Settings passed on to the widget
+     */
+    optionNames: ['route', 'group', 'primary', 'accent', 'text', 'background', 'font', 'radius'],
+
+    /**
+     * Height used until the widget reports its own
+     */
+    initialHeight: 640,
+
+    /**
+     * Widget page, found next to this script wherever the site is hosted
+     */
+    widgetUrl: typeof document !== 'undefined' && document.currentScript
+        ? new URL('../embed/index.html', document.currentScript.src).href
+        : null,
+
+    frames: {},
+    count: 0,
+    listening: false,
+
+    /**
+     * URL of a widget iframe
+     * @param {string} widgetUrl - Widget page
+     * @param {Object} options - Widget settings, by optionNames
+     * @param {string} id - Widget id echoed in its messages
+     * @param {string} origin - Host page origin that receives the messages
+     * @returns {string}
+     */
+    getWidgetUrl(widgetUrl, options, id, origin) {
+        const url = new URL(widgetUrl);
+        this.optionNames.forEach(name => {
+            if (options[name] !== undefined && options[name] !== null && options[name] !== '') {
+                url.searchParams.set(name, options[name]);
+            }
+        });
+        url.searchParams.set('id', id);
+        url.searchParams.set('origin', origin);
+        return url.href;
+    },
+
+    /**
+     * Add a widget to the page
+     * @param {string|HTMLElement} target - Element, or selector, the iframe is appended to
+     * @param {Object} [options] - Widget settings, by optionNames
+     * @returns {HTMLIFrameElement}
+     */
+    mount(target, options = {}) {
+        const container = typeof target === 'string' ? document.querySelector(target) : target;
+        if (!container) {
+            throw new Error(`No element matches ${target}`);
+        }
+        return this.insert(iframe => container.appendChild(iframe), options);
+    },
+
+    /**
+     * Create a widget iframe and put it in the page
+     * @param {Function} place - Adds the iframe to the document
+     * @param {Object} options - Widget settings
+     * @returns {HTMLIFrameElement}
+     */
+    insert(place, options) {
+        if (!this.widgetUrl) {
+            throw new Error('The widget address is unknown; load embed.js with a script tag');
+        }
+        this.listen();
+
+        const id = `ukvisa-${++this.count}`;
+        const iframe = document.createElement('iframe');
+        iframe.src = this.getWidgetUrl(this.widgetUrl, options, id, window.location.origin);
+        iframe.title = 'UK visa cost calculator';
+        iframe.loading = 'lazy';
+        iframe.style.cssText = `width: 100%; height: ${this.initialHeight}px; border: 0; display: block;`;
+        this.frames[id] = iframe;
+        place(iframe);
+        return iframe;
+    },
+
+    /**
+     * Handle messages from widgets on this page
+     * Only messages from a widget's own frame and origin are used.
+     */
+    listen() {
+        if (this.listening) return;
+        this.listening = true;
+        const widgetOrigin = new URL(this.widgetUrl).origin;
+
+        window.addEventListener('message', (event) => {
+            const message = event.data;
+            if (event.origin !== widgetOrigin || !message || message.source !== this.messageSource) return;
+            const iframe = this.frames[message.id];
+            if (!iframe || event.source !== iframe.contentWindow) return;
+
+            if (message.type === 'resize' && Number.isFinite(message.height)) {
+                iframe.style.height = `${Math.max(message.height, 200)}px`;
+            } else if (message.type === 'quote') {
+                iframe.dispatchEvent(new CustomEvent('ukvisa:quote', { detail: message.quote, bubbles: true }));
+            }
+        });
+    },
+
+    /**
+     * Widget settings from a script tag's data-attributes
+     * @param {HTMLElement} script - The embed.js script tag
+     * @returns {Object}
+     */
+    readScript(script) {
+        const options = {};
+        this.optionNames.forEach(name => {
+            if (script.dataset[name]) options[name] = script.dataset[name];
+        });
+        return options;
+    }
+};
+
+// Mount a widget where the script tag is, unless it only loads the API (data-mount="false")
+if (typeof document !== 'undefined' && document.currentScript && document.currentScript.dataset.mount !== 'false') {
+    const script = document.currentScript;
+    const options = UKVisaEmbed.readScript(script);
+    if (script.dataset.target) {
+        // An async script can run before the target element has been parsed
+        const mountTarget = () => UKVisaEmbed.mount(script.dataset.target, options);
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', mountTarget);
+        } else {
+            mountTarget();
+        }
+    } else {
+        UKVisaEmbed.insert(iframe => script.after(iframe), options);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UKVisaEmbed;
+}
@@ -0,0 +1,680 @@
+/**
+ * Type declarations for js/fee-engine.js so the Next.js app can share the
+ * engine used by the static pages.
+ */
+
+declare namespace FeeEngine {
+  type ApplyFrom = "inside_uk" | "outside_uk";
+
+  type Relationship = "main" | "partner" | "child" | "dependant";
+
+  type DependantRelationship = Exclude<Relationship, "main" | "dependant">;
+
+  type Route = {
+    route_id: string;
+    name: string;
+    category: string;
+    indexable: boolean;
+    apply_from_options: ApplyFrom | "both";
+    duration_policy: "fixed" | "custom" | "permanent" | "match_sponsor";
+    duration_options?: number[];
+    max_duration_months?: number;
+    leave_padding?: LeavePaddingBand[];
+    ihs_policy: "required" | "required_student" | "exempt" | "not_required";
+    main_applicant_is_child?: boolean;
+    fee_items: string[];
+    new_entrant_fee_items?: string[];
+    fee_items_by_duration?: Record<string, string>;
+    extras_supported: string[];
+    dependants_allowed?: boolean;
+    dependant_rules?: {
+      relationships?: DependantRelationship[];
+      note?: string;
+    };
+    eligibility?: {
+      summary: string;
+      criteria: Record<string, string[]>;
+      must_match?: string[];
+    };
+    switching?: {
+      allowed_from?: string[];
+      allowed_to?: string[];
+      note?: string;
+    };
+    last_reviewed: string;
+  };
+
+  type LeavePaddingBand = {
+    min_months: number;
+    before_days?: number;
+    before_months?: number;
+    after_days?: number;
+    after_months?: number;
+  };
+
+  type LeavePeriod = {
+    start: string;
+    end: string;
+    padded: boolean;
+    padding: string | null;
+  };
+
+  type DurationBand = {
+    over_months: number;
+    amount_inside_uk: number | null;
+    amount_outside_uk: number | null;
+  };
+
+  type FeeVersion = {
+    effective_date: string;
+    amount_inside_uk: number | null;
+    amount_outside_uk: number | null;
+    duration_bands?: DurationBand[];
+  };
+
+  type Fee = {
+    name: string;
+    per_person: boolean;
+    history: FeeVersion[];
+  };
+
+  type ResolvedFee = FeeVersion & {
+    key: string;
+    name: string;
+    per_person: boolean;
+  };
+
+  type IHSRateEntry = {
+    effective_date: string;
+    rate_per_year: number;
+  };
+
+  type Rules = {
+    ihs_rates: Record<string, { description: string; label?: string; history: IHSRateEntry[] }>;
+    ihs_person_rules?: {
+      description?: string;
+      reduced_rate: string;
+      child_age_limit: number;
+      reduced_rate_routes?: string[];
+    };
+    calculation_rules?: { minimum_ihs_period?: number; ihs_half_year_threshold_months?: number };
+    additional_costs?: { description?: string; costs: Record<string, AdditionalCost> };
+    [key: string]: unknown;
+  };
+
+  type AdditionalCost = {
+    label: string;
+    fee_key: string;
+    small_sponsor_fee_key?: string;
+    paid_by: PaidBy;
+    charged: "per_person" | "per_adult" | "per_main_applicant" | "per_year" | "per_item";
+    default: boolean;
+    estimate?: boolean;
+    all_routes?: boolean;
+    min_duration_months?: number;
+    exempt_switching_from?: string[];
+    description?: string;
+  };
+
+  type PaidBy = "applicant" | "employer";
+
+  type Data = {
+    routes: Route[];
+    fees: Record<string, Fee>;
+    rules: Rules;
+    nationalities?: Nationalities;
+  };
+
+  type Nationality = {
+    name: string;
+    visitor: "visa" | "eta" | "exempt";
+    tb_test: boolean;
+    only_routes?: string[];
+    note?: string;
+  };
+
+  type Arrangement = {
+    label: string;
+    type: "fee_discount" | "ihs_refund";
+    fee_key?: string;
+    routes: string[];
+    nationalities: string[];
+    description: string;
+    source_url?: string;
+  };
+
+  type Nationalities = {
+    description?: string;
+    nationalities: Record<string, Nationality>;
+    eta: {
+      label: string;
+      fee_key: string;
+      routes: string[];
+      max_stay_months: number;
+      valid_months: number;
+      description?: string;
+      source_url?: string;
+    };
+    tb_test_cost: string;
+    restricted_routes: Record<string, { nationalities: string[]; note: string }>;
+    arrangements: Record<string, Arrangement>;
+    last_reviewed: string;
+  };
+
+  type RouteAccess = {
+    open: boolean;
+    reason: string | null;
+  };
+
+  type CalculateParams = {
+    routeId: string;
+    applyFrom?: ApplyFrom;
+    nationality?: string;
+    duration?: number;
+    leaveStart?: string;
+    leaveEnd?: string;
+    addExtraLeave?: boolean;
+    sponsorLeaveEnd?: string;
+    joiningDate?: string;
+    applicants?: number;
+    dependants?: number;
+    people?: Person[];
+    isNewEntrant?: boolean;
+    addPriority?: boolean;
+    addSuperPriority?: boolean;
+    addPremiumLounge?: boolean;
+    applicationDate?: string;
+    extraCosts?: Record<string, boolean | number>;
+    smallSponsor?: boolean;
+    lifeInUKTestPassed?: boolean;
+    dependantsHaveLeave?: boolean;
+    currentRouteId?: string;
+    currentLeaveEnd?: string;
+  };
+
+  type Person = {
+    relationship: Relationship;
+    dateOfBirth?: string;
+    age?: number;
+    leaveStart?: string;
+    leaveEnd?: string;
+  };
+
+  type HouseholdMember = {
+    relationship: Relationship;
+    label: string;
+    age: number | null;
+    isChild: boolean;
+    leaveStart: string | null;
+    leaveEnd: string | null;
+    ihsYears: number;
+    ihsRate: number | null;
+    ihsAmount: number;
+  };
+
+  type BreakdownItem = {
+    key: string;
+    category: "application" | "ihs" | "service" | "other";
+    label: string;
+    amount: number;
+    note?: string;
+    paidBy: PaidBy;
+  };
+
+  type Switching = {
+    fromRouteId: string;
+    fromRouteName: string;
+    type: "extension" | "switch";
+    allowed: boolean;
+    reason: string | null;
+    ihsCredit: number;
+  };
+
+  type Result = {
+    routeId: string;
+    routeName: string;
+    applyFrom: ApplyFrom;
+    nationality: string | null;
+    /** No visa is needed: an ETA is priced instead, or nothing at all */
+    visaFree: "eta" | "exempt" | null;
+    duration: number;
+    applicants: number;
+    dependants: number;
+    people: HouseholdMember[];
+    leavePeriod: LeavePeriod | null;
+    switching: Switching | null;
+    applicationDate: string;
+    feeSchedule: {
+      feesEffectiveDate: string | null;
+      ihsEffectiveDate: string | null;
+      /** Earliest recorded fee date, when the application date is before it; null otherwise */
+      recordedFrom: string | null;
+    };
+    breakdown: BreakdownItem[];
+    visaFeeTotal: number;
+    ihsTotal: number;
+    optionalServicesTotal: number;
+    otherCostsTotal: number;
+    applicantTotal: number;
+    employerTotal: number;
+    total: number;
+    assumptions: string[];
+    warnings: string[];
+    lastReviewed: string;
+  };
+
+  type Journey = {
+    journey_id: string;
+    name: string;
+    description: string;
+    stages: {
+      label: string;
+      route_id: string;
+      apply_from?: ApplyFrom;
+      duration_months?: number;
+      wait_months?: number;
+    }[];
+    last_reviewed: string;
+  };
+
+  type JourneyStage = Omit<CalculateParams, "applicationDate" | "people" | "applicants" | "dependants"> & {
+    label?: string;
+    waitMonths?: number;
+  };
+
+  type JourneyParams = {
+    stages: JourneyStage[];
+    startDate?: string;
+    people?: Person[];
+    applicants?: number;
+    dependants?: number;
+  };
+
+  type JourneyPayment = {
+    date: string;
+    stage: string;
+    key: string;
+    label: string;
+    amount: number;
+    cumulativeTotal: number;
+  };
+
+  type JourneyResult = {
+    startDate: string;
+    stages: {
+      label: string;
+      routeId: string;
+      applicationDate: string;
+      leaveEnds: string | null;
+      result: Result;
+      total: number;
+      cumulativeTotal: number;
+    }[];
+    payments: JourneyPayment[];
+    total: number;
+    assumptions: string[];
+    warnings: string[];
+  };
+
+  type RouteOption = {
+    label: string;
+    available: boolean;
+  };
+
+  type CompareEntry = string | (Omit<CalculateParams, "routeId"> & { routeId: string });
+
+  type ComparisonRow = {
+    key: string;
+    category: BreakdownItem["category"];
+    label: string;
+    amounts: (number | null)[];
+    notes: (string | null)[];
+    differs: boolean;
+  };
+
+  type Comparison = {
+    routes: {
+      routeId: string;
+      routeName: string;
+      total: number;
+      difference: number;
+      options: RouteOption[];
+      notes: string[];
+      result: Result;
+    }[];
+    rows: ComparisonRow[];
+    cheapestRouteId: string;
+  };
+
+  type Hire = {
+    reference?: string;
+    routeId: string;
+    applyFrom?: ApplyFrom;
+    duration?: number;
+    startDate?: string;
+    partners?: number;
+    children?: number;
+    isNewEntrant?: boolean;
+  };
+
+  type HireParams = Omit<CalculateParams, "routeId" | "applyFrom" | "duration" | "people" | "applicants" | "dependants"> & {
+    employerCosts?: boolean;
+  };
+
+  type PricedHire = {
+    index: number;
+    reference: string;
+    routeId: string;
+    routeName: string;
+    notes: string[];
+    result: Result | null;
+    error: string | null;
+  };
+
+  type HireBatch = {
+    hires: PricedHire[];
+    routes: {
+      routeId: string;
+      routeName: string;
+      hires: number;
+      people: number;
+      applicantTotal: number;
+      employerTotal: number;
+      total: number;
+    }[];
+    totals: {
+      hires: number;
+      priced: number;
+      failed: number;
+      people: number;
+      visaFees: number;
+      ihs: number;
+      optionalServices: number;
+      otherCosts: number;
+      applicant: number;
+      employer: number;
+      total: number;
+    };
+  };
+
+  type Example = {
+    title: string;
+    apply_from?: ApplyFrom;
+    duration_months?: number;
+    applicants?: number;
+    dependants?: number;
+    people?: { relationship: Relationship; age?: number; date_of_birth?: string }[];
+    new_entrant?: boolean;
+    services?: string[];
+    expected_total: number;
+  };
+
+  type PricedExample = {
+    title: string;
+    details: string;
+    breakdown: { label: string; value: string }[];
+    total: number;
+    expectedTotal: number;
+    matches: boolean;
+    result: Result;
+  };
+
+  type FinderQuestion = {
+    id: string;
+    question: string;
+    show_if?: Record<string, string[]>;
+    options: { value: string; label: string; apply_from?: ApplyFrom }[];
+  };
+
+  type RouteFinder = {
+    questions: FinderQuestion[];
+    last_reviewed: string;
+  };
+
+  type FinderAnswers = Record<string, string | undefined>;
+
+  type RouteMatch = {
+    routeId: string;
+    routeName: string;
+    category: string;
+    summary: string;
+    reasons: string[];
+    unanswered: string[];
+    applyFrom: ApplyFrom;
+  };
+
+  type ExchangeRates = {
+    base: "GBP";
+    effective_date: string;
+    source: string;
+    source_url: string;
+    notes?: string;
+    currencies: Record<string, { name: string; rate: number }>;
+    last_reviewed: string;
+  };
+
+  type FinancialRequirementVersion = {
+    effective_date: string;
+    // monthly
+    max_months?: number;
+    main?: number | { london: number; outside_london: number };
+    dependant?: { london: number; outside_london: number };
+    // household
+    partner?: number;
+    first_child?: number;
+    other_child?: number;
+    // minimum_income
+    income?: number;
+    savings_threshold?: number;
+    savings_multiplier?: number;
+  };
+
+  type FinancialRequirement = {
+    label: string;
+    type: "monthly" | "household" | "minimum_income";
+    routes: string[];
+    description?: string;
+    exemption?: string;
+    source_url?: string;
+    history: FinancialRequirementVersion[];
+  };
+
+  type FinancialRequirements = {
+    description?: string;
+    requirements: Record<string, FinancialRequirement>;
+    last_reviewed: string;
+  };
+
+  type FinancialOptions = {
+    studyLocation?: "london" | "outside_london";
+    courseMonths?: number;
+    maintenanceExempt?: boolean;
+    income?: number;
+  };
+
+  type PricedFinancialRequirement = {
+    id: string;
+    type: FinancialRequirement["type"];
+    label: string;
+    description: string | null;
+    exemption: string | null;
+    sourceUrl: string | null;
+    effectiveDate: string;
+    lines: { label: string; amount: number; note: string | null }[];
+    funds: number | null;
+    income: number | null;
+    savingsOnly: number | null;
+    exempt: boolean;
+  };
+
+  type FinancialResult = {
+    requirements: PricedFinancialRequirement[];
+    fundsTotal: number | null;
+    assumptions: string[];
+  };
+
+  type ProcessingTime = {
+    amount: number;
+    unit: "working_days" | "weeks" | "months";
+  };
+
+  type ProcessingProfile = {
+    label: string;
+    standard: ProcessingTime;
+    priority?: ProcessingTime;
+    super_priority?: ProcessingTime;
+    earliest_months?: number;
+    buffer_working_days?: number;
+    source_url?: string;
+  };
+
+  type ProcessingTimes = {
+    description?: string;
+    buffer_working_days: Record<ApplyFrom, number>;
+    profiles: Record<string, ProcessingProfile>;
+    eta: ProcessingProfile;
+    routes: Record<string, Partial<Record<ApplyFrom, string>>>;
+    last_reviewed: string;
+  };
+
+  type SubmissionOption = {
+    service: "standard" | "priority" | "super_priority";
+    label: string;
+    available: boolean;
+    reason: string | null;
+    processingTime: string | null;
+    latestSubmission: string | null;
+    feasible: boolean;
+    total: number | null;
+    extraCost: number | null;
+  };
+
+  type SubmissionPlan = {
+    routeId: string;
+    routeName: string;
+    applyFrom: ApplyFrom;
+    targetDate: string;
+    fromDate: string;
+    earliestSubmission: string | null;
+    bufferDays: number | null;
+    options: SubmissionOption[];
+    recommended: SubmissionOption["service"] | null;
+    summary: string;
+    sourceUrl: string | null;
+    assumptions: string[];
+  };
+
+  type Service = {
+    param: "addPriority" | "addSuperPriority" | "addPremiumLounge";
+    extra: string | null;
+    feeKey: string;
+    label: string;
+  };
+}
+
+declare const FeeEngine: {
+  services: FeeEngine.Service[];
+  disclaimer: string;
+  relationships: Record<FeeEngine.Relationship, string>;
+  calculate(data: FeeEngine.Data, params: FeeEngine.CalculateParams): FeeEngine.Result;
+  planJourney(data: FeeEngine.Data, params: FeeEngine.JourneyParams): FeeEngine.JourneyResult;
+  compareRoutes(
+    data: FeeEngine.Data,
+    routes: FeeEngine.CompareEntry[],
+    params: Omit<FeeEngine.CalculateParams, "routeId">
+  ): FeeEngine.Comparison;
+  describeRouteOptions(route: FeeEngine.Route): FeeEngine.RouteOption[];
+  describeDurationFit(route: FeeEngine.Route, duration?: number): string[];
+  priceHires(data: FeeEngine.Data, hires: FeeEngine.Hire[], params?: FeeEngine.HireParams): FeeEngine.HireBatch;
+  encodeQuery(params: Partial<FeeEngine.CalculateParams>): string;
+  decodeQuery(
+    data: FeeEngine.Data,
+    query: string | URLSearchParams
+  ): { params: FeeEngine.CalculateParams | null; rejected: string[] };
+  getJourneyStages(journey: FeeEngine.Journey): FeeEngine.JourneyStage[];
+  getExampleParams(routeId: string, example: FeeEngine.Example): FeeEngine.CalculateParams;
+  priceExample(
+    data: FeeEngine.Data,
+    routeId: string,
+    example: FeeEngine.Example,
+    applicationDate?: string
+  ): FeeEngine.PricedExample;
+  describeExample(result: FeeEngine.Result): string;
+  getFinderQuestions(finder: FeeEngine.RouteFinder, answers?: FeeEngine.FinderAnswers): FeeEngine.FinderQuestion[];
+  findRoutes(data: FeeEngine.Data, finder: FeeEngine.RouteFinder, answers?: FeeEngine.FinderAnswers): FeeEngine.RouteMatch[];
+  getRoute(data: FeeEngine.Data, routeId: string): FeeEngine.Route | null;
+  resolveApplyFrom(route: FeeEngine.Route, applyFrom?: string): FeeEngine.ApplyFrom;
+  getNationality(
+    nationalities: FeeEngine.Nationalities | undefined,
+    code: string
+  ): FeeEngine.Nationality & { code: string };
+  getRouteAccess(nationalities: FeeEngine.Nationalities | undefined, route: FeeEngine.Route, code?: string): FeeEngine.RouteAccess;
+  getSwitching(
+    fromRoute: FeeEngine.Route,
+    toRoute: FeeEngine.Route
+  ): Pick<FeeEngine.Switching, "type" | "allowed" | "reason">;
+  resolveHousehold(
+    data: FeeEngine.Data,
+    route: FeeEngine.Route,
+    params: FeeEngine.CalculateParams,
+    applicationDate: string
+  ): { people: Omit<FeeEngine.HouseholdMember, "ihsYears" | "ihsRate" | "ihsAmount">[]; assumptions: string[]; warnings: string[] };
+  getChildAgeLimit(data: FeeEngine.Data): number;
+  getAge(person: { dateOfBirth?: string; age?: number }, date: string): number | null;
+  ihsApplies(route: FeeEngine.Route): boolean;
+  getIHSRateEntry(data: FeeEngine.Data, route: FeeEngine.Route, date?: string): FeeEngine.IHSRateEntry;
+  getIHSRateEntryByKey(data: FeeEngine.Data, rateKey: string, date?: string): FeeEngine.IHSRateEntry;
+  getPersonIHSRateKey(data: FeeEngine.Data, route: FeeEngine.Route, person: { isChild: boolean }): string;
+  getIHSRate(data: FeeEngine.Data, route: FeeEngine.Route, date?: string): number;
+  getIHSYears(data: FeeEngine.Data, durationMonths: number): number;
+  resolveLeavePeriod(route: FeeEngine.Route, start?: string, end?: string, addExtraLeave?: boolean): FeeEngine.LeavePeriod | null;
+  resolveSponsorLeave(sponsorLeaveEnd: string, joiningDate: string | undefined, applicationDate: string): FeeEngine.LeavePeriod;
+  getLeavePadding(route: FeeEngine.Route, periodMonths: number): FeeEngine.LeavePaddingBand | null;
+  getIHSPeriod(data: FeeEngine.Data, start: string, end: string): number;
+  getMonthsBetween(start: string, end: string): number;
+  addDays(date: string, days: number): string;
+  addMonths(date: string, months: number): string;
+  addWorkingDays(date: string, days: number): string;
+  getFeeKey(route: FeeEngine.Route, applyFrom: FeeEngine.ApplyFrom, duration: number, isNewEntrant?: boolean): string | null;
+  getEffectiveEntry<T extends { effective_date: string }>(history: T[], date: string): T | null;
+  resolveFee(data: FeeEngine.Data, feeKey: string, date?: string): FeeEngine.ResolvedFee | null;
+  getFeeAmount(data: FeeEngine.Data, feeKey: string, applyFrom: FeeEngine.ApplyFrom, date?: string, duration?: number): number | null;
+  getLocationAmount(fee: FeeEngine.FeeVersion, applyFrom: FeeEngine.ApplyFrom, duration?: number): number | null;
+  getDurationBand(fee: FeeEngine.FeeVersion, duration?: number): FeeEngine.DurationBand | null;
+  getDurationBands(data: FeeEngine.Data, route: FeeEngine.Route, date?: string): number[];
+  getServiceFee(data: FeeEngine.Data, feeKey: string, applyFrom: FeeEngine.ApplyFrom, date?: string): number | null;
+  getAdditionalCosts(data: FeeEngine.Data): Record<string, FeeEngine.AdditionalCost>;
+  isDefaultCost(data: FeeEngine.Data, id: string, nationality?: string): boolean;
+  getRouteCosts(
+    data: FeeEngine.Data,
+    route: FeeEngine.Route,
+    applyFrom?: FeeEngine.ApplyFrom,
+    date?: string
+  ): (FeeEngine.AdditionalCost & { id: string })[];
+  today(): string;
+  isValidDate(date: string): boolean;
+  describeMonths(months: number): string;
+  describeProcessingTime(time: FeeEngine.ProcessingTime): string;
+  describeLocation(applyFrom: FeeEngine.ApplyFrom): string;
+  getFinancialRequirements(
+    financial: FeeEngine.FinancialRequirements | null,
+    result: FeeEngine.Result,
+    options?: FeeEngine.FinancialOptions
+  ): FeeEngine.FinancialResult;
+  planSubmission(
+    processing: FeeEngine.ProcessingTimes,
+    data: FeeEngine.Data,
+    params: FeeEngine.CalculateParams,
+    targetDate: string,
+    fromDate?: string
+  ): FeeEngine.SubmissionPlan | null;
+  fillAmounts(text: string, financial: FeeEngine.FinancialRequirements | null, date?: string): string;
+  encodeFinancialOptions(options?: FeeEngine.FinancialOptions): string;
+  decodeFinancialOptions(query: string | URLSearchParams): { options: FeeEngine.FinancialOptions; rejected: string[] };
+  convertCurrency(rates: FeeEngine.ExchangeRates | null, amount: number, code: string): number | null;
+  formatConverted(rates: FeeEngine.ExchangeRates | null, amount: number, code: string): string;
+  describeExchangeRate(rates: FeeEngine.ExchangeRates | null, code: string): string;
+  formatAmount(amount: number): string;
+};
+
+export = FeeEngine;
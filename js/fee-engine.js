@@ -0,0 +1,2184 @@
+/**
+ * Fee Engine - Framework-agnostic visa cost calculation
+ *
+ * Prices an application from the parsed data files (routes.json, fees.json,
+ * rules.json and, for nationality rules, nationalities.json) without touching
+ * the DOM. The static pages use it through Calculator, the Next.js calculator
+ * through src/data/visaFees.ts.
+ */
+
+const FeeEngine = {
+    /**
+     * Optional services that can be added to an application.
+     * `param` is the calculate() flag, `extra` the routes.json extras_supported
+     * value (null when the service is not route-restricted).
+     */
+    services: [
+        { param: 'addPriority', extra: 'priority', feeKey: 'priority', label: 'Priority Service' },
+        { param: 'addSuperPriority', extra: 'super_priority', feeKey: 'super_priority', label: 'Super Priority Service' },
+        { param: 'addPremiumLounge', extra: null, feeKey: 'premium_customer_service', label: 'Premium Customer Service' }
+    ],
+
+    /**
+     * Closing warning on every quote
+     */
+    disclaimer: 'This is an estimate only. Always confirm the exact fee on GOV.UK before submitting your application.',
+
+    /**
+     * How each person on an application relates to the main applicant.
+     * 'dependant' is used when only a head count was given.
+     */
+    relationships: {
+        main: 'Main applicant',
+        partner: 'Partner',
+        child: 'Child',
+        dependant: 'Dependant'
+    },
+
+    /**
+     * Calculate visa costs
+     * @param {Object} data - Parsed data files: { routes, fees, rules, nationalities? }
+     * @param {Object} params - Calculation parameters
+     * @param {string} params.routeId - Route identifier from routes.json
+     * @param {string} [params.applyFrom] - 'inside_uk' or 'outside_uk'
+     * @param {string} [params.nationality] - Nationality code from nationalities.json, shared by everyone on
+     *   the application. Decides whether a visitor needs a visa or an ETA, the TB test and reciprocal arrangements
+     * @param {number} [params.duration=0] - Length of leave in months
+     * @param {string} [params.leaveStart] - Expected leave (or CoS/course) start date, YYYY-MM-DD.
+     *   With leaveEnd, replaces duration and prices the IHS for the exact period
+     * @param {string} [params.leaveEnd] - Expected leave (or CoS/course) end date, YYYY-MM-DD
+     * @param {boolean} [params.addExtraLeave=true] - Add the route's leave_padding to leaveStart/leaveEnd
+     * @param {string} [params.sponsorLeaveEnd] - Routes granted to match the sponsor's leave (duration_policy
+     *   'match_sponsor'): the date the main applicant's leave ends, YYYY-MM-DD. Replaces duration
+     * @param {string} [params.joiningDate] - With sponsorLeaveEnd, the date the dependant's leave starts,
+     *   defaults to the application date
+     * @param {number} [params.applicants=1] - Number of main applicants
+     * @param {number} [params.dependants=0] - Number of dependants
+     * @param {Array} [params.people] - Household person by person: { relationship, dateOfBirth?, age?,
+     *   leaveStart?, leaveEnd? }. Replaces applicants/dependants when given
+     * @param {boolean} [params.isNewEntrant=false] - Use the new entrant rate where offered
+     * @param {boolean} [params.addPriority=false] - Add Priority Service
+     * @param {boolean} [params.addSuperPriority=false] - Add Super Priority Service
+     * @param {boolean} [params.addPremiumLounge=false] - Add Premium Customer Service
+     * @param {string} [params.applicationDate] - Date the application is submitted (YYYY-MM-DD), defaults to today
+     * @param {Object} [params.extraCosts] - Additional costs from rules.json additional_costs by id: true to add
+     *   an optional cost, false to leave out one included by default, a count for per_item costs
+     * @param {boolean} [params.smallSponsor=false] - The sponsor pays the small or charitable sponsor rate
+     * @param {boolean} [params.lifeInUKTestPassed=false] - Leave out the Life in the UK test (already passed)
+     * @param {boolean} [params.dependantsHaveLeave=false] - Dependants already hold leave as dependants
+     *   (extensions, settlement), so children who have turned 18 can still be included
+     * @param {string} [params.currentRouteId] - Route the household holds leave on now. The application
+     *   is then an extension or switch made from inside the UK, and replaces applyFrom
+     * @param {string} [params.currentLeaveEnd] - Date current leave ends (YYYY-MM-DD). IHS already paid
+     *   up to then is not charged again for the new leave
+     * @returns {Object} Calculation result with breakdown, totals, assumptions and warnings
+     */
+    calculate(data, params) {
+        const route = this.getRoute(data, params.routeId);
+        if (!route) {
+            throw new Error('Route not found');
+        }
+
+        const applicationDate = params.applicationDate || this.today();
+        if (!this.isValidDate(applicationDate)) {
+            throw new Error('Invalid application date');
+        }
+
+        const breakdown = [];
+        const assumptions = [];
+        const warnings = [];
+
+        // Effective dates of every fee version used, to report the schedule applied
+        const feeDates = [];
+        const useFee = feeKey => {
+            const fee = this.resolveFee(data, feeKey, applicationDate);
+            if (fee) feeDates.push(fee.effective_date);
+            return fee;
+        };
+
+        // Extending or switching is applied for from inside the UK, unless the switch is not allowed
+        let requestedFrom = params.applyFrom;
+        let switching = null;
+        if (params.currentRouteId) {
+            const currentRoute = this.getRoute(data, params.currentRouteId);
+            if (!currentRoute) {
+                throw new Error('Current visa route not found');
+            }
+            if (params.currentLeaveEnd && !this.isValidDate(params.currentLeaveEnd)) {
+                throw new Error('Invalid current leave end date');
+            }
+            switching = { fromRouteId: currentRoute.route_id, fromRouteName: currentRoute.name, ...this.getSwitching(currentRoute, route), ihsCredit: 0 };
+            if (switching.allowed) {
+                requestedFrom = 'inside_uk';
+                assumptions.push(switching.type === 'extension'
+                    ? `Extending the ${route.name} from inside the UK.`
+                    : `Switching from the ${currentRoute.name} to the ${route.name} from inside the UK.`);
+            } else {
+                requestedFrom = route.apply_from_options === 'inside_uk' ? 'inside_uk' : 'outside_uk';
+                warnings.push(`${switching.reason}${requestedFrom === 'outside_uk' ? ' The fee for applying from outside the UK has been used.' : ''}`);
+            }
+        }
+        const applyFrom = this.resolveApplyFrom(route, requestedFrom);
+
+        if (!switching && params.applyFrom && params.applyFrom !== applyFrom) {
+            warnings.push(`The ${route.name} cannot be applied for ${this.describeLocation(params.applyFrom)}. The ${this.describeLocation(applyFrom)} fee has been used.`);
+        }
+        assumptions.push(`Applying from ${this.describeLocation(applyFrom)}.`);
+
+        const addExtraLeave = params.addExtraLeave !== false;
+        const matchSponsor = route.duration_policy === 'match_sponsor' && Boolean(params.sponsorLeaveEnd);
+        let leave = null;
+        if (matchSponsor) {
+            leave = this.resolveSponsorLeave(params.sponsorLeaveEnd, params.joiningDate, applicationDate);
+            if (params.joiningDate && leave.start !== params.joiningDate) {
+                warnings.push(`Leave cannot start before the application is made, so leave from ${leave.start} has been used instead of the joining date.`);
+            }
+        } else if (route.duration_policy !== 'permanent') {
+            leave = this.resolveLeavePeriod(route, params.leaveStart, params.leaveEnd, addExtraLeave);
+        }
+        let duration = route.duration_policy === 'permanent' ? 0 : (parseInt(params.duration) || 0);
+        if (leave) {
+            duration = this.getMonthsBetween(leave.start, leave.end);
+            assumptions.push(matchSponsor
+                ? `Leave granted to match the main applicant's, from ${leave.start} until it ends on ${leave.end} (${this.describeMonths(duration)}).`
+                : `Leave expected from ${leave.start} to ${leave.end}${leave.padded ? `, including the extra leave normally granted (${leave.padding})` : ''}.`);
+        }
+        // The period applied for, without the extra leave granted around it, sets the fee band and the ISC
+        const sponsoredMonths = leave && leave.padded ? this.getMonthsBetween(params.leaveStart, params.leaveEnd) : duration;
+
+        const household = this.resolveHousehold(data, route, params, applicationDate);
+        assumptions.push(...household.assumptions);
+        warnings.push(...household.warnings);
+
+        const members = household.people;
+        const applicants = members.filter(person => person.relationship === 'main').length;
+        const dependants = members.length - applicants;
+        const people = members.length;
+
+        // Nationality: whether the route is open to it, and whether a visitor needs a visa at all
+        const nationality = params.nationality ? this.getNationality(data.nationalities, params.nationality) : null;
+        let visaFree = null;
+        if (nationality) {
+            assumptions.push(`Nationality: ${nationality.name}, assumed for everyone on the application.`);
+            const access = this.getRouteAccess(data.nationalities, route, nationality.code);
+            if (!access.open) warnings.push(access.reason);
+
+            const etaRules = data.nationalities.eta;
+            if (etaRules.routes.includes(route.route_id)) {
+                if (nationality.visitor === 'visa') {
+                    assumptions.push('A visa is needed to visit the UK with this nationality.');
+                } else if (duration > etaRules.max_stay_months) {
+                    assumptions.push(`No visa is needed with this nationality for visits of up to ${this.describeMonths(etaRules.max_stay_months)}; a visa is priced for the longer leave asked for.`);
+                } else {
+                    visaFree = nationality.visitor;
+                    assumptions.push(visaFree === 'eta'
+                        ? `No visa is needed with this nationality for visits of up to ${this.describeMonths(etaRules.max_stay_months)}, but an ${etaRules.label} (ETA) is, valid for ${this.describeMonths(etaRules.valid_months)}.`
+                        : `Neither a visa nor an ${etaRules.label} is needed to visit the UK with this nationality.`);
+                }
+            }
+        }
+        const eta = visaFree === 'eta' ? data.nationalities.eta : null;
+
+        // Application fees
+        let useNewEntrant = false;
+        if (params.isNewEntrant) {
+            if (route.new_entrant_fee_items) {
+                useNewEntrant = true;
+                assumptions.push('New entrant rate applied.');
+            } else {
+                warnings.push(`The new entrant rate is not available for the ${route.name}. The standard fee has been used.`);
+            }
+        }
+
+        const feeKey = visaFree ? (eta && eta.fee_key) : this.getFeeKey(route, applyFrom, duration, useNewEntrant);
+        const applicationFee = feeKey ? useFee(feeKey) : null;
+        let feeAmount = applicationFee ? this.getLocationAmount(applicationFee, applyFrom, sponsoredMonths) : null;
+
+        // Reciprocal arrangements for the nationality: money off the fee, or IHS that can be claimed back
+        const arrangements = nationality
+            ? Object.values(data.nationalities.arrangements)
+                .filter(arrangement => arrangement.routes.includes(route.route_id) && arrangement.nationalities.includes(nationality.code))
+            : [];
+        arrangements.forEach(arrangement => {
+            if (arrangement.type === 'fee_discount') {
+                const discount = feeAmount !== null && !visaFree ? this.getLocationAmount(useFee(arrangement.fee_key), applyFrom) : null;
+                if (discount === null) return;
+                feeAmount = Math.max(feeAmount - discount, 0);
+                assumptions.push(`${arrangement.label} of ${this.formatAmount(discount)} per person applied. ${arrangement.description}`);
+            } else if (arrangement.type === 'ihs_refund' && this.ihsApplies(route)) {
+                assumptions.push(`${arrangement.label} may apply; it is not taken off the total. ${arrangement.description}`);
+            }
+        });
+
+        if (feeAmount !== null) {
+            const band = this.getDurationBand(applicationFee, sponsoredMonths);
+            if (band) {
+                assumptions.push(`The fee for leave of more than ${this.describeMonths(band.over_months)} has been used.`);
+            }
+
+            breakdown.push({
+                key: 'application_main',
+                category: 'application',
+                label: `${eta ? eta.label : 'Visa application fee'} (main applicant${applicants > 1 ? 's' : ''})`,
+                amount: feeAmount * applicants,
+                note: `${this.formatAmount(feeAmount)} × ${applicants}`
+            });
+
+            if (dependants > 0) {
+                breakdown.push({
+                    key: 'application_dependants',
+                    category: 'application',
+                    label: `${eta ? eta.label : 'Visa application fee'} (dependant${dependants > 1 ? 's' : ''})`,
+                    amount: feeAmount * dependants,
+                    note: `${this.formatAmount(feeAmount)} × ${dependants}`
+                });
+            }
+        } else if (visaFree) {
+            // No visa is needed; the ETA, if any, is priced above
+        } else if (route.fee_items.length > 0) {
+            // Never price with the other location's fee; say the figure is missing instead
+            warnings.push(`No application fee is recorded for the ${route.name} when applying from ${this.describeLocation(applyFrom)}. ` +
+                'Check the fee on GOV.UK; it is not included in the total.');
+        } else {
+            assumptions.push(`There is no application fee for the ${route.name}.`);
+        }
+
+        // Immigration Health Surcharge, at each person's own rate
+        let ihsEffectiveDate = null;
+        members.forEach(person => {
+            // A person's own leave dates (e.g. a dependant joining later) override the application's
+            const period = this.resolveLeavePeriod(route, person.leaveStart, person.leaveEnd, addExtraLeave) || leave;
+            person.leaveStart = period ? period.start : null;
+            person.leaveEnd = period ? period.end : null;
+            person.ihsYears = 0;
+            person.ihsRate = null;
+            person.ihsAmount = 0;
+        });
+        if (this.ihsApplies(route)) {
+            // IHS paid on current leave covers the new leave up to the day it ends
+            const paidUntil = switching && switching.allowed ? params.currentLeaveEnd : null;
+            members.forEach(person => {
+                person.ihsYears = person.leaveStart
+                    ? this.getIHSPeriod(data, person.leaveStart, person.leaveEnd)
+                    : this.getIHSYears(data, duration);
+
+                const start = person.leaveStart || applicationDate;
+                const end = person.leaveEnd || this.addMonths(applicationDate, duration);
+                if (paidUntil && paidUntil > start && person.ihsYears > 0) {
+                    // The day current leave ends is already covered, so charging starts the day after
+                    const chargeable = paidUntil >= end ? 0 : this.getIHSPeriod(data, this.addDays(paidUntil, 1), end);
+                    const rate = this.getIHSRateEntryByKey(data, this.getPersonIHSRateKey(data, route, person), applicationDate).rate_per_year;
+                    switching.ihsCredit += rate * (person.ihsYears - chargeable);
+                    person.ihsYears = chargeable;
+                }
+            });
+            const years = Math.max(...members.map(person => person.ihsYears), 0);
+            if (switching && switching.ihsCredit > 0) {
+                assumptions.push(`IHS is already paid until current leave ends on ${paidUntil}, so only the new leave after that date is charged (${this.formatAmount(switching.ihsCredit)} less than the full period).`);
+            }
+
+            if (years > 0) {
+                const groups = {};
+                members.forEach(person => {
+                    const rateKey = this.getPersonIHSRateKey(data, route, person);
+                    const rateEntry = this.getIHSRateEntryByKey(data, rateKey, applicationDate);
+                    person.ihsRate = rateEntry.rate_per_year;
+                    person.ihsAmount = rateEntry.rate_per_year * person.ihsYears;
+
+                    if (!groups[rateKey]) groups[rateKey] = { rateEntry, people: [] };
+                    groups[rateKey].people.push(person);
+                });
+
+                const describeYears = n => `${n} year${n !== 1 ? 's' : ''}`;
+                Object.keys(groups).forEach(rateKey => {
+                    const { rateEntry, people: group } = groups[rateKey];
+                    const rate = rateEntry.rate_per_year;
+                    if (!ihsEffectiveDate || rateEntry.effective_date > ihsEffectiveDate) {
+                        ihsEffectiveDate = rateEntry.effective_date;
+                    }
+                    const sameYears = group.every(person => person.ihsYears === group[0].ihsYears);
+                    breakdown.push({
+                        key: `ihs_${rateKey}`,
+                        category: 'ihs',
+                        label: `Immigration Health Surcharge (${data.rules.ihs_rates[rateKey].label || rateKey})`,
+                        amount: group.reduce((sum, person) => sum + person.ihsAmount, 0),
+                        note: sameYears
+                            ? `${this.formatAmount(rate)}/year × ${describeYears(group[0].ihsYears)} × ${group.length} ${group.length > 1 ? 'people' : 'person'}: ${group.map(person => person.label).join(', ')}`
+                            : `${this.formatAmount(rate)}/year: ${group.map(person => `${person.label} ${describeYears(person.ihsYears)}`).join(', ')}`
+                    });
+                });
+                if (leave || members.some(person => person.leaveStart) || (switching && switching.ihsCredit > 0)) {
+                    assumptions.push('IHS charged per person for each whole year of leave, plus half a year for any remaining 6 months or less, or a whole year for more than 6 months.');
+                } else {
+                    assumptions.push(`IHS charged for ${describeYears(years)} per person (${duration} months, rounded up to the nearest 6 months).`);
+                }
+
+                const childRateKey = data.rules.ihs_person_rules?.reduced_rate;
+                if (route.ihs_policy !== 'required_student' && groups[childRateKey] && groups[childRateKey].people.some(person => person.isChild)) {
+                    assumptions.push(`Children under ${this.getChildAgeLimit(data)} pay IHS at the ${data.rules.ihs_rates[childRateKey].label || childRateKey} of ${this.formatAmount(groups[childRateKey].rateEntry.rate_per_year)}/year.`);
+                }
+            } else if (!(switching && switching.ihsCredit > 0)) {
+                warnings.push(route.duration_policy === 'match_sponsor'
+                    ? 'The date the main applicant\'s leave ends was not given, so the Immigration Health Surcharge has not been included.'
+                    : 'No visa duration was given, so the Immigration Health Surcharge has not been included.');
+            }
+        } else if (route.ihs_policy === 'exempt') {
+            assumptions.push(`${route.name} applicants are exempt from the Immigration Health Surcharge.`);
+        } else {
+            assumptions.push(`IHS does not apply to the ${route.name}.`);
+        }
+
+        // Optional services
+        let requested = this.services.filter(service => params[service.param]);
+        if (params.addPriority && params.addSuperPriority) {
+            warnings.push('Priority and Super Priority cannot be combined. Only Super Priority has been included.');
+            requested = requested.filter(service => service.param !== 'addPriority');
+        }
+
+        requested.forEach(service => {
+            if (visaFree) {
+                warnings.push(`${service.label} is not available without a visa application. It has not been included.`);
+                return;
+            }
+            if (service.extra && !route.extras_supported.includes(service.extra)) {
+                warnings.push(`${service.label} is not available for the ${route.name}. It has not been included.`);
+                return;
+            }
+            if (this.getServiceFee(data, service.feeKey, applyFrom, applicationDate) === null) {
+                warnings.push(`${service.label} is not available when applying from ${this.describeLocation(applyFrom)}. It has not been included.`);
+                return;
+            }
+
+            const fee = useFee(service.feeKey);
+            const amount = this.getLocationAmount(fee, applyFrom);
+            const perPerson = fee.per_person;
+            breakdown.push({
+                key: service.feeKey,
+                category: 'service',
+                label: service.label,
+                amount: perPerson ? amount * people : amount,
+                note: perPerson ? `${this.formatAmount(amount)} × ${people}` : 'Per application (not per person)'
+            });
+        });
+
+        // Additional costs from rules.json: tests, endorsements and sponsorship
+        const adults = members.filter(person => !person.isChild).length;
+        const requestedCosts = { ...(params.extraCosts || {}) };
+        if (params.lifeInUKTestPassed) requestedCosts.life_in_uk_test = false;
+        const tbCost = nationality ? data.nationalities.tb_test_cost : null;
+
+        Object.entries(this.getAdditionalCosts(data)).forEach(([id, cost]) => {
+            const asked = requestedCosts[id] !== undefined && requestedCosts[id] !== false && requestedCosts[id] !== 0;
+            const byDefault = this.isDefaultCost(data, id, params.nationality);
+            const tbRequired = id === tbCost && byDefault;
+            if (!cost.all_routes && !route.extras_supported.includes(id)) {
+                if (asked) warnings.push(`${cost.label} does not apply to the ${route.name}. It has not been included.`);
+                return;
+            }
+            if (requestedCosts[id] === undefined ? !byDefault : !asked) {
+                if (byDefault) {
+                    assumptions.push(`${cost.label} left out as requested.`);
+                } else if (id === tbCost && requestedCosts[id] === undefined && this.getServiceFee(data, cost.fee_key, applyFrom, applicationDate) !== null) {
+                    assumptions.push(`No ${cost.label} is needed, assuming the applicants live in their country of nationality.`);
+                }
+                return;
+            }
+
+            const feeKey = params.smallSponsor && cost.small_sponsor_fee_key ? cost.small_sponsor_fee_key : cost.fee_key;
+            if (this.getServiceFee(data, feeKey, applyFrom, applicationDate) === null) {
+                if (asked) warnings.push(`${cost.label} is not needed when applying from ${this.describeLocation(applyFrom)}. It has not been included.`);
+                return;
+            }
+            if (cost.min_duration_months && duration > 0 && duration < cost.min_duration_months) {
+                if (asked) warnings.push(`${cost.label} is only needed for stays of more than ${cost.min_duration_months - 1} months. It has not been included.`);
+                return;
+            }
+            if (switching && switching.allowed && (cost.exempt_switching_from || []).includes(switching.fromRouteId)) {
+                assumptions.push(`No ${cost.label} is due when switching from the ${switching.fromRouteName}.`);
+                return;
+            }
+
+            const fee = useFee(feeKey);
+            const amount = this.getLocationAmount(fee, applyFrom);
+            let count = { per_person: people, per_adult: adults, per_main_applicant: applicants, per_year: applicants }[cost.charged];
+            let note = null;
+            if (cost.charged === 'per_item') {
+                count = requestedCosts[id] === true ? 1 : parseInt(requestedCosts[id]) || 0;
+                note = `${this.formatAmount(amount)} × ${count} item${count !== 1 ? 's' : ''}`;
+            } else if (cost.charged === 'per_year') {
+                if (duration === 0) {
+                    warnings.push(`No visa duration was given, so the ${cost.label} has not been included.`);
+                    return;
+                }
+                // Charged for the first year, then for each further 6 months as the IHS is,
+                // over the sponsored period without the extra leave granted around it
+                const years = Math.max(this.getIHSYears(data, sponsoredMonths), 1);
+                note = `${this.formatAmount(amount)}/year × ${years} year${years !== 1 ? 's' : ''} × ${count}`;
+                count *= years;
+            } else {
+                note = `${this.formatAmount(amount)} × ${count}`;
+            }
+            if (count === 0) return;
+            if (tbRequired && requestedCosts[id] === undefined) {
+                assumptions.push(`${cost.label} included, as one is needed for a stay of this length, assuming the applicants live in their country of nationality.`);
+            }
+
+            breakdown.push({
+                key: id,
+                category: 'other',
+                label: feeKey === cost.small_sponsor_fee_key ? `${cost.label} (small or charitable sponsor)` : cost.label,
+                amount: amount * count,
+                note: cost.estimate ? `${note} (typical cost, varies by provider)` : note,
+                paidBy: cost.paid_by
+            });
+        });
+
+        // Fee schedule applied
+        const feesEffectiveDate = feeDates.length > 0 ? feeDates.sort()[feeDates.length - 1] : null;
+        // Before the earliest recorded version the total mixes dates, so say so first
+        const recordedFrom = [...feeDates, ihsEffectiveDate].filter(date => date && date > applicationDate).sort()[0] || null;
+        if (recordedFrom) {
+            warnings.unshift(`No fee schedule is recorded before ${recordedFrom}, so this is not what an application dated ${applicationDate} cost. ` +
+                `Fees from ${recordedFrom} have been used where no earlier figure is recorded; check the fees in force on ${applicationDate} on GOV.UK.`);
+        }
+        if (feesEffectiveDate) {
+            assumptions.push(`Fee schedule effective ${feesEffectiveDate} applied for an application dated ${applicationDate}.`);
+        }
+        if (ihsEffectiveDate) {
+            assumptions.push(`IHS rates effective ${ihsEffectiveDate} applied.`);
+        }
+
+        warnings.push(this.disclaimer);
+
+        // Home Office fees, the IHS and services are the applicant's; only some additional costs fall on an employer
+        breakdown.forEach(item => {
+            item.paidBy = item.paidBy || 'applicant';
+        });
+        const sumCategory = category => breakdown
+            .filter(item => item.category === category)
+            .reduce((sum, item) => sum + item.amount, 0);
+
+        return {
+            routeId: route.route_id,
+            routeName: route.name,
+            applyFrom,
+            nationality: nationality ? nationality.code : null,
+            visaFree,
+            duration,
+            applicants,
+            dependants,
+            people: members,
+            leavePeriod: leave,
+            switching,
+            applicationDate,
+            feeSchedule: {
+                feesEffectiveDate,
+                ihsEffectiveDate,
+                recordedFrom
+            },
+            breakdown,
+            visaFeeTotal: sumCategory('application'),
+            ihsTotal: sumCategory('ihs'),
+            optionalServicesTotal: sumCategory('service'),
+            otherCostsTotal: sumCategory('other'),
+            applicantTotal: breakdown.filter(item => item.paidBy === 'applicant').reduce((sum, item) => sum + item.amount, 0),
+            employerTotal: breakdown.filter(item => item.paidBy === 'employer').reduce((sum, item) => sum + item.amount, 0),
+            total: breakdown.reduce((sum, item) => sum + item.amount, 0),
+            assumptions,
+            warnings,
+            lastReviewed: route.last_reviewed
+        };
+    },
+
+    /**
+     * Price a chain of applications, e.g. Skilled Worker → extension → ILR → citizenship
+     * Each stage is applied for on the day the previous stage's leave ends, plus
+     * any waitMonths, and is priced with the fees in force on that date. Ages
+     * given without a date of birth grow older along the way.
+     * @param {Object} data - Parsed data files: { routes, fees, rules }
+     * @param {Object} params - Journey parameters
+     * @param {Array} params.stages - [{ routeId, label?, duration?, waitMonths?, ...other calculate() params }]
+     * @param {string} [params.startDate] - Date of the first application (YYYY-MM-DD), defaults to today
+     * @param {Array} [params.people] - Household person by person, as for calculate()
+     * @param {number} [params.applicants=1] - Number of main applicants when people is not given
+     * @param {number} [params.dependants=0] - Number of dependants when people is not given
+     * @returns {Object} { startDate, stages, payments, total, assumptions, warnings }
+     */
+    planJourney(data, params) {
+        const startDate = params.startDate || this.today();
+        if (!this.isValidDate(startDate)) {
+            throw new Error('Invalid start date');
+        }
+        if (!params.stages || params.stages.length === 0) {
+            throw new Error('A journey needs at least one stage');
+        }
+
+        const stages = [];
+        const payments = [];
+        const warnings = [];
+        let date = startDate;
+        let cumulativeTotal = 0;
+        let lifeInUKTestPassed = false;
+
+        params.stages.forEach((stage, index) => {
+            if (index > 0 && stage.waitMonths) {
+                date = this.addMonths(date, stage.waitMonths);
+            }
+
+            const yearsElapsed = this.getAge({ dateOfBirth: startDate }, date);
+            const people = params.people && params.people.map(person => (
+                person.dateOfBirth || person.age === undefined || person.age === null
+                    ? person
+                    : { ...person, age: parseInt(person.age) + yearsElapsed }
+            ));
+
+            const result = this.calculate(data, {
+                ...stage,
+                applicationDate: date,
+                people,
+                applicants: params.applicants,
+                dependants: params.dependants,
+                lifeInUKTestPassed,
+                dependantsHaveLeave: index > 0
+            });
+            const label = stage.label || result.routeName;
+
+            cumulativeTotal += result.total;
+            stages.push({
+                label,
+                routeId: result.routeId,
+                applicationDate: date,
+                leaveEnds: result.duration > 0 ? this.addDays(this.addMonths(date, result.duration), -1) : null,
+                result,
+                total: result.total,
+                cumulativeTotal
+            });
+
+            let running = cumulativeTotal - result.total;
+            result.breakdown.forEach(item => {
+                running += item.amount;
+                payments.push({
+                    date,
+                    stage: label,
+                    key: item.key,
+                    label: item.label,
+                    amount: item.amount,
+                    cumulativeTotal: running
+                });
+            });
+
+            result.warnings
+                .filter(text => text !== this.disclaimer)
+                .forEach(text => warnings.push(`${label}: ${text}`));
+
+            lifeInUKTestPassed = lifeInUKTestPassed || result.breakdown.some(item => item.key === 'life_in_uk_test');
+            date = this.addMonths(date, result.duration);
+        });
+
+        warnings.push(this.disclaimer);
+
+        return {
+            startDate,
+            stages,
+            payments,
+            total: cumulativeTotal,
+            assumptions: [
+                'Each application is made on the day the previous leave ends, unless a wait is shown.',
+                'Later stages use the fees recorded for their application dates. Fee rises not yet announced are not included.',
+                'The Life in the UK test is paid once, at the first stage that needs it.'
+            ],
+            warnings
+        };
+    },
+
+    /**
+     * Price the same household on two to four routes, with breakdown rows aligned
+     * @param {Object} data - Parsed data files: { routes, fees, rules }
+     * @param {Array} routes - Route IDs, or { routeId, ...calculate() overrides } per route
+     * @param {Object} params - Shared calculate() parameters (household, duration, location, services)
+     * @returns {Object} { routes: [{ routeId, routeName, total, difference, options, notes, result }],
+     *   rows: [{ key, category, label, amounts, notes, differs }], cheapestRouteId }
+     */
+    compareRoutes(data, routes, params) {
+        if (!Array.isArray(routes) || routes.length < 2 || routes.length > 4) {
+            throw new Error('Choose between 2 and 4 routes to compare');
+        }
+
+        const entries = routes.map(entry => (typeof entry === 'string' ? { routeId: entry } : entry));
+        const results = entries.map(entry => this.calculate(data, { ...params, ...entry }));
+
+        // One row per breakdown key, in category order then first-seen order
+        const categoryOrder = ['application', 'ihs', 'service', 'other'];
+        const rows = [];
+        results.forEach((result, index) => {
+            result.breakdown.forEach(item => {
+                let row = rows.find(r => r.key === item.key);
+                if (!row) {
+                    row = {
+                        key: item.key,
+                        category: item.category,
+                        label: item.label,
+                        amounts: results.map(() => null),
+                        notes: results.map(() => null)
+                    };
+                    rows.push(row);
+                }
+                row.amounts[index] = item.amount;
+                row.notes[index] = item.note || null;
+            });
+        });
+        rows.sort((a, b) => categoryOrder.indexOf(a.category) - categoryOrder.indexOf(b.category));
+        rows.forEach(row => {
+            const values = row.amounts.map(amount => amount ?? 0);
+            row.differs = values.some(value => value !== values[0]);
+        });
+
+        const cheapest = Math.min(...results.map(result => result.total));
+        return {
+            routes: results.map((result, index) => {
+                const route = this.getRoute(data, result.routeId);
+                return {
+                    routeId: result.routeId,
+                    routeName: result.routeName,
+                    total: result.total,
+                    difference: result.total - cheapest,
+                    options: this.describeRouteOptions(route),
+                    notes: this.describeDurationFit(route, entries[index].duration ?? params.duration),
+                    result
+                };
+            }),
+            rows,
+            cheapestRouteId: results.find(result => result.total === cheapest).routeId
+        };
+    },
+
+    /**
+     * Summarise what a route supports, for comparison notes
+     * @param {Object} route - Route object
+     * @returns {Array} [{ label, available }]
+     */
+    describeRouteOptions(route) {
+        const extras = route.extras_supported || [];
+        return [
+            { label: 'Priority Service', available: extras.includes('priority') },
+            { label: 'Super Priority Service', available: extras.includes('super_priority') },
+            { label: 'New entrant rate', available: Boolean(route.new_entrant_fee_items) },
+            { label: 'Dependants', available: route.dependants_allowed !== false },
+            { label: 'Apply from inside the UK', available: route.apply_from_options !== 'outside_uk' },
+            { label: 'Apply from outside the UK', available: route.apply_from_options !== 'inside_uk' },
+            { label: 'Immigration Health Surcharge payable', available: this.ihsApplies(route) }
+        ];
+    },
+
+    /**
+     * Explain when a compared duration does not match how a route is granted
+     * @param {Object} route - Route object
+     * @param {number} [duration] - Requested length of leave in months
+     * @returns {Array} Notes (empty when the duration fits)
+     */
+    describeDurationFit(route, duration) {
+        const months = parseInt(duration) || 0;
+        if (route.duration_policy === 'permanent') {
+            return [`The ${route.name} is permanent, so the duration does not apply.`];
+        }
+        if (route.duration_policy === 'fixed' && route.duration_options && months && !route.duration_options.includes(months)) {
+            return [`The ${route.name} is normally granted for ${route.duration_options.join(' or ')} months.`];
+        }
+        if (route.max_duration_months && months > route.max_duration_months) {
+            return [`The ${route.name} is granted for at most ${route.max_duration_months} months.`];
+        }
+        return [];
+    },
+
+    /**
+     * Price a sponsor's batch of hires in one pass
+     * Each hire is priced with calculate(). A hire that cannot be priced keeps
+     * its error and is left out of the totals instead of stopping the batch.
+     * @param {Object} data - Parsed data files: { routes, fees, rules }
+     * @param {Array} hires - [{ reference?, routeId, applyFrom?, duration?, startDate?, partners?,
+     *   children?, isNewEntrant? }]. startDate is the first day of work, and with duration gives
+     *   the leave period priced for the IHS
+     * @param {Object} [params] - Shared calculate() parameters, e.g. applicationDate, smallSponsor
+     * @param {boolean} [params.employerCosts=false] - Add every employer-paid cost each route offers
+     * @returns {Object} { hires: [{ index, reference, routeId, routeName, notes, result, error }],
+     *   routes: [{ routeId, routeName, hires, people, applicantTotal, employerTotal, total }], totals }
+     */
+    priceHires(data, hires, params = {}) {
+        if (!Array.isArray(hires) || hires.length === 0) {
+            throw new Error('Add at least one hire to price');
+        }
+
+        const { employerCosts, ...shared } = params;
+        const priced = hires.map((hire, index) => {
+            const entry = {
+                index,
+                reference: hire.reference || `Hire ${index + 1}`,
+                routeId: hire.routeId,
+                routeName: hire.routeId,
+                notes: [],
+                result: null,
+                error: null
+            };
+            try {
+                const route = this.getRoute(data, hire.routeId);
+                if (!route) {
+                    throw new Error(`Unknown route "${hire.routeId}"`);
+                }
+                entry.routeName = route.name;
+
+                const calculateParams = {
+                    ...shared,
+                    routeId: route.route_id,
+                    applyFrom: hire.applyFrom,
+                    duration: hire.duration,
+                    isNewEntrant: Boolean(hire.isNewEntrant),
+                    people: [
+                        { relationship: 'main' },
+                        ...Array.from({ length: parseInt(hire.partners) || 0 }, () => ({ relationship: 'partner' })),
+                        ...Array.from({ length: parseInt(hire.children) || 0 }, () => ({ relationship: 'child' }))
+                    ]
+                };
+                if (hire.startDate && route.duration_policy !== 'permanent') {
+                    if (!this.isValidDate(hire.startDate)) {
+                        throw new Error('Invalid start date');
+                    }
+                    if (!(parseInt(hire.duration) > 0)) {
+                        throw new Error('A start date needs a duration to work out the leave period');
+                    }
+                    calculateParams.leaveStart = hire.startDate;
+                    calculateParams.leaveEnd = this.addDays(this.addMonths(hire.startDate, parseInt(hire.duration)), -1);
+                }
+                if (employerCosts) {
+                    calculateParams.extraCosts = { ...shared.extraCosts };
+                    this.getRouteCosts(data, route)
+                        .filter(cost => cost.paid_by === 'employer')
+                        .forEach(cost => { calculateParams.extraCosts[cost.id] = true; });
+                }
+
+                entry.result = this.calculate(data, calculateParams);
+                entry.notes = [
+                    ...this.describeDurationFit(route, hire.duration),
+                    ...entry.result.warnings.filter(text => text !== this.disclaimer)
+                ];
+            } catch (error) {
+                entry.error = error.message;
+            }
+            return entry;
+        });
+
+        const results = priced.filter(entry => entry.result);
+        const sum = (list, field) => list.reduce((total, entry) => total + entry.result[field], 0);
+        const routes = [];
+        results.forEach(entry => {
+            let route = routes.find(r => r.routeId === entry.routeId);
+            if (!route) {
+                route = { routeId: entry.routeId, routeName: entry.routeName, entries: [] };
+                routes.push(route);
+            }
+            route.entries.push(entry);
+        });
+
+        return {
+            hires: priced,
+            routes: routes.map(route => ({
+                routeId: route.routeId,
+                routeName: route.routeName,
+                hires: route.entries.length,
+                people: route.entries.reduce((total, entry) => total + entry.result.people.length, 0),
+                applicantTotal: sum(route.entries, 'applicantTotal'),
+                employerTotal: sum(route.entries, 'employerTotal'),
+                total: sum(route.entries, 'total')
+            })),
+            totals: {
+                hires: priced.length,
+                priced: results.length,
+                failed: priced.length - results.length,
+                people: results.reduce((total, entry) => total + entry.result.people.length, 0),
+                visaFees: sum(results, 'visaFeeTotal'),
+                ihs: sum(results, 'ihsTotal'),
+                optionalServices: sum(results, 'optionalServicesTotal'),
+                otherCosts: sum(results, 'otherCostsTotal'),
+                applicant: sum(results, 'applicantTotal'),
+                employer: sum(results, 'employerTotal'),
+                total: sum(results, 'total')
+            }
+        };
+    },
+
+    /**
+     * Convert a journeys.json template into planJourney() stages
+     * @param {Object} journey - Template with snake_case stages
+     * @returns {Array} [{ routeId, label, applyFrom, duration, waitMonths }]
+     */
+    getJourneyStages(journey) {
+        return journey.stages.map(stage => ({
+            routeId: stage.route_id,
+            label: stage.label,
+            applyFrom: stage.apply_from,
+            duration: stage.duration_months || 0,
+            waitMonths: stage.wait_months || 0
+        }));
+    },
+
+    /**
+     * Convert a worked example from content/routes/*.json into calculate() parameters
+     * @param {string} routeId - Route the example belongs to
+     * @param {Object} example - { apply_from?, duration_months?, applicants?, dependants?,
+     *   people?: [{ relationship, age?, date_of_birth? }], new_entrant?, services?: [feeKey],
+     *   extra_costs?: { [costId]: boolean|number } }
+     * @returns {Object} calculate() parameters (without an application date)
+     */
+    getExampleParams(routeId, example) {
+        const services = example.services || [];
+        const params = {
+            routeId,
+            applyFrom: example.apply_from,
+            duration: example.duration_months || 0,
+            applicants: example.applicants,
+            dependants: example.dependants,
+            isNewEntrant: example.new_entrant === true,
+            extraCosts: example.extra_costs
+        };
+        if (example.people) {
+            params.people = example.people.map(person => ({
+                relationship: person.relationship,
+                age: person.age,
+                dateOfBirth: person.date_of_birth
+            }));
+        }
+        this.services.forEach(service => {
+            params[service.param] = services.includes(service.feeKey);
+        });
+        return params;
+    },
+
+    /**
+     * Price a worked example with the fees in force on a date
+     * The page shows the engine's breakdown rather than stored figures, and
+     * `matches` tells validation whether the example's expected_total still holds.
+     * @param {Object} data - Parsed data files: { routes, fees, rules }
+     * @param {string} routeId - Route the example belongs to
+     * @param {Object} example - Worked example (see getExampleParams) with title and expected_total
+     * @param {string} [applicationDate] - Date to price at (YYYY-MM-DD), defaults to today
+     * @returns {Object} { title, details, breakdown: [{ label, value }], total, expectedTotal, matches, result }
+     */
+    priceExample(data, routeId, example, applicationDate = this.today()) {
+        const result = this.calculate(data, { ...this.getExampleParams(routeId, example), applicationDate });
+        const breakdown = result.breakdown.map(item => ({
+            label: item.label,
+            value: this.formatAmount(item.amount) + (item.note ? ` (${item.note})` : '')
+        }));
+        breakdown.push({ label: 'Total', value: this.formatAmount(result.total) });
+
+        return {
+            title: example.title,
+            details: this.describeExample(result),
+            breakdown,
+            total: result.total,
+            expectedTotal: example.expected_total,
+            matches: result.total === example.expected_total,
+            result
+        };
+    },
+
+    /**
+     * One-line summary of who an example prices and how, from its result
+     * e.g. '1 main applicant + 1 partner + 1 child, 60 months, applying from inside the UK, Super Priority Service'
+     */
+    describeExample(result) {
+        const nouns = { main: ['main applicant', 'main applicants'], partner: ['partner', 'partners'], child: ['child', 'children'], dependant: ['dependant', 'dependants'] };
+        const counts = {};
+        result.people.forEach(person => {
+            counts[person.relationship] = (counts[person.relationship] || 0) + 1;
+        });
+        const household = Object.keys(nouns)
+            .filter(relationship => counts[relationship])
+            .map(relationship => `${counts[relationship]} ${nouns[relationship][counts[relationship] > 1 ? 1 : 0]}`)
+            .join(' + ');
+        const services = result.breakdown.filter(item => item.category === 'service').map(item => item.label);
+
+        return [
+            household,
+            result.duration > 0 ? `${result.duration} months` : null,
+            `applying from ${this.describeLocation(result.applyFrom)}`,
+            services.length > 0 ? services.join(', ') : 'standard processing'
+        ].filter(Boolean).join(', ');
+    },
+
+    /**
+     * Route finder questions that apply given the answers so far
+     * A question with show_if is only asked once each listed question has one of its answers.
+     * @param {Object} finder - Parsed data/route-finder.json
+     * @param {Object} answers - { [questionId]: option value }
+     * @returns {Array} Questions in file order
+     */
+    getFinderQuestions(finder, answers = {}) {
+        return finder.questions.filter(question =>
+            Object.entries(question.show_if || {}).every(([id, values]) => values.includes(answers[id]))
+        );
+    },
+
+    /**
+     * Narrow routes to the ones that fit the route finder answers
+     * Each route's eligibility.criteria lists the answers that fit it. A route is
+     * ruled out by any answer outside its criteria, and suggested once at least one
+     * answer matches and every question in eligibility.must_match has been answered;
+     * other unanswered questions never rule a route out. Routes without eligibility
+     * are never suggested.
+     * @param {Object} data - Parsed data files: { routes, fees, rules }
+     * @param {Object} finder - Parsed data/route-finder.json
+     * @param {Object} answers - { [questionId]: option value }
+     * @returns {Array} [{ routeId, routeName, category, summary, reasons, unanswered, applyFrom }],
+     *   best matches first: reasons are the matching answers, unanswered the questions still to check
+     */
+    findRoutes(data, finder, answers = {}) {
+        const given = {};
+        const open = {};
+        this.getFinderQuestions(finder, answers).forEach(question => {
+            const option = question.options.find(o => o.value === answers[question.id]);
+            if (option) {
+                given[question.id] = option;
+            } else {
+                open[question.id] = question.question;
+            }
+        });
+        const location = Object.values(given).map(option => option.apply_from).find(Boolean);
+
+        const matches = [];
+        data.routes.forEach(route => {
+            if (!route.eligibility) return;
+
+            const reasons = [];
+            const unanswered = [];
+            const ruledOut = Object.entries(route.eligibility.criteria).some(([id, values]) => {
+                if (!given[id]) {
+                    if (open[id]) unanswered.push(open[id]);
+                    return false;
+                }
+                if (!values.includes(given[id].value)) return true;
+                reasons.push(given[id].label);
+                return false;
+            });
+            const confirmed = (route.eligibility.must_match || []).every(id => given[id]);
+            if (ruledOut || !confirmed || reasons.length === 0) return;
+
+            matches.push({
+                routeId: route.route_id,
+                routeName: route.name,
+                category: route.category,
+                summary: route.eligibility.summary,
+                reasons,
+                unanswered,
+                applyFrom: this.resolveApplyFrom(route, location)
+            });
+        });
+
+        // Sort is stable, so equal matches keep the order of routes.json
+        return matches.sort((a, b) =>
+            b.reasons.length - a.reasons.length || a.unanswered.length - b.unanswered.length
+        );
+    },
+
+    /**
+     * Encode calculate() parameters as a URL query string, so a quote can be shared
+     * Defaults are left out to keep links short. Dependant details are written as
+     * relationship, relationship:age or relationship:date-of-birth, comma separated.
+     * @param {Object} params - calculate() parameters
+     * @returns {string} Query string without the leading '?'
+     */
+    encodeQuery(params) {
+        const query = new URLSearchParams();
+        const set = (key, value) => {
+            if (value !== undefined && value !== null && value !== '') query.set(key, String(value));
+        };
+
+        set('route', params.routeId);
+        set('from', params.applyFrom);
+        set('nationality', params.nationality);
+        set('current', params.currentRouteId);
+        if (params.currentRouteId) set('current_end', params.currentLeaveEnd);
+        if (params.duration) set('months', params.duration);
+        set('start', params.leaveStart);
+        set('end', params.leaveEnd);
+        if (params.leaveStart && params.addExtraLeave === false) set('extra_leave', 0);
+        set('sponsor_end', params.sponsorLeaveEnd);
+        if (params.sponsorLeaveEnd) set('joining', params.joiningDate);
+
+        if (params.people) {
+            const dependants = params.people.filter(person => person.relationship !== 'main');
+            set('applicants', params.people.length - dependants.length);
+            set('dependants', dependants.length);
+            if (dependants.some(person => person.relationship !== 'dependant' || person.age !== undefined || person.dateOfBirth)) {
+                set('people', dependants.map(person => {
+                    const detail = person.dateOfBirth || person.age;
+                    return detail !== undefined && detail !== '' ? `${person.relationship}:${detail}` : person.relationship;
+                }).join(','));
+            }
+        } else {
+            set('applicants', params.applicants);
+            set('dependants', params.dependants);
+        }
+
+        if (params.isNewEntrant) set('new_entrant', 1);
+        this.services.forEach(service => {
+            if (params[service.param]) set(service.feeKey, 1);
+        });
+        Object.entries(params.extraCosts || {}).forEach(([id, value]) => {
+            set(id, typeof value === 'boolean' ? Number(value) : value);
+        });
+        if (params.smallSponsor) set('small_sponsor', 1);
+        set('date', params.applicationDate);
+
+        return query.toString();
+    },
+
+    /**
+     * Read calculate() parameters back from a shared link, checking each value
+     * against routes.json. Values that are malformed or that the route does not
+     * allow (a location, dependants, the new entrant rate, an extra, an additional
+     * cost) are left out and named in `rejected`, so a tampered link cannot price
+     * something impossible.
+     * @param {Object} data - Parsed data files
+     * @param {string|URLSearchParams} query - Query string or parsed parameters
+     * @returns {Object} { params, rejected } — params is null when the route is missing or unknown
+     */
+    decodeQuery(data, query) {
+        const search = typeof query === 'string' ? new URLSearchParams(query) : query;
+        const route = this.getRoute(data, search.get('route'));
+        if (!route) {
+            return { params: null, rejected: search.has('route') ? ['route'] : [] };
+        }
+
+        const params = { routeId: route.route_id };
+        const rejected = [];
+        const integer = (key, min, max) => {
+            if (!search.has(key)) return undefined;
+            const value = search.get(key);
+            const number = /^\d+$/.test(value) ? parseInt(value) : NaN;
+            if (number >= min && number <= max) return number;
+            rejected.push(key);
+            return undefined;
+        };
+        const date = key => {
+            if (!search.has(key)) return undefined;
+            if (this.isValidDate(search.get(key))) return search.get(key);
+            rejected.push(key);
+            return undefined;
+        };
+
+        if (search.has('from')) {
+            const applyFrom = search.get('from');
+            if ((applyFrom === 'inside_uk' || applyFrom === 'outside_uk') && this.resolveApplyFrom(route, applyFrom) === applyFrom) {
+                params.applyFrom = applyFrom;
+            } else {
+                rejected.push('from');
+            }
+        }
+
+        if (search.has('nationality')) {
+            const code = search.get('nationality');
+            if (data.nationalities && Object.prototype.hasOwnProperty.call(data.nationalities.nationalities, code)) {
+                params.nationality = code;
+            } else {
+                rejected.push('nationality');
+            }
+        }
+
+        if (search.has('current')) {
+            const currentRoute = this.getRoute(data, search.get('current'));
+            if (currentRoute) {
+                params.currentRouteId = currentRoute.route_id;
+                const currentLeaveEnd = date('current_end');
+                if (currentLeaveEnd) params.currentLeaveEnd = currentLeaveEnd;
+            } else {
+                rejected.push('current');
+            }
+        }
+
+        if (route.duration_policy !== 'permanent') {
+            const duration = integer('months', 1, route.max_duration_months || 120);
+            if (duration !== undefined) params.duration = duration;
+
+            const leaveStart = date('start');
+            const leaveEnd = date('end');
+            if (leaveStart && leaveEnd && leaveEnd > leaveStart && this.ihsApplies(route)) {
+                params.leaveStart = leaveStart;
+                params.leaveEnd = leaveEnd;
+                if (search.get('extra_leave') === '0') params.addExtraLeave = false;
+            } else if (leaveStart || leaveEnd) {
+                rejected.push('start', 'end');
+            }
+        }
+
+        if (route.duration_policy === 'match_sponsor') {
+            const sponsorLeaveEnd = date('sponsor_end');
+            if (sponsorLeaveEnd) {
+                params.sponsorLeaveEnd = sponsorLeaveEnd;
+                const joiningDate = date('joining');
+                if (joiningDate && joiningDate < sponsorLeaveEnd) {
+                    params.joiningDate = joiningDate;
+                } else if (joiningDate) {
+                    rejected.push('joining');
+                }
+            } else if (search.has('joining')) {
+                rejected.push('joining');
+            }
+        } else if (search.has('sponsor_end') || search.has('joining')) {
+            rejected.push(...['sponsor_end', 'joining'].filter(key => search.has(key)));
+        }
+
+        const applicationDate = date('date');
+        if (applicationDate) params.applicationDate = applicationDate;
+
+        const applicants = integer('applicants', 1, 10);
+        if (applicants !== undefined) params.applicants = applicants;
+
+        let dependants = route.dependants_allowed === false ? integer('dependants', 0, 0) : integer('dependants', 0, 10);
+        if (search.has('people') && route.dependants_allowed === false) {
+            rejected.push('people');
+        } else if (search.has('people')) {
+            const relationships = (route.dependant_rules && route.dependant_rules.relationships) || ['partner', 'child'];
+            const details = search.get('people').split(',').slice(0, dependants ?? 10).map(entry => {
+                const [relationship, detail] = entry.split(':');
+                const person = { relationship };
+                if (detail && /^\d{1,3}$/.test(detail) && parseInt(detail) <= 120) {
+                    person.age = parseInt(detail);
+                } else if (detail && this.isValidDate(detail) && detail <= (applicationDate || this.today())) {
+                    person.dateOfBirth = detail;
+                } else if (detail) {
+                    return null;
+                }
+                return relationships.includes(relationship) || relationship === 'dependant' ? person : null;
+            });
+
+            if (details.every(Boolean)) {
+                dependants = dependants ?? details.length;
+                params.people = [
+                    ...Array.from({ length: applicants || 1 }, () => ({ relationship: 'main' })),
+                    ...Array.from({ length: dependants }, (_, i) => details[i] || { relationship: 'dependant' })
+                ];
+            } else {
+                rejected.push('people');
+            }
+        }
+        if (dependants !== undefined) params.dependants = dependants;
+
+        if (search.has('new_entrant')) {
+            if (search.get('new_entrant') === '1' && route.new_entrant_fee_items) {
+                params.isNewEntrant = true;
+            } else {
+                rejected.push('new_entrant');
+            }
+        }
+
+        this.services.forEach(service => {
+            if (!search.has(service.feeKey)) return;
+            const supported = !service.extra || route.extras_supported.includes(service.extra);
+            if (search.get(service.feeKey) === '1' && supported) {
+                params[service.param] = true;
+            } else {
+                rejected.push(service.feeKey);
+            }
+        });
+
+        const costs = this.getRouteCosts(data, route);
+        costs.forEach(cost => {
+            if (!search.has(cost.id)) return;
+            const value = cost.charged === 'per_item' ? integer(cost.id, 0, 50) : { 0: false, 1: true }[search.get(cost.id)];
+            if (value === undefined) {
+                if (cost.charged !== 'per_item') rejected.push(cost.id);
+                return;
+            }
+            params.extraCosts = { ...params.extraCosts, [cost.id]: value };
+        });
+        Object.keys(this.getAdditionalCosts(data))
+            .filter(id => search.has(id) && !costs.some(cost => cost.id === id))
+            .forEach(id => rejected.push(id));
+        if (search.has('small_sponsor')) {
+            if (search.get('small_sponsor') === '1' && costs.some(cost => cost.small_sponsor_fee_key)) {
+                params.smallSponsor = true;
+            } else {
+                rejected.push('small_sponsor');
+            }
+        }
+
+        return { params, rejected };
+    },
+
+    /**
+     * Find a route by ID
+     * @param {Object} data - Parsed data files
+     * @param {string} routeId - Route identifier
+     * @returns {Object|null} Route object or null
+     */
+    getRoute(data, routeId) {
+        return data.routes.find(r => r.route_id === routeId) || null;
+    },
+
+    /**
+     * Pick the application location, falling back to the only one a route allows
+     * @param {Object} route - Route object
+     * @param {string} [applyFrom] - Requested location
+     * @returns {string} 'inside_uk' or 'outside_uk'
+     */
+    resolveApplyFrom(route, applyFrom) {
+        if (route.apply_from_options !== 'both') {
+            return route.apply_from_options;
+        }
+        return applyFrom === 'inside_uk' ? 'inside_uk' : 'outside_uk';
+    },
+
+    /**
+     * Look up a nationality
+     * @param {Object} nationalities - Parsed nationalities.json
+     * @param {string} code - Nationality code, e.g. 'IN'
+     * @returns {Object} { code, name, visitor, tb_test, only_routes?, note? }
+     */
+    getNationality(nationalities, code) {
+        if (!nationalities) {
+            throw new Error('Nationality rules not loaded');
+        }
+        if (!Object.prototype.hasOwnProperty.call(nationalities.nationalities, code)) {
+            throw new Error('Nationality not found');
+        }
+        return { code, ...nationalities.nationalities[code] };
+    },
+
+    /**
+     * Check whether a route is open to nationals of a country
+     * A nationality's only_routes limits it to those routes, and restricted_routes
+     * keeps a route to the nationalities it lists.
+     * @param {Object} nationalities - Parsed nationalities.json
+     * @param {Object} route - Route object
+     * @param {string} [code] - Nationality code; every route is open when none is given
+     * @returns {Object} { open, reason } — reason is null when open
+     */
+    getRouteAccess(nationalities, route, code) {
+        if (!code) return { open: true, reason: null };
+        const nationality = this.getNationality(nationalities, code);
+        if (nationality.only_routes && !nationality.only_routes.includes(route.route_id)) {
+            return { open: false, reason: nationality.note || `The ${route.name} is not open to this nationality.` };
+        }
+        const restriction = nationalities.restricted_routes[route.route_id];
+        if (restriction && !restriction.nationalities.includes(code)) {
+            return { open: false, reason: `The ${route.name} is not open to this nationality. ${restriction.note}` };
+        }
+        return { open: true, reason: null };
+    },
+
+    /**
+     * Check whether someone holding one route can move to another from inside the UK
+     * Staying on the same route is an extension. Limits come from each route's
+     * switching.allowed_to (what its holders may move to) and switching.allowed_from
+     * (who may apply for it in the UK), and from routes only applied for from abroad.
+     * @param {Object} fromRoute - Route held now
+     * @param {Object} toRoute - Route being applied for
+     * @returns {Object} { type: 'extension'|'switch', allowed, reason } — reason is null when allowed
+     */
+    getSwitching(fromRoute, toRoute) {
+        const type = fromRoute.route_id === toRoute.route_id ? 'extension' : 'switch';
+        const action = type === 'extension' ? `The ${toRoute.name} cannot be extended` : `You cannot switch from the ${fromRoute.name} to the ${toRoute.name}`;
+        const fromRules = fromRoute.switching || {};
+        const toRules = toRoute.switching || {};
+
+        let reason = null;
+        if (toRoute.apply_from_options === 'outside_uk') {
+            reason = `${action} from inside the UK: it can only be applied for from outside the UK.`;
+        } else if (fromRules.allowed_to && !fromRules.allowed_to.includes(toRoute.route_id)) {
+            reason = `${action} from inside the UK.${fromRules.note ? ` ${fromRules.note}` : ''}`;
+        } else if (toRules.allowed_from && !toRules.allowed_from.includes(fromRoute.route_id)) {
+            reason = `${action} from inside the UK.${toRules.note ? ` ${toRules.note}` : ''}`;
+        }
+        return { type, allowed: reason === null, reason };
+    },
+
+    /**
+     * Describe everyone on an application, person by person
+     * Uses params.people when given, otherwise builds a household of
+     * unspecified adults from the applicants/dependants counts. Dependants the
+     * route does not accept are dropped with a warning.
+     * @param {Object} data - Parsed data files
+     * @param {Object} route - Route object
+     * @param {Object} params - calculate() parameters
+     * @param {string} applicationDate - Date ages are worked out at (YYYY-MM-DD)
+     * @returns {Object} { people: [{ relationship, label, age, isChild, leaveStart, leaveEnd }], assumptions, warnings }
+     */
+    resolveHousehold(data, route, params, applicationDate) {
+        const assumptions = [];
+        const warnings = [];
+        const childAgeLimit = this.getChildAgeLimit(data);
+        const dependantRules = route.dependant_rules || {};
+        const allowed = dependantRules.relationships || ['partner', 'child'];
+
+        let people;
+        if (Array.isArray(params.people) && params.people.length > 0) {
+            people = params.people.map(person => {
+                const relationship = this.relationships[person.relationship] ? person.relationship : 'dependant';
+                return {
+                    relationship,
+                    age: this.getAge(person, applicationDate),
+                    leaveStart: person.leaveStart || null,
+                    leaveEnd: person.leaveEnd || null
+                };
+            });
+            if (!people.some(person => person.relationship === 'main')) {
+                throw new Error('At least one main applicant is required');
+            }
+        } else {
+            const applicants = parseInt(params.applicants ?? 1);
+            const dependants = parseInt(params.dependants ?? 0);
+            people = [
+                ...Array.from({ length: Math.max(applicants, 0) }, () => ({ relationship: 'main', age: null, leaveStart: null, leaveEnd: null })),
+                ...Array.from({ length: Math.max(dependants, 0) }, () => ({ relationship: 'dependant', age: null, leaveStart: null, leaveEnd: null }))
+            ];
+        }
+
+        if (route.dependants_allowed === false) {
+            if (people.some(person => person.relationship !== 'main')) {
+                warnings.push(`Dependants cannot be added to a ${route.name}. Dependant fees have not been included.`);
+            }
+            people = people.filter(person => person.relationship === 'main');
+        } else {
+            people = people.filter(person => {
+                if (person.relationship === 'main' || person.relationship === 'dependant' || allowed.includes(person.relationship)) {
+                    return true;
+                }
+                warnings.push(`A ${this.relationships[person.relationship].toLowerCase()} cannot be added as a dependant on the ${route.name}. Their fees have not been included.`);
+                return false;
+            });
+        }
+
+        // Number people who share a relationship: "Child 1", "Child 2"
+        const totals = {};
+        people.forEach(person => {
+            totals[person.relationship] = (totals[person.relationship] || 0) + 1;
+        });
+        const seen = {};
+        let assumedChild = false;
+        people.forEach(person => {
+            seen[person.relationship] = (seen[person.relationship] || 0) + 1;
+            person.label = this.relationships[person.relationship] + (totals[person.relationship] > 1 ? ` ${seen[person.relationship]}` : '');
+
+            if (person.age !== null) {
+                person.isChild = person.age < childAgeLimit;
+            } else {
+                person.isChild = person.relationship === 'child' || (person.relationship === 'main' && route.main_applicant_is_child === true);
+                assumedChild = assumedChild || person.isChild;
+            }
+
+            if (person.relationship === 'child' && person.age !== null && person.age >= childAgeLimit && !params.dependantsHaveLeave) {
+                warnings.push(`${person.label} is ${person.age}. Children aged ${childAgeLimit} or over can usually only be included if they already have permission to be in the UK as your dependant.`);
+            }
+        });
+
+        if (assumedChild) {
+            assumptions.push(`Children with no age or date of birth given are assumed to be under ${childAgeLimit}.`);
+        }
+        if (dependantRules.note && people.some(person => person.relationship !== 'main')) {
+            warnings.push(dependantRules.note);
+        }
+
+        return { people, assumptions, warnings };
+    },
+
+    /**
+     * Age below which a person counts as a child (reduced IHS, dependant child)
+     */
+    getChildAgeLimit(data) {
+        return data.rules.ihs_person_rules?.child_age_limit || 18;
+    },
+
+    /**
+     * Work out a person's age in whole years on a date
+     * @param {Object} person - { dateOfBirth?, age? }
+     * @param {string} date - Date to measure at (YYYY-MM-DD)
+     * @returns {number|null} Age, or null when neither date of birth nor age is given
+     */
+    getAge(person, date) {
+        if (person.dateOfBirth) {
+            if (!this.isValidDate(person.dateOfBirth) || person.dateOfBirth > date) {
+                throw new Error('Invalid date of birth');
+            }
+            const [birthYear, birthMonth, birthDay] = person.dateOfBirth.split('-').map(Number);
+            const [year, month, day] = date.split('-').map(Number);
+            const hadBirthday = month > birthMonth || (month === birthMonth && day >= birthDay);
+            return year - birthYear - (hadBirthday ? 0 : 1);
+        }
+
+        const age = parseInt(person.age);
+        return isNaN(age) || age < 0 ? null : age;
+    },
+
+    /**
+     * Work out the leave granted from expected start and end dates
+     * Adds the route's leave_padding (e.g. 14 days either side of a CoS) when requested.
+     * @param {Object} route - Route object
+     * @param {string} [start] - Start date (YYYY-MM-DD)
+     * @param {string} [end] - End date (YYYY-MM-DD), the last day of leave
+     * @param {boolean} [addExtraLeave=true] - Apply leave_padding
+     * @returns {Object|null} { start, end, padded, padding } or null when no dates are given
+     */
+    resolveLeavePeriod(route, start, end, addExtraLeave = true) {
+        if (!start && !end) return null;
+        if (!this.isValidDate(start) || !this.isValidDate(end) || end < start) {
+            throw new Error('Invalid leave dates');
+        }
+
+        const band = addExtraLeave ? this.getLeavePadding(route, this.getMonthsBetween(start, end)) : null;
+        if (!band) {
+            return { start, end, padded: false, padding: null };
+        }
+
+        const describe = (days, months, when) => {
+            if (months) return `${months} month${months !== 1 ? 's' : ''} ${when}`;
+            if (days) return `${days} day${days !== 1 ? 's' : ''} ${when}`;
+            return null;
+        };
+        return {
+            start: this.addDays(this.addMonths(start, -(band.before_months || 0)), -(band.before_days || 0)),
+            end: this.addDays(this.addMonths(end, band.after_months || 0), band.after_days || 0),
+            padded: true,
+            padding: [
+                describe(band.before_days, band.before_months, 'before'),
+                describe(band.after_days, band.after_months, 'after')
+            ].filter(Boolean).join(', ')
+        };
+    },
+
+    /**
+     * Work out the leave of a dependant granted to match the main applicant's
+     * The leave runs from the joining date, or the application date when that
+     * is later, until the main applicant's leave ends.
+     * @param {string} sponsorLeaveEnd - Last day of the main applicant's leave (YYYY-MM-DD)
+     * @param {string} [joiningDate] - Date the dependant expects to join (YYYY-MM-DD)
+     * @param {string} applicationDate - Date the application is submitted (YYYY-MM-DD)
+     * @returns {Object} { start, end, padded, padding }
+     */
+    resolveSponsorLeave(sponsorLeaveEnd, joiningDate, applicationDate) {
+        if (!this.isValidDate(sponsorLeaveEnd)) {
+            throw new Error('Invalid date for the end of the main applicant\'s leave');
+        }
+        if (joiningDate && !this.isValidDate(joiningDate)) {
+            throw new Error('Invalid joining date');
+        }
+
+        const start = joiningDate && joiningDate > applicationDate ? joiningDate : applicationDate;
+        if (sponsorLeaveEnd <= start) {
+            throw new Error('The main applicant\'s leave must end after the dependant joins');
+        }
+        return { start, end: sponsorLeaveEnd, padded: false, padding: null };
+    },
+
+    /**
+     * Pick the leave_padding band for a sponsored or course period
+     * @param {Object} route - Route object
+     * @param {number} periodMonths - Length of the CoS or course in months
+     * @returns {Object|null} Band with the largest min_months not above the period
+     */
+    getLeavePadding(route, periodMonths) {
+        if (!route.leave_padding || route.leave_padding.length === 0) return null;
+
+        const bands = route.leave_padding
+            .filter(band => periodMonths >= band.min_months)
+            .sort((a, b) => b.min_months - a.min_months);
+        return bands[0] || null;
+    },
+
+    /**
+     * Chargeable IHS years for an exact period of leave
+     * Each whole year is charged in full; a remaining part-year of up to
+     * ihs_half_year_threshold_months is charged as half a year, anything
+     * longer as a whole year.
+     * @param {Object} data - Parsed data files
+     * @param {string} start - First day of leave (YYYY-MM-DD)
+     * @param {string} end - Last day of leave (YYYY-MM-DD)
+     * @returns {number} Chargeable years
+     */
+    getIHSPeriod(data, start, end) {
+        const rules = data.rules.calculation_rules || {};
+        const threshold = rules.ihs_half_year_threshold_months || 6;
+        const minimum = rules.minimum_ihs_period || 0.5;
+        const endExclusive = this.addDays(end, 1);
+
+        let years = 0;
+        while (this.addMonths(start, (years + 1) * 12) <= endExclusive) {
+            years++;
+        }
+
+        const remainderStart = this.addMonths(start, years * 12);
+        if (remainderStart < endExclusive) {
+            years += this.addMonths(remainderStart, threshold) >= endExclusive ? 0.5 : 1;
+        }
+        return Math.max(years, minimum);
+    },
+
+    /**
+     * Whole months needed to cover a period, counting part months as whole
+     * @param {string} start - First day (YYYY-MM-DD)
+     * @param {string} end - Last day (YYYY-MM-DD)
+     */
+    getMonthsBetween(start, end) {
+        const endExclusive = this.addDays(end, 1);
+        let months = 0;
+        while (this.addMonths(start, months) < endExclusive) {
+            months++;
+        }
+        return months;
+    },
+
+    /**
+     * Add days to a YYYY-MM-DD date
+     */
+    addDays(date, days) {
+        const d = new Date(date + 'T00:00:00Z');
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().slice(0, 10);
+    },
+
+    /**
+     * Add calendar months to a YYYY-MM-DD date, clamping to the end of shorter months
+     */
+    addMonths(date, months) {
+        const [year, month, day] = date.split('-').map(Number);
+        const target = new Date(Date.UTC(year, month - 1 + months, 1));
+        const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        target.setUTCDate(Math.min(day, lastDay));
+        return target.toISOString().slice(0, 10);
+    },
+
+    /**
+     * Move a YYYY-MM-DD date by working days, skipping weekends (not bank holidays);
+     * negative days count back
+     */
+    addWorkingDays(date, days) {
+        const step = days < 0 ? -1 : 1;
+        let result = date;
+        for (let left = Math.abs(days); left > 0;) {
+            result = this.addDays(result, step);
+            const weekday = new Date(result + 'T00:00:00Z').getUTCDay();
+            if (weekday !== 0 && weekday !== 6) left--;
+        }
+        return result;
+    },
+
+    /**
+     * Whether the Immigration Health Surcharge is charged on a route
+     */
+    ihsApplies(route) {
+        return route.ihs_policy === 'required' || route.ihs_policy === 'required_student';
+    },
+
+    /**
+     * Get the IHS rate entry for a route in effect on a date
+     * @returns {Object} { effective_date, rate_per_year }
+     */
+    getIHSRateEntry(data, route, date = this.today()) {
+        const rateKey = route.ihs_policy === 'required_student' ? 'student' : 'standard';
+        return this.getIHSRateEntryByKey(data, rateKey, date);
+    },
+
+    /**
+     * Get an IHS rate entry by its rules.json key ('standard', 'student') in effect on a date
+     */
+    getIHSRateEntryByKey(data, rateKey, date = this.today()) {
+        return this.getEffectiveEntry(data.rules.ihs_rates[rateKey].history, date);
+    },
+
+    /**
+     * Pick the IHS rate key for one person on a route
+     * Students and their dependants pay the student rate; children and
+     * reduced-rate routes (e.g. Youth Mobility) pay the reduced rate.
+     * @param {Object} data - Parsed data files
+     * @param {Object} route - Route object
+     * @param {Object} person - Household member from resolveHousehold()
+     * @returns {string} Key in rules.ihs_rates
+     */
+    getPersonIHSRateKey(data, route, person) {
+        if (route.ihs_policy === 'required_student') return 'student';
+
+        const personRules = data.rules.ihs_person_rules;
+        if (!personRules) return 'standard';
+        if ((personRules.reduced_rate_routes || []).includes(route.route_id) || person.isChild) {
+            return personRules.reduced_rate;
+        }
+        return 'standard';
+    },
+
+    /**
+     * Get the annual IHS rate for a route
+     */
+    getIHSRate(data, route, date = this.today()) {
+        return this.getIHSRateEntry(data, route, date).rate_per_year;
+    },
+
+    /**
+     * Convert a duration to chargeable IHS years, using the same half-year rule as getIHSPeriod()
+     * @param {Object} data - Parsed data files
+     * @param {number} durationMonths - Length of leave in months
+     * @returns {number} Chargeable years (0 when no duration is given)
+     */
+    getIHSYears(data, durationMonths) {
+        if (!durationMonths || durationMonths <= 0) return 0;
+
+        const rules = data.rules.calculation_rules || {};
+        const threshold = rules.ihs_half_year_threshold_months || 6;
+        const minimum = rules.minimum_ihs_period || 0.5;
+        const remainder = durationMonths % 12;
+        const partYear = remainder === 0 ? 0 : (remainder <= threshold ? 0.5 : 1);
+        return Math.max(Math.floor(durationMonths / 12) + partYear, minimum);
+    },
+
+    /**
+     * Get fee key for route, location and duration
+     * Fee keys naming a location ('..._inside', '..._outside') are only used for
+     * that location; keys naming neither apply to both. Returns null rather than
+     * borrowing the other location's fee when the route has none for applyFrom.
+     */
+    getFeeKey(route, applyFrom, duration, isNewEntrant = false) {
+        const feeItems = (isNewEntrant && route.new_entrant_fee_items) || route.fee_items;
+        if (!feeItems || feeItems.length === 0) return null;
+
+        // Routes priced by length of leave (e.g. visitor visa validity)
+        if (route.fee_items_by_duration) {
+            const bands = Object.keys(route.fee_items_by_duration).map(Number).sort((a, b) => a - b);
+            const band = bands.find(months => duration <= months) ?? bands[bands.length - 1];
+            return route.fee_items_by_duration[band];
+        }
+
+        // Find fee item matching location
+        const location = applyFrom === 'inside_uk' ? 'inside' : 'outside';
+        return feeItems.find(f => f.includes(location)) ||
+            feeItems.find(f => !f.includes('inside') && !f.includes('outside')) ||
+            null;
+    },
+
+    /**
+     * Pick the entry in effect on a date from a dated history
+     * @param {Array} history - Entries with an effective_date (YYYY-MM-DD)
+     * @param {string} date - Date to price at (YYYY-MM-DD)
+     * @returns {Object|null} Latest entry effective on or before the date, else the earliest entry
+     */
+    getEffectiveEntry(history, date) {
+        if (!history || history.length === 0) return null;
+
+        const sorted = [...history].sort((a, b) => a.effective_date.localeCompare(b.effective_date));
+        const effective = sorted.filter(entry => entry.effective_date <= date);
+        return effective.length > 0 ? effective[effective.length - 1] : sorted[0];
+    },
+
+    /**
+     * Resolve a fee to the version in effect on a date
+     * @param {Object} data - Parsed data files
+     * @param {string} feeKey - Key in fees.json
+     * @param {string} [date] - Date to price at (YYYY-MM-DD), defaults to today
+     * @returns {Object|null} { key, name, per_person, effective_date, amount_inside_uk, amount_outside_uk }
+     */
+    resolveFee(data, feeKey, date = this.today()) {
+        const fee = data.fees[feeKey];
+        if (!fee) return null;
+
+        const version = this.getEffectiveEntry(fee.history, date);
+        if (!version) return null;
+
+        return {
+            key: feeKey,
+            name: fee.name,
+            per_person: fee.per_person,
+            ...version
+        };
+    },
+
+    /**
+     * Get fee amount for location
+     * @param {number} [duration] - Months of leave, for fees priced by duration band
+     * @returns {number|null} Fee amount, or null when the fee is unknown or not priced for that location
+     */
+    getFeeAmount(data, feeKey, applyFrom, date = this.today(), duration) {
+        const fee = this.resolveFee(data, feeKey, date);
+        if (!fee) return null;
+
+        return this.getLocationAmount(fee, applyFrom, duration);
+    },
+
+    /**
+     * Get the amount of a resolved fee version for a location
+     * The version's own amounts cover the shortest leave; a duration band
+     * replaces them for leave longer than its over_months.
+     * @param {number} [duration] - Months of leave; without it the version's own amounts are used
+     * @returns {number|null} Amount, or null when the fee is not charged from that location
+     */
+    getLocationAmount(fee, applyFrom, duration) {
+        const priced = this.getDurationBand(fee, duration) || fee;
+        const amount = applyFrom === 'inside_uk' ? priced.amount_inside_uk : priced.amount_outside_uk;
+        return amount ?? null;
+    },
+
+    /**
+     * Duration band of a fee version that applies to a length of leave
+     * @param {Object} fee - Resolved fee version
+     * @param {number} [duration] - Months of leave
+     * @returns {Object|null} { over_months, amount_inside_uk, amount_outside_uk }, or null for the version's own amounts
+     */
+    getDurationBand(fee, duration) {
+        if (!fee.duration_bands || !duration) return null;
+        return fee.duration_bands
+            .filter(band => duration > band.over_months)
+            .sort((a, b) => b.over_months - a.over_months)[0] || null;
+    },
+
+    /**
+     * Lengths of leave at which a route's application fee changes
+     * @param {Object} data - Parsed data files
+     * @param {Object} route - Route from routes.json
+     * @param {string} [date] - Date to price at (YYYY-MM-DD), defaults to today
+     * @returns {Array} Sorted over_months values of every duration band the route's fees use
+     */
+    getDurationBands(data, route, date = this.today()) {
+        const feeKeys = [...route.fee_items, ...(route.new_entrant_fee_items || [])];
+        const months = feeKeys.flatMap(feeKey => {
+            const fee = this.resolveFee(data, feeKey, date);
+            return fee && fee.duration_bands ? fee.duration_bands.map(band => band.over_months) : [];
+        });
+        return [...new Set(months)].sort((a, b) => a - b);
+    },
+
+    /**
+     * Get an optional service fee for a location
+     * @returns {number|null} Fee amount, or null when not offered from that location
+     */
+    getServiceFee(data, feeKey, applyFrom, date = this.today()) {
+        const fee = this.resolveFee(data, feeKey, date);
+        if (!fee) return null;
+
+        const amount = applyFrom === 'inside_uk' ? fee.amount_inside_uk : fee.amount_outside_uk;
+        return amount ?? null;
+    },
+
+    /**
+     * Additional cost definitions from rules.json, keyed by id
+     * @returns {Object} { [id]: { label, fee_key, paid_by, charged, default, ... } }
+     */
+    getAdditionalCosts(data) {
+        return (data.rules.additional_costs && data.rules.additional_costs.costs) || {};
+    },
+
+    /**
+     * Check whether an additional cost is included unless turned off
+     * The TB test is, for nationalities whose residents need one.
+     * @param {Object} data - Parsed data files
+     * @param {string} id - Additional cost id
+     * @param {string} [nationality] - Nationality code from nationalities.json
+     * @returns {boolean}
+     */
+    isDefaultCost(data, id, nationality) {
+        if (nationality && data.nationalities && id === data.nationalities.tb_test_cost) {
+            return this.getNationality(data.nationalities, nationality).tb_test;
+        }
+        const cost = this.getAdditionalCosts(data)[id];
+        return Boolean(cost && cost.default);
+    },
+
+    /**
+     * Additional costs that can apply to a route, in rules.json order
+     * @param {Object} data - Parsed data files
+     * @param {Object} route - Route object
+     * @param {string} [applyFrom] - Only costs needed when applying from here
+     * @param {string} [date] - Date the fees are checked for (YYYY-MM-DD), defaults to today
+     * @returns {Array} [{ id, label, fee_key, paid_by, charged, default, ... }]
+     */
+    getRouteCosts(data, route, applyFrom, date = this.today()) {
+        return Object.entries(this.getAdditionalCosts(data))
+            .filter(([id, cost]) => cost.all_routes || route.extras_supported.includes(id))
+            .filter(([, cost]) => !applyFrom || this.getServiceFee(data, cost.fee_key, applyFrom, date) !== null)
+            .map(([id, cost]) => ({ id, ...cost }));
+    },
+
+    /**
+     * Today's date (YYYY-MM-DD), the default application date
+     */
+    today() {
+        return new Date().toISOString().slice(0, 10);
+    },
+
+    /**
+     * Check a YYYY-MM-DD date string
+     */
+    isValidDate(date) {
+        // Date.parse() accepts days past the end of the month, e.g. 2026-02-30
+        return /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(Date.parse(date)) &&
+            new Date(`${date}T00:00:00Z`).toISOString().slice(0, 10) === date;
+    },
+
+    /**
+     * Describe a length of leave in years where it is whole years, e.g. 36 → '3 years'
+     */
+    describeMonths(months) {
+        if (months % 12 === 0) {
+            const years = months / 12;
+            return `${years} year${years !== 1 ? 's' : ''}`;
+        }
+        return `${months} month${months !== 1 ? 's' : ''}`;
+    },
+
+    /**
+     * Describe a processing-times.json decision time, e.g. { amount: 5, unit: 'working_days' } → '5 working days'
+     */
+    describeProcessingTime(time) {
+        const units = { working_days: 'working day', weeks: 'week', months: 'month' };
+        return `${time.amount} ${units[time.unit]}${time.amount !== 1 ? 's' : ''}`;
+    },
+
+    /**
+     * Describe an application location for assumptions and warnings
+     */
+    describeLocation(applyFrom) {
+        return applyFrom === 'inside_uk' ? 'inside the UK' : 'outside the UK';
+    },
+
+    /**
+     * Money an applicant must show, as opposed to the fees they pay
+     * Prices the financial-requirements.json requirements that apply to the
+     * route of a calculate() result, for the same household and date.
+     * @param {Object} financial - Parsed financial-requirements.json
+     * @param {Object} result - calculate() result
+     * @param {Object} [options]
+     * @param {string} [options.studyLocation='outside_london'] - 'london' or 'outside_london', for study routes
+     * @param {number} [options.courseMonths] - Months of study left, for study routes; defaults to the length of leave
+     * @param {boolean} [options.maintenanceExempt=false] - Maintenance funds are not needed (12 months in the UK,
+     *   or certified by the sponsor)
+     * @param {number} [options.income] - Yearly income counted towards a minimum income requirement
+     * @returns {Object} { requirements: [{ id, type, label, description, exemption, sourceUrl, effectiveDate,
+     *   lines, funds, income, savingsOnly, exempt }], fundsTotal, assumptions }. funds and fundsTotal are
+     *   null when a minimum income applies and no income was given
+     */
+    getFinancialRequirements(financial, result, options = {}) {
+        const assumptions = [];
+        const date = result.applicationDate;
+        const members = result.people || [];
+        const isChild = person => person.relationship === 'child' || (person.relationship === 'dependant' && person.isChild);
+        const line = (label, amount, note) => ({ label, amount, note: note || null });
+
+        const requirements = Object.entries((financial && financial.requirements) || {})
+            .filter(([, requirement]) => requirement.routes.includes(result.routeId))
+            .map(([id, requirement]) => {
+                const version = this.getEffectiveEntry(requirement.history, date);
+                const priced = {
+                    id,
+                    type: requirement.type,
+                    label: requirement.label,
+                    description: requirement.description || null,
+                    exemption: requirement.exemption || null,
+                    sourceUrl: requirement.source_url || null,
+                    effectiveDate: version.effective_date,
+                    lines: [],
+                    funds: 0,
+                    income: null,
+                    savingsOnly: null,
+                    exempt: false
+                };
+
+                if (requirement.type === 'minimum_income') {
+                    const children = members.filter(isChild).length;
+                    const required = version.income + (children > 0 ? version.first_child + version.other_child * (children - 1) : 0);
+                    priced.income = required;
+                    priced.savingsOnly = version.savings_threshold + version.savings_multiplier * required;
+                    priced.lines.push(line('Minimum yearly income', required, children > 0 && required > version.income
+                        ? `${this.formatAmount(version.income)} plus ${this.formatAmount(required - version.income)} for ${children} child${children > 1 ? 'ren' : ''}`
+                        : null));
+
+                    const income = parseFloat(options.income);
+                    if (income >= 0) {
+                        const shortfall = Math.max(required - income, 0);
+                        priced.funds = shortfall > 0 ? version.savings_threshold + version.savings_multiplier * shortfall : 0;
+                        priced.lines.push(line('Cash savings needed', priced.funds, shortfall > 0
+                            ? `${this.formatAmount(version.savings_threshold)} plus ${version.savings_multiplier} × the ${this.formatAmount(shortfall)} income shortfall`
+                            : `An income of ${this.formatAmount(income)} meets the requirement`));
+                    } else {
+                        priced.funds = null;
+                        priced.lines.push(line('Or cash savings alone', priced.savingsOnly,
+                            `${this.formatAmount(version.savings_threshold)} plus ${version.savings_multiplier} × the yearly income`));
+                    }
+                    return priced;
+                }
+
+                if (options.maintenanceExempt) {
+                    priced.exempt = true;
+                    priced.lines.push(line(requirement.label, 0, requirement.exemption));
+                    return priced;
+                }
+
+                if (requirement.type === 'monthly') {
+                    const location = options.studyLocation === 'london' ? 'london' : 'outside_london';
+                    const requested = parseInt(options.courseMonths) || result.duration || version.max_months;
+                    const months = Math.min(requested, version.max_months);
+                    const where = location === 'london' ? 'in London' : 'outside London';
+                    if (options.studyLocation !== 'london' && options.studyLocation !== 'outside_london') {
+                        assumptions.push('Studying outside London.');
+                    }
+                    members.forEach(person => {
+                        const rate = person.relationship === 'main' ? version.main[location] : version.dependant[location];
+                        priced.lines.push(line(`${requirement.label} (${person.label})`, rate * months,
+                            `${this.formatAmount(rate)}/month ${where} × ${months} month${months !== 1 ? 's' : ''}`));
+                    });
+                    if (requested > version.max_months) {
+                        assumptions.push(`Maintenance funds are capped at ${version.max_months} months.`);
+                    }
+                } else {
+                    let children = 0;
+                    members.forEach(person => {
+                        if (person.relationship === 'main') {
+                            if (version.main > 0) priced.lines.push(line(`${requirement.label} (${person.label})`, version.main));
+                        } else if (isChild(person)) {
+                            priced.lines.push(line(`${requirement.label} (${person.label})`, children++ === 0 ? version.first_child : version.other_child,
+                                children > 1 ? 'Each further child' : 'First child'));
+                        } else {
+                            priced.lines.push(line(`${requirement.label} (${person.label})`, version.partner));
+                        }
+                    });
+                }
+                priced.funds = priced.lines.reduce((sum, item) => sum + item.amount, 0);
+                return priced;
+            });
+
+        // Without an income the savings needed are unknown, so there is no single total
+        return {
+            requirements,
+            fundsTotal: requirements.some(requirement => requirement.funds === null)
+                ? null
+                : requirements.reduce((sum, requirement) => sum + requirement.funds, 0),
+            assumptions
+        };
+    },
+
+    /**
+     * Fill {financial:<requirement>.<path>} placeholders in route copy with amounts
+     * from the financial-requirements.json version in force, so FAQ answers
+     * cannot drift from the figures the calculator shows
+     * e.g. {financial:student_maintenance.main.london} becomes "£1,483".
+     * @param {string} text - Copy from content/routes/*.json
+     * @param {Object|null} financial - Parsed financial-requirements.json; without it
+     *   each amount is replaced by a pointer to GOV.UK
+     * @param {string} [date] - YYYY-MM-DD, defaults to today
+     * @returns {string}
+     * @throws {Error} When a placeholder names no amount in the data
+     */
+    fillAmounts(text, financial, date = this.today()) {
+        return String(text).replace(/\{financial:([\w.]+)\}/g, (placeholder, path) => {
+            if (!financial) return 'the amount on GOV.UK';
+            const [id, ...keys] = path.split('.');
+            const requirement = (financial.requirements || {})[id];
+            const version = requirement ? this.getEffectiveEntry(requirement.history, date) : null;
+            const amount = keys.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), version);
+            if (typeof amount !== 'number') {
+                throw new Error(`No amount for ${placeholder}`);
+            }
+            return this.formatAmount(amount);
+        });
+    },
+
+    /**
+     * Encode getFinancialRequirements() options for a shared link, leaving out the defaults
+     * @param {Object} options - getFinancialRequirements() options
+     * @returns {string} Query string without the leading '?'
+     */
+    encodeFinancialOptions(options = {}) {
+        const query = new URLSearchParams();
+        if (options.studyLocation === 'london') query.set('study_location', 'london');
+        if (options.courseMonths) query.set('course_months', options.courseMonths);
+        if (options.income !== undefined && options.income !== null) query.set('income', options.income);
+        if (options.maintenanceExempt) query.set('maintenance_exempt', 1);
+        return query.toString();
+    },
+
+    /**
+     * Read getFinancialRequirements() options back from a shared link
+     * @param {string|URLSearchParams} query - Query string or parsed parameters
+     * @returns {Object} { options, rejected } — rejected names the malformed keys
+     */
+    decodeFinancialOptions(query) {
+        const search = typeof query === 'string' ? new URLSearchParams(query) : query;
+        const options = {};
+        const rejected = [];
+        const read = (key, valid, apply) => {
+            if (!search.has(key)) return;
+            const value = search.get(key);
+            if (valid(value)) {
+                apply(value);
+            } else {
+                rejected.push(key);
+            }
+        };
+
+        read('study_location', value => value === 'london' || value === 'outside_london', value => { options.studyLocation = value; });
+        read('course_months', value => /^\d+$/.test(value) && value > 0 && value <= 120, value => { options.courseMonths = Number(value); });
+        read('income', value => /^\d+(\.\d{1,2})?$/.test(value), value => { options.income = Number(value); });
+        read('maintenance_exempt', value => value === '1', () => { options.maintenanceExempt = true; });
+        return { options, rejected };
+    },
+
+    /**
+     * When to apply to have a decision by a date, under each processing speed
+     * Works back from the target date by the usual decision time in
+     * processing-times.json and a buffer for the biometrics appointment, and
+     * prices the application with each service, so the cost of a faster
+     * decision sits beside the date it buys.
+     * @param {Object} processing - Parsed processing-times.json
+     * @param {Object} data - Parsed data files: { routes, fees, rules, nationalities? }
+     * @param {Object} params - calculate() parameters; Priority and Super Priority in them are ignored
+     * @param {string} targetDate - Date the decision is needed by, e.g. the start or travel date (YYYY-MM-DD)
+     * @param {string} [fromDate] - First day the application could be made, defaults to today
+     * @returns {Object|null} { routeId, routeName, applyFrom, targetDate, fromDate, earliestSubmission, bufferDays,
+     *   options: [{ service, label, available, reason, processingTime, latestSubmission, feasible, total, extraCost }],
+     *   recommended, summary, sourceUrl, assumptions }. recommended is the service of the cheapest option
+     *   that meets the target date. null when no decision times are recorded for the route and location
+     */
+    planSubmission(processing, data, params, targetDate, fromDate = this.today()) {
+        if (!this.isValidDate(targetDate)) {
+            throw new Error('Invalid target date');
+        }
+        const faster = this.services.filter(service => service.feeKey === 'priority' || service.feeKey === 'super_priority');
+        const withoutServices = { ...params };
+        faster.forEach(service => {
+            withoutServices[service.param] = false;
+        });
+
+        const standard = this.calculate(data, withoutServices);
+        const route = this.getRoute(data, standard.routeId);
+        const applyFrom = standard.applyFrom;
+        const location = this.describeLocation(applyFrom);
+        const profile = standard.visaFree === 'eta'
+            ? processing.eta
+            : processing.profiles[(processing.routes[route.route_id] || {})[applyFrom]];
+
+        const plan = {
+            routeId: route.route_id,
+            routeName: route.name,
+            applyFrom,
+            targetDate,
+            fromDate,
+            earliestSubmission: null,
+            bufferDays: null,
+            options: [],
+            recommended: null,
+            summary: null,
+            sourceUrl: null,
+            assumptions: []
+        };
+        if (standard.visaFree === 'exempt') {
+            plan.summary = 'Neither a visa nor an ETA is needed with this nationality, so there is nothing to apply for.';
+            return plan;
+        }
+        if (!profile) return null;
+
+        const buffer = profile.buffer_working_days ?? processing.buffer_working_days[applyFrom];
+        const before = (date, time) => {
+            if (time.unit === 'working_days') return this.addWorkingDays(date, -time.amount);
+            if (time.unit === 'weeks') return this.addDays(date, -7 * time.amount);
+            return this.addMonths(date, -time.amount);
+        };
+
+        plan.earliestSubmission = profile.earliest_months ? this.addMonths(targetDate, -profile.earliest_months) : null;
+        plan.bufferDays = buffer;
+        plan.sourceUrl = profile.source_url || null;
+        plan.options = [{ feeKey: 'standard', label: 'Standard Service' }, ...faster].map(service => {
+            const time = profile[service.feeKey] || null;
+            let reason = null;
+            if (service.param) {
+                if (standard.visaFree) {
+                    reason = `${service.label} is not available without a visa application.`;
+                } else if (!route.extras_supported.includes(service.extra)) {
+                    reason = `${service.label} is not available for the ${route.name}.`;
+                } else if (!time || this.getServiceFee(data, service.feeKey, applyFrom, standard.applicationDate) === null) {
+                    reason = `${service.label} is not available when applying from ${location}.`;
+                }
+            }
+            const available = reason === null;
+            const result = !available ? null : service.param ? this.calculate(data, { ...withoutServices, [service.param]: true }) : standard;
+            const latestSubmission = available ? this.addWorkingDays(before(targetDate, time), -buffer) : null;
+
+            return {
+                service: service.feeKey,
+                label: service.label,
+                available,
+                reason,
+                processingTime: available ? this.describeProcessingTime(time) : null,
+                latestSubmission,
+                feasible: available && latestSubmission >= fromDate,
+                total: result ? result.total : null,
+                extraCost: result ? result.total - standard.total : null
+            };
+        });
+
+        // The cheapest option that still makes it answers "is the faster service worth paying for?"
+        const best = plan.options
+            .filter(option => option.feasible)
+            .reduce((cheapest, option) => (!cheapest || option.total < cheapest.total ? option : cheapest), null);
+        if (!best) {
+            plan.summary = `No option available from ${location} gets a decision by ${targetDate} for an application made on ${fromDate} or later.`;
+        } else if (best.service === 'standard') {
+            plan.recommended = best.service;
+            plan.summary = `Apply by ${best.latestSubmission} with the standard service; no faster service is needed.`;
+        } else {
+            plan.recommended = best.service;
+            plan.summary = `A standard application is too late for ${targetDate}. ${best.label} is the cheapest option that meets it, ` +
+                `for ${this.formatAmount(best.extraCost)} more; apply by ${best.latestSubmission}.`;
+        }
+
+        plan.assumptions.push(`Decision times are the usual ones for ${profile.label}; they are service standards, not guarantees.`);
+        if (buffer > 0) {
+            plan.assumptions.push(`${buffer} working days are allowed for the biometrics appointment and for the decision to reach you.`);
+        }
+        plan.assumptions.push('Working days skip weekends but not bank holidays.');
+        if (plan.earliestSubmission && plan.earliestSubmission > fromDate) {
+            plan.assumptions.push(`Applications can be made from ${plan.earliestSubmission}, ${this.describeMonths(profile.earliest_months)} before the target date.`);
+        }
+        plan.assumptions.push(`Costs are for the whole application with the fees in force on ${standard.applicationDate}.`);
+        return plan;
+    },
+
+    /**
+     * Convert a pound amount for display in another currency
+     * @param {Object} rates - Parsed exchange-rates.json
+     * @param {number} amount - Amount in GBP
+     * @param {string} code - ISO 4217 currency code
+     * @returns {number|null} Converted amount, or null when the currency is not listed
+     */
+    convertCurrency(rates, amount, code) {
+        const currency = rates && rates.currencies[code];
+        return currency ? amount * currency.rate : null;
+    },
+
+    /**
+     * Format a pound amount in another currency, rounded to whole units
+     * as the rates are indicative
+     * @returns {string} e.g. '≈ ₹81,792', or '' when the currency is not listed
+     */
+    formatConverted(rates, amount, code) {
+        const converted = this.convertCurrency(rates, amount, code);
+        if (converted === null) return '';
+        return '≈ ' + converted.toLocaleString('en-GB', { style: 'currency', currency: code, minimumFractionDigits: 0, maximumFractionDigits: 0 });
+    },
+
+    /**
+     * Explain a converted amount: the rate used, where it came from, and that fees are charged in pounds
+     */
+    describeExchangeRate(rates, code) {
+        const currency = rates && rates.currencies[code];
+        if (!currency) return '';
+        return `Fees are payable in GBP (£). ${currency.name} amounts are indicative, converted at £1 = ${currency.rate} ${code} ` +
+            `(${rates.source}, ${rates.effective_date}).`;
+    },
+
+    /**
+     * Format an amount in pounds for notes
+     */
+    formatAmount(amount) {
+        const pence = Number.isInteger(amount) ? {} : { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+        return '£' + amount.toLocaleString('en-GB', pence);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FeeEngine;
+}
@@ -0,0 +1,70 @@
+/**
+ * Type declarations for js/quote-export.js so the Next.js app can export the
+ * same quote documents as the static pages.
+ */
+
+import type FeeEngine from "./fee-engine";
+
+declare namespace QuoteExport {
+  type Detail = {
+    label: string;
+    value: string;
+  };
+
+  type Line = {
+    category: FeeEngine.BreakdownItem["category"];
+    label: string;
+    amount: number;
+    note: string | null;
+    paidBy: FeeEngine.PaidBy;
+  };
+
+  type Quote = {
+    reference: string;
+    generatedAt: string;
+    routeId: string;
+    routeName: string;
+    url: string | null;
+    details: Detail[];
+    lines: Line[];
+    totals: {
+      visaFees: number;
+      ihs: number;
+      optionalServices: number;
+      otherCosts: number;
+      applicant: number;
+      employer: number;
+    };
+    total: number;
+    feeSchedule: FeeEngine.Result["feeSchedule"];
+    assumptions: string[];
+    warnings: string[];
+  };
+
+  type Format = "pdf" | "csv" | "json";
+}
+
+declare const QuoteExport: {
+  create(result: FeeEngine.Result, options?: { url?: string; generatedAt?: Date }): QuoteExport.Quote;
+  getReference(quote: Omit<QuoteExport.Quote, "reference">): string;
+  getFileName(quote: QuoteExport.Quote, extension: QuoteExport.Format): string;
+  toJSON(quote: QuoteExport.Quote): string;
+  toCSV(quote: QuoteExport.Quote): string;
+  joinCSV(rows: string[][]): string;
+  splitCSV(text: string): string[][];
+  hireColumns: string[];
+  getHiresTemplate(): string;
+  parseHiresCSV(text: string): { hires: FeeEngine.Hire[]; errors: string[] };
+  hiresToCSV(batch: FeeEngine.HireBatch): string;
+  toPDF(quote: QuoteExport.Quote): Uint8Array;
+  buildPDF(contents: string[], page: { width: number; height: number }): Uint8Array;
+  winAnsiExtras: Record<string, number>;
+  toWinAnsi(value: string): string;
+  encodeWinAnsi(value: string): Uint8Array;
+  escapePDFText(value: string): string;
+  measureText(value: string, size: number): number;
+  wrapText(value: string, width: number, size: number): string[];
+  formatAmount(amount: number): string;
+};
+
+export = QuoteExport;
@@ -0,0 +1,552 @@
+/**
+ * Quote Export - Downloadable quote documents (PDF, CSV, JSON)
+ *
+ * Turns a FeeEngine.calculate() result into a quote with a reference number
+ * and renders it without the DOM or any library, so the static pages and the
+ * Next.js calculator produce identical files entirely in the browser. Also
+ * reads and writes the hire lists priced by FeeEngine.priceHires().
+ */
+
+const QuoteExport = {
+    /**
+     * Build a quote from a calculation result
+     * @param {Object} result - FeeEngine.calculate() result
+     * @param {Object} [options]
+     * @param {string} [options.url] - Link that reopens the quote (see FeeEngine.encodeQuery)
+     * @param {Date} [options.generatedAt] - When the quote was produced, defaults to now
+     * @returns {Object} { reference, generatedAt, routeId, routeName, url, details, lines,
+     *   totals, total, feeSchedule, assumptions, warnings }
+     */
+    create(result, options = {}) {
+        const generatedAt = (options.generatedAt || new Date()).toISOString();
+        const details = [
+            { label: 'Visa route', value: result.routeName },
+            { label: 'Applying from', value: result.applyFrom === 'inside_uk' ? 'Inside the UK' : 'Outside the UK' },
+            { label: 'Application date', value: result.applicationDate }
+        ];
+        if (result.leavePeriod) {
+            details.push({ label: 'Leave period', value: `${result.leavePeriod.start} to ${result.leavePeriod.end}` });
+        } else if (result.duration) {
+            details.push({ label: 'Duration', value: `${result.duration} months` });
+        }
+        details.push(
+            { label: 'Main applicants', value: String(result.applicants) },
+            { label: 'Dependants', value: String(result.dependants) }
+        );
+        result.people.forEach(person => {
+            const age = person.age !== null ? `, age ${person.age}` : '';
+            details.push({ label: person.label, value: `${person.isChild ? 'Under 18' : 'Adult'}${age}` });
+        });
+
+        const quote = {
+            reference: '',
+            generatedAt,
+            routeId: result.routeId,
+            routeName: result.routeName,
+            url: options.url || null,
+            details,
+            lines: result.breakdown.map(item => ({
+                category: item.category,
+                label: item.label,
+                amount: item.amount,
+                note: item.note || null,
+                paidBy: item.paidBy
+            })),
+            totals: {
+                visaFees: result.visaFeeTotal,
+                ihs: result.ihsTotal,
+                optionalServices: result.optionalServicesTotal,
+                otherCosts: result.otherCostsTotal,
+                applicant: result.applicantTotal,
+                employer: result.employerTotal
+            },
+            total: result.total,
+            feeSchedule: result.feeSchedule,
+            assumptions: result.assumptions,
+            warnings: result.warnings
+        };
+        quote.reference = this.getReference(quote);
+        return quote;
+    },
+
+    /**
+     * Reference number: generation date plus a checksum of the priced content,
+     * so two copies of the same quote share a reference and any edit changes it
+     * @param {Object} quote - Quote without its reference
+     * @returns {string} e.g. 'UKV-20261018-3K9QZ1'
+     */
+    getReference(quote) {
+        const content = JSON.stringify([quote.routeId, quote.details, quote.lines, quote.total, quote.feeSchedule]);
+        // FNV-1a, 32-bit
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < content.length; i++) {
+            hash ^= content.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        const checksum = hash.toString(36).toUpperCase().padStart(7, '0');
+        return `UKV-${quote.generatedAt.slice(0, 10).replace(/-/g, '')}-${checksum}`;
+    },
+
+    /**
+     * Suggested download name
+     * @param {Object} quote - Quote from create()
+     * @param {string} extension - 'pdf', 'csv' or 'json'
+     */
+    getFileName(quote, extension) {
+        return `visa-quote-${quote.reference}.${extension}`;
+    },
+
+    /**
+     * Quote as JSON
+     */
+    toJSON(quote) {
+        return JSON.stringify(quote, null, 2);
+    },
+
+    /**
+     * Quote as CSV, one row per detail, cost line, assumption and warning
+     * Amounts are plain numbers in pounds so spreadsheets can total them.
+     */
+    toCSV(quote) {
+        const rows = [
+            ['Section', 'Item', 'Value', 'Note'],
+            ['Quote', 'Reference', quote.reference, ''],
+            ['Quote', 'Generated', quote.generatedAt, ''],
+            ['Quote', 'Fees effective from', quote.feeSchedule.feesEffectiveDate || '', ''],
+            ['Quote', 'IHS rates effective from', quote.feeSchedule.ihsEffectiveDate || '', '']
+        ];
+        if (quote.url) rows.push(['Quote', 'Link', quote.url, '']);
+        quote.details.forEach(detail => rows.push(['Application', detail.label, detail.value, '']));
+        quote.lines.forEach(line => rows.push([
+            'Cost',
+            line.paidBy === 'employer' ? `${line.label} (employer)` : line.label,
+            String(line.amount),
+            line.note || ''
+        ]));
+        rows.push(['Cost', 'Total', String(quote.total), 'GBP']);
+        if (quote.totals.employer > 0) {
+            rows.push(['Cost', 'Paid by the applicant', String(quote.totals.applicant), 'GBP']);
+            rows.push(['Cost', 'Paid by the employer', String(quote.totals.employer), 'GBP']);
+        }
+        quote.assumptions.forEach(text => rows.push(['Assumption', '', text, '']));
+        quote.warnings.forEach(text => rows.push(['Warning', '', text, '']));
+        return this.joinCSV(rows);
+    },
+
+    /**
+     * Join rows of strings into CSV text, quoting values that need it
+     * Text starting with =, +, -, @, a tab or a carriage return is prefixed
+     * with ' so a spreadsheet shows it rather than running it as a formula;
+     * negative amounts stay numbers.
+     */
+    joinCSV(rows) {
+        const protect = value => (/^[=+\-@\t\r]/.test(value) && !/^-\d+(\.\d+)?$/.test(value) ? `'${value}` : value);
+        const escape = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+        return rows.map(row => row.map(value => escape(protect(value))).join(',')).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Split CSV text into rows of strings
+     * Handles quoted values with commas, doubled quotes and line breaks.
+     */
+    splitCSV(text) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+        const source = String(text).replace(/^\uFEFF/, '');
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        if (value || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+        return rows;
+    },
+
+    /**
+     * Columns of a hire list CSV, as read by parseHiresCSV()
+     */
+    hireColumns: ['reference', 'route', 'apply_from', 'duration_months', 'start_date', 'partners', 'children', 'new_entrant'],
+
+    /**
+     * A hire list CSV with the expected columns and two example hires
+     */
+    getHiresTemplate() {
+        return this.joinCSV([
+            this.hireColumns,
+            ['Software engineer', 'skilled-worker', 'outside_uk', '36', '2026-09-01', '1', '2', 'no'],
+            ['Graduate trainee', 'skilled-worker', 'inside_uk', '24', '', '0', '0', 'yes']
+        ]);
+    },
+
+    /**
+     * Read a hire list CSV into FeeEngine.priceHires() hires
+     * The first row names the columns (see hireColumns); only route is required.
+     * Rows with unreadable values are skipped and reported, so one bad row does
+     * not stop the rest of the list. Route ids and dates are checked when priced.
+     * @param {string} text - CSV file contents
+     * @returns {Object} { hires, errors: [message] }
+     */
+    parseHiresCSV(text) {
+        const rows = this.splitCSV(text).filter(row => row.some(value => value.trim() !== ''));
+        if (rows.length === 0) {
+            return { hires: [], errors: ['The file is empty.'] };
+        }
+
+        const header = rows[0].map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+        if (!header.includes('route')) {
+            return { hires: [], errors: ['The first row must name the columns, including "route".'] };
+        }
+
+        const hires = [];
+        const errors = [];
+        rows.slice(1).forEach((row, i) => {
+            const values = {};
+            header.forEach((name, column) => { values[name] = (row[column] || '').trim(); });
+            const problems = [];
+            const count = (name, max) => {
+                if (!values[name]) return undefined;
+                const number = Number(values[name]);
+                if (!Number.isInteger(number) || number < 0 || number > max) {
+                    problems.push(`${name} must be a whole number from 0 to ${max}`);
+                }
+                return number;
+            };
+
+            const applyFrom = (values.apply_from || '').toLowerCase();
+            if (applyFrom && applyFrom !== 'inside_uk' && applyFrom !== 'outside_uk') {
+                problems.push('apply_from must be inside_uk or outside_uk');
+            }
+            const newEntrant = (values.new_entrant || '').toLowerCase();
+            if (newEntrant && !['yes', 'no', 'true', 'false', '1', '0'].includes(newEntrant)) {
+                problems.push('new_entrant must be yes or no');
+            }
+            if (!values.route) {
+                problems.push('route is missing');
+            }
+            const hire = {
+                reference: values.reference || undefined,
+                routeId: values.route,
+                applyFrom: applyFrom || undefined,
+                duration: count('duration_months', 120),
+                startDate: values.start_date || undefined,
+                partners: count('partners', 10),
+                children: count('children', 10),
+                isNewEntrant: ['yes', 'true', '1'].includes(newEntrant)
+            };
+
+            if (problems.length > 0) {
+                errors.push(`Row ${i + 2}${values.reference ? ` (${values.reference})` : ''}: ${problems.join('; ')}.`);
+            } else {
+                hires.push(hire);
+            }
+        });
+        return { hires, errors };
+    },
+
+    /**
+     * A priced hire list as CSV: one row per hire, a subtotal per route and the overall total
+     * Amounts are plain numbers in pounds; hires that could not be priced keep their reason.
+     * @param {Object} batch - FeeEngine.priceHires() result
+     */
+    hiresToCSV(batch) {
+        const rows = [[
+            'Reference', 'Route', 'Applying from', 'Duration (months)', 'Leave period', 'People',
+            'Visa fees', 'IHS', 'Optional services', 'Other costs',
+            'Paid by the employee', 'Paid by the employer', 'Total', 'Notes'
+        ]];
+        batch.hires.forEach(hire => {
+            const result = hire.result;
+            if (!result) {
+                rows.push([hire.reference, hire.routeName, '', '', '', '', '', '', '', '', '', '', '', hire.error]);
+                return;
+            }
+            rows.push([
+                hire.reference,
+                hire.routeName,
+                result.applyFrom === 'inside_uk' ? 'Inside the UK' : 'Outside the UK',
+                result.duration ? String(result.duration) : '',
+                result.leavePeriod ? `${result.leavePeriod.start} to ${result.leavePeriod.end}` : '',
+                String(result.people.length),
+                String(result.visaFeeTotal),
+                String(result.ihsTotal),
+                String(result.optionalServicesTotal),
+                String(result.otherCostsTotal),
+                String(result.applicantTotal),
+                String(result.employerTotal),
+                String(result.total),
+                hire.notes.join(' ')
+            ]);
+        });
+        batch.routes.forEach(route => rows.push([
+            'Subtotal', route.routeName, '', '', '', String(route.people), '', '', '', '',
+            String(route.applicantTotal), String(route.employerTotal), String(route.total),
+            `${route.hires} hire${route.hires !== 1 ? 's' : ''}`
+        ]));
+        const totals = batch.totals;
+        rows.push([
+            'Total', '', '', '', '', String(totals.people),
+            String(totals.visaFees), String(totals.ihs), String(totals.optionalServices), String(totals.otherCosts),
+            String(totals.applicant), String(totals.employer), String(totals.total),
+            `${totals.priced} of ${totals.hires} hires priced`
+        ]);
+        return this.joinCSV(rows);
+    },
+
+    /**
+     * Quote as an A4 PDF document
+     * Uses the built-in Helvetica fonts, so any character outside Windows-1252
+     * is replaced with '?'.
+     * @param {Object} quote - Quote from create()
+     * @returns {Uint8Array} PDF file contents
+     */
+    toPDF(quote) {
+        const page = { width: 595, height: 842, margin: 50 };
+        const contentWidth = page.width - page.margin * 2;
+        const pages = [];
+        let ops = null;
+        let y = 0;
+
+        const newPage = () => {
+            ops = [];
+            pages.push(ops);
+            y = page.height - page.margin;
+        };
+        const ensureSpace = height => {
+            if (y - height < page.margin + 30) newPage();
+        };
+        const text = (value, x, size, bold = false, grey = false) => {
+            ops.push(`${grey ? '0.4 0.4 0.4' : '0 0 0'} rg BT /${bold ? 'F2' : 'F1'} ${size} Tf ${Number(x.toFixed(2))} ${y} Td (${this.escapePDFText(value)}) Tj ET`);
+        };
+        const paragraph = (value, size, options = {}) => {
+            const indent = options.indent || 0;
+            this.wrapText(value, contentWidth - indent - (options.reserve || 0), size).forEach(line => {
+                ensureSpace(size + 3);
+                y -= size + 3;
+                text(line, page.margin + indent, size, options.bold, options.grey);
+            });
+        };
+        const row = (label, amount, size, options = {}) => {
+            const amountText = this.formatAmount(amount);
+            const lines = this.wrapText(label, contentWidth - 100, size);
+            ensureSpace(lines.length * (size + 3));
+            lines.forEach((line, i) => {
+                y -= size + 3;
+                text(line, page.margin, size, options.bold);
+                if (i === 0) {
+                    text(amountText, page.margin + contentWidth - this.measureText(amountText, size), size, options.bold);
+                }
+            });
+        };
+        const rule = () => {
+            y -= 6;
+            ops.push(`0.8 0.8 0.8 RG 0.5 w ${page.margin} ${y} m ${page.margin + contentWidth} ${y} l S`);
+        };
+        const heading = value => {
+            ensureSpace(40);
+            y -= 14;
+            paragraph(value, 12, { bold: true });
+            rule();
+        };
+
+        newPage();
+        paragraph('UK Visa Cost Estimate', 18, { bold: true });
+        y -= 4;
+        paragraph(`Reference: ${quote.reference}`, 10);
+        paragraph(`Generated: ${quote.generatedAt.slice(0, 10)}`, 10);
+        if (quote.feeSchedule.feesEffectiveDate) {
+            paragraph(`Fee schedule effective: ${quote.feeSchedule.feesEffectiveDate}`, 10);
+        }
+        if (quote.feeSchedule.ihsEffectiveDate) {
+            paragraph(`IHS rates effective: ${quote.feeSchedule.ihsEffectiveDate}`, 10);
+        }
+
+        heading('Application');
+        quote.details.forEach(detail => paragraph(`${detail.label}: ${detail.value}`, 10));
+
+        heading('Cost breakdown');
+        quote.lines.forEach(line => {
+            row(line.paidBy === 'employer' ? `${line.label} (paid by the employer)` : line.label, line.amount, 10);
+            if (line.note) paragraph(line.note, 8, { indent: 10, reserve: 100, grey: true });
+            y -= 3;
+        });
+        rule();
+        row('Estimated total', quote.total, 12, { bold: true });
+        if (quote.totals.employer > 0) {
+            row('Paid by the applicant', quote.totals.applicant, 10);
+            row('Paid by the employer', quote.totals.employer, 10);
+        }
+
+        if (quote.assumptions.length > 0) {
+            heading('Assumptions used');
+            quote.assumptions.forEach(value => paragraph(`- ${value}`, 9));
+        }
+        if (quote.warnings.length > 0) {
+            heading('Please note');
+            quote.warnings.forEach(value => paragraph(`- ${value}`, 9));
+        }
+        if (quote.url) {
+            heading('Reopen this estimate');
+            paragraph(quote.url, 8, { grey: true });
+        }
+
+        // Footer on every page
+        pages.forEach((pageOps, index) => {
+            const footer = `${quote.reference}  |  Estimate only, not legal advice  |  Page ${index + 1} of ${pages.length}`;
+            pageOps.push(`0.4 0.4 0.4 rg BT /F1 8 Tf ${page.margin} ${page.margin - 20} Td (${this.escapePDFText(footer)}) Tj ET`);
+        });
+
+        return this.buildPDF(pages.map(pageOps => pageOps.join('\n')), page);
+    },
+
+    /**
+     * Assemble PDF objects, cross-reference table and trailer
+     * @param {Array} contents - Content stream per page
+     * @param {Object} page - { width, height }
+     * @returns {Uint8Array}
+     */
+    buildPDF(contents, page) {
+        const objects = [];
+        const pageIds = contents.map((_, i) => 5 + i * 2);
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${contents.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+        contents.forEach((content, i) => {
+            const length = this.encodeWinAnsi(content).length;
+            objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+            objects[pageIds[i] + 1] = `<< /Length ${length} >>\nstream\n${content}\nendstream`;
+        });
+
+        // Content is Windows-1252, one byte per character, so string lengths are byte offsets
+        let output = '%PDF-1.4\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = output.length;
+            output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+        const xref = output.length;
+        output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+        return this.encodeWinAnsi(output);
+    },
+
+    /**
+     * Characters above U+00FF that Windows-1252 can still show
+     */
+    winAnsiExtras: {
+        '€': 0x80, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+        '•': 0x95, '–': 0x96, '—': 0x97, '…': 0x85
+    },
+
+    /**
+     * Normalise text to characters the PDF fonts can show, one per byte
+     */
+    toWinAnsi(value) {
+        return Array.from(String(value), char => {
+            if (this.winAnsiExtras[char] !== undefined) return String.fromCharCode(this.winAnsiExtras[char]);
+            const code = char.charCodeAt(0);
+            return (code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff) ? char : '?';
+        }).join('');
+    },
+
+    /**
+     * Encode an already normalised string as bytes
+     */
+    encodeWinAnsi(value) {
+        return Uint8Array.from(value, char => char.charCodeAt(0) & 0xff);
+    },
+
+    /**
+     * Escape text for a PDF string literal
+     */
+    escapePDFText(value) {
+        return this.toWinAnsi(value).replace(/([\\()])/g, '\\$1');
+    },
+
+    /**
+     * Approximate Helvetica advance widths (1/1000 em), close enough for wrapping
+     */
+    measureText(value, size) {
+        const narrow = 'ijl\'|';
+        const thin = ' ,.:;/!fIt[]';
+        const medium = 'r()-"*';
+        const wide = 'mwMW@%';
+        let width = 0;
+        for (const char of value) {
+            if (narrow.includes(char)) width += 222;
+            else if (thin.includes(char)) width += 278;
+            else if (medium.includes(char)) width += 333;
+            else if (wide.includes(char)) width += 889;
+            else if (char >= 'A' && char <= 'Z') width += 667;
+            else width += 556;
+        }
+        return (width * size) / 1000;
+    },
+
+    /**
+     * Split text into lines that fit a width, breaking long words if needed
+     */
+    wrapText(value, width, size) {
+        const lines = [];
+        let line = '';
+        String(value).split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (this.measureText(candidate, size) <= width) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            line = word;
+            while (this.measureText(line, size) > width && line.length > 1) {
+                let cut = line.length - 1;
+                while (cut > 1 && this.measureText(line.slice(0, cut), size) > width) cut--;
+                lines.push(line.slice(0, cut));
+                line = line.slice(cut);
+            }
+        });
+        if (line) lines.push(line);
+        return lines.length > 0 ? lines : [''];
+    },
+
+    /**
+     * Format pounds for the PDF, always with pence so columns line up
+     */
+    formatAmount(amount) {
+        return '£' + amount.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuoteExport;
+}
@@ -55,7 +55,18 @@ const UI = {
      * @returns {string} Formatted currency string
      */
     formatCurrency(amount) {
-        return '£' + amount.toLocaleString('en-GB');
+        // Half-year IHS charges can leave pence, e.g. £517.50
+        const pence = Number.isInteger(amount) ? {} : { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+        return '£' + amount.toLocaleString('en-GB', pence);
+    },
+
+    /**
+     * Escape text for use in HTML content or attribute values
+     * @param {*} value - Text to escape (null and undefined become '')
+     * @returns {string} Escaped text
+     */
+    escapeHTML(value) {
+        return String(value ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
     },
 
     /**
@@ -72,17 +83,89 @@ const UI = {
      * Show error message
      * @param {HTMLElement} element - Element to show error in
      * @param {string} message - Error message
+     * @param {Function} [onRetry] - Adds a "Try again" button that calls this
      */
-    showError(element, message) {
+    showError(element, message, onRetry) {
         if (element) {
             element.innerHTML = `
         <div class="card" style="background-color: #fee2e2; border-color: #dc2626;">
           <p style="color: #991b1b; margin: 0;"><strong>Error:</strong> ${message}</p>
+          ${onRetry ? '<button type="button" class="btn btn-secondary error-retry">Try again</button>' : ''}
         </div>
       `;
+            if (onRetry) {
+                element.querySelector('.error-retry').addEventListener('click', () => {
+                    this.showLoading(element);
+                    onRetry();
+                });
+            }
         }
     },
 
+    /**
+     * Message for data that could not be loaded, depending on the connection
+     * @returns {string}
+     */
+    getLoadErrorMessage() {
+        return navigator.onLine === false
+            ? 'You appear to be offline, and the fee data has not been saved on this device yet. Connect and try again.'
+            : 'The fee data could not be loaded. Check your connection and try again.';
+    },
+
+    /**
+     * Show a dismissable notice at the top of the page, replacing any shown before
+     * @param {string} message - Notice text (HTML)
+     * @param {Object} [action] - { label, onClick } for a button beside the text
+     */
+    showNotice(message, action) {
+        document.querySelector('.page-notice')?.remove();
+        const notice = this.createElement('div', { className: 'page-notice', role: 'status' }, `
+        <span>${message}</span>
+        ${action ? `<button type="button" class="btn btn-secondary" data-notice="action">${action.label}</button>` : ''}
+        <button type="button" class="page-notice-close" data-notice="close" aria-label="Dismiss">×</button>
+      `);
+        notice.querySelector('[data-notice="close"]').addEventListener('click', () => notice.remove());
+        if (action) {
+            notice.querySelector('[data-notice="action"]').addEventListener('click', () => {
+                notice.remove();
+                action.onClick();
+            });
+        }
+        document.body.prepend(notice);
+    },
+
+    /**
+     * "Fee data as of ..." line for a result
+     * @param {Object|null} status - DataLoader.getDataStatus()
+     * @returns {string} HTML, empty when nothing is known
+     */
+    formatDataStatus(status) {
+        if (!status) return '';
+        const options = { day: 'numeric', month: 'long', year: 'numeric' };
+        const fetched = `downloaded ${new Date(status.fetchedAt).toLocaleDateString('en-GB', options)}`;
+        // A YYYY-MM-DD date parses as midnight UTC, so is shown in UTC to keep its day
+        const asOf = status.dataDate
+            ? `Fee data as of ${new Date(status.dataDate).toLocaleDateString('en-GB', { ...options, timeZone: 'UTC' })}, ${fetched}.`
+            : `Fee data ${fetched}.`;
+        const offline = status.offline ? ' You are offline, so this is the copy saved on this device.' : '';
+        return `<p class="data-status">${asOf}${offline}</p>`;
+    },
+
+    /**
+     * Save generated content as a file download
+     * @param {string} fileName - Suggested file name
+     * @param {string|Uint8Array} content - File contents
+     * @param {string} type - MIME type
+     */
+    downloadFile(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = this.createElement('a', { href: url, download: fileName });
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
     /**
      * Create element with attributes
      * @param {string} tag - HTML tag name
@@ -0,0 +1,45 @@
+/**
+ * Type declarations for js/visa-quote.js, the DOM-free quote API.
+ */
+
+import type FeeEngine from "./fee-engine";
+import type QuoteExport from "./quote-export";
+
+declare namespace VisaQuote {
+  type Scenario = FeeEngine.CalculateParams;
+
+  type FieldType = "string" | "location" | "count" | "flag" | "date" | "relationship" | "costs" | "people";
+
+  type RouteSummary = {
+    routeId: string;
+    name: string;
+    category: string;
+    applyFrom: FeeEngine.ApplyFrom[];
+    durationPolicy: FeeEngine.Route["duration_policy"];
+    durationOptions: number[] | null;
+    maxDurationMonths: number | null;
+    dependantsAllowed: boolean;
+    services: FeeEngine.Service["param"][];
+    costs: string[];
+  };
+}
+
+declare const VisaQuote: {
+  dataFiles: Record<"routes" | "fees" | "rules" | "nationalities", string>;
+  scenarioFields: Record<keyof FeeEngine.CalculateParams, VisaQuote.FieldType>;
+  personFields: Record<keyof FeeEngine.Person, VisaQuote.FieldType>;
+  getEngine(): typeof FeeEngine;
+  getExporter(): typeof QuoteExport;
+  readData(dir?: string): FeeEngine.Data;
+  fetchData(baseUrl?: string): Promise<FeeEngine.Data>;
+  listRoutes(data: FeeEngine.Data): VisaQuote.RouteSummary[];
+  checkScenario(scenario: unknown): string[];
+  calculate(data: FeeEngine.Data, scenario: VisaQuote.Scenario): FeeEngine.Result;
+  quote(
+    data: FeeEngine.Data,
+    scenario: VisaQuote.Scenario,
+    options?: { url?: string; generatedAt?: Date }
+  ): QuoteExport.Quote;
+};
+
+export = VisaQuote;
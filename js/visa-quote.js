@@ -0,0 +1,240 @@
+/**
+ * Visa Quote - Programmatic API for visa cost quotes
+ *
+ * A DOM-free entry point for other tools: load the data files once, describe
+ * a scenario as plain JSON and get back the same quote the website produces.
+ * Runs in Node (require('./js/visa-quote')) and in the browser after
+ * fee-engine.js and quote-export.js.
+ *
+ *   const VisaQuote = require('./js/visa-quote');
+ *   const data = VisaQuote.readData();
+ *   const quote = VisaQuote.quote(data, { routeId: 'skilled-worker', applyFrom: 'outside_uk', duration: 36 });
+ *
+ * A scenario takes the FeeEngine.calculate() parameters. Unknown fields and
+ * values of the wrong type are rejected rather than ignored, so a typo cannot
+ * quietly change the price.
+ */
+
+const VisaQuote = {
+    /**
+     * Data files a scenario is priced from, by the key FeeEngine expects
+     */
+    dataFiles: {
+        routes: 'routes.json',
+        fees: 'fees.json',
+        rules: 'rules.json',
+        nationalities: 'nationalities.json'
+    },
+
+    /**
+     * Scenario fields and the type each must have
+     * 'flag' is a boolean, 'count' a whole number of 0 or more, 'date' YYYY-MM-DD.
+     */
+    scenarioFields: {
+        routeId: 'string',
+        applyFrom: 'location',
+        nationality: 'string',
+        duration: 'count',
+        leaveStart: 'date',
+        leaveEnd: 'date',
+        addExtraLeave: 'flag',
+        sponsorLeaveEnd: 'date',
+        joiningDate: 'date',
+        applicants: 'count',
+        dependants: 'count',
+        people: 'people',
+        isNewEntrant: 'flag',
+        addPriority: 'flag',
+        addSuperPriority: 'flag',
+        addPremiumLounge: 'flag',
+        applicationDate: 'date',
+        extraCosts: 'costs',
+        smallSponsor: 'flag',
+        lifeInUKTestPassed: 'flag',
+        dependantsHaveLeave: 'flag',
+        currentRouteId: 'string',
+        currentLeaveEnd: 'date'
+    },
+
+    /**
+     * Fields of each person in scenario.people
+     */
+    personFields: {
+        relationship: 'relationship',
+        dateOfBirth: 'date',
+        age: 'count',
+        leaveStart: 'date',
+        leaveEnd: 'date'
+    },
+
+    /**
+     * The fee engine: a global on the static pages, required in Node
+     */
+    getEngine() {
+        return typeof FeeEngine !== 'undefined' ? FeeEngine : require('./fee-engine');
+    },
+
+    /**
+     * The quote document builder: a global on the static pages, required in Node
+     */
+    getExporter() {
+        return typeof QuoteExport !== 'undefined' ? QuoteExport : require('./quote-export');
+    },
+
+    /**
+     * Read the data files from disk (Node only)
+     * @param {string} [dir] - Directory holding the data files, defaults to the repository's data/
+     * @returns {Object} { routes, fees, rules, nationalities }
+     */
+    readData(dir) {
+        const fs = require('fs');
+        const path = require('path');
+        const base = dir || path.join(__dirname, '..', 'data');
+        const data = {};
+        Object.entries(this.dataFiles).forEach(([key, file]) => {
+            data[key] = JSON.parse(fs.readFileSync(path.join(base, file), 'utf8'));
+        });
+        return data;
+    },
+
+    /**
+     * Fetch the data files over HTTP (browsers, or Node 18 and later)
+     * @param {string} [baseUrl] - URL of the directory holding the data files, e.g. 'https://example.com/data/'
+     * @returns {Promise<Object>} { routes, fees, rules, nationalities }
+     */
+    async fetchData(baseUrl = 'data/') {
+        const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+        const entries = await Promise.all(Object.entries(this.dataFiles).map(async ([key, file]) => {
+            const response = await fetch(base + file);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${base + file}: ${response.status}`);
+            }
+            return [key, await response.json()];
+        }));
+        return Object.fromEntries(entries);
+    },
+
+    /**
+     * Routes a scenario can use, with the options each accepts
+     * @param {Object} data - Parsed data files
+     * @returns {Array} [{ routeId, name, category, applyFrom, durationPolicy, durationOptions,
+     *   maxDurationMonths, dependantsAllowed, services, costs }]
+     */
+    listRoutes(data) {
+        const engine = this.getEngine();
+        return data.routes.map(route => ({
+            routeId: route.route_id,
+            name: route.name,
+            category: route.category,
+            applyFrom: route.apply_from_options === 'both' ? ['inside_uk', 'outside_uk'] : [route.apply_from_options],
+            durationPolicy: route.duration_policy,
+            durationOptions: route.duration_options || null,
+            maxDurationMonths: route.max_duration_months || null,
+            dependantsAllowed: route.dependants_allowed !== false,
+            services: engine.services.filter(service => !service.extra || route.extras_supported.includes(service.extra)).map(service => service.param),
+            costs: engine.getRouteCosts(data, route).map(cost => cost.id)
+        }));
+    },
+
+    /**
+     * Check a scenario's fields and types
+     * @param {Object} scenario - FeeEngine.calculate() parameters
+     * @returns {Array} Problems found, empty when the scenario can be priced
+     */
+    checkScenario(scenario) {
+        if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+            return ['The scenario must be an object.'];
+        }
+
+        const problems = [];
+        const engine = this.getEngine();
+        const check = (name, type, value) => {
+            const valid = {
+                string: () => typeof value === 'string' && value !== '',
+                location: () => value === 'inside_uk' || value === 'outside_uk',
+                count: () => Number.isInteger(value) && value >= 0,
+                flag: () => typeof value === 'boolean',
+                date: () => typeof value === 'string' && engine.isValidDate(value),
+                relationship: () => Object.keys(engine.relationships).includes(value),
+                costs: () => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+                    Object.values(value).every(cost => typeof cost === 'boolean' || (Number.isInteger(cost) && cost >= 0)),
+                people: () => Array.isArray(value)
+            }[type]();
+            if (!valid) {
+                const expected = {
+                    string: 'a non-empty string',
+                    location: '"inside_uk" or "outside_uk"',
+                    count: 'a whole number of 0 or more',
+                    flag: 'true or false',
+                    date: 'a date as YYYY-MM-DD',
+                    relationship: `one of ${Object.keys(engine.relationships).join(', ')}`,
+                    costs: 'an object of cost ids to true, false or a count',
+                    people: 'a list of people'
+                }[type];
+                problems.push(`${name} must be ${expected}.`);
+            }
+            return valid;
+        };
+
+        if (scenario.routeId === undefined) {
+            problems.push('routeId is required.');
+        }
+        Object.entries(scenario).forEach(([name, value]) => {
+            const type = this.scenarioFields[name];
+            if (!type) {
+                problems.push(`Unknown field "${name}".`);
+                return;
+            }
+            if (value === undefined || !check(name, type, value) || type !== 'people') return;
+
+            value.forEach((person, i) => {
+                if (!person || typeof person !== 'object') {
+                    problems.push(`people[${i}] must be an object.`);
+                    return;
+                }
+                if (person.relationship === undefined) {
+                    problems.push(`people[${i}].relationship is required.`);
+                }
+                Object.entries(person).forEach(([field, fieldValue]) => {
+                    if (!this.personFields[field]) {
+                        problems.push(`Unknown field "people[${i}].${field}".`);
+                    } else if (fieldValue !== undefined) {
+                        check(`people[${i}].${field}`, this.personFields[field], fieldValue);
+                    }
+                });
+            });
+        });
+        return problems;
+    },
+
+    /**
+     * Price a scenario
+     * @param {Object} data - Parsed data files: { routes, fees, rules }
+     * @param {Object} scenario - FeeEngine.calculate() parameters
+     * @returns {Object} FeeEngine.calculate() result
+     * @throws {Error} When the scenario has problems (all of them are listed) or cannot be priced
+     */
+    calculate(data, scenario) {
+        const problems = this.checkScenario(scenario);
+        if (problems.length > 0) {
+            throw new Error(`Invalid scenario: ${problems.join(' ')}`);
+        }
+        return this.getEngine().calculate(data, scenario);
+    },
+
+    /**
+     * Price a scenario as a quote document with a reference number, as exported by the website
+     * @param {Object} data - Parsed data files: { routes, fees, rules }
+     * @param {Object} scenario - FeeEngine.calculate() parameters
+     * @param {Object} [options] - QuoteExport.create() options: { url, generatedAt }
+     * @returns {Object} QuoteExport quote
+     */
+    quote(data, scenario, options = {}) {
+        return this.getExporter().create(this.calculate(data, scenario), options);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VisaQuote;
+}
@@ -0,0 +1,227 @@
+/**
+ * Widget - The calculator as it runs inside the embeddable iframe (embed/)
+ *
+ * Reads its settings from the iframe's query string, which js/embed.js
+ * builds from the host page's script tag:
+ *
+ *   route       Lock the widget to one route
+ *   group       Only offer routes in one category (work, study, family, ...)
+ *   primary, accent, text, background
+ *               Theme colours as hex, e.g. 0f766e or #0f766e
+ *   font        Font family list, e.g. Georgia, serif
+ *   radius      Corner radius in pixels (0 to 24)
+ *   origin      Origin of the host page that receives result messages
+ *   id          Widget id echoed in every message, for pages with several widgets
+ *
+ * Messages posted to the host are objects with source 'uk-visa-calculator':
+ *   { type: 'ready', id }                 Form shown
+ *   { type: 'resize', id, height }        Content height changed
+ *   { type: 'quote', id, quote }          A result, as a QuoteExport quote
+ */
+
+const Widget = {
+    /**
+     * Marks messages from the widget among others the host may receive
+     */
+    messageSource: 'uk-visa-calculator',
+
+    /**
+     * Route groups, in the order the picker shows them
+     */
+    categories: {
+        work: 'Work Visas',
+        study: 'Study Visas',
+        family: 'Family Visas',
+        visit: 'Visitor Visas',
+        settlement: 'Settlement & Citizenship',
+        other: 'Other Routes'
+    },
+
+    /**
+     * Theme options and the CSS variables each sets
+     */
+    themeVariables: {
+        primary: ['--color-primary', '--color-primary-dark', '--color-link'],
+        accent: ['--color-accent'],
+        text: ['--color-text'],
+        background: ['--color-bg', '--color-surface'],
+        font: ['--font-sans'],
+        radius: ['--radius']
+    },
+
+    options: null,
+    targetOrigin: null,
+
+    /**
+     * Read the widget settings from a query string
+     * Values that are not valid are dropped, so a bad theme falls back to the
+     * site's own look rather than injecting CSS.
+     * @param {string} search - Query string, e.g. window.location.search
+     * @param {Array} [categories] - Known route groups
+     * @returns {Object} { route, group, theme, origin, id }
+     */
+    readOptions(search, categories = Object.keys(this.categories)) {
+        const query = new URLSearchParams(search);
+        const get = name => (query.get(name) || '').trim();
+        const colour = value => {
+            const hex = value.replace(/^#/, '');
+            return /^(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex) ? `#${hex.toLowerCase()}` : null;
+        };
+
+        const theme = {};
+        ['primary', 'accent', 'text', 'background'].forEach(name => {
+            const value = colour(get(name));
+            if (value) theme[name] = value;
+        });
+        const font = get('font');
+        if (/^[\w\s,'"-]{1,100}$/.test(font)) theme.font = font;
+        const radius = get('radius');
+        if (/^\d+$/.test(radius) && Number(radius) <= 24) theme.radius = `${Number(radius)}px`;
+
+        let origin = null;
+        try {
+            const url = new URL(get('origin'));
+            if (url.protocol === 'https:' || url.protocol === 'http:') origin = url.origin;
+        } catch (error) {
+            origin = null;
+        }
+
+        const group = get('group');
+        return {
+            route: /^[a-z0-9-]+$/.test(get('route')) ? get('route') : null,
+            group: categories.includes(group) ? group : null,
+            theme,
+            origin,
+            id: /^[\w-]{1,50}$/.test(get('id')) ? get('id') : null
+        };
+    },
+
+    /**
+     * Set the theme's CSS variables on the widget page
+     * @param {Object} theme - readOptions() theme
+     */
+    applyTheme(theme) {
+        const style = document.documentElement.style;
+        Object.entries(theme).forEach(([name, value]) => {
+            this.themeVariables[name].forEach(variable => style.setProperty(variable, value));
+        });
+    },
+
+    /**
+     * Send a message to the host page
+     * Nothing is sent unless the host's origin is known, from the origin
+     * option or the referrer, so results never go to an unexpected page.
+     * @param {string} type - 'ready', 'resize' or 'quote'
+     * @param {Object} [detail] - Message fields
+     */
+    post(type, detail = {}) {
+        if (!this.targetOrigin || window.parent === window) return;
+        window.parent.postMessage({ source: this.messageSource, type, id: this.options.id, ...detail }, this.targetOrigin);
+    },
+
+    /**
+     * Start the widget
+     * @param {Object} elements - { picker, calculator } container IDs
+     */
+    async init(elements) {
+        this.options = this.readOptions(window.location.search);
+        this.applyTheme(this.options.theme);
+
+        let referrer = null;
+        try {
+            referrer = document.referrer ? new URL(document.referrer).origin : null;
+        } catch (error) {
+            referrer = null;
+        }
+        this.targetOrigin = this.options.origin || referrer;
+
+        // Shared links open the main site, found from the page's site-root meta tag
+        Calculator.shareUrl = new URL(DataLoader.getBasePath(), window.location.href).href;
+        Calculator.onResult = (result, quoteUrl) => {
+            this.post('quote', { quote: QuoteExport.create(result, { url: quoteUrl }) });
+        };
+
+        // Let the host size the iframe to the content
+        if (typeof ResizeObserver !== 'undefined') {
+            let height = 0;
+            new ResizeObserver(() => {
+                const next = Math.ceil(document.documentElement.scrollHeight);
+                if (next !== height) {
+                    height = next;
+                    this.post('resize', { height });
+                }
+            }).observe(document.body);
+        }
+
+        await this.load(elements);
+    },
+
+    /**
+     * Load the data and show the route choice, or the form for a locked route
+     * @param {Object} elements - { picker, calculator } container IDs
+     */
+    async load(elements) {
+        const picker = document.getElementById(elements.picker);
+        try {
+            await Calculator.init();
+            const routes = (await DataLoader.getIndexableRoutes())
+                .filter(route => !this.options.group || route.category === this.options.group);
+            const locked = routes.find(route => route.route_id === this.options.route);
+
+            if (locked) {
+                picker.innerHTML = `<h2 class="calculator-title">${UI.escapeHTML(locked.name)}</h2>`;
+                Calculator.renderForm(locked.route_id, elements.calculator);
+            } else {
+                this.renderPicker(picker, routes, elements.calculator);
+            }
+            this.post('ready');
+        } catch (error) {
+            console.error('Error initializing widget:', error);
+            UI.showError(picker, UI.getLoadErrorMessage(), () => this.load(elements));
+        }
+    },
+
+    /**
+     * Show a route choice that opens the calculator form
+     * @param {HTMLElement} container - Element for the picker
+     * @param {Array} routes - Routes to offer
+     * @param {string} calculatorId - Container ID for the form
+     */
+    renderPicker(container, routes, calculatorId) {
+        let html = `
+          ${Calculator.renderNationalityField()}
+          <div class="form-group">
+            <label for="route-select" class="form-label">Select Visa Route</label>
+            <select id="route-select" class="form-select" required>
+              <option value="">-- Choose a visa type --</option>
+        `;
+        Object.entries(this.categories).forEach(([category, label]) => {
+            const inCategory = routes.filter(route => route.category === category);
+            if (inCategory.length === 0) return;
+            html += `<optgroup label="${label}">`;
+            inCategory.forEach(route => {
+                html += `<option value="${route.route_id}">${UI.escapeHTML(route.name)}</option>`;
+            });
+            html += '</optgroup>';
+        });
+        html += `
+            </select>
+          </div>
+        `;
+        container.innerHTML = html;
+        Calculator.bindNationality();
+
+        document.getElementById('route-select').addEventListener('change', (e) => {
+            if (e.target.value) {
+                Calculator.renderForm(e.target.value, calculatorId);
+            } else {
+                document.getElementById(calculatorId).innerHTML = '';
+            }
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Widget;
+}
@@ -0,0 +1,489 @@
+#!/usr/bin/env node
+
+/**
+ * Fee-change report for UK Visa Calculator
+ * Compares two snapshots of the data files and reports added and removed
+ * routes and fee keys, every changed fee and IHS rate, and how the total
+ * changes for a standard set of households on each route.
+ *
+ * Usage: node scripts/fee-diff.js <old> [<new>] [--date YYYY-MM-DD] [--markdown | --json]
+ *   <old>, <new>   A git revision (e.g. HEAD~1, v1.4.0), a directory holding
+ *                  routes.json, fees.json and rules.json, or a single one of
+ *                  those files (the others come from data/). <new> defaults
+ *                  to the working tree's data/ directory.
+ *   --date         Application date to price the households at (default today)
+ *   --markdown     Print "what changed" notes ready to publish
+ *   --json         Print the report as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const FeeEngine = require('../js/fee-engine');
+
+const ROOT = path.join(__dirname, '..');
+const DATA_FILES = ['routes.json', 'fees.json', 'rules.json'];
+const LOCATIONS = { inside_uk: 'inside UK', outside_uk: 'outside UK' };
+
+// Route settings compared field by field; last_reviewed changes on every review so is left out
+const IGNORED_ROUTE_FIELDS = ['last_reviewed'];
+
+function usage(message) {
+    if (message) console.error(message);
+    console.error('Usage: node scripts/fee-diff.js <old> [<new>] [--date YYYY-MM-DD] [--markdown | --json]');
+    process.exit(2);
+}
+
+const args = process.argv.slice(2);
+const options = { date: FeeEngine.today(), format: 'text' };
+const snapshots = [];
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--date') {
+        options.date = args[++i];
+    } else if (args[i] === '--markdown') {
+        options.format = 'markdown';
+    } else if (args[i] === '--json') {
+        options.format = 'json';
+    } else if (args[i].startsWith('--')) {
+        usage(`Unknown option ${args[i]}`);
+    } else {
+        snapshots.push(args[i]);
+    }
+}
+if (snapshots.length < 1 || snapshots.length > 2) usage();
+if (!FeeEngine.isValidDate(options.date)) usage(`Invalid --date ${options.date}`);
+
+// ─── Loading snapshots ────────────────────────────────────────────────────────
+
+function readWorkingFile(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'data', file), 'utf8'));
+}
+
+/**
+ * Load routes, fees and rules from a git revision, directory or single file
+ * @param {string|null} source - null for the working tree
+ * @returns {Object} { label, data: { routes, fees, rules } }
+ */
+function loadSnapshot(source) {
+    const data = {};
+    if (source === null) {
+        DATA_FILES.forEach(file => {
+            data[file.replace('.json', '')] = readWorkingFile(file);
+        });
+        return { label: 'working tree', data };
+    }
+
+    if (fs.existsSync(source) && fs.statSync(source).isDirectory()) {
+        DATA_FILES.forEach(file => {
+            data[file.replace('.json', '')] = JSON.parse(fs.readFileSync(path.join(source, file), 'utf8'));
+        });
+        return { label: source, data };
+    }
+
+    if (fs.existsSync(source) && DATA_FILES.includes(path.basename(source))) {
+        DATA_FILES.forEach(file => {
+            data[file.replace('.json', '')] = file === path.basename(source)
+                ? JSON.parse(fs.readFileSync(source, 'utf8'))
+                : readWorkingFile(file);
+        });
+        return { label: source, data };
+    }
+
+    DATA_FILES.forEach(file => {
+        try {
+            const content = execFileSync('git', ['show', `${source}:data/${file}`], {
+                cwd: ROOT,
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+            data[file.replace('.json', '')] = JSON.parse(content);
+        } catch (err) {
+            usage(`Cannot read data/${file} from "${source}": not a directory, data file or git revision with that file`);
+        }
+    });
+    return { label: source, data };
+}
+
+/**
+ * Stop early on snapshots from before fees and IHS rates had dated histories
+ */
+function checkFormat(snapshot) {
+    const undated = [
+        ...Object.keys(snapshot.data.fees).filter(key => !Array.isArray(snapshot.data.fees[key].history)),
+        ...Object.keys(snapshot.data.rules.ihs_rates || {}).filter(key => !Array.isArray(snapshot.data.rules.ihs_rates[key].history))
+    ];
+    if (undated.length > 0) {
+        usage(`"${snapshot.label}" stores ${undated.slice(0, 3).join(', ')}${undated.length > 3 ? ' and others' : ''} without a dated history; ` +
+            'fee-diff can only compare data in the history format.');
+    }
+    return snapshot;
+}
+
+// ─── Comparing ────────────────────────────────────────────────────────────────
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function byDate(history) {
+    const versions = {};
+    history.forEach(version => {
+        versions[version.effective_date] = version;
+    });
+    return versions;
+}
+
+/**
+ * Compare two dated histories version by version
+ * A version only in the new history is compared with the version it replaces.
+ * @param {Array} before - Old history
+ * @param {Array} after - New history
+ * @param {Array} fields - Amount fields to compare
+ * @returns {Array} [{ effective_date, kind: 'added'|'amended'|'removed', changes: [{ field, before, after }] }]
+ */
+function diffHistory(before, after, fields) {
+    const oldVersions = byDate(before);
+    const newVersions = byDate(after);
+    const dates = [...new Set([...Object.keys(oldVersions), ...Object.keys(newVersions)])].sort();
+    const sortedNew = [...after].sort((a, b) => a.effective_date.localeCompare(b.effective_date));
+    const results = [];
+
+    dates.forEach(date => {
+        const was = oldVersions[date];
+        const now = newVersions[date];
+        let kind;
+        let from;
+        if (was && now) {
+            kind = 'amended';
+            from = was;
+        } else if (now) {
+            kind = 'added';
+            from = sortedNew.filter(version => version.effective_date < date).pop() ||
+                FeeEngine.getEffectiveEntry(before, date);
+        } else {
+            kind = 'removed';
+            from = was;
+        }
+
+        const changes = fields
+            .map(field => ({ field, before: from ? from[field] ?? null : null, after: now ? now[field] ?? null : null }))
+            .filter(change => kind === 'removed' || change.before !== change.after);
+        if (changes.length > 0 || kind !== 'amended') {
+            results.push({ effective_date: date, kind, changes });
+        }
+    });
+    return results;
+}
+
+function compareKeys(before, after) {
+    const oldKeys = Object.keys(before);
+    const newKeys = Object.keys(after);
+    return {
+        added: newKeys.filter(key => !oldKeys.includes(key)),
+        removed: oldKeys.filter(key => !newKeys.includes(key)),
+        common: newKeys.filter(key => oldKeys.includes(key))
+    };
+}
+
+function compareRoutes(oldRoutes, newRoutes) {
+    const index = routes => Object.fromEntries(routes.map(route => [route.route_id, route]));
+    const before = index(oldRoutes);
+    const after = index(newRoutes);
+    const keys = compareKeys(before, after);
+
+    return {
+        added: keys.added.map(id => ({ route_id: id, name: after[id].name })),
+        removed: keys.removed.map(id => ({ route_id: id, name: before[id].name })),
+        changed: keys.common
+            .map(id => ({
+                route_id: id,
+                name: after[id].name,
+                fields: [...new Set([...Object.keys(before[id]), ...Object.keys(after[id])])]
+                    .filter(field => !IGNORED_ROUTE_FIELDS.includes(field) && !same(before[id][field], after[id][field]))
+            }))
+            .filter(route => route.fields.length > 0)
+    };
+}
+
+/**
+ * Fee versions with each duration band's amounts as fields of their own,
+ * e.g. amount_outside_uk_over_36, so band changes are compared like the rest
+ */
+function flattenBands(history) {
+    return history.map(version => {
+        const flat = { ...version };
+        delete flat.duration_bands;
+        (version.duration_bands || []).forEach(band => {
+            flat[`amount_inside_uk_over_${band.over_months}`] = band.amount_inside_uk;
+            flat[`amount_outside_uk_over_${band.over_months}`] = band.amount_outside_uk;
+        });
+        return flat;
+    });
+}
+
+function compareFees(oldFees, newFees) {
+    const keys = compareKeys(oldFees, newFees);
+    const changed = [];
+    keys.common.forEach(key => {
+        const before = oldFees[key];
+        const after = newFees[key];
+        const [oldHistory, newHistory] = [before.history, after.history].map(flattenBands);
+        const fields = [...new Set([...oldHistory, ...newHistory].flatMap(version => Object.keys(version)))]
+            .filter(field => field.startsWith('amount_'));
+        const versions = diffHistory(oldHistory, newHistory, fields);
+        const perPerson = before.per_person !== after.per_person ? { before: before.per_person, after: after.per_person } : null;
+        if (versions.length > 0 || perPerson) {
+            changed.push({ key, name: after.name, per_person: perPerson, versions });
+        }
+    });
+
+    return {
+        added: keys.added.map(key => ({ key, name: newFees[key].name })),
+        removed: keys.removed.map(key => ({ key, name: oldFees[key].name })),
+        changed
+    };
+}
+
+function compareIHS(oldRules, newRules) {
+    const keys = compareKeys(oldRules.ihs_rates, newRules.ihs_rates);
+    return {
+        added: keys.added,
+        removed: keys.removed,
+        changed: keys.common
+            .map(key => ({
+                key,
+                label: newRules.ihs_rates[key].label || key,
+                versions: diffHistory(oldRules.ihs_rates[key].history, newRules.ihs_rates[key].history, ['rate_per_year'])
+            }))
+            .filter(rate => rate.versions.length > 0)
+    };
+}
+
+// ─── Household scenarios ──────────────────────────────────────────────────────
+
+/**
+ * Standard households priced on every route, for each location it allows
+ * @param {Object} route - Route present in both snapshots
+ * @param {Array} [bands] - Months after which the route's fee changes, in either snapshot
+ * @returns {Array} [{ id, label, params }]
+ */
+function routeScenarios(route, bands = []) {
+    const first = (route.duration_options && route.duration_options[0]) || 12;
+    const durations = route.duration_policy === 'permanent'
+        ? [0]
+        : route.fee_items_by_duration
+            ? Object.keys(route.fee_items_by_duration).map(Number)
+            : [...new Set([first, ...bands.map(months => (route.duration_options || []).find(option => option > months) || months + 1)])];
+    const relationships = route.dependants_allowed === false
+        ? []
+        : (route.dependant_rules && route.dependant_rules.relationships) || ['partner', 'child'];
+    const households = [{ id: 'single', label: 'single applicant', people: [{ relationship: 'main' }] }];
+    if (relationships.includes('partner')) {
+        households.push({ id: 'couple', label: 'couple', people: [{ relationship: 'main' }, { relationship: 'partner', age: 35 }] });
+    }
+    if (relationships.includes('child')) {
+        households.push({
+            id: 'family',
+            label: relationships.includes('partner') ? 'couple with 2 children' : 'parent with 2 children',
+            people: [
+                { relationship: 'main' },
+                ...(relationships.includes('partner') ? [{ relationship: 'partner', age: 35 }] : []),
+                { relationship: 'child', age: 8 },
+                { relationship: 'child', age: 4 }
+            ]
+        });
+    }
+
+    const locations = route.apply_from_options === 'both' ? ['inside_uk', 'outside_uk'] : [route.apply_from_options];
+    const scenarios = [];
+    locations.forEach(applyFrom => {
+        durations.forEach(duration => {
+            households.forEach(household => {
+                const term = duration > 0 ? `${duration} months` : null;
+                scenarios.push({
+                    id: [route.route_id, applyFrom, duration > 0 ? `${duration}m` : null, household.id].filter(Boolean).join('/'),
+                    label: [LOCATIONS[applyFrom], term, household.label].filter(Boolean).join(', '),
+                    params: { routeId: route.route_id, applyFrom, duration, people: household.people }
+                });
+            });
+        });
+    });
+    return scenarios;
+}
+
+function price(data, params) {
+    try {
+        return { total: FeeEngine.calculate(data, { ...params, applicationDate: options.date }).total };
+    } catch (err) {
+        return { total: null, error: err.message };
+    }
+}
+
+function compareTotals(before, after) {
+    const oldIds = before.routes.map(route => route.route_id);
+    const results = [];
+    let scenarioCount = 0;
+
+    after.routes.filter(route => oldIds.includes(route.route_id)).forEach(route => {
+        const oldRoute = before.routes.find(candidate => candidate.route_id === route.route_id);
+        const bands = [...new Set([
+            ...FeeEngine.getDurationBands(before, oldRoute, options.date),
+            ...FeeEngine.getDurationBands(after, route, options.date)
+        ])].sort((a, b) => a - b);
+        routeScenarios(route, bands).forEach(scenario => {
+            scenarioCount++;
+            const was = price(before, scenario.params);
+            const now = price(after, scenario.params);
+            if (was.total === now.total && was.error === now.error) return;
+            results.push({
+                id: scenario.id,
+                route_id: route.route_id,
+                route: route.name,
+                scenario: scenario.label,
+                before: was.total,
+                after: now.total,
+                difference: was.total !== null && now.total !== null ? now.total - was.total : null,
+                error: now.error || was.error || null
+            });
+        });
+    });
+    return { scenarios: scenarioCount, changed: results };
+}
+
+// ─── Output ───────────────────────────────────────────────────────────────────
+
+function money(amount) {
+    return amount === null || amount === undefined ? '—' : FeeEngine.formatAmount(amount);
+}
+
+function fieldLabel(field) {
+    const band = field.match(/^(amount_(?:inside|outside)_uk)_over_(\d+)$/);
+    if (band) return `${fieldLabel(band[1])} over ${band[2]} months`;
+    return { amount_inside_uk: 'inside UK', amount_outside_uk: 'outside UK', rate_per_year: 'per year' }[field] || field;
+}
+
+function describeVersion(version) {
+    const amounts = version.changes
+        .map(change => `${fieldLabel(change.field)} ${money(change.before)} → ${money(change.after)}`)
+        .join(', ');
+    if (version.kind === 'removed') return `version effective ${version.effective_date} removed`;
+    return `${version.kind === 'added' ? 'from' : 'amended'} ${version.effective_date}: ${amounts}`;
+}
+
+function describeDifference(change) {
+    if (change.difference === null) return change.error ? `could not be priced (${change.error})` : '';
+    const sign = change.difference > 0 ? '+' : '−';
+    const percent = change.before ? ` (${sign}${Math.abs(change.difference / change.before * 100).toFixed(1)}%)` : '';
+    return `${sign}${money(Math.abs(change.difference))}${percent}`;
+}
+
+function printText(report) {
+    const lines = [];
+    const section = (title, items, count = `${items.length}`) => {
+        lines.push('', `${title} (${count})`);
+        if (items.length === 0) lines.push('  none');
+        items.forEach(item => lines.push(`  ${item}`));
+    };
+
+    lines.push(`=== Fee change report: ${report.from} → ${report.to} (priced at ${report.date}) ===`);
+    section('Routes added', report.routes.added.map(route => `${route.route_id} — ${route.name}`));
+    section('Routes removed', report.routes.removed.map(route => `${route.route_id} — ${route.name}`));
+    section('Route settings changed', report.routes.changed.map(route => `${route.route_id}: ${route.fields.join(', ')}`));
+    section('Fee keys added', report.fees.added.map(fee => `${fee.key} — ${fee.name}`));
+    section('Fee keys removed', report.fees.removed.map(fee => `${fee.key} — ${fee.name}`));
+    section('Fees changed', report.fees.changed.flatMap(fee => [
+        ...(fee.per_person ? [`${fee.name} (${fee.key}): per person ${fee.per_person.before} → ${fee.per_person.after}`] : []),
+        ...fee.versions.map(version => `${fee.name} (${fee.key}) ${describeVersion(version)}`)
+    ]));
+    section('IHS rates changed', [
+        ...report.ihs.added.map(key => `${key}: added`),
+        ...report.ihs.removed.map(key => `${key}: removed`),
+        ...report.ihs.changed.flatMap(rate => rate.versions.map(version => `${rate.label} ${describeVersion(version)}`))
+    ]);
+    section('Quote totals changed', report.totals.changed.map(change =>
+        `${change.route_id} · ${change.scenario}: ${money(change.before)} → ${money(change.after)} ${describeDifference(change)}`
+    ), `${report.totals.changed.length} of ${report.totals.scenarios} households priced`);
+    console.log(lines.join('\n'));
+}
+
+function printMarkdown(report) {
+    const lines = [`## Fee changes (${report.from} → ${report.to})`, ''];
+    const table = (headings, rows) => {
+        lines.push(`| ${headings.join(' | ')} |`, `| ${headings.map(() => '---').join(' | ')} |`);
+        rows.forEach(row => lines.push(`| ${row.join(' | ')} |`));
+        lines.push('');
+    };
+    const amountCell = (version, field) => {
+        const change = version.changes.find(item => item.field === field);
+        return change ? `${money(change.before)} → ${money(change.after)}` : '—';
+    };
+
+    // A row for the version's own amounts, and one for each duration band that changed
+    const feeRows = report.fees.changed.flatMap(fee => fee.versions
+        .filter(version => version.kind !== 'removed')
+        .flatMap(version => {
+            const bands = [...new Set(version.changes
+                .map(change => (change.field.match(/_over_(\d+)$/) || [])[1])
+                .filter(Boolean))];
+            const ownChanged = version.changes.some(change => !change.field.includes('_over_'));
+            return [
+                ...(ownChanged || bands.length === 0
+                    ? [[fee.name, amountCell(version, 'amount_inside_uk'), amountCell(version, 'amount_outside_uk'), version.effective_date]]
+                    : []),
+                ...bands.map(months => [`${fee.name} (over ${months} months)`, amountCell(version, `amount_inside_uk_over_${months}`),
+                    amountCell(version, `amount_outside_uk_over_${months}`), version.effective_date])
+            ];
+        }));
+    if (feeRows.length > 0) {
+        lines.push('### Application and service fees', '');
+        table(['Fee', 'Inside the UK', 'Outside the UK', 'From'], feeRows);
+    }
+
+    const ihsRows = report.ihs.changed.flatMap(rate => rate.versions
+        .filter(version => version.kind !== 'removed')
+        .map(version => [`Immigration Health Surcharge (${rate.label})`, amountCell(version, 'rate_per_year'), version.effective_date]));
+    if (ihsRows.length > 0) {
+        lines.push('### Immigration Health Surcharge', '');
+        table(['Rate', 'Per year', 'From'], ihsRows);
+    }
+
+    if (report.routes.added.length > 0 || report.routes.removed.length > 0) {
+        lines.push('### Routes', '');
+        report.routes.added.forEach(route => lines.push(`- Added: ${route.name}`));
+        report.routes.removed.forEach(route => lines.push(`- Removed: ${route.name}`));
+        lines.push('');
+    }
+
+    if (report.totals.changed.length > 0) {
+        lines.push(`### What this means for a typical application (priced at ${report.date})`, '');
+        table(['Visa', 'Household', 'Before', 'After', 'Change'], report.totals.changed
+            .filter(change => change.difference !== null)
+            .map(change => [change.route, change.scenario, money(change.before), money(change.after), describeDifference(change)]));
+    }
+
+    if (lines.length === 2) lines.push('No fee changes.');
+    console.log(lines.join('\n').trimEnd());
+}
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+
+const before = checkFormat(loadSnapshot(snapshots[0]));
+const after = checkFormat(loadSnapshot(snapshots[1] || null));
+
+const report = {
+    from: before.label,
+    to: after.label,
+    date: options.date,
+    routes: compareRoutes(before.data.routes, after.data.routes),
+    fees: compareFees(before.data.fees, after.data.fees),
+    ihs: compareIHS(before.data.rules, after.data.rules),
+    totals: compareTotals(before.data, after.data)
+};
+
+if (options.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+} else if (options.format === 'markdown') {
+    printMarkdown(report);
+} else {
+    printText(report);
+}
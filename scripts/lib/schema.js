@@ -0,0 +1,151 @@
+/**
+ * Minimal JSON Schema checker for the data files
+ * Supports the subset of draft-07 used in scripts/schemas: type, enum, const,
+ * required, properties, additionalProperties, propertyNames, items, minItems,
+ * uniqueItems, minProperties, minimum, exclusiveMinimum, maximum, minLength,
+ * pattern, format (date, uri, email) and local $ref to #/definitions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '../schemas');
+
+const formats = {
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+        new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value,
+    uri: value => /^https?:\/\/[^\s/$.?#].[^\s]*$/.test(value),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+};
+
+/**
+ * Load a schema from scripts/schemas by name
+ * @param {string} name - e.g. 'routes' for routes.schema.json
+ * @returns {Object}
+ */
+function loadSchema(name) {
+    return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${name}.schema.json`), 'utf8'));
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describe(value) {
+    return JSON.stringify(value);
+}
+
+function resolve(root, schema) {
+    if (!schema.$ref) return schema;
+    const match = /^#\/definitions\/(.+)$/.exec(schema.$ref);
+    if (!match || !root.definitions || !root.definitions[match[1]]) {
+        throw new Error(`Unresolvable schema reference: ${schema.$ref}`);
+    }
+    return resolve(root, root.definitions[match[1]]);
+}
+
+function check(root, schema, value, at, problems) {
+    schema = resolve(root, schema);
+    const report = message => problems.push({ path: at || '(root)', message });
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            report(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        report(`must be one of ${schema.enum.map(describe).join(', ')}, got ${describe(value)}`);
+        return;
+    }
+    if (schema.const !== undefined && schema.const !== value) {
+        report(`must be ${describe(schema.const)}, got ${describe(value)}`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            report(value.length === 0 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            report(`${describe(value)} does not match ${schema.pattern}`);
+        }
+        if (schema.format && formats[schema.format] && !formats[schema.format](value)) {
+            report(`${describe(value)} is not a valid ${schema.format}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            report(`must be at least ${schema.minimum}, got ${value}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            report(`must be greater than ${schema.exclusiveMinimum}, got ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            report(`must be at most ${schema.maximum}, got ${value}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            report(`must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.uniqueItems) {
+            const seen = value.map(describe);
+            const repeated = seen.filter((item, index) => seen.indexOf(item) !== index);
+            if (repeated.length > 0) report(`contains duplicate item(s): ${[...new Set(repeated)].join(', ')}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(root, schema.items, item, `${at}[${index}]`, problems));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const keys = Object.keys(value);
+        const properties = schema.properties || {};
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            report(`must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) report(`missing required field "${key}"`);
+        });
+        keys.forEach(key => {
+            const child = at ? `${at}.${key}` : key;
+            if (schema.propertyNames && schema.propertyNames.pattern &&
+                !new RegExp(schema.propertyNames.pattern).test(key)) {
+                report(`key ${describe(key)} does not match ${schema.propertyNames.pattern}`);
+            }
+            if (properties[key]) {
+                check(root, properties[key], value[key], child, problems);
+            } else if (schema.additionalProperties === false) {
+                report(`unknown field "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(root, schema.additionalProperties, value[key], child, problems);
+            }
+        });
+    }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema object (see loadSchema)
+ * @param {*} value - Parsed JSON data
+ * @returns {Array<{path: string, message: string}>} Problems found, empty when valid
+ */
+function validate(schema, value) {
+    const problems = [];
+    check(schema, schema, value, '', problems);
+    return problems;
+}
+
+module.exports = { loadSchema, validate };
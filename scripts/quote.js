@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * Visa cost quote from the command line
+ * Prices a scenario with the data files through js/visa-quote.js, the same
+ * engine the website uses, and prints a summary or the quote document.
+ *
+ * Usage: node scripts/quote.js [<route>] [options]
+ *        node scripts/quote.js --scenario <file.json | -> [options]
+ *        node scripts/quote.js --list-routes [--format json]
+ *        node scripts/quote.js --help
+ *
+ *   <route>                  Route id from data/routes.json (see --list-routes)
+ *   --scenario <file>        JSON scenario of FeeEngine.calculate() parameters; '-' reads stdin.
+ *                            Options given as well override the file
+ *   --from <location>        inside_uk or outside_uk
+ *   --nationality <code>     Nationality from data/nationalities.json, e.g. IN or US
+ *   --duration <months>      Length of leave
+ *   --leave <start> <end>    Exact leave dates (YYYY-MM-DD), replacing --duration
+ *   --sponsor-end <date>     For a dependant joining later (e.g. child-dependent): the date the
+ *                            main applicant's leave ends, replacing --duration
+ *   --joining <date>         With --sponsor-end, the date the dependant's leave starts (default --date)
+ *   --applicants <n>         Main applicants (default 1)
+ *   --dependants <n>         Dependants, when --person is not used
+ *   --person <relationship>[:<age>]
+ *                            Add a person, e.g. --person main --person partner:35 --person child:6
+ *   --new-entrant            Use the new entrant rate
+ *   --priority, --super-priority, --premium-lounge
+ *                            Add an optional service
+ *   --cost <id>[=<n>]        Add an additional cost, with a count for per-item costs
+ *   --no-cost <id>           Leave out a cost included by default
+ *   --small-sponsor          Sponsor pays the small or charitable Immigration Skills Charge
+ *   --current <route> [--current-end <date>]
+ *                            Route held now, for an extension or switch
+ *   --date <date>            Application date (default today)
+ *   --data <dir>             Directory holding routes.json, fees.json, rules.json and nationalities.json
+ *   --format <format>        text (default), json, csv or pdf
+ *   --output <file>          Write to a file instead of stdout (required for pdf)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const VisaQuote = require('../js/visa-quote');
+const QuoteExport = require('../js/quote-export');
+
+const FORMATS = ['text', 'json', 'csv', 'pdf'];
+const SERVICE_FLAGS = {
+    '--priority': 'addPriority',
+    '--super-priority': 'addSuperPriority',
+    '--premium-lounge': 'addPremiumLounge'
+};
+
+function usage(message) {
+    if (message) console.error(message);
+    console.error('Usage: node scripts/quote.js [<route>] [--scenario <file.json | ->] [options]   (see --help)');
+    process.exit(2);
+}
+
+// The full usage is the block at the top of this file
+function help() {
+    const header = fs.readFileSync(__filename, 'utf8').split('*/')[0];
+    const lines = header.split('\n').map(line => line.replace(/^ \* ?/, ''));
+    console.log(lines.slice(lines.findIndex(line => line.startsWith('Usage:'))).join('\n').trimEnd());
+    process.exit(0);
+}
+
+// ─── Arguments ────────────────────────────────────────────────────────────────
+
+const args = process.argv.slice(2);
+const options = { format: 'text', output: null, dataDir: null, scenarioFile: null, listRoutes: false };
+const flags = {};
+const people = [];
+const costs = {};
+
+const value = (i, name) => {
+    if (i >= args.length || args[i].startsWith('--')) usage(`${name} needs a value`);
+    return args[i];
+};
+const count = (text, name) => {
+    if (!/^\d+$/.test(text)) usage(`${name} must be a whole number, not "${text}"`);
+    return Number(text);
+};
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--scenario') {
+        options.scenarioFile = value(++i, arg);
+    } else if (arg === '--list-routes') {
+        options.listRoutes = true;
+    } else if (arg === '--format') {
+        options.format = value(++i, arg);
+    } else if (arg === '--output') {
+        options.output = value(++i, arg);
+    } else if (arg === '--data') {
+        options.dataDir = value(++i, arg);
+    } else if (arg === '--from') {
+        flags.applyFrom = value(++i, arg);
+    } else if (arg === '--nationality') {
+        flags.nationality = value(++i, arg);
+    } else if (arg === '--duration') {
+        flags.duration = count(value(++i, arg), arg);
+    } else if (arg === '--leave') {
+        flags.leaveStart = value(++i, arg);
+        flags.leaveEnd = value(++i, arg);
+    } else if (arg === '--sponsor-end') {
+        flags.sponsorLeaveEnd = value(++i, arg);
+    } else if (arg === '--joining') {
+        flags.joiningDate = value(++i, arg);
+    } else if (arg === '--applicants') {
+        flags.applicants = count(value(++i, arg), arg);
+    } else if (arg === '--dependants') {
+        flags.dependants = count(value(++i, arg), arg);
+    } else if (arg === '--person') {
+        const [relationship, age] = value(++i, arg).split(':');
+        people.push(age === undefined ? { relationship } : { relationship, age: count(age, arg) });
+    } else if (arg === '--new-entrant') {
+        flags.isNewEntrant = true;
+    } else if (SERVICE_FLAGS[arg]) {
+        flags[SERVICE_FLAGS[arg]] = true;
+    } else if (arg === '--cost') {
+        const [id, n] = value(++i, arg).split('=');
+        costs[id] = n === undefined ? true : count(n, arg);
+    } else if (arg === '--no-cost') {
+        costs[value(++i, arg)] = false;
+    } else if (arg === '--small-sponsor') {
+        flags.smallSponsor = true;
+    } else if (arg === '--current') {
+        flags.currentRouteId = value(++i, arg);
+    } else if (arg === '--current-end') {
+        flags.currentLeaveEnd = value(++i, arg);
+    } else if (arg === '--date') {
+        flags.applicationDate = value(++i, arg);
+    } else if (arg === '--help' || arg === '-h') {
+        help();
+    } else if (arg.startsWith('--')) {
+        usage(`Unknown option ${arg}`);
+    } else if (flags.routeId === undefined) {
+        flags.routeId = arg;
+    } else {
+        usage(`Unexpected argument "${arg}"`);
+    }
+}
+if (!FORMATS.includes(options.format)) usage(`--format must be one of ${FORMATS.join(', ')}`);
+if (options.format === 'pdf' && !options.output) usage('--format pdf needs --output <file>');
+
+// ─── Output ───────────────────────────────────────────────────────────────────
+
+function write(content) {
+    if (options.output) {
+        fs.writeFileSync(options.output, content);
+    } else {
+        process.stdout.write(content);
+    }
+}
+
+/**
+ * Plain-text quote for the terminal, amounts right-aligned
+ */
+function formatText(quote) {
+    const lines = [`${quote.routeName}`, `Reference ${quote.reference}`, ''];
+    quote.details.forEach(detail => lines.push(`${detail.label}: ${detail.value}`));
+    lines.push('');
+
+    const rows = quote.lines.map(line => [`${line.label}${line.paidBy === 'employer' ? ' (employer)' : ''}`, line.amount, line.note]);
+    rows.push(['Total', quote.total, null]);
+    if (quote.totals.employer > 0) {
+        rows.push(['Paid by the applicant', quote.totals.applicant, null]);
+        rows.push(['Paid by the employer', quote.totals.employer, null]);
+    }
+    const width = Math.max(...rows.map(row => row[0].length));
+    const amounts = rows.map(row => QuoteExport.formatAmount(row[1]));
+    const amountWidth = Math.max(...amounts.map(amount => amount.length));
+    rows.forEach((row, i) => {
+        if (row[0] === 'Total') lines.push('-'.repeat(width + amountWidth + 2));
+        lines.push(`${row[0].padEnd(width)}  ${amounts[i].padStart(amountWidth)}`);
+        if (row[2]) lines.push(`  ${row[2]}`);
+    });
+
+    if (quote.assumptions.length > 0) {
+        lines.push('', 'Assumptions:', ...quote.assumptions.map(text => `  - ${text}`));
+    }
+    if (quote.warnings.length > 0) {
+        lines.push('', 'Please note:', ...quote.warnings.map(text => `  - ${text}`));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+
+let data;
+try {
+    data = VisaQuote.readData(options.dataDir ? path.resolve(options.dataDir) : undefined);
+} catch (err) {
+    usage(`Cannot read the data files: ${err.message}`);
+}
+
+if (options.listRoutes) {
+    const routes = VisaQuote.listRoutes(data);
+    if (options.format === 'json') {
+        write(JSON.stringify(routes, null, 2) + '\n');
+    } else {
+        const width = Math.max(...routes.map(route => route.routeId.length));
+        write(routes.map(route => `${route.routeId.padEnd(width)}  ${route.name}`).join('\n') + '\n');
+    }
+    process.exit(0);
+}
+
+let scenario = {};
+if (options.scenarioFile) {
+    try {
+        const text = options.scenarioFile === '-'
+            ? fs.readFileSync(0, 'utf8')
+            : fs.readFileSync(options.scenarioFile, 'utf8');
+        scenario = JSON.parse(text);
+    } catch (err) {
+        usage(`Cannot read the scenario: ${err.message}`);
+    }
+}
+scenario = { ...scenario, ...flags };
+if (people.length > 0) {
+    // --person lists the whole household; add the main applicant if only dependants were given
+    scenario.people = people.some(person => person.relationship === 'main') ? people : [{ relationship: 'main' }, ...people];
+}
+if (Object.keys(costs).length > 0) {
+    scenario.extraCosts = { ...scenario.extraCosts, ...costs };
+}
+if (scenario.routeId === undefined) usage('Give a route id or a --scenario with routeId');
+if (typeof scenario.routeId === 'string' && !data.routes.some(route => route.route_id === scenario.routeId)) {
+    usage(`Unknown route "${scenario.routeId}". Run with --list-routes to see the route ids.`);
+}
+
+let quote;
+try {
+    quote = VisaQuote.quote(data, scenario);
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+const render = {
+    text: () => formatText(quote),
+    json: () => QuoteExport.toJSON(quote) + '\n',
+    csv: () => QuoteExport.toCSV(quote),
+    pdf: () => QuoteExport.toPDF(quote)
+};
+write(render[options.format]());
@@ -2,11 +2,35 @@
 
 /**
  * Validation script for UK Visa Calculator
- * Checks JSON integrity, route_id uniqueness, and fee reference validity
+ * Checks every data file against its schema in scripts/schemas, then the
+ * cross-file rules a schema cannot express: fee references, a fee for every
+ * location a route allows, content files, worked example totals and stale
+ * review dates.
+ *
+ * Usage: node scripts/validate.js [--json] [--stale-days N]
+ *   --json          Print findings as JSON instead of coloured text
+ *   --stale-days N  Warn when a review date is more than N days old (default 180)
+ *
+ * Exits with 1 when any error is found.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { loadSchema, validate } = require('./lib/schema');
+const FeeEngine = require('../js/fee-engine');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_STALE_DAYS = 180;
+
+const args = process.argv.slice(2);
+const jsonOutput = args.includes('--json');
+const staleDaysArg = args.indexOf('--stale-days');
+const staleDays = staleDaysArg === -1 ? DEFAULT_STALE_DAYS : Number(args[staleDaysArg + 1]);
+
+if (!Number.isInteger(staleDays) || staleDays < 0) {
+    console.error('--stale-days must be a whole number of days');
+    process.exit(2);
+}
 
 // Color codes for console output
 const colors = {
@@ -17,115 +41,471 @@ const colors = {
     cyan: '\x1b[36m'
 };
 
+const findings = [];
 let errors = 0;
 let warnings = 0;
+let check = '';
+
+function record(level, file, at, msg) {
+    findings.push({ level, check, file, path: at || null, message: msg });
+    if (jsonOutput) return;
+
+    const where = at ? `${file} ${at}: ` : `${file}: `;
+    if (level === 'error') {
+        console.error(`${colors.red}✗ ERROR: ${where}${msg}${colors.reset}`);
+    } else {
+        console.warn(`${colors.yellow}⚠ WARNING: ${where}${msg}${colors.reset}`);
+    }
+}
 
-function error(msg) {
-    console.error(`${colors.red}✗ ERROR: ${msg}${colors.reset}`);
+function error(file, at, msg) {
+    record('error', file, at, msg);
     errors++;
 }
 
-function warn(msg) {
-    console.warn(`${colors.yellow}⚠ WARNING: ${msg}${colors.reset}`);
+function warn(file, at, msg) {
+    record('warning', file, at, msg);
     warnings++;
 }
 
 function success(msg) {
-    console.log(`${colors.green}✓ ${msg}${colors.reset}`);
+    if (!jsonOutput) console.log(`${colors.green}✓ ${msg}${colors.reset}`);
 }
 
 function info(msg) {
-    console.log(`${colors.cyan}${msg}${colors.reset}`);
+    if (!jsonOutput) console.log(`${colors.cyan}${msg}${colors.reset}`);
+}
+
+// Start a numbered check; returns a function reporting whether it found anything
+function section(id, title) {
+    check = id;
+    info(`\n${title}`);
+    const before = errors + warnings;
+    return () => errors + warnings === before;
 }
 
 // Load JSON files
-function loadJSON(filePath) {
+function loadJSON(file) {
     try {
-        const content = fs.readFileSync(filePath, 'utf8');
+        const content = fs.readFileSync(path.join(ROOT, file), 'utf8');
         return JSON.parse(content);
     } catch (err) {
-        error(`Failed to parse ${filePath}: ${err.message}`);
+        error(file, null, `Failed to parse: ${err.message}`);
         return null;
     }
 }
 
-info('\n=== UK Visa Calculator - Data Validation ===\n');
+// Name array entries by their id so messages point at the right route
+function labelPath(at, data, idField) {
+    return at.replace(/^\[(\d+)\]/, (match, index) => {
+        const id = data[index] && data[index][idField];
+        return id ? `${match} (${id})` : match;
+    });
+}
+
+function validateFile(file, data, schemaName, idField) {
+    const problems = validate(loadSchema(schemaName), data);
+    problems.forEach(problem => {
+        error(file, idField ? labelPath(problem.path, data, idField) : problem.path, problem.message);
+    });
+    return problems.length === 0;
+}
+
+function daysSince(date, today) {
+    return Math.round((Date.parse(`${today}T00:00:00Z`) - Date.parse(`${date}T00:00:00Z`)) / 86400000);
+}
+
+function finish() {
+    if (jsonOutput) {
+        console.log(JSON.stringify({
+            valid: errors === 0,
+            checked_at: today,
+            stale_after_days: staleDays,
+            errors,
+            warnings,
+            findings
+        }, null, 2));
+        process.exit(errors > 0 ? 1 : 0);
+    }
+
+    info('\n=== Validation Summary ===');
+    if (errors === 0 && warnings === 0) {
+        success(`All checks passed! ✨`);
+        process.exit(0);
+    }
+    if (errors > 0) {
+        console.log(`${colors.red}${errors} error(s) found${colors.reset}`);
+    }
+    if (warnings > 0) {
+        console.log(`${colors.yellow}${warnings} warning(s) found${colors.reset}`);
+    }
+    process.exit(errors > 0 ? 1 : 0);
+}
+
+const today = FeeEngine.today();
+
+info('\n=== UK Visa Calculator - Data Validation ===');
 
 // 1. Check JSON parsing
-info('1. Checking JSON file integrity...');
-const routes = loadJSON(path.join(__dirname, '../data/routes.json'));
-const fees = loadJSON(path.join(__dirname, '../data/fees.json'));
-const rules = loadJSON(path.join(__dirname, '../data/rules.json'));
+let passed = section('parse', '1. Checking JSON file integrity...');
+const routes = loadJSON('data/routes.json');
+const fees = loadJSON('data/fees.json');
+const rules = loadJSON('data/rules.json');
+const site = loadJSON('data/site.json');
+const journeys = loadJSON('data/journeys.json');
+const routeFinder = loadJSON('data/route-finder.json');
+const exchangeRates = loadJSON('data/exchange-rates.json');
+const financial = loadJSON('data/financial-requirements.json');
+const nationalities = loadJSON('data/nationalities.json');
+const processing = loadJSON('data/processing-times.json');
+
+const contentDir = path.join(ROOT, 'content/routes');
+const contentFiles = fs.existsSync(contentDir)
+    ? fs.readdirSync(contentDir).filter(name => name.endsWith('.json')).sort()
+    : [];
+const content = {};
+contentFiles.forEach(name => {
+    content[name] = loadJSON(`content/routes/${name}`);
+});
 
 if (!routes || !fees || !rules) {
-    error('One or more JSON files failed to parse. Aborting validation.');
-    process.exit(1);
+    error('data', null, 'One or more core data files failed to parse. Aborting validation.');
+    finish();
 }
 
-success('All JSON files parsed successfully.');
+if (passed()) success('All JSON files parsed successfully.');
+
+// 2. Check each file against its schema
+passed = section('schema', '2. Checking files against their schemas...');
+const routesValid = validateFile('data/routes.json', routes, 'routes', 'route_id');
+const feesValid = validateFile('data/fees.json', fees, 'fees');
+validateFile('data/rules.json', rules, 'rules');
+if (site) validateFile('data/site.json', site, 'site');
+if (journeys) validateFile('data/journeys.json', journeys, 'journeys', 'journey_id');
+if (routeFinder) validateFile('data/route-finder.json', routeFinder, 'route-finder');
+if (exchangeRates) validateFile('data/exchange-rates.json', exchangeRates, 'exchange-rates');
+const financialValid = financial ? validateFile('data/financial-requirements.json', financial, 'financial-requirements') : false;
+const nationalitiesValid = nationalities ? validateFile('data/nationalities.json', nationalities, 'nationalities') : false;
+const processingValid = processing ? validateFile('data/processing-times.json', processing, 'processing-times') : false;
+contentFiles.forEach(name => {
+    if (content[name]) validateFile(`content/routes/${name}`, content[name], 'route-content');
+});
+if (passed()) success(`All files match their schemas (${10 + contentFiles.length} files).`);
+
+// The remaining checks walk the route and fee structures, so they need both to be well formed
+if (!routesValid || !feesValid) {
+    error('data', null, 'routes.json or fees.json does not match its schema. Fix those errors before the remaining checks can run.');
+    finish();
+}
 
-// 2. Check route_id uniqueness
-info('\n2. Checking route_id uniqueness...');
+// 3. Check route_id uniqueness
+passed = section('unique-ids', '3. Checking route_id uniqueness...');
 const routeIds = routes.map(r => r.route_id);
 const duplicates = routeIds.filter((id, index) => routeIds.indexOf(id) !== index);
 if (duplicates.length > 0) {
-    error(`Duplicate route_ids found: ${duplicates.join(', ')}`);
-} else {
-    success('All route_ids are unique.');
+    error('data/routes.json', null, `Duplicate route_ids found: ${[...new Set(duplicates)].join(', ')}`);
 }
+if (passed()) success('All route_ids are unique.');
 
-// 3. Verify fee references exist
-info('\n3. Verifying fee references...');
-let missingFees = [];
+// 4. Verify fee references exist
+passed = section('fee-references', '4. Verifying fee references...');
 routes.forEach(route => {
-    if (route.fee_items && Array.isArray(route.fee_items)) {
-        route.fee_items.forEach(feeKey => {
-            if (!fees[feeKey]) {
-                missingFees.push(`Route "${route.route_id}" references missing fee "${feeKey}"`);
-            }
+    const referenced = [
+        ...route.fee_items,
+        ...(route.new_entrant_fee_items || []),
+        ...Object.values(route.fee_items_by_duration || {})
+    ];
+    [...new Set(referenced)].forEach(feeKey => {
+        if (!fees[feeKey]) {
+            error('data/routes.json', route.route_id, `references missing fee "${feeKey}"`);
+        }
+    });
+});
+const additionalCosts = (rules.additional_costs && rules.additional_costs.costs) || {};
+Object.entries(additionalCosts).forEach(([id, cost]) => {
+    [cost.fee_key, cost.small_sponsor_fee_key].filter(Boolean).forEach(feeKey => {
+        if (!fees[feeKey]) {
+            error('data/rules.json', `additional_costs.costs.${id}`, `references missing fee "${feeKey}"`);
+        }
+    });
+});
+if (passed()) success('All fee references are valid.');
+
+// 5. Check every route is priced for each location it allows
+passed = section('location-pricing', '5. Checking each route has a fee for every location it allows...');
+routes.forEach(route => {
+    if (route.fee_items.length === 0) return;
+
+    const locations = route.apply_from_options === 'both'
+        ? ['inside_uk', 'outside_uk']
+        : [route.apply_from_options];
+    const feeSets = [false];
+    if (route.new_entrant_fee_items) feeSets.push(true);
+    const durations = route.fee_items_by_duration
+        ? Object.keys(route.fee_items_by_duration).map(Number)
+        : [null];
+
+    locations.forEach(applyFrom => {
+        const where = FeeEngine.describeLocation(applyFrom);
+        feeSets.forEach(isNewEntrant => {
+            durations.forEach(duration => {
+                const label = [
+                    isNewEntrant ? 'new entrant fee' : 'fee',
+                    duration ? `for up to ${duration} months` : null
+                ].filter(Boolean).join(' ');
+                const feeKey = FeeEngine.getFeeKey(route, applyFrom, duration, isNewEntrant);
+                if (!feeKey) {
+                    error('data/routes.json', route.route_id,
+                        `allows applying from ${where} but has no ${label} for it`);
+                    return;
+                }
+                if (!fees[feeKey]) return; // Reported by check 4
+
+                const field = `amount_${applyFrom}`;
+                const current = FeeEngine.getEffectiveEntry(fees[feeKey].history, today);
+                fees[feeKey].history.forEach(version => {
+                    // Each duration band must be priced for the location as well
+                    [version, ...(version.duration_bands || [])].forEach(amounts => {
+                        if (amounts[field] !== null) return;
+                        const band = amounts === version ? '' : ` for leave of more than ${amounts.over_months} months`;
+                        const message = `allows applying from ${where} but "${feeKey}" has no ${field}${band} ` +
+                            `(version effective ${version.effective_date})`;
+                        if (version === current || version.effective_date > today) {
+                            error('data/routes.json', route.route_id, message);
+                        } else {
+                            warn('data/routes.json', route.route_id, `${message}; past quotes cannot be priced`);
+                        }
+                    });
+                });
+            });
         });
-    }
+    });
 });
+if (passed()) success('Every route is priced for each location it allows.');
 
-if (missingFees.length > 0) {
-    missingFees.forEach(msg => error(msg));
-} else {
-    success('All fee references are valid.');
+// 6. Check references between the other data files
+passed = section('cross-references', '6. Checking references between data files...');
+const personRules = rules.ihs_person_rules;
+if (personRules) {
+    if (!rules.ihs_rates[personRules.reduced_rate]) {
+        error('data/rules.json', 'ihs_person_rules.reduced_rate', `"${personRules.reduced_rate}" is not one of ihs_rates`);
+    }
+    (personRules.reduced_rate_routes || []).forEach(routeId => {
+        if (!routeIds.includes(routeId)) {
+            error('data/rules.json', 'ihs_person_rules.reduced_rate_routes', `unknown route "${routeId}"`);
+        }
+    });
 }
-
-// 4. Check for required route fields
-info('\n4. Checking required route fields...');
-const requiredFields = ['route_id', 'name', 'category', 'indexable', 'apply_from_options', 'duration_policy', 'ihs_policy'];
+(journeys || []).forEach(journey => {
+    (journey.stages || []).forEach((stage, index) => {
+        if (stage.route_id && !routeIds.includes(stage.route_id)) {
+            error('data/journeys.json', `${journey.journey_id} stages[${index}]`, `unknown route "${stage.route_id}"`);
+        }
+    });
+});
+const finderQuestions = (routeFinder && Array.isArray(routeFinder.questions)) ? routeFinder.questions : [];
+const finderAnswers = id => {
+    const question = finderQuestions.find(q => q.id === id);
+    return question && Array.isArray(question.options) ? question.options.map(option => option.value) : null;
+};
+finderQuestions.forEach((question, index) => {
+    Object.entries(question.show_if || {}).forEach(([id, values]) => {
+        const answers = finderAnswers(id);
+        if (!answers) {
+            error('data/route-finder.json', `questions[${index}].show_if`, `unknown question "${id}"`);
+        } else {
+            values.filter(value => !answers.includes(value)).forEach(value => {
+                error('data/route-finder.json', `questions[${index}].show_if.${id}`, `"${value}" is not an answer to "${id}"`);
+            });
+        }
+    });
+});
+routes.filter(route => route.eligibility).forEach(route => {
+    const { criteria, must_match: mustMatch = [] } = route.eligibility;
+    if (!routeFinder) return; // Reported by check 1
+    Object.entries(criteria).forEach(([id, values]) => {
+        const answers = finderAnswers(id);
+        if (!answers) {
+            error('data/routes.json', `${route.route_id}.eligibility.criteria`, `unknown route finder question "${id}"`);
+        } else {
+            values.filter(value => !answers.includes(value)).forEach(value => {
+                error('data/routes.json', `${route.route_id}.eligibility.criteria.${id}`, `"${value}" is not an answer to "${id}"`);
+            });
+        }
+    });
+    mustMatch.filter(id => !criteria[id]).forEach(id => {
+        error('data/routes.json', `${route.route_id}.eligibility.must_match`, `"${id}" is not one of the route's criteria`);
+    });
+});
+const extras = [...FeeEngine.services.map(service => service.extra).filter(Boolean), ...Object.keys(additionalCosts)];
 routes.forEach(route => {
-    requiredFields.forEach(field => {
-        if (route[field] === undefined) {
-            error(`Route "${route.route_id}" missing required field: ${field}`);
+    route.extras_supported.filter(extra => !extras.includes(extra)).forEach(extra => {
+        error('data/routes.json', `${route.route_id}.extras_supported`, `"${extra}" is not a service or an additional cost in rules.json`);
+    });
+});
+Object.entries(additionalCosts).forEach(([id, cost]) => {
+    (cost.exempt_switching_from || []).filter(routeId => !routeIds.includes(routeId)).forEach(routeId => {
+        error('data/rules.json', `additional_costs.costs.${id}.exempt_switching_from`, `unknown route "${routeId}"`);
+    });
+});
+routes.filter(route => route.switching).forEach(route => {
+    ['allowed_from', 'allowed_to'].forEach(field => {
+        (route.switching[field] || []).filter(id => !routeIds.includes(id)).forEach(id => {
+            error('data/routes.json', `${route.route_id}.switching.${field}`, `unknown route "${id}"`);
+        });
+    });
+});
+// Each version needs the amounts its requirement type is priced from
+const financialFields = {
+    monthly: ['max_months', 'main', 'dependant'],
+    household: ['main', 'partner', 'first_child', 'other_child'],
+    minimum_income: ['income', 'first_child', 'other_child', 'savings_threshold', 'savings_multiplier']
+};
+Object.entries(financialValid ? financial.requirements : {}).forEach(([id, requirement]) => {
+    requirement.routes.filter(routeId => !routeIds.includes(routeId)).forEach(routeId => {
+        error('data/financial-requirements.json', `requirements.${id}.routes`, `unknown route "${routeId}"`);
+    });
+    requirement.history.forEach((version, index) => {
+        financialFields[requirement.type].filter(field => version[field] === undefined).forEach(field => {
+            error('data/financial-requirements.json', `requirements.${id}.history[${index}]`, `a ${requirement.type} requirement needs "${field}"`);
+        });
+        const monthly = requirement.type === 'monthly';
+        if (version.main !== undefined && (typeof version.main === 'object') !== monthly) {
+            error('data/financial-requirements.json', `requirements.${id}.history[${index}].main`,
+                monthly ? 'must give london and outside_london amounts' : 'must be a single amount');
         }
     });
 });
-
-// 5. Check indexable routes have content files
-info('\n5. Checking indexable routes have content files...');
-const indexableRoutes = routes.filter(r => r.indexable === true);
-let missingContent = [];
-indexableRoutes.forEach(route => {
-    const contentPath = path.join(__dirname, `../content/routes/${route.route_id}.json`);
-    if (!fs.existsSync(contentPath)) {
-        warn(`Indexable route "${route.route_id}" missing content file: ${contentPath}`);
+if (nationalitiesValid) {
+    const file = 'data/nationalities.json';
+    const codes = Object.keys(nationalities.nationalities);
+    const checkRoutes = (at, ids) => ids.filter(routeId => !routeIds.includes(routeId)).forEach(routeId => {
+        error(file, at, `unknown route "${routeId}"`);
+    });
+    const checkCodes = (at, ids) => ids.filter(code => !codes.includes(code)).forEach(code => {
+        error(file, at, `unknown nationality "${code}"`);
+    });
+    const checkFee = (at, feeKey) => {
+        if (!fees[feeKey]) error(file, at, `references missing fee "${feeKey}"`);
+    };
+    Object.entries(nationalities.nationalities).forEach(([code, nationality]) => {
+        checkRoutes(`nationalities.${code}.only_routes`, nationality.only_routes || []);
+    });
+    checkRoutes('eta.routes', nationalities.eta.routes);
+    checkFee('eta.fee_key', nationalities.eta.fee_key);
+    if (!additionalCosts[nationalities.tb_test_cost]) {
+        error(file, 'tb_test_cost', `"${nationalities.tb_test_cost}" is not an additional cost in rules.json`);
     }
+    Object.entries(nationalities.restricted_routes).forEach(([routeId, restriction]) => {
+        checkRoutes('restricted_routes', [routeId]);
+        checkCodes(`restricted_routes.${routeId}.nationalities`, restriction.nationalities);
+    });
+    Object.entries(nationalities.arrangements).forEach(([id, arrangement]) => {
+        checkRoutes(`arrangements.${id}.routes`, arrangement.routes);
+        checkCodes(`arrangements.${id}.nationalities`, arrangement.nationalities);
+        if (arrangement.type === 'fee_discount') {
+            if (arrangement.fee_key) {
+                checkFee(`arrangements.${id}.fee_key`, arrangement.fee_key);
+            } else {
+                error(file, `arrangements.${id}`, 'a fee_discount arrangement needs "fee_key"');
+            }
+        }
+    });
+}
+if (processingValid) {
+    const file = 'data/processing-times.json';
+    Object.entries(processing.routes).forEach(([routeId, locations]) => {
+        const route = routes.find(r => r.route_id === routeId);
+        if (!route) {
+            error(file, `routes.${routeId}`, `unknown route "${routeId}"`);
+            return;
+        }
+        Object.entries(locations).forEach(([location, profileId]) => {
+            if (!processing.profiles[profileId]) {
+                error(file, `routes.${routeId}.${location}`, `unknown profile "${profileId}"`);
+            }
+            if (route.apply_from_options !== 'both' && route.apply_from_options !== location) {
+                error(file, `routes.${routeId}.${location}`, `the route cannot be applied for from ${FeeEngine.describeLocation(location)}`);
+            }
+        });
+    });
+}
+contentFiles.forEach(name => {
+    const routeId = name.replace(/\.json$/, '');
+    if (!routeIds.includes(routeId)) {
+        warn(`content/routes/${name}`, null, `no route with route_id "${routeId}"; the file is never used`);
+    }
+    // FAQ amounts are filled from financial-requirements.json when the page renders
+    if (!financialValid || !content[name]) return;
+    (content[name].faq_items || []).forEach((faq, index) => {
+        try {
+            FeeEngine.fillAmounts(faq.answer, financial, today);
+        } catch (err) {
+            error(`content/routes/${name}`, `faq_items[${index}].answer`, err.message);
+        }
+    });
 });
+if (passed()) success('All cross-file references are valid.');
 
-// 6. Summary
-info('\n=== Validation Summary ===');
-if (errors === 0 && warnings === 0) {
-    success(`All checks passed! ✨`);
-    process.exit(0);
-} else {
-    if (errors > 0) {
-        console.log(`${colors.red}${errors} error(s) found${colors.reset}`);
+// 7. Check indexable routes have content files
+passed = section('content-files', '7. Checking indexable routes have content files...');
+routes.filter(r => r.indexable === true).forEach(route => {
+    if (!contentFiles.includes(`${route.route_id}.json`)) {
+        warn('data/routes.json', route.route_id, `indexable route is missing content/routes/${route.route_id}.json`);
     }
-    if (warnings > 0) {
-        console.log(`${colors.yellow}${warnings} warning(s) found${colors.reset}`);
+});
+if (passed()) success('Every indexable route has a content file.');
+
+// 8. Check worked examples still add up with today's fees
+passed = section('examples', '8. Checking worked examples against the fee engine...');
+const engineData = { routes, fees, rules };
+contentFiles.forEach(name => {
+    const routeId = name.replace(/\.json$/, '');
+    const examples = (content[name] && content[name].example_scenarios) || [];
+    if (!routeIds.includes(routeId)) return; // Reported by check 6
+
+    examples.forEach((example, index) => {
+        const at = `example_scenarios[${index}]`;
+        Object.keys(example.extra_costs || {}).filter(id => !additionalCosts[id]).forEach(id => {
+            error(`content/routes/${name}`, `${at}.extra_costs`, `unknown additional cost "${id}"`);
+        });
+        let priced;
+        try {
+            priced = FeeEngine.priceExample(engineData, routeId, example, today);
+        } catch (err) {
+            error(`content/routes/${name}`, at, `"${example.title}" cannot be priced: ${err.message}`);
+            return;
+        }
+        if (!priced.matches) {
+            error(`content/routes/${name}`, at, `"${example.title}" expects ` +
+                `${FeeEngine.formatAmount(example.expected_total)} but the engine now gives ${FeeEngine.formatAmount(priced.total)}; ` +
+                'check the fee change and update expected_total');
+        }
+    });
+});
+if (passed()) success('Every worked example matches its expected total.');
+
+// 9. Flag review dates that are stale or in the future
+passed = section('review-dates', `9. Checking review dates (stale after ${staleDays} days)...`);
+const reviewDates = [
+    ...routes.map(route => ['data/routes.json', route.route_id, 'last_reviewed', route.last_reviewed]),
+    ['data/rules.json', null, 'last_updated', rules.last_updated],
+    ...(journeys || []).map(journey => ['data/journeys.json', journey.journey_id, 'last_reviewed', journey.last_reviewed]),
+    ['data/route-finder.json', null, 'last_reviewed', routeFinder && routeFinder.last_reviewed],
+    ['data/exchange-rates.json', null, 'last_reviewed', exchangeRates && exchangeRates.last_reviewed],
+    ['data/financial-requirements.json', null, 'last_reviewed', financial && financial.last_reviewed],
+    ['data/nationalities.json', null, 'last_reviewed', nationalities && nationalities.last_reviewed],
+    ['data/processing-times.json', null, 'last_reviewed', processing && processing.last_reviewed]
+];
+reviewDates.forEach(([file, at, field, date]) => {
+    if (!FeeEngine.isValidDate(date)) return; // Missing or malformed dates are schema errors
+    const age = daysSince(date, today);
+    if (age > staleDays) {
+        warn(file, at, `${field} ${date} is ${age} days old; check the figures against GOV.UK and update it`);
+    } else if (age < 0) {
+        warn(file, at, `${field} ${date} is in the future`);
     }
-    process.exit(errors > 0 ? 1 : 0);
-}
+});
+if (passed()) success('All review dates are current.');
+
+finish();
@@ -54,7 +54,7 @@ export default function CalculatorPage() {
         </div>
       </div>
 
-      {/* Calculator — reads ?visa= param from URL client-side */}
+      {/* Calculator — restores a shared quote (?visa=…) from the URL client-side */}
       <div className="section bg-subtle">
         <div className="container-content">
           <Suspense fallback={
@@ -145,12 +145,9 @@ export default function CalculatorPage() {
                 <p className="font-semibold text-sm mb-1">What this calculator does NOT include</p>
                 <ul className="text-sm space-y-1 text-amber-800">
                   <li>• Immigration solicitor or legal advice fees</li>
-                  <li>• English language test fees (e.g. IELTS, Secure English Language Test)</li>
-                  <li>• Life in the UK test fee (£50)</li>
-                  <li>• Document translation or certification costs</li>
-                  <li>• Biometric enrolment at overseas visa application centres (fees vary by country)</li>
-                  <li>• Endorsement fees for Global Talent or Innovator Founder visas</li>
-                  <li>• Citizenship ceremony fees (for naturalisation)</li>
+                  <li>• Endorsement fees for Innovator Founder visas</li>
+                  <li>• Exact prices for English tests, TB tests, translations and visa application centre add-ons — the Additional Costs options use typical figures</li>
+                  <li>• Travel to a test centre or visa application centre</li>
                 </ul>
               </div>
             </div>
@@ -180,6 +177,16 @@ export default function CalculatorPage() {
                   title: "Family Visa Costs Explained",
                   desc: "Spouse, partner, and child visa fees — including the income requirement.",
                 },
+                {
+                  href: "/compare",
+                  title: "Compare Routes Side by Side",
+                  desc: "Price the same household on up to four visa routes and see where the costs differ.",
+                },
+                {
+                  href: "/journey-planner",
+                  title: "Visa to Citizenship Journey Planner",
+                  desc: "Every application on the way to settlement, with dates and a running total.",
+                },
                 {
                   href: "/how-it-works",
                   title: "How This Calculator Works",
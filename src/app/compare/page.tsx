@@ -0,0 +1,59 @@
+import type { Metadata } from "next";
+import Link from "next/link";
+import RouteComparison from "@/components/RouteComparison";
+import { LAST_UPDATED } from "@/data/visaFees";
+
+export const metadata: Metadata = {
+  title: "Compare UK Visa Costs Side by Side — Skilled Worker, Global Talent & More",
+  description:
+    "Price the same household on two to four UK visa routes at once. Compare application fees, Immigration Health Surcharge and optional services line by line, with the differences highlighted.",
+  alternates: { canonical: "https://ukvisaprice.com/compare" },
+};
+
+export default function ComparePage() {
+  return (
+    <>
+      {/* Page Header */}
+      <div className="bg-hero text-white py-12 md:py-16">
+        <div className="container-content">
+          <div className="max-w-2xl">
+            <div className="flex items-center gap-2 text-xs text-white/60 mb-4">
+              <Link href="/" className="hover:text-white transition-colors">Home</Link>
+              <span>/</span>
+              <span className="text-white/80">Compare Routes</span>
+            </div>
+            <h1 className="text-3xl md:text-4xl font-bold text-white mb-3">
+              Compare Visa Routes Side by Side
+            </h1>
+            <p className="text-white/70 leading-relaxed">
+              Price the same household on up to four routes — for example Skilled Worker, Global Talent and
+              Scale-up — and see exactly where the costs differ. Fee data last reviewed:{" "}
+              <strong className="text-white/90">{LAST_UPDATED}</strong>.
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Disclaimer Banner */}
+      <div className="bg-amber-50 border-b border-amber-200">
+        <div className="container-content py-2.5">
+          <p className="text-xs text-amber-800 flex items-start gap-2">
+            <svg className="w-3.5 h-3.5 flex-shrink-0 mt-0.5 text-amber-600" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+              <path strokeLinecap="round" strokeLinejoin="round" d="M12 9v3.75m-9.303 3.376c-.866 1.5.217 3.374 1.948 3.374h14.71c1.73 0 2.813-1.874 1.948-3.374L13.949 3.378c-.866-1.5-3.032-1.5-3.898 0L2.697 16.126ZM12 15.75h.007v.008H12v-.008Z" />
+            </svg>
+            <span>
+              <strong>Estimate only.</strong> Each route has its own eligibility rules, so the cheapest route may not be
+              one you qualify for. This is not legal or immigration advice.
+            </span>
+          </p>
+        </div>
+      </div>
+
+      <div className="section bg-subtle">
+        <div className="container-content">
+          <RouteComparison />
+        </div>
+      </div>
+    </>
+  );
+}
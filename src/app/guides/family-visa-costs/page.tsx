@@ -20,7 +20,7 @@ const faqs = [
   },
   {
     q: "Do children pay the same visa fee as adults?",
-    a: "Yes. Children applying for a UK Family visa pay the same application fee as adults (£1,846 as of 2024). They also pay IHS at the standard rate of £1,035/year, not the reduced rate — the reduced rate only applies to Student visas and Youth Mobility Scheme.",
+    a: "Yes. Children applying for a UK Family visa pay the same application fee as adults (£1,846 as of 2024). However, children under 18 pay IHS at the reduced rate of £776/year rather than the standard £1,035/year.",
   },
   {
     q: "How long does a spouse visa last?",
@@ -139,8 +139,8 @@ export default function FamilyVisaCostsPage() {
                   <div className="space-y-2">
                     {[
                       { label: "Visa fees (£1,846 × 3 people)", amount: "£5,538" },
-                      { label: "IHS (£1,035 × 3 years × 3 people)", amount: "£9,315" },
-                      { label: "Total", amount: "£14,853", bold: true, highlight: true },
+                      { label: "IHS (£1,035 × 3 years × 1 adult + £776 × 3 years × 2 children)", amount: "£7,761" },
+                      { label: "Total", amount: "£13,299", bold: true, highlight: true },
                     ].map((row, i) => (
                       <div key={i} className={`flex justify-between py-2 ${i < 2 ? "border-b border-slate-100" : ""} ${row.highlight ? "bg-indigo-50 -mx-2 px-2 rounded-lg" : ""}`}>
                         <span className={`text-sm ${row.bold ? "font-bold text-slate-900" : "text-slate-600"}`}>{row.label}</span>
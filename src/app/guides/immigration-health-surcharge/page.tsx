@@ -1,6 +1,6 @@
 import type { Metadata } from "next";
 import Link from "next/link";
-import { IHS_RATES, LAST_UPDATED } from "@/data/visaFees";
+import { IHS_RATES, LAST_UPDATED, getIHSYears } from "@/data/visaFees";
 
 export const metadata: Metadata = {
   title: "Immigration Health Surcharge (IHS) Explained — Rates, Exemptions & Calculator",
@@ -9,6 +9,59 @@ export const metadata: Metadata = {
   alternates: { canonical: "https://ukvisaprice.com/guides/immigration-health-surcharge" },
 };
 
+function formatGBP(amount: number): string {
+  return new Intl.NumberFormat("en-GB", {
+    style: "currency",
+    currency: "GBP",
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+    maximumFractionDigits: 2,
+  }).format(amount);
+}
+
+function formatYears(years: number): string {
+  return `${years} year${years === 1 ? "" : "s"}`;
+}
+
+// Worked examples, priced with today's rates and the same half-year rounding as the calculator
+const examples = [
+  {
+    title: "Skilled Worker visa — 3 years, 1 person",
+    people: [{ label: "adult", rate: IHS_RATES.standard }],
+    months: 36,
+    color: "indigo",
+  },
+  {
+    title: "Skilled Worker visa — 3 years, main applicant + child aged 8",
+    people: [
+      { label: "adult", rate: IHS_RATES.standard },
+      { label: "child", rate: IHS_RATES.reduced },
+    ],
+    months: 36,
+    color: "indigo",
+  },
+  {
+    title: "Student visa — 2 years 6 months, 1 person",
+    people: [{ label: "student", rate: IHS_RATES.reduced }],
+    months: 30,
+    color: "teal",
+  },
+  {
+    title: "Family visa — 2 years 9 months, 1 person",
+    people: [{ label: "adult", rate: IHS_RATES.standard }],
+    months: 33,
+    color: "indigo",
+  },
+].map((example) => {
+  const years = getIHSYears(example.months);
+  return {
+    ...example,
+    calc: example.people
+      .map((person) => `${formatGBP(person.rate)} × ${formatYears(years)} (${person.label})`)
+      .join(" + "),
+    total: formatGBP(example.people.reduce((sum, person) => sum + person.rate * years, 0)),
+  };
+});
+
 const faqs = [
   {
     q: "Can I get a refund on the IHS if my visa is refused?",
@@ -24,11 +77,11 @@ const faqs = [
   },
   {
     q: "Do children pay the IHS?",
-    a: "Children under 18 pay the reduced IHS rate of £776/year (the same as students). Children who are British citizens or have settled status do not pay IHS.",
+    a: `Children under 18 pay the reduced IHS rate of ${formatGBP(IHS_RATES.reduced)}/year (the same as students), whatever rate their parents pay. Children who are British citizens or have settled status do not pay IHS.`,
   },
   {
     q: "What happens to my IHS if I extend my visa?",
-    a: "When you extend your visa, you pay a new IHS for the extension period. You do not get credit for any remaining time on your previous IHS payment.",
+    a: "When you extend or switch your visa, you pay IHS for the new leave. Time your current IHS already covers, up to the day your current leave ends, is not charged again, so only the period after that date is charged.",
   },
   {
     q: "Are NHS services completely free with the IHS?",
@@ -137,45 +190,26 @@ export default function IHSGuidePage() {
 
               <h2>How Is the IHS Calculated?</h2>
               <p>
-                The IHS is calculated based on the <strong>full duration of the visa being applied for</strong>,
-                rounded up to the nearest year. It is charged per person — so each dependant on the application
-                pays the same amount as the main applicant.
+                The IHS is calculated on the <strong>full duration of the visa being applied for</strong>.
+                Each whole year of leave is charged in full, and any remaining part-year is charged as half a
+                year if it is 6 months or less, or a full year if it is longer. A visa of 2 years and 4 months
+                is charged as 2.5 years; one of 2 years and 9 months as 3 years.
+              </p>
+              <p>
+                It is charged per person, at each person&rsquo;s own rate. Adult dependants pay the same rate as
+                the main applicant, but children under 18 pay the reduced rate even when their parents pay the
+                standard rate.
               </p>
-              <p>The formula is straightforward:</p>
+              <p>The formula for each person is:</p>
               <div className="not-prose my-4 p-4 bg-indigo-50 rounded-xl border border-indigo-100">
                 <p className="text-sm font-mono text-indigo-800 text-center">
-                  IHS = Rate per year × Years (rounded up) × Number of people
+                  IHS = Rate per year × Years (rounded up to the nearest half year)
                 </p>
               </div>
 
               <h3>Worked Examples</h3>
               <div className="not-prose space-y-4 mb-6">
-                {[
-                  {
-                    title: "Skilled Worker visa — 3 years, 1 person",
-                    calc: "£1,035 × 3 years × 1 person",
-                    total: "£3,105",
-                    color: "indigo",
-                  },
-                  {
-                    title: "Skilled Worker visa — 3 years, 2 people (main + 1 dependant)",
-                    calc: "£1,035 × 3 years × 2 people",
-                    total: "£6,210",
-                    color: "indigo",
-                  },
-                  {
-                    title: "Student visa — 2 years 6 months, 1 person",
-                    calc: "£776 × 3 years (rounded up) × 1 person",
-                    total: "£2,328",
-                    color: "teal",
-                  },
-                  {
-                    title: "Family visa — 2.5 years, 1 person",
-                    calc: "£1,035 × 3 years (rounded up) × 1 person",
-                    total: "£3,105",
-                    color: "indigo",
-                  },
-                ].map((ex) => (
+                {examples.map((ex) => (
                   <div key={ex.title} className="card p-4 flex items-center justify-between gap-4">
                     <div>
                       <p className="text-sm font-semibold text-slate-800">{ex.title}</p>
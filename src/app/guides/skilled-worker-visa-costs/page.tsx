@@ -288,7 +288,7 @@ export default function SkilledWorkerCostsPage() {
                     </div>
                   ))}
                 </div>
-                <Link href="/calculator?visa=skilled-worker-3y" className="btn-primary w-full mt-4 text-sm justify-center">
+                <Link href="/calculator?visa=skilled-worker" className="btn-primary w-full mt-4 text-sm justify-center">
                   Calculate my costs
                 </Link>
               </div>
@@ -1,6 +1,6 @@
 import type { Metadata } from "next";
 import Link from "next/link";
-import { LAST_UPDATED, IHS_RATES, OPTIONAL_SERVICES } from "@/data/visaFees";
+import { LAST_UPDATED, IHS_RATES, OPTIONAL_SERVICES, getServiceFee, type OptionalServiceKey } from "@/data/visaFees";
 
 export const metadata: Metadata = {
   title: "How the UK Visa Cost Calculator Works — Methodology & Data Sources",
@@ -90,7 +90,7 @@ export default function HowItWorksPage() {
               </p>
               <div className="not-prose my-4 p-4 bg-indigo-50 rounded-xl border border-indigo-100">
                 <p className="text-sm font-mono text-indigo-800 text-center">
-                  IHS = Rate per year × Years (rounded up) × Number of people
+                  IHS = Σ (each person&rsquo;s rate per year × their chargeable years)
                 </p>
               </div>
               <p>
@@ -127,20 +127,28 @@ export default function HowItWorksPage() {
                 </div>
               </div>
               <p>
-                The visa duration you enter is rounded up to the nearest whole year for IHS purposes.
-                For example, a visa of 2 years and 6 months is treated as 3 years for IHS calculation.
+                The visa duration you enter is rounded up to the nearest 6 months for IHS purposes.
+                For example, a visa of 2 years and 4 months is treated as 2.5 years for IHS calculation.
                 This matches the method used by the official GOV.UK IHS payment service.
               </p>
+              <p>
+                If you know your expected leave start and end dates, enter them instead for an exact figure.
+                Each whole year of leave is charged in full, and any remaining part-year is charged as half a
+                year if it is 6 months or less, or a full year if it is longer. For Skilled Worker and Student
+                visas you can enter your CoS or course dates and the calculator adds the extra leave the Home
+                Office normally grants around them (for example 14 days either side of a CoS), which often
+                pushes the charge into a further half-year. The result shows the chargeable period for each person.
+              </p>
 
               <h2>Optional Services</h2>
               <p>
                 The calculator includes three optional service fees that you can add to your estimate:
               </p>
               <div className="not-prose mb-6 space-y-3">
-                {Object.values(OPTIONAL_SERVICES).map((svc) => (
+                {Object.entries(OPTIONAL_SERVICES).map(([key, svc]) => (
                   <div key={svc.label} className="card p-4 flex items-start gap-4">
                     <div className="w-16 text-right flex-shrink-0">
-                      <span className="font-bold text-indigo-700 text-sm">£{svc.fee.toLocaleString()}</span>
+                      <span className="font-bold text-indigo-700 text-sm">£{(getServiceFee(key as OptionalServiceKey, "inside_uk") ?? 0).toLocaleString()}</span>
                     </div>
                     <div>
                       <p className="font-semibold text-slate-800 text-sm">{svc.label}</p>
@@ -154,21 +162,25 @@ export default function HowItWorksPage() {
                 type and shows a warning if you select a service that is not available for that route.
               </p>
 
+              <h2>Additional Costs</h2>
+              <p>
+                Beyond the main government fees, the calculator can add the other costs of an application under
+                <strong> Additional Costs</strong>. Which ones are offered depends on the visa and where you apply from:
+              </p>
+              <ul>
+                <li><strong>Life in the UK test</strong> and <strong>citizenship ceremony</strong> — included for settlement and citizenship.</li>
+                <li><strong>Global Talent endorsement fee</strong> — included unless you were endorsed through an eligible prize.</li>
+                <li><strong>English language, TB tests, premium biometric appointments and document translation</strong> — optional, priced at typical figures because providers set their own prices.</li>
+                <li><strong>Certificate of Sponsorship and Immigration Skills Charge</strong> — optional for sponsored work visas. These are paid by the employer, so the result shows them separately from what you pay.</li>
+              </ul>
+
               <h2>What the Estimate Does NOT Include</h2>
               <p>
-                The calculator focuses on the main government fees. The following costs are <strong>not</strong> included
-                in the estimate and should be budgeted for separately:
+                The following costs are <strong>not</strong> included in the estimate and should be budgeted for separately:
               </p>
               <ul>
                 <li><strong>Immigration solicitor or adviser fees</strong> — these vary widely and are optional but often recommended.</li>
-                <li><strong>English language test fees</strong> — typically £150–£200 for an approved SELT.</li>
-                <li><strong>Biometric enrolment fees</strong> — charged at overseas visa application centres; varies by country.</li>
-                <li><strong>Document translation costs</strong> — required for documents not in English.</li>
-                <li><strong>Tuberculosis (TB) test fees</strong> — required for applicants from certain countries.</li>
-                <li><strong>Life in the UK test fee</strong> — £50 per attempt (required for ILR and citizenship).</li>
-                <li><strong>Citizenship ceremony fee</strong> — typically £80–£100, charged by local councils.</li>
-                <li><strong>Immigration Skills Charge</strong> — paid by the employer, not the applicant, for Skilled Worker visas.</li>
-                <li><strong>Global Talent / Innovator Founder endorsement fees</strong> — charged by endorsing bodies, separate from the visa fee.</li>
+                <li><strong>Innovator Founder endorsement fees</strong> — charged by endorsing bodies, separate from the visa fee.</li>
                 <li><strong>Maintenance funds</strong> — money you must hold in your bank account (not a fee, but a requirement).</li>
               </ul>
 
@@ -184,8 +196,8 @@ export default function HowItWorksPage() {
                   entrant option to apply the lower rate.
                 </li>
                 <li>
-                  <strong>IHS rounded up to nearest year:</strong> This matches the official GOV.UK
-                  IHS payment service behaviour.
+                  <strong>IHS rounded up to the nearest half year:</strong> This matches the official GOV.UK
+                  IHS payment service behaviour. Children under 18 pay the reduced rate.
                 </li>
                 <li>
                   <strong>Dependants pay the same visa fee as the main applicant</strong> for most
@@ -193,8 +205,8 @@ export default function HowItWorksPage() {
                   calculator shows a warning and excludes dependant fees.
                 </li>
                 <li>
-                  <strong>Priority and Super Priority services are per application</strong>, not per
-                  person. The calculator adds these once regardless of the number of applicants.
+                  <strong>Priority and Super Priority services are charged per person</strong>. Each
+                  applicant and dependant in the application pays the service fee.
                 </li>
                 <li>
                   <strong>Fees are in GBP (£)</strong> and reflect the rates in force as of {LAST_UPDATED}.
@@ -0,0 +1,59 @@
+import type { Metadata } from "next";
+import Link from "next/link";
+import JourneyPlanner from "@/components/JourneyPlanner";
+import { LAST_UPDATED } from "@/data/visaFees";
+
+export const metadata: Metadata = {
+  title: "UK Settlement Journey Planner — Visa to Citizenship Costs",
+  description:
+    "Plan the full cost of a UK immigration journey, from your first visa through extensions, Indefinite Leave to Remain and British citizenship. See when each payment falls due and the running total for your household.",
+  alternates: { canonical: "https://ukvisaprice.com/journey-planner" },
+};
+
+export default function JourneyPlannerPage() {
+  return (
+    <>
+      {/* Page Header */}
+      <div className="bg-hero text-white py-12 md:py-16">
+        <div className="container-content">
+          <div className="max-w-2xl">
+            <div className="flex items-center gap-2 text-xs text-white/60 mb-4">
+              <Link href="/" className="hover:text-white transition-colors">Home</Link>
+              <span>/</span>
+              <span className="text-white/80">Journey Planner</span>
+            </div>
+            <h1 className="text-3xl md:text-4xl font-bold text-white mb-3">
+              Visa to Citizenship Journey Planner
+            </h1>
+            <p className="text-white/70 leading-relaxed">
+              Chain every application on the way to settlement and citizenship, and see the date and cost
+              of each payment for your whole household. Fee data last reviewed:{" "}
+              <strong className="text-white/90">{LAST_UPDATED}</strong>.
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Disclaimer Banner */}
+      <div className="bg-amber-50 border-b border-amber-200">
+        <div className="container-content py-2.5">
+          <p className="text-xs text-amber-800 flex items-start gap-2">
+            <svg className="w-3.5 h-3.5 flex-shrink-0 mt-0.5 text-amber-600" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+              <path strokeLinecap="round" strokeLinejoin="round" d="M12 9v3.75m-9.303 3.376c-.866 1.5.217 3.374 1.948 3.374h14.71c1.73 0 2.813-1.874 1.948-3.374L13.949 3.378c-.866-1.5-3.032-1.5-3.898 0L2.697 16.126ZM12 15.75h.007v.008H12v-.008Z" />
+            </svg>
+            <span>
+              <strong>Estimate only.</strong> Future applications are priced with the fees known today. The Home Office
+              usually raises fees every year, so later stages are likely to cost more. This is not legal or immigration advice.
+            </span>
+          </p>
+        </div>
+      </div>
+
+      <div className="section bg-subtle">
+        <div className="container-content">
+          <JourneyPlanner />
+        </div>
+      </div>
+    </>
+  );
+}
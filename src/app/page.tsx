@@ -1,6 +1,6 @@
 import type { Metadata } from "next";
 import Link from "next/link";
-import { VISA_CATEGORIES, IHS_RATES, LAST_UPDATED } from "@/data/visaFees";
+import { VISA_CATEGORIES, IHS_RATES, LAST_UPDATED, getBaseFee } from "@/data/visaFees";
 
 export const metadata: Metadata = {
   title: "UK Visa Cost Calculator 2025 — Estimate Your Immigration Fees",
@@ -73,11 +73,11 @@ const features = [
 ];
 
 const popularRoutes = [
-  { id: "skilled-worker-3y", badge: "Most Popular" },
+  { id: "skilled-worker", badge: "Most Popular" },
   { id: "student-visa", badge: "Students" },
   { id: "family-spouse-partner", badge: "Family" },
   { id: "standard-visitor-6m", badge: "Visitors" },
-  { id: "health-care-worker-3y", badge: "NHS / Care" },
+  { id: "health-care-worker", badge: "NHS / Care" },
   { id: "ilr", badge: "Settlement" },
 ];
 
@@ -159,6 +159,13 @@ export default function HomePage() {
                 Read Visa Guides
               </Link>
             </div>
+            <p className="text-sm text-white/60 mt-4">
+              Not sure which visa you need?{" "}
+              <Link href="/route-finder" className="text-white underline underline-offset-2 hover:text-white/80">
+                Answer a few questions
+              </Link>{" "}
+              and we&apos;ll suggest routes to price.
+            </p>
 
             {/* Trust indicators */}
             <div className="flex flex-wrap items-center gap-6 mt-10 pt-8 border-t border-white/10">
@@ -225,6 +232,7 @@ export default function HomePage() {
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
             {popularVisas.map(({ visa, badge }) => {
               if (!visa) return null;
+              const baseFee = getBaseFee(visa);
               return (
                 <Link
                   key={visa.id}
@@ -233,9 +241,9 @@ export default function HomePage() {
                 >
                   <div className="flex items-start justify-between mb-3">
                     <span className="badge-blue">{badge}</span>
-                    {visa.baseFee !== null && (
+                    {baseFee !== null && (
                       <span className="text-xs text-slate-400">
-                        from £{visa.baseFee.toLocaleString()}
+                        from £{baseFee.toLocaleString()}
                       </span>
                     )}
                   </div>
@@ -0,0 +1,57 @@
+import type { Metadata } from "next";
+import Link from "next/link";
+import RouteFinder from "@/components/RouteFinder";
+
+export const metadata: Metadata = {
+  title: "Which UK Visa Do I Need? — Route Finder",
+  description:
+    "Answer a few questions about why you are coming to the UK, your job offer, studies, family and current status, and see which visa routes could fit. Then price each one with the calculator.",
+  alternates: { canonical: "https://ukvisaprice.com/route-finder" },
+};
+
+export default function RouteFinderPage() {
+  return (
+    <>
+      {/* Page Header */}
+      <div className="bg-hero text-white py-12 md:py-16">
+        <div className="container-content">
+          <div className="max-w-2xl">
+            <div className="flex items-center gap-2 text-xs text-white/60 mb-4">
+              <Link href="/" className="hover:text-white transition-colors">Home</Link>
+              <span>/</span>
+              <span className="text-white/80">Route Finder</span>
+            </div>
+            <h1 className="text-3xl md:text-4xl font-bold text-white mb-3">
+              Which UK Visa Do I Need?
+            </h1>
+            <p className="text-white/70 leading-relaxed">
+              Tell us why you are coming to the UK and a little about your situation. We&apos;ll narrow the
+              visa routes down to the ones that could fit, and open the calculator ready to price each one.
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Disclaimer Banner */}
+      <div className="bg-amber-50 border-b border-amber-200">
+        <div className="container-content py-2.5">
+          <p className="text-xs text-amber-800 flex items-start gap-2">
+            <svg className="w-3.5 h-3.5 flex-shrink-0 mt-0.5 text-amber-600" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+              <path strokeLinecap="round" strokeLinejoin="round" d="M12 9v3.75m-9.303 3.376c-.866 1.5.217 3.374 1.948 3.374h14.71c1.73 0 2.813-1.874 1.948-3.374L13.949 3.378c-.866-1.5-3.032-1.5-3.898 0L2.697 16.126ZM12 15.75h.007v.008H12v-.008Z" />
+            </svg>
+            <span>
+              <strong>Guidance only.</strong> Suggestions are based on a few broad questions and do not check every
+              requirement. This is not legal or immigration advice.
+            </span>
+          </p>
+        </div>
+      </div>
+
+      <div className="section bg-subtle">
+        <div className="container-content">
+          <RouteFinder />
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,379 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import {
+  HIRE_ROUTES,
+  HIRES_CSV_TEMPLATE,
+  priceHires,
+  parseHiresCSV,
+  exportHires,
+  FEE_DISCLAIMER,
+  type ApplyFrom,
+  type BulkQuoteInput,
+  type Hire,
+  type HireBatch,
+} from "@/data/visaFees";
+
+const MAX_HIRES = 200;
+
+function formatGBP(amount: number): string {
+  return new Intl.NumberFormat("en-GB", {
+    style: "currency",
+    currency: "GBP",
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+    maximumFractionDigits: 2,
+  }).format(amount);
+}
+
+function newHire(): Hire {
+  return { routeId: "skilled-worker", applyFrom: "outside_uk", duration: 36, partners: 0, children: 0 };
+}
+
+function download(fileName: string, content: string, type: string) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export default function BulkQuote() {
+  const [input, setInput] = useState<BulkQuoteInput>({
+    hires: [newHire()],
+    employerCosts: true,
+    smallSponsor: false,
+  });
+  const [notices, setNotices] = useState<string[]>([]);
+
+  // Fees are priced for today, so only price in the browser to keep the static HTML stable
+  const [mounted, setMounted] = useState(false);
+  useEffect(() => setMounted(true), []);
+
+  const batch = useMemo((): HireBatch | null => {
+    if (!mounted || input.hires.length === 0) return null;
+    return priceHires(input);
+  }, [input, mounted]);
+
+  const setHire = (index: number, changes: Partial<Hire>) =>
+    setInput((p) => ({ ...p, hires: p.hires.map((hire, i) => (i === index ? { ...hire, ...changes } : hire)) }));
+
+  const handleImport = async (file: File | undefined) => {
+    if (!file) return;
+    const { hires, errors } = parseHiresCSV(await file.text());
+    if (hires.length > MAX_HIRES) {
+      errors.push(`Only the first ${MAX_HIRES} hires have been imported.`);
+    }
+    if (hires.length > 0) {
+      setInput((p) => ({ ...p, hires: hires.slice(0, MAX_HIRES) }));
+    }
+    setNotices(errors);
+  };
+
+  // Imported route ids that are not offered keep their own option, so the error shows against the hire
+  const routeOptions = (routeId: string) =>
+    HIRE_ROUTES.some((route) => route.id === routeId) ? HIRE_ROUTES : [...HIRE_ROUTES, { id: routeId, name: routeId, category: "" }];
+
+  return (
+    <div className="space-y-8">
+      {/* Hire List */}
+      <div className="card p-6 md:p-8 space-y-6">
+        <div>
+          <h2 className="text-xl font-bold text-slate-900">Hires to Sponsor</h2>
+          <p className="text-sm text-slate-500 mt-0.5">
+            Add each hire, or import a CSV with the columns in the template
+          </p>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-left text-xs font-semibold text-slate-500">
+                <th className="py-2 pr-2">Reference</th>
+                <th className="py-2 pr-2">Route</th>
+                <th className="py-2 pr-2">Applying From</th>
+                <th className="py-2 pr-2">Months</th>
+                <th className="py-2 pr-2">Start Date</th>
+                <th className="py-2 pr-2">Partners</th>
+                <th className="py-2 pr-2">Children</th>
+                <th className="py-2 pr-2">New Entrant</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {input.hires.map((hire, i) => (
+                <tr key={i} className="border-b border-slate-100 align-middle">
+                  <td className="py-2 pr-2">
+                    <input
+                      type="text"
+                      className="form-input min-w-[8rem]"
+                      aria-label="Reference"
+                      placeholder={`Hire ${i + 1}`}
+                      value={hire.reference ?? ""}
+                      onChange={(e) => setHire(i, { reference: e.target.value || undefined })}
+                    />
+                  </td>
+                  <td className="py-2 pr-2">
+                    <select
+                      className="form-select min-w-[10rem]"
+                      aria-label="Route"
+                      value={hire.routeId}
+                      onChange={(e) => setHire(i, { routeId: e.target.value })}
+                    >
+                      {routeOptions(hire.routeId).map((route) => (
+                        <option key={route.id} value={route.id}>{route.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-2">
+                    <select
+                      className="form-select min-w-[8rem]"
+                      aria-label="Applying from"
+                      value={hire.applyFrom ?? "outside_uk"}
+                      onChange={(e) => setHire(i, { applyFrom: e.target.value as ApplyFrom })}
+                    >
+                      <option value="outside_uk">Outside the UK</option>
+                      <option value="inside_uk">Inside the UK</option>
+                    </select>
+                  </td>
+                  <td className="py-2 pr-2">
+                    <input
+                      type="number"
+                      className="form-input w-20"
+                      aria-label="Duration in months"
+                      min={1}
+                      max={120}
+                      value={hire.duration ?? ""}
+                      onChange={(e) => setHire(i, { duration: Number(e.target.value) || undefined })}
+                    />
+                  </td>
+                  <td className="py-2 pr-2">
+                    <input
+                      type="date"
+                      className="form-input"
+                      aria-label="Start date"
+                      value={hire.startDate ?? ""}
+                      onChange={(e) => setHire(i, { startDate: e.target.value || undefined })}
+                    />
+                  </td>
+                  <td className="py-2 pr-2">
+                    <input
+                      type="number"
+                      className="form-input w-16"
+                      aria-label="Partners"
+                      min={0}
+                      max={10}
+                      value={hire.partners ?? 0}
+                      onChange={(e) => setHire(i, { partners: Math.min(10, Math.max(0, Number(e.target.value) || 0)) })}
+                    />
+                  </td>
+                  <td className="py-2 pr-2">
+                    <input
+                      type="number"
+                      className="form-input w-16"
+                      aria-label="Children"
+                      min={0}
+                      max={10}
+                      value={hire.children ?? 0}
+                      onChange={(e) => setHire(i, { children: Math.min(10, Math.max(0, Number(e.target.value) || 0)) })}
+                    />
+                  </td>
+                  <td className="py-2 pr-2 text-center">
+                    <input
+                      type="checkbox"
+                      className="form-checkbox"
+                      aria-label="New entrant"
+                      checked={Boolean(hire.isNewEntrant)}
+                      onChange={(e) => setHire(i, { isNewEntrant: e.target.checked })}
+                    />
+                  </td>
+                  <td className="py-2">
+                    <button
+                      type="button"
+                      className="text-xs text-slate-400 hover:text-red-500 transition-colors"
+                      onClick={() => setInput((p) => ({ ...p, hires: p.hires.filter((_, j) => j !== i) }))}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex flex-wrap gap-3">
+          {input.hires.length < MAX_HIRES && (
+            <button
+              type="button"
+              className="btn-secondary text-sm"
+              onClick={() => setInput((p) => ({ ...p, hires: [...p.hires, newHire()] }))}
+            >
+              + Add hire
+            </button>
+          )}
+          <label className="btn-secondary text-sm cursor-pointer">
+            Import CSV
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              className="hidden"
+              onChange={(e) => {
+                handleImport(e.target.files?.[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          <button
+            type="button"
+            className="btn-secondary text-sm"
+            onClick={() => download("hire-list-template.csv", HIRES_CSV_TEMPLATE, "text/csv;charset=utf-8")}
+          >
+            Download CSV template
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <label className="flex items-start gap-2 text-sm text-slate-700">
+            <input
+              type="checkbox"
+              className="form-checkbox mt-0.5"
+              checked={input.employerCosts}
+              onChange={(e) => setInput((p) => ({ ...p, employerCosts: e.target.checked }))}
+            />
+            Include the employer&apos;s Certificate of Sponsorship and Immigration Skills Charge
+          </label>
+          <label className="flex items-start gap-2 text-sm text-slate-700">
+            <input
+              type="checkbox"
+              className="form-checkbox mt-0.5"
+              checked={input.smallSponsor}
+              onChange={(e) => setInput((p) => ({ ...p, smallSponsor: e.target.checked }))}
+            />
+            Small or charitable sponsor (lower Immigration Skills Charge rate)
+          </label>
+          <div>
+            <label className="form-label" htmlFor="bulk-application-date">Application Date</label>
+            <input
+              type="date"
+              id="bulk-application-date"
+              className="form-input"
+              value={input.applicationDate ?? ""}
+              onChange={(e) => setInput((p) => ({ ...p, applicationDate: e.target.value || undefined }))}
+            />
+            <p className="text-xs text-slate-400 mt-1">Leave blank to use today&apos;s fees</p>
+          </div>
+        </div>
+      </div>
+
+      {notices.length > 0 && (
+        <div className="alert-warning text-sm">
+          <p className="font-semibold">Some rows of the CSV were skipped:</p>
+          <ul className="mt-1 space-y-0.5">
+            {notices.map((notice, i) => (
+              <li key={i}>{notice}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {batch && (
+        <>
+          {/* Priced Hires */}
+          <div className="card p-6 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-200">
+                  <th className="text-left py-2 pr-4 font-semibold text-slate-500">Hire</th>
+                  <th className="text-right py-2 px-3 font-semibold text-slate-500">People</th>
+                  <th className="text-right py-2 px-3 font-semibold text-slate-500">Employee pays</th>
+                  <th className="text-right py-2 px-3 font-semibold text-slate-500">Employer pays</th>
+                  <th className="text-right py-2 pl-3 font-semibold text-slate-500">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {batch.hires.map((hire) => (
+                  <tr key={hire.index} className={`border-b border-slate-100 ${hire.error ? "bg-amber-50" : ""}`}>
+                    <td className="py-2 pr-4">
+                      <span className="font-semibold text-slate-800">{hire.reference}</span>
+                      <span className="block text-xs text-slate-400">{hire.routeName}</span>
+                    </td>
+                    {hire.result ? (
+                      <>
+                        <td className="py-2 px-3 text-right">{hire.result.people.length}</td>
+                        <td className="py-2 px-3 text-right whitespace-nowrap">{formatGBP(hire.result.applicantTotal)}</td>
+                        <td className="py-2 px-3 text-right whitespace-nowrap">{formatGBP(hire.result.employerTotal)}</td>
+                        <td className="py-2 pl-3 text-right whitespace-nowrap font-semibold text-slate-800">
+                          {formatGBP(hire.result.total)}
+                        </td>
+                      </>
+                    ) : (
+                      <td colSpan={4} className="py-2 pl-3 text-xs text-amber-700">{hire.error}</td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                {batch.routes.length > 1 &&
+                  batch.routes.map((route) => (
+                    <tr key={route.routeId} className="text-slate-600">
+                      <td className="pt-2 pr-4">
+                        {route.routeName} ({route.hires} hire{route.hires !== 1 ? "s" : ""})
+                      </td>
+                      <td className="pt-2 px-3 text-right">{route.people}</td>
+                      <td className="pt-2 px-3 text-right whitespace-nowrap">{formatGBP(route.applicantTotal)}</td>
+                      <td className="pt-2 px-3 text-right whitespace-nowrap">{formatGBP(route.employerTotal)}</td>
+                      <td className="pt-2 pl-3 text-right whitespace-nowrap">{formatGBP(route.total)}</td>
+                    </tr>
+                  ))}
+                <tr className="font-bold text-slate-900">
+                  <td className="pt-3 pr-4">Estimated total</td>
+                  <td className="pt-3 px-3 text-right">{batch.totals.people}</td>
+                  <td className="pt-3 px-3 text-right whitespace-nowrap">{formatGBP(batch.totals.applicant)}</td>
+                  <td className="pt-3 px-3 text-right whitespace-nowrap">{formatGBP(batch.totals.employer)}</td>
+                  <td className="pt-3 pl-3 text-right whitespace-nowrap">{formatGBP(batch.totals.total)}</td>
+                </tr>
+              </tfoot>
+            </table>
+            {batch.totals.failed > 0 && (
+              <p className="mt-3 text-xs text-amber-700">
+                {batch.totals.failed} of {batch.totals.hires} hires could not be priced and are not in the totals.
+              </p>
+            )}
+            <div className="mt-4">
+              <button
+                type="button"
+                className="btn-secondary text-sm"
+                onClick={() => {
+                  const file = exportHires(batch);
+                  download(file.fileName, file.content, file.type);
+                }}
+              >
+                Download CSV
+              </button>
+            </div>
+          </div>
+
+          {batch.hires.some((hire) => hire.notes.length > 0) && (
+            <div className="card p-5">
+              <h3 className="text-sm font-bold text-slate-800 mb-3">Notes</h3>
+              <ul className="space-y-1.5">
+                {batch.hires
+                  .filter((hire) => hire.notes.length > 0)
+                  .map((hire) => (
+                    <li key={hire.index} className="text-xs text-amber-700 leading-relaxed">
+                      <span className="font-semibold">{hire.reference}:</span> {hire.notes.join(" ")}
+                    </li>
+                  ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="alert-warning">
+            <p className="text-xs leading-relaxed">{FEE_DISCLAIMER}</p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,18 +1,51 @@
 "use client";
 
-import { useState, useCallback, useEffect } from "react";
+import { useState, useCallback, useEffect, useRef } from "react";
 import { useSearchParams } from "next/navigation";
 import Link from "next/link";
+import DependantFields, { resizeDependants } from "@/components/DependantFields";
+import CurrencySelect, { useDisplayCurrency } from "@/components/CurrencySelect";
 import {
   VISA_CATEGORIES,
   VISA_GROUPS,
+  CURRENT_VISA_OPTIONS,
   getVisasByGroup,
+  getVisaById,
   calculateCosts,
+  describeExchangeRate,
+  formatInCurrency,
+  exportQuote,
+  inputFromQuery,
+  inputToQuery,
+  getApplyFromOptions,
+  getDependantRelationships,
+  visaHasLeavePadding,
+  visaMatchesSponsorLeave,
+  getIHSYears,
+  getServiceFee,
+  isServiceAvailable,
+  getAdditionalCostOptions,
+  getFinancialRequirements,
+  getVisaRequirements,
+  getSubmissionPlan,
+  visaHasProcessingTimes,
+  ihsAppliesToVisa,
+  visaAllowsDependants,
+  visaSupportsNewEntrant,
+  getVisaAccess,
+  NATIONALITY_OPTIONS,
   OPTIONAL_SERVICES,
   FEE_SOURCE_URL,
   LAST_UPDATED,
+  type ApplyFrom,
   type CalculatorInput,
   type CalculatorResult,
+  type FinancialOptions,
+  type FinancialResult,
+  type OptionalServiceKey,
+  type QuoteFormat,
+  type SubmissionPlan,
+  type VisaCategory,
 } from "@/data/visaFees";
 
 const DEFAULT_DURATION_BY_GROUP: Record<string, number> = {
@@ -24,49 +57,91 @@ const DEFAULT_DURATION_BY_GROUP: Record<string, number> = {
   "EU Settlement": 0,
 };
 
+// Extensions and switches are made from inside the UK where the visa allows it
+function defaultApplyFrom(visa: VisaCategory | undefined, currentRouteId?: string): ApplyFrom {
+  const options = visa ? getApplyFromOptions(visa) : [];
+  if (currentRouteId && options.includes("inside_uk")) return "inside_uk";
+  return options[0] ?? "outside_uk";
+}
+
+function clampDuration(visa: VisaCategory | undefined, months: number): number {
+  const min = visa?.minDurationMonths ?? 1;
+  const max = visa?.maxDurationMonths ?? 60;
+  return Math.min(Math.max(months, min), max);
+}
+
 function formatGBP(amount: number): string {
   return new Intl.NumberFormat("en-GB", {
     style: "currency",
     currency: "GBP",
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0,
+    // Half-year IHS charges can leave pence, e.g. £517.50
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+    maximumFractionDigits: 2,
   }).format(amount);
 }
 
-export default function Calculator() {
-  const searchParams = useSearchParams();
-  const visasByGroup = getVisasByGroup();
-
-  // Read ?visa= from URL, validate it exists, fall back to default
-  const urlVisaId = searchParams?.get("visa") ?? null;
-  const validInitialId =
-    urlVisaId && VISA_CATEGORIES.find((v) => v.id === urlVisaId)
-      ? urlVisaId
-      : "skilled-worker-3y";
-
-  const [input, setInput] = useState<CalculatorInput>({
-    visaId: validInitialId,
-    durationMonths: DEFAULT_DURATION_BY_GROUP[
-      VISA_CATEGORIES.find((v) => v.id === validInitialId)?.group ?? "Work"
-    ] ?? 36,
+function defaultInput(visaId: string): CalculatorInput {
+  const visa = VISA_CATEGORIES.find((v) => v.id === visaId);
+  return {
+    visaId,
+    applyFrom: defaultApplyFrom(visa),
+    durationMonths: clampDuration(visa, DEFAULT_DURATION_BY_GROUP[visa?.group ?? "Work"] ?? 36),
     numApplicants: 1,
     numDependants: 0,
+    dependantDetails: [],
     addPriority: false,
     addSuperPriority: false,
     addPremiumLounge: false,
     isNewEntrant: false,
-  });
+  };
+}
+
+export default function Calculator() {
+  const searchParams = useSearchParams();
+  const visasByGroup = getVisasByGroup();
+
+  // Read ?visa= from URL, validate it exists, fall back to default
+  const urlVisaId = searchParams?.get("visa") ?? null;
+  const validInitialId = (urlVisaId && getVisaById(urlVisaId)?.id) || "skilled-worker";
+
+  const [input, setInput] = useState<CalculatorInput>(() => defaultInput(validInitialId));
 
   const [result, setResult] = useState<CalculatorResult | null>(null);
+  const [financial, setFinancial] = useState<FinancialResult | null>(null);
+  const [plan, setPlan] = useState<SubmissionPlan | null>(null);
   const [hasCalculated, setHasCalculated] = useState(false);
+  const [linkNotice, setLinkNotice] = useState<string | null>(null);
+  // Query string this component last wrote, so our own URL updates are not restored again
+  const lastQuery = useRef<string | null>(null);
 
   const selectedVisa = VISA_CATEGORIES.find((v) => v.id === input.visaId);
-  const showDuration = selectedVisa?.ihsApplies ?? false;
-  const showNewEntrant =
-    input.visaId === "skilled-worker-3y" ||
-    input.visaId === "skilled-worker-5y" ||
-    input.visaId === "scale-up-3y";
-  const showDependants = selectedVisa?.dependantFee !== null;
+  const matchesSponsorLeave = selectedVisa ? visaMatchesSponsorLeave(selectedVisa) : false;
+  const showDuration =
+    selectedVisa !== undefined &&
+    selectedVisa.durationMonths === undefined &&
+    ihsAppliesToVisa(selectedVisa) &&
+    !matchesSponsorLeave;
+  const showNewEntrant = selectedVisa ? visaSupportsNewEntrant(selectedVisa) : false;
+  const showDependants = selectedVisa ? visaAllowsDependants(selectedVisa) : true;
+  const dependantRelationships = selectedVisa ? getDependantRelationships(selectedVisa) : [];
+  const dependantDetails = input.dependantDetails ?? [];
+  const applyFromOptions = selectedVisa ? getApplyFromOptions(selectedVisa) : [];
+  const ihsYears = getIHSYears(input.durationMonths);
+  const serviceAvailable = (key: OptionalServiceKey) =>
+    selectedVisa ? isServiceAvailable(selectedVisa, key, input.applyFrom, input.applicationDate) : false;
+  const costOptions = selectedVisa
+    ? getAdditionalCostOptions(selectedVisa, input.applyFrom, input.applicationDate, input.nationality)
+    : [];
+  const visaAccess = selectedVisa ? getVisaAccess(selectedVisa, input.nationality) : null;
+  // Visas not open to the nationality are left out of the list, unless already chosen
+  const visaOpen = (visa: VisaCategory) => visa.id === input.visaId || getVisaAccess(visa, input.nationality).open;
+  const requirements = selectedVisa ? getVisaRequirements(selectedVisa) : [];
+  const maintenance = requirements.find((requirement) => requirement.type !== "minimum_income");
+  const setFinancialOption = (options: FinancialOptions) =>
+    setInput((p) => ({ ...p, financial: { ...p.financial, ...options } }));
+  const costValue = (id: string, byDefault: boolean) => input.extraCosts?.[id] ?? byDefault;
+  const setCost = (id: string, value: boolean | number) =>
+    setInput((p) => ({ ...p, extraCosts: { ...p.extraCosts, [id]: value } }));
 
   const handleVisaChange = useCallback((visaId: string) => {
     const visa = VISA_CATEGORIES.find((v) => v.id === visaId);
@@ -75,62 +150,124 @@ export default function Calculator() {
     setInput((prev) => ({
       ...prev,
       visaId,
-      durationMonths: defaultDuration,
+      applyFrom: defaultApplyFrom(visa, prev.currentRouteId),
+      durationMonths: clampDuration(visa, defaultDuration),
+      leaveStart: undefined,
+      leaveEnd: undefined,
+      sponsorLeaveEnd: undefined,
+      joiningDate: undefined,
+      dependantDetails: resizeDependants(
+        prev.dependantDetails ?? [],
+        prev.numDependants,
+        visa ? getDependantRelationships(visa) : []
+      ),
       addPriority: false,
       addSuperPriority: false,
       isNewEntrant: false,
+      extraCosts: undefined,
+      smallSponsor: undefined,
+      financial: undefined,
+      decisionBy: visa && visaHasProcessingTimes(visa) ? prev.decisionBy : undefined,
     }));
     setResult(null);
     setHasCalculated(false);
   }, []);
 
-  const handleCalculate = useCallback(() => {
-    const res = calculateCosts(input);
-    setResult(res);
+  const showResult = useCallback((calculated: CalculatorInput) => {
+    const calculatedResult = calculateCosts(calculated);
+    setResult(calculatedResult);
+    setFinancial(getFinancialRequirements(calculated, calculatedResult));
+    setPlan(getSubmissionPlan(calculated));
     setHasCalculated(true);
+
+    // Keep the whole quote in the address bar so it can be shared or bookmarked
+    const query = inputToQuery(calculated);
+    lastQuery.current = query;
+    window.history.replaceState(null, "", `?${query}`);
+  }, []);
+
+  const handleCalculate = useCallback(() => {
+    setLinkNotice(null);
+    showResult(input);
     setTimeout(() => {
       document.getElementById("calculator-result")?.scrollIntoView({
         behavior: "smooth",
         block: "start",
       });
     }, 100);
-  }, [input]);
+  }, [input, showResult]);
 
   const [copied, setCopied] = useState(false);
+  const [currency, setCurrency] = useDisplayCurrency();
+  const [linkCopied, setLinkCopied] = useState(false);
 
-  // If the URL param changes after mount (e.g. navigating with ?visa=), sync state
+  // Restore a shared link on load, or when navigating to a new ?visa=
   useEffect(() => {
-    const paramId = searchParams?.get("visa") ?? null;
-    if (paramId && VISA_CATEGORIES.find((v) => v.id === paramId)) {
-      handleVisaChange(paramId);
+    const query = searchParams?.toString() ?? "";
+    if (query === lastQuery.current) return;
+
+    const { input: restored, rejected } = inputFromQuery(query);
+    setLinkNotice(
+      rejected.length > 0
+        ? `Some values in this link are not valid for this visa and were ignored: ${rejected.join(", ")}.`
+        : null
+    );
+    if (!restored) return;
+
+    const visa = VISA_CATEGORIES.find((v) => v.id === restored.visaId);
+    const base = defaultInput(restored.visaId);
+    const next: CalculatorInput = { ...base, ...restored };
+    next.dependantDetails = resizeDependants(
+      next.dependantDetails ?? [],
+      next.numDependants,
+      visa ? getDependantRelationships(visa) : []
+    );
+    setInput(next);
+
+    // More than ?visa= means a saved quote, so price it straight away
+    if (Object.keys(restored).length > 1) {
+      showResult(next);
+    } else {
+      setResult(null);
+      setHasCalculated(false);
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [searchParams]);
+  }, [searchParams, showResult]);
 
   const handleReset = () => {
-    setInput({
-      visaId: validInitialId,
-      durationMonths: DEFAULT_DURATION_BY_GROUP[
-        VISA_CATEGORIES.find((v) => v.id === validInitialId)?.group ?? "Work"
-      ] ?? 36,
-      numApplicants: 1,
-      numDependants: 0,
-      addPriority: false,
-      addSuperPriority: false,
-      addPremiumLounge: false,
-      isNewEntrant: false,
-    });
+    setInput(defaultInput(validInitialId));
     setResult(null);
     setHasCalculated(false);
+    setLinkNotice(null);
   };
 
+  const handleExport = useCallback(
+    (format: QuoteFormat) => {
+      if (!result) return;
+      const file = exportQuote(result, format, window.location.href);
+      const url = URL.createObjectURL(new Blob([file.content], { type: file.type }));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = file.fileName;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+    [result]
+  );
+
+  const handleCopyLink = useCallback(() => {
+    navigator.clipboard.writeText(window.location.href).then(() => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2500);
+    });
+  }, []);
+
   const handlePrint = () => {
     window.print();
   };
 
   const handleCopySummary = useCallback(() => {
     if (!result || !selectedVisa) return;
-    const totalPeople = input.numApplicants + input.numDependants;
+    const totalPeople = result.applicants + result.dependants;
     const lines = [
       `UK Visa Cost Estimate — ${selectedVisa.label}`,
       `Generated: ${new Date().toLocaleDateString("en-GB")} | Source: ukvisaprice.com`,
@@ -139,8 +276,11 @@ export default function Calculator() {
       `──────────────────────────────`,
       ...result.breakdown.map((item) => `${item.label}: ${formatGBP(item.amount)}${item.note ? ` (${item.note})` : ""}`),
       `──────────────────────────────`,
-      `ESTIMATED TOTAL: ${formatGBP(result.grandTotal)}`,
+      `ESTIMATED TOTAL: ${formatGBP(result.total)}`,
       `(for ${totalPeople} person${totalPeople > 1 ? "s" : ""})`,
+      ...(result.employerTotal > 0
+        ? [`Paid by you: ${formatGBP(result.applicantTotal)} | Paid by the employer: ${formatGBP(result.employerTotal)}`]
+        : []),
       ``,
       `DISCLAIMER: This is an estimate only. Always verify fees at gov.uk before applying.`,
     ];
@@ -148,7 +288,7 @@ export default function Calculator() {
       setCopied(true);
       setTimeout(() => setCopied(false), 2500);
     });
-  }, [result, selectedVisa, input]);
+  }, [result, selectedVisa]);
 
   return (
     <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
@@ -169,6 +309,37 @@ export default function Calculator() {
           </div>
 
           <div className="space-y-6">
+            {/* Nationality */}
+            {NATIONALITY_OPTIONS.length > 0 && (
+              <div>
+                <label className="form-label" htmlFor="nationality">
+                  Nationality
+                  <span className="ml-1 text-xs font-normal text-slate-400">— optional, shared by everyone applying</span>
+                </label>
+                <div className="relative">
+                  <select
+                    id="nationality"
+                    className="form-select pr-10"
+                    value={input.nationality ?? ""}
+                    onChange={(e) => setInput((p) => ({ ...p, nationality: e.target.value || undefined }))}
+                  >
+                    <option value="">Not given</option>
+                    {NATIONALITY_OPTIONS.map((option) => (
+                      <option key={option.code} value={option.code}>{option.name}</option>
+                    ))}
+                  </select>
+                  <div className="pointer-events-none absolute inset-y-0 right-3 flex items-center">
+                    <svg className="w-4 h-4 text-slate-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                      <path strokeLinecap="round" strokeLinejoin="round" d="m19.5 8.25-7.5 7.5-7.5-7.5" />
+                    </svg>
+                  </div>
+                </div>
+                <p className="mt-2 text-xs text-slate-500 leading-relaxed">
+                  Decides whether a visitor needs a visa or an ETA, the TB test, fee discounts and which visas are open to you.
+                </p>
+              </div>
+            )}
+
             {/* Visa Type */}
             <div>
               <label className="form-label">
@@ -182,7 +353,7 @@ export default function Calculator() {
                 >
                   {VISA_GROUPS.map((group) => (
                     <optgroup key={group} label={`── ${group} ──`}>
-                      {(visasByGroup[group] ?? []).map((visa) => (
+                      {(visasByGroup[group] ?? []).filter(visaOpen).map((visa) => (
                         <option key={visa.id} value={visa.id}>{visa.label}</option>
                       ))}
                     </optgroup>
@@ -197,8 +368,91 @@ export default function Calculator() {
               {selectedVisa && (
                 <p className="mt-2 text-xs text-slate-500 leading-relaxed">{selectedVisa.description}</p>
               )}
+              {visaAccess && !visaAccess.open && (
+                <p className="mt-2 text-xs text-amber-700 leading-relaxed">{visaAccess.reason}</p>
+              )}
+            </div>
+
+            {/* Current Visa */}
+            <div>
+              <label className="form-label" htmlFor="currentRoute">
+                Current UK Visa
+                <span className="ml-1 text-xs font-normal text-slate-400">— for an extension or switch</span>
+              </label>
+              <div className="relative">
+                <select
+                  id="currentRoute"
+                  className="form-select pr-10"
+                  value={input.currentRouteId ?? ""}
+                  onChange={(e) => setInput((p) => ({
+                    ...p,
+                    currentRouteId: e.target.value || undefined,
+                    currentLeaveEnd: e.target.value ? p.currentLeaveEnd : undefined,
+                    applyFrom: defaultApplyFrom(selectedVisa, e.target.value || undefined),
+                    addPriority: false,
+                    addSuperPriority: false,
+                    addPremiumLounge: false,
+                  }))}
+                >
+                  <option value="">None — not in the UK on a visa</option>
+                  {CURRENT_VISA_OPTIONS.map((option) => (
+                    <option key={option.routeId} value={option.routeId}>{option.label}</option>
+                  ))}
+                </select>
+                <div className="pointer-events-none absolute inset-y-0 right-3 flex items-center">
+                  <svg className="w-4 h-4 text-slate-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                    <path strokeLinecap="round" strokeLinejoin="round" d="m19.5 8.25-7.5 7.5-7.5-7.5" />
+                  </svg>
+                </div>
+              </div>
+              {input.currentRouteId && (
+                <div className="mt-3">
+                  <label className="text-xs font-medium text-slate-500" htmlFor="currentLeaveEnd">Current leave ends</label>
+                  <input
+                    type="date"
+                    id="currentLeaveEnd"
+                    className="form-input"
+                    value={input.currentLeaveEnd ?? ""}
+                    onChange={(e) => setInput((p) => ({ ...p, currentLeaveEnd: e.target.value || undefined }))}
+                  />
+                  <p className="mt-1.5 text-xs text-slate-400">
+                    Optional. IHS you have already paid up to this date is not charged again for the new visa.
+                  </p>
+                </div>
+              )}
             </div>
 
+            {/* Applying From */}
+            {applyFromOptions.length > 1 && !input.currentRouteId && (
+              <div>
+                <label className="form-label">Applying From</label>
+                <div className="relative">
+                  <select
+                    className="form-select pr-10"
+                    value={input.applyFrom}
+                    onChange={(e) => setInput((p) => ({
+                      ...p,
+                      applyFrom: e.target.value as ApplyFrom,
+                      addPriority: false,
+                      addSuperPriority: false,
+                      addPremiumLounge: false,
+                    }))}
+                  >
+                    {applyFromOptions.map((option) => (
+                      <option key={option} value={option}>
+                        {option === "inside_uk" ? "Inside the UK" : "Outside the UK"}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="pointer-events-none absolute inset-y-0 right-3 flex items-center">
+                    <svg className="w-4 h-4 text-slate-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                      <path strokeLinecap="round" strokeLinejoin="round" d="m19.5 8.25-7.5 7.5-7.5-7.5" />
+                    </svg>
+                  </div>
+                </div>
+              </div>
+            )}
+
             {/* Duration */}
             {showDuration && (
               <div>
@@ -209,8 +463,8 @@ export default function Calculator() {
                 <div className="flex items-center gap-3">
                   <input
                     type="range"
-                    min={1}
-                    max={60}
+                    min={selectedVisa?.minDurationMonths ?? 1}
+                    max={selectedVisa?.maxDurationMonths ?? 60}
                     step={1}
                     value={input.durationMonths}
                     onChange={(e) => setInput((p) => ({ ...p, durationMonths: Number(e.target.value) }))}
@@ -223,9 +477,90 @@ export default function Calculator() {
                 <p className="mt-1.5 text-xs text-slate-400">
                   IHS is charged for{" "}
                   <strong className="text-slate-600">
-                    {Math.ceil(input.durationMonths / 12)} year{Math.ceil(input.durationMonths / 12) > 1 ? "s" : ""}
+                    {ihsYears} year{ihsYears !== 1 ? "s" : ""}
                   </strong>{" "}
-                  (rounded up to the nearest full year)
+                  (rounded up to the nearest 6 months)
+                </p>
+              </div>
+            )}
+
+            {/* Leave matching the main applicant's */}
+            {matchesSponsorLeave && (
+              <div>
+                <label className="form-label">
+                  Main Applicant&apos;s Leave
+                  <span className="ml-1 text-xs font-normal text-slate-400">— used to calculate IHS</span>
+                </label>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="text-xs font-medium text-slate-500" htmlFor="sponsorLeaveEnd">Their leave ends</label>
+                    <input
+                      type="date"
+                      id="sponsorLeaveEnd"
+                      className="form-input"
+                      value={input.sponsorLeaveEnd ?? ""}
+                      onChange={(e) => setInput((p) => ({ ...p, sponsorLeaveEnd: e.target.value || undefined }))}
+                    />
+                  </div>
+                  <div>
+                    <label className="text-xs font-medium text-slate-500" htmlFor="joiningDate">Date joining (optional)</label>
+                    <input
+                      type="date"
+                      id="joiningDate"
+                      className="form-input"
+                      value={input.joiningDate ?? ""}
+                      onChange={(e) => setInput((p) => ({ ...p, joiningDate: e.target.value || undefined }))}
+                    />
+                  </div>
+                </div>
+                <p className="mt-1.5 text-xs text-slate-400">
+                  Leave is granted to end on the same day as the main applicant&apos;s, so the IHS is charged from the joining date (or the application date) until then.
+                </p>
+              </div>
+            )}
+
+            {/* Exact Leave Dates */}
+            {selectedVisa && ihsAppliesToVisa(selectedVisa) && !matchesSponsorLeave && (
+              <div>
+                <label className="form-label">
+                  Exact Leave Dates
+                  <span className="ml-1 text-xs font-normal text-slate-400">— optional, for an exact IHS figure</span>
+                </label>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="text-xs font-medium text-slate-500" htmlFor="leaveStart">Start date</label>
+                    <input
+                      type="date"
+                      id="leaveStart"
+                      className="form-input"
+                      value={input.leaveStart ?? ""}
+                      onChange={(e) => setInput((p) => ({ ...p, leaveStart: e.target.value || undefined }))}
+                    />
+                  </div>
+                  <div>
+                    <label className="text-xs font-medium text-slate-500" htmlFor="leaveEnd">End date</label>
+                    <input
+                      type="date"
+                      id="leaveEnd"
+                      className="form-input"
+                      value={input.leaveEnd ?? ""}
+                      onChange={(e) => setInput((p) => ({ ...p, leaveEnd: e.target.value || undefined }))}
+                    />
+                  </div>
+                </div>
+                {visaHasLeavePadding(selectedVisa) && (
+                  <label className="mt-2 flex items-center gap-2 text-xs text-slate-600 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      className="form-checkbox"
+                      checked={input.addExtraLeave ?? true}
+                      onChange={(e) => setInput((p) => ({ ...p, addExtraLeave: e.target.checked }))}
+                    />
+                    These are my CoS or course dates — add the extra leave normally granted before and after them
+                  </label>
+                )}
+                <p className="mt-1.5 text-xs text-slate-400">
+                  With both dates, the IHS is worked out the way the Home Office does: each whole year, plus half a year for any remaining 6 months or less. They replace the duration above.
                 </p>
               </div>
             )}
@@ -261,7 +596,14 @@ export default function Calculator() {
                     className="form-select pr-10"
                     value={input.numDependants}
                     disabled={!showDependants}
-                    onChange={(e) => setInput((p) => ({ ...p, numDependants: Number(e.target.value) }))}
+                    onChange={(e) => {
+                      const numDependants = Number(e.target.value);
+                      setInput((p) => ({
+                        ...p,
+                        numDependants,
+                        dependantDetails: resizeDependants(p.dependantDetails ?? [], numDependants, dependantRelationships),
+                      }));
+                    }}
                   >
                     {[0, 1, 2, 3, 4, 5, 6].map((n) => (
                       <option key={n} value={n}>{n} {n === 1 ? "dependant" : "dependants"}</option>
@@ -276,6 +618,15 @@ export default function Calculator() {
               </div>
             </div>
 
+            {/* Dependant Details */}
+            {showDependants && input.numDependants > 0 && (
+              <DependantFields
+                details={dependantDetails}
+                relationships={dependantRelationships}
+                onChange={(details) => setInput((p) => ({ ...p, dependantDetails: details }))}
+              />
+            )}
+
             {/* New Entrant */}
             {showNewEntrant && (
               <div className="flex items-start gap-3 p-4 rounded-xl bg-indigo-50 border border-indigo-100">
@@ -295,77 +646,257 @@ export default function Calculator() {
               </div>
             )}
 
+            {/* Application Date */}
+            <div>
+              <label className="form-label" htmlFor="applicationDate">
+                Application Date
+                <span className="ml-1 text-xs font-normal text-slate-400">— optional</span>
+              </label>
+              <input
+                type="date"
+                id="applicationDate"
+                className="form-input"
+                value={input.applicationDate ?? ""}
+                onChange={(e) => setInput((p) => ({ ...p, applicationDate: e.target.value || undefined }))}
+              />
+              <p className="mt-1.5 text-xs text-slate-400">
+                Leave blank to use today&rsquo;s fees. Pick a future date to include announced fee changes, or a past date to check what an application cost back to the earliest recorded fees.
+              </p>
+            </div>
+
+            {/* Decision date for the submission planner */}
+            {selectedVisa && visaHasProcessingTimes(selectedVisa) && (
+              <div>
+                <label className="form-label" htmlFor="decisionBy">
+                  Decision Needed By
+                  <span className="ml-1 text-xs font-normal text-slate-400">— optional</span>
+                </label>
+                <input
+                  type="date"
+                  id="decisionBy"
+                  className="form-input"
+                  value={input.decisionBy ?? ""}
+                  onChange={(e) => setInput((p) => ({ ...p, decisionBy: e.target.value || undefined }))}
+                />
+                <p className="mt-1.5 text-xs text-slate-400">
+                  Your job or course start date, or travel date. Shows the latest day to apply with each processing service, and what each costs.
+                </p>
+              </div>
+            )}
+
             {/* Optional Services */}
             <div>
               <label className="form-label mb-3">
                 Optional Services
-                <span className="ml-1 text-xs font-normal text-slate-400">— UK applications only</span>
+                <span className="ml-1 text-xs font-normal text-slate-400">— availability depends on visa type and location</span>
               </label>
               <div className="space-y-3">
                 {/* Priority */}
-                <div className={`flex items-start gap-3 p-4 rounded-xl border transition-colors ${!selectedVisa?.priorityAvailable ? "bg-slate-50 border-slate-200 opacity-60" : input.addPriority ? "bg-indigo-50 border-indigo-200" : "bg-white border-slate-200 hover:border-slate-300"}`}>
+                <div className={`flex items-start gap-3 p-4 rounded-xl border transition-colors ${!serviceAvailable("priority") ? "bg-slate-50 border-slate-200 opacity-60" : input.addPriority ? "bg-indigo-50 border-indigo-200" : "bg-white border-slate-200 hover:border-slate-300"}`}>
                   <input
                     type="checkbox"
                     id="priority"
                     className="form-checkbox mt-0.5"
                     checked={input.addPriority}
-                    disabled={!selectedVisa?.priorityAvailable}
+                    disabled={!serviceAvailable("priority")}
                     onChange={(e) => setInput((p) => ({ ...p, addPriority: e.target.checked, addSuperPriority: e.target.checked ? false : p.addSuperPriority }))}
                   />
-                  <label htmlFor="priority" className={`flex-1 ${selectedVisa?.priorityAvailable ? "cursor-pointer" : "cursor-not-allowed"}`}>
+                  <label htmlFor="priority" className={`flex-1 ${serviceAvailable("priority") ? "cursor-pointer" : "cursor-not-allowed"}`}>
                     <div className="flex items-center justify-between">
                       <span className="text-sm font-semibold text-slate-800">{OPTIONAL_SERVICES.priority.label}</span>
-                      <span className="text-sm font-bold text-indigo-700">+{formatGBP(OPTIONAL_SERVICES.priority.fee)}</span>
+                      <span className="text-sm font-bold text-indigo-700">+{formatGBP(getServiceFee("priority", input.applyFrom, input.applicationDate) ?? 0)}</span>
                     </div>
                     <span className="text-xs text-slate-500 leading-relaxed">{OPTIONAL_SERVICES.priority.description}</span>
-                    {!selectedVisa?.priorityAvailable && (
-                      <span className="text-xs text-amber-600 font-medium block mt-0.5">Not available for this visa type</span>
+                    {!serviceAvailable("priority") && (
+                      <span className="text-xs text-amber-600 font-medium block mt-0.5">Not available for this visa type or location</span>
                     )}
                   </label>
                 </div>
 
                 {/* Super Priority */}
-                <div className={`flex items-start gap-3 p-4 rounded-xl border transition-colors ${!selectedVisa?.superPriorityAvailable ? "bg-slate-50 border-slate-200 opacity-60" : input.addSuperPriority ? "bg-indigo-50 border-indigo-200" : "bg-white border-slate-200 hover:border-slate-300"}`}>
+                <div className={`flex items-start gap-3 p-4 rounded-xl border transition-colors ${!serviceAvailable("superPriority") ? "bg-slate-50 border-slate-200 opacity-60" : input.addSuperPriority ? "bg-indigo-50 border-indigo-200" : "bg-white border-slate-200 hover:border-slate-300"}`}>
                   <input
                     type="checkbox"
                     id="superPriority"
                     className="form-checkbox mt-0.5"
                     checked={input.addSuperPriority}
-                    disabled={!selectedVisa?.superPriorityAvailable}
+                    disabled={!serviceAvailable("superPriority")}
                     onChange={(e) => setInput((p) => ({ ...p, addSuperPriority: e.target.checked, addPriority: e.target.checked ? false : p.addPriority }))}
                   />
-                  <label htmlFor="superPriority" className={`flex-1 ${selectedVisa?.superPriorityAvailable ? "cursor-pointer" : "cursor-not-allowed"}`}>
+                  <label htmlFor="superPriority" className={`flex-1 ${serviceAvailable("superPriority") ? "cursor-pointer" : "cursor-not-allowed"}`}>
                     <div className="flex items-center justify-between">
                       <span className="text-sm font-semibold text-slate-800">{OPTIONAL_SERVICES.superPriority.label}</span>
-                      <span className="text-sm font-bold text-indigo-700">+{formatGBP(OPTIONAL_SERVICES.superPriority.fee)}</span>
+                      <span className="text-sm font-bold text-indigo-700">+{formatGBP(getServiceFee("superPriority", input.applyFrom, input.applicationDate) ?? 0)}</span>
                     </div>
                     <span className="text-xs text-slate-500 leading-relaxed">{OPTIONAL_SERVICES.superPriority.description}</span>
-                    {!selectedVisa?.superPriorityAvailable && (
-                      <span className="text-xs text-amber-600 font-medium block mt-0.5">Not available for this visa type</span>
+                    {!serviceAvailable("superPriority") && (
+                      <span className="text-xs text-amber-600 font-medium block mt-0.5">Not available for this visa type or location</span>
                     )}
                   </label>
                 </div>
 
                 {/* Premium Lounge */}
-                <div className={`flex items-start gap-3 p-4 rounded-xl border transition-colors ${input.addPremiumLounge ? "bg-indigo-50 border-indigo-200" : "bg-white border-slate-200 hover:border-slate-300"}`}>
+                <div className={`flex items-start gap-3 p-4 rounded-xl border transition-colors ${!serviceAvailable("premiumLounge") ? "bg-slate-50 border-slate-200 opacity-60" : input.addPremiumLounge ? "bg-indigo-50 border-indigo-200" : "bg-white border-slate-200 hover:border-slate-300"}`}>
                   <input
                     type="checkbox"
                     id="premiumLounge"
                     className="form-checkbox mt-0.5"
                     checked={input.addPremiumLounge}
+                    disabled={!serviceAvailable("premiumLounge")}
                     onChange={(e) => setInput((p) => ({ ...p, addPremiumLounge: e.target.checked }))}
                   />
-                  <label htmlFor="premiumLounge" className="flex-1 cursor-pointer">
+                  <label htmlFor="premiumLounge" className={`flex-1 ${serviceAvailable("premiumLounge") ? "cursor-pointer" : "cursor-not-allowed"}`}>
                     <div className="flex items-center justify-between">
                       <span className="text-sm font-semibold text-slate-800">{OPTIONAL_SERVICES.premiumLounge.label}</span>
-                      <span className="text-sm font-bold text-indigo-700">+{formatGBP(OPTIONAL_SERVICES.premiumLounge.fee)}</span>
+                      <span className="text-sm font-bold text-indigo-700">+{formatGBP(getServiceFee("premiumLounge", input.applyFrom, input.applicationDate) ?? 0)}</span>
                     </div>
                     <span className="text-xs text-slate-500 leading-relaxed">{OPTIONAL_SERVICES.premiumLounge.description}</span>
+                    {!serviceAvailable("premiumLounge") && (
+                      <span className="text-xs text-amber-600 font-medium block mt-0.5">Not available for this location</span>
+                    )}
                   </label>
                 </div>
               </div>
             </div>
 
+            {/* Additional Costs */}
+            {costOptions.length > 0 && (
+              <div>
+                <label className="form-label mb-3">
+                  Additional Costs
+                  <span className="ml-1 text-xs font-normal text-slate-400">— tests, endorsements and sponsorship</span>
+                </label>
+                <div className="space-y-3">
+                  {costOptions.map((cost) => {
+                    const value = costValue(cost.id, cost.default);
+                    const included = cost.charged === "per_item" ? Number(value) > 0 : Boolean(value);
+                    return (
+                      <div
+                        key={cost.id}
+                        className={`flex items-start gap-3 p-4 rounded-xl border transition-colors ${included ? "bg-indigo-50 border-indigo-200" : "bg-white border-slate-200 hover:border-slate-300"}`}
+                      >
+                        {cost.charged === "per_item" ? (
+                          <input
+                            type="number"
+                            id={`cost-${cost.id}`}
+                            className="form-input w-20 py-1"
+                            min={0}
+                            max={50}
+                            value={Number(value)}
+                            onChange={(e) => setCost(cost.id, Math.max(0, Math.min(50, Number(e.target.value) || 0)))}
+                          />
+                        ) : (
+                          <input
+                            type="checkbox"
+                            id={`cost-${cost.id}`}
+                            className="form-checkbox mt-0.5"
+                            checked={included}
+                            onChange={(e) => setCost(cost.id, e.target.checked)}
+                          />
+                        )}
+                        <div className="flex-1">
+                          <label htmlFor={`cost-${cost.id}`} className="block cursor-pointer">
+                            <div className="flex items-center justify-between gap-2">
+                              <span className="text-sm font-semibold text-slate-800">
+                                {cost.label}
+                                {cost.paid_by === "employer" && <span className="badge-gray ml-2">Employer pays</span>}
+                              </span>
+                              <span className="text-sm font-bold text-indigo-700 whitespace-nowrap">
+                                {cost.estimate ? "~" : ""}{formatGBP(cost.amount)}
+                                {cost.charged === "per_year" ? "/year" : cost.charged === "per_item" ? " each" : ""}
+                              </span>
+                            </div>
+                            {cost.description && <span className="text-xs text-slate-500 leading-relaxed">{cost.description}</span>}
+                          </label>
+                          {cost.small_sponsor_fee_key && included && (
+                            <label className="flex items-center gap-2 mt-2 text-xs text-slate-600 cursor-pointer">
+                              <input
+                                type="checkbox"
+                                className="form-checkbox"
+                                checked={input.smallSponsor ?? false}
+                                onChange={(e) => setInput((p) => ({ ...p, smallSponsor: e.target.checked || undefined }))}
+                              />
+                              Small or charitable sponsor (lower rate)
+                            </label>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            {/* Money to Show */}
+            {requirements.length > 0 && (
+              <div>
+                <label className="form-label mb-3">
+                  Money You Must Show
+                  <span className="ml-1 text-xs font-normal text-slate-400">— optional details</span>
+                </label>
+                <div className="space-y-3">
+                  {requirements.some((requirement) => requirement.type === "monthly") && (
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <label className="text-xs font-medium text-slate-500" htmlFor="studyLocation">Where you will study</label>
+                        <select
+                          id="studyLocation"
+                          className="form-select"
+                          value={input.financial?.studyLocation ?? "outside_london"}
+                          onChange={(e) => setFinancialOption({ studyLocation: e.target.value as FinancialOptions["studyLocation"] })}
+                        >
+                          <option value="outside_london">Outside London</option>
+                          <option value="london">In London</option>
+                        </select>
+                      </div>
+                      <div>
+                        <label className="text-xs font-medium text-slate-500" htmlFor="courseMonths">Months of the course left</label>
+                        <input
+                          type="number"
+                          id="courseMonths"
+                          className="form-input"
+                          min={1}
+                          max={120}
+                          placeholder={String(input.durationMonths)}
+                          value={input.financial?.courseMonths ?? ""}
+                          onChange={(e) => setFinancialOption({ courseMonths: Number(e.target.value) || undefined })}
+                        />
+                      </div>
+                    </div>
+                  )}
+                  {requirements.some((requirement) => requirement.type === "minimum_income") && (
+                    <div>
+                      <label className="text-xs font-medium text-slate-500" htmlFor="yearlyIncome">Your partner&apos;s yearly income before tax (£)</label>
+                      <input
+                        type="number"
+                        id="yearlyIncome"
+                        className="form-input"
+                        min={0}
+                        step={100}
+                        value={input.financial?.income ?? ""}
+                        onChange={(e) => setFinancialOption({ income: e.target.value === "" ? undefined : Math.max(0, Number(e.target.value)) })}
+                      />
+                      <p className="mt-1 text-xs text-slate-400">With an income, the savings needed to make up any shortfall are worked out.</p>
+                    </div>
+                  )}
+                  {maintenance && (
+                    <label className="flex items-start gap-2 text-xs text-slate-600 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        className="form-checkbox mt-0.5"
+                        checked={input.financial?.maintenanceExempt ?? false}
+                        onChange={(e) => setFinancialOption({ maintenanceExempt: e.target.checked || undefined })}
+                      />
+                      <span>
+                        I do not need to show maintenance funds
+                        {maintenance.exemption && <span className="block text-slate-400">{maintenance.exemption}</span>}
+                      </span>
+                    </label>
+                  )}
+                </div>
+              </div>
+            )}
+
             {/* Calculate Button */}
             <button onClick={handleCalculate} className="btn-primary w-full justify-center py-4 text-base">
               <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
@@ -410,6 +941,7 @@ export default function Calculator() {
 
       {/* Result Panel */}
       <div className="lg:col-span-2" id="calculator-result">
+        {linkNotice && <div className="alert-warning text-xs mb-4">{linkNotice}</div>}
         {!hasCalculated ? (
           <div className="card p-8 flex flex-col items-center justify-center text-center min-h-[400px]">
             <div className="w-16 h-16 rounded-2xl bg-gradient-to-br from-indigo-100 to-teal-100 flex items-center justify-center mb-4">
@@ -427,9 +959,10 @@ export default function Calculator() {
             {/* Grand Total */}
             <div className="card-premium p-6 text-center">
               <p className="text-xs font-bold uppercase tracking-widest text-indigo-500 mb-2">Estimated Total Cost</p>
-              <div className="cost-total mb-1">{formatGBP(result.grandTotal)}</div>
+              <div className="cost-total mb-1">{formatGBP(result.total)}</div>
+              {currency && <p className="text-sm font-semibold text-slate-500">{formatInCurrency(result.total, currency)}</p>}
               <p className="text-xs text-slate-400">
-                For {input.numApplicants + input.numDependants} person{input.numApplicants + input.numDependants > 1 ? "s" : ""}
+                For {result.applicants + result.dependants} person{result.applicants + result.dependants > 1 ? "s" : ""}
                 {showDuration ? ` · ${input.durationMonths} months` : ""}
               </p>
               <div className="flex flex-wrap justify-center gap-2 mt-4">
@@ -442,7 +975,16 @@ export default function Calculator() {
                 {result.optionalServicesTotal > 0 && (
                   <span className="badge-amber">Optional: {formatGBP(result.optionalServicesTotal)}</span>
                 )}
+                {result.otherCostsTotal > 0 && (
+                  <span className="badge-gray">Other: {formatGBP(result.otherCostsTotal)}</span>
+                )}
               </div>
+              {result.employerTotal > 0 && (
+                <p className="text-xs text-slate-500 mt-3">
+                  Paid by you: <span className="font-semibold text-slate-700">{formatGBP(result.applicantTotal)}</span>
+                  {" · "}Paid by the employer: <span className="font-semibold text-slate-700">{formatGBP(result.employerTotal)}</span>
+                </p>
+              )}
             </div>
 
             {/* Breakdown */}
@@ -457,19 +999,169 @@ export default function Calculator() {
                 {result.breakdown.map((item, i) => (
                   <div key={i} className="flex items-start justify-between gap-3">
                     <div className="flex-1 min-w-0">
-                      <p className="text-sm text-slate-700 font-medium leading-snug">{item.label}</p>
+                      <p className="text-sm text-slate-700 font-medium leading-snug">
+                        {item.label}
+                        {item.paidBy === "employer" && <span className="badge-gray ml-2">Employer</span>}
+                      </p>
                       {item.note && <p className="text-xs text-slate-400 mt-0.5">{item.note}</p>}
                     </div>
-                    <span className="text-sm font-bold text-slate-900 whitespace-nowrap">{formatGBP(item.amount)}</span>
+                    <div className="text-right whitespace-nowrap">
+                      <span className="text-sm font-bold text-slate-900">{formatGBP(item.amount)}</span>
+                      {currency && <p className="text-xs text-slate-400">{formatInCurrency(item.amount, currency)}</p>}
+                    </div>
                   </div>
                 ))}
               </div>
               <div className="mt-4 pt-4 border-t border-slate-100 flex items-center justify-between">
                 <span className="text-sm font-bold text-slate-900">Total</span>
-                <span className="text-lg font-bold text-gradient">{formatGBP(result.grandTotal)}</span>
+                <div className="text-right">
+                  <span className="text-lg font-bold text-gradient">{formatGBP(result.total)}</span>
+                  {currency && <p className="text-xs text-slate-400">{formatInCurrency(result.total, currency)}</p>}
+                </div>
+              </div>
+              <div className="mt-4 pt-4 border-t border-slate-100 space-y-2">
+                <CurrencySelect value={currency} onChange={setCurrency} />
+                <p className="text-xs text-slate-400 leading-relaxed">
+                  {currency ? describeExchangeRate(currency) : "Fees are payable in GBP (£)."}
+                </p>
               </div>
             </div>
 
+            {/* Money to show versus money to pay */}
+            {financial && (
+              <div className="card p-5">
+                <h3 className="text-sm font-bold text-slate-800 mb-4">Money to Pay and Money to Show</h3>
+                <div className="grid grid-cols-2 gap-3 mb-4">
+                  <div className="rounded-xl border border-slate-200 p-3">
+                    <p className="text-xs text-slate-500">Money you will pay</p>
+                    <p className="text-lg font-bold text-slate-900">{formatGBP(result.total)}</p>
+                    {currency && <p className="text-xs text-slate-400">{formatInCurrency(result.total, currency)}</p>}
+                  </div>
+                  <div className="rounded-xl border border-slate-200 p-3">
+                    <p className="text-xs text-slate-500">Money you must show</p>
+                    {financial.fundsTotal === null ? (
+                      financial.requirements
+                        .filter((requirement) => requirement.funds === null)
+                        .map((requirement) => (
+                          <div key={requirement.id}>
+                            <p className="text-lg font-bold text-slate-900">{formatGBP(requirement.income ?? 0)} a year</p>
+                            <p className="text-xs text-slate-400">or {formatGBP(requirement.savingsOnly ?? 0)} in savings</p>
+                          </div>
+                        ))
+                    ) : (
+                      <>
+                        <p className="text-lg font-bold text-slate-900">{formatGBP(financial.fundsTotal)}</p>
+                        {currency && <p className="text-xs text-slate-400">{formatInCurrency(financial.fundsTotal, currency)}</p>}
+                      </>
+                    )}
+                  </div>
+                </div>
+                <div className="space-y-4">
+                  {financial.requirements.map((requirement) => (
+                    <div key={requirement.id}>
+                      <p className="text-xs font-semibold text-slate-700 mb-2">{requirement.label}</p>
+                      <div className="space-y-2">
+                        {requirement.lines.map((item, i) => (
+                          <div key={i} className="flex items-start justify-between gap-3">
+                            <div className="flex-1 min-w-0">
+                              <p className="text-sm text-slate-700 leading-snug">{item.label}</p>
+                              {item.note && <p className="text-xs text-slate-400 mt-0.5">{item.note}</p>}
+                            </div>
+                            <span className="text-sm font-bold text-slate-900 whitespace-nowrap">{formatGBP(item.amount)}</span>
+                          </div>
+                        ))}
+                      </div>
+                      {requirement.description && (
+                        <p className="mt-2 text-xs text-slate-400 leading-relaxed">
+                          {requirement.description} Figures in force from {requirement.effectiveDate}.
+                          {requirement.sourceUrl && (
+                            <>
+                              {" "}
+                              <a href={requirement.sourceUrl} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-800">
+                                Check on GOV.UK
+                              </a>
+                            </>
+                          )}
+                        </p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                {financial.assumptions.length > 0 && (
+                  <p className="mt-3 text-xs text-slate-400">{financial.assumptions.join(" ")}</p>
+                )}
+              </div>
+            )}
+
+            {/* When to apply under each processing service */}
+            {plan && (
+              <div className="card p-5">
+                <h3 className="text-sm font-bold text-slate-800 mb-2">When to Apply for a Decision by {plan.targetDate}</h3>
+                <p className="text-sm text-slate-700 mb-4">{plan.summary}</p>
+                {plan.options.length > 0 && (
+                  <div className="space-y-2">
+                    {plan.options.map((option) => (
+                      <div key={option.service} className="flex items-start justify-between gap-3">
+                        <div className="flex-1 min-w-0">
+                          <p
+                            className={`text-sm leading-snug ${
+                              !option.available ? "text-slate-400" : option.service === plan.recommended ? "font-semibold text-slate-900" : "text-slate-700"
+                            }`}
+                          >
+                            {option.label}
+                          </p>
+                          <p className={`text-xs mt-0.5 ${option.available && !option.feasible ? "text-amber-700" : "text-slate-400"}`}>
+                            {!option.available
+                              ? option.reason
+                              : option.feasible
+                                ? `Decision in ${option.processingTime}; apply by ${option.latestSubmission}`
+                                : `Decision in ${option.processingTime}; too late, the last day was ${option.latestSubmission}`}
+                          </p>
+                        </div>
+                        <span className="text-sm font-bold text-slate-900 whitespace-nowrap">
+                          {!option.available ? "Not available" : option.extraCost ? `+${formatGBP(option.extraCost)}` : "No extra cost"}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {plan.options.length > 0 && (
+                  <p className="mt-3 text-xs text-slate-400">
+                    {plan.assumptions.join(" ")}
+                    {plan.sourceUrl && (
+                      <>
+                        {" "}
+                        <a href={plan.sourceUrl} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-800">
+                          Check on GOV.UK
+                        </a>
+                      </>
+                    )}
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* IHS per person */}
+            {result.ihsTotal > 0 && result.people.length > 0 && (
+              <div className="card p-5">
+                <h3 className="text-sm font-bold text-slate-800 mb-3">IHS per person</h3>
+                <div className="space-y-2">
+                  {result.people.map((person, i) => (
+                    <div key={i} className="flex items-start justify-between gap-3">
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm text-slate-700 font-medium leading-snug">{person.label}</p>
+                        <p className="text-xs text-slate-400 mt-0.5">
+                          {person.ihsYears} year{person.ihsYears !== 1 ? "s" : ""} × {formatGBP(person.ihsRate ?? 0)}
+                          {person.leaveStart && ` · ${person.leaveStart} to ${person.leaveEnd}`}
+                        </p>
+                      </div>
+                      <span className="text-sm font-bold text-slate-900 whitespace-nowrap">{formatGBP(person.ihsAmount)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Assumptions */}
             {result.assumptions.length > 0 && (
               <div className="alert-info">
@@ -527,6 +1219,13 @@ export default function Calculator() {
                   </>
                 )}
               </button>
+              <button
+                onClick={handleCopyLink}
+                className="flex-1 btn-secondary justify-center text-sm py-2.5"
+                title="Copy a link that reopens this estimate"
+              >
+                {linkCopied ? <span className="text-emerald-700">Link copied!</span> : "Copy Link"}
+              </button>
               <button
                 onClick={handlePrint}
                 className="flex-1 btn-secondary justify-center text-sm py-2.5"
@@ -539,6 +1238,23 @@ export default function Calculator() {
               </button>
             </div>
 
+            {/* Quote Export */}
+            <div className="card p-4">
+              <p className="text-xs font-semibold text-slate-700 mb-2">Download quote</p>
+              <div className="flex gap-2">
+                {(["pdf", "csv", "json"] as QuoteFormat[]).map((format) => (
+                  <button
+                    key={format}
+                    onClick={() => handleExport(format)}
+                    className="flex-1 btn-secondary justify-center text-sm py-2"
+                    title={`Download this estimate as ${format.toUpperCase()} with a reference number`}
+                  >
+                    {format.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            </div>
+
             {/* Verify CTA */}
             <a
               href={FEE_SOURCE_URL}
@@ -554,6 +1270,9 @@ export default function Calculator() {
 
             <p className="text-center text-xs text-slate-400">
               Fee data last reviewed: {LAST_UPDATED}
+              {result.feeSchedule.feesEffectiveDate && (
+                <> · Fee schedule effective {result.feeSchedule.feesEffectiveDate}</>
+              )}
             </p>
 
             {/* Related Links */}
@@ -0,0 +1,59 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { DISPLAY_CURRENCIES } from "@/data/visaFees";
+
+const CURRENCY_KEY = "ukvisa_display_currency";
+
+// Secondary display currency, remembered between visits ("" for pounds only)
+export function useDisplayCurrency(): [string, (code: string) => void] {
+  const [currency, setCurrency] = useState("");
+
+  useEffect(() => {
+    try {
+      const stored = localStorage.getItem(CURRENCY_KEY) ?? "";
+      if (DISPLAY_CURRENCIES.some((c) => c.code === stored)) setCurrency(stored);
+    } catch {
+      // localStorage unavailable (e.g. private browsing with strict settings)
+    }
+  }, []);
+
+  const update = useCallback((code: string) => {
+    setCurrency(code);
+    try {
+      if (code) {
+        localStorage.setItem(CURRENCY_KEY, code);
+      } else {
+        localStorage.removeItem(CURRENCY_KEY);
+      }
+    } catch {
+      // ignore
+    }
+  }, []);
+
+  return [currency, update];
+}
+
+type CurrencySelectProps = {
+  value: string;
+  onChange: (code: string) => void;
+};
+
+export default function CurrencySelect({ value, onChange }: CurrencySelectProps) {
+  return (
+    <div className="flex items-center justify-between gap-3">
+      <label className="text-xs font-medium text-slate-500" htmlFor="displayCurrency">Also show amounts in</label>
+      <select
+        id="displayCurrency"
+        className="form-select w-auto py-1.5 text-xs"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        <option value="">Pounds only (GBP)</option>
+        {DISPLAY_CURRENCIES.map((c) => (
+          <option key={c.code} value={c.code}>{c.code} — {c.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+"use client";
+
+import type { DependantDetails } from "@/data/visaFees";
+
+const RELATIONSHIP_LABELS: Record<DependantDetails["relationship"], string> = {
+  partner: "Partner",
+  child: "Child",
+};
+
+// Keep one details row per dependant, defaulting new rows to a partner first, then children
+export function resizeDependants(
+  details: DependantDetails[],
+  count: number,
+  relationships: DependantDetails["relationship"][]
+): DependantDetails[] {
+  return Array.from({ length: count }, (_, i) => {
+    const existing = details[i];
+    if (existing && relationships.includes(existing.relationship)) return existing;
+    const fallback = i === 0 || !relationships.includes("child") ? relationships[0] : "child";
+    return { ...existing, relationship: fallback ?? "child" };
+  });
+}
+
+type DependantFieldsProps = {
+  details: DependantDetails[];
+  relationships: DependantDetails["relationship"][];
+  onChange: (details: DependantDetails[]) => void;
+};
+
+export default function DependantFields({ details, relationships, onChange }: DependantFieldsProps) {
+  return (
+    <div className="space-y-3">
+      <p className="text-xs text-slate-400">
+        Children under 18 pay a reduced Immigration Health Surcharge. Add each dependant&rsquo;s age or date of birth for an exact figure.
+      </p>
+      {details.map((person, i) => {
+        const update = (changes: Partial<DependantDetails>) =>
+          onChange(details.map((d, j) => (j === i ? { ...d, ...changes } : d)));
+        return (
+          <div key={i} className="grid grid-cols-3 gap-3 p-3 rounded-xl bg-slate-50 border border-slate-200">
+            <div>
+              <label className="text-xs font-medium text-slate-500" htmlFor={`dependant-${i}-relationship`}>
+                Dependant {i + 1}
+              </label>
+              <select
+                id={`dependant-${i}-relationship`}
+                className="form-select"
+                value={person.relationship}
+                onChange={(e) => update({ relationship: e.target.value as DependantDetails["relationship"] })}
+              >
+                {relationships.map((relationship) => (
+                  <option key={relationship} value={relationship}>{RELATIONSHIP_LABELS[relationship]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs font-medium text-slate-500" htmlFor={`dependant-${i}-age`}>Age</label>
+              <input
+                type="number"
+                id={`dependant-${i}-age`}
+                className="form-input"
+                min={0}
+                max={120}
+                placeholder="Optional"
+                value={person.age ?? ""}
+                onChange={(e) => update({ age: e.target.value === "" ? undefined : Number(e.target.value) })}
+              />
+            </div>
+            <div>
+              <label className="text-xs font-medium text-slate-500" htmlFor={`dependant-${i}-dob`}>or date of birth</label>
+              <input
+                type="date"
+                id={`dependant-${i}-dob`}
+                className="form-input"
+                value={person.dateOfBirth ?? ""}
+                onChange={(e) => update({ dateOfBirth: e.target.value || undefined })}
+              />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -4,6 +4,10 @@ import { LAST_UPDATED } from "@/data/visaFees";
 const footerLinks = {
   Tools: [
     { href: "/calculator", label: "Visa Cost Calculator" },
+    { href: "/route-finder", label: "Which Visa Do I Need?" },
+    { href: "/compare", label: "Compare Routes" },
+    { href: "/bulk-quote", label: "Employer Bulk Quote" },
+    { href: "/journey-planner", label: "Journey Planner" },
     { href: "/how-it-works", label: "How It Works" },
     { href: "/guides", label: "Visa Guides" },
   ],
@@ -6,6 +6,10 @@ import { usePathname } from "next/navigation";
 
 const navLinks = [
   { href: "/calculator", label: "Calculator" },
+  { href: "/route-finder", label: "Route Finder" },
+  { href: "/compare", label: "Compare" },
+  { href: "/bulk-quote", label: "Employers" },
+  { href: "/journey-planner", label: "Journey Planner" },
   { href: "/guides", label: "Visa Guides" },
   { href: "/how-it-works", label: "How It Works" },
   { href: "/about", label: "About" },
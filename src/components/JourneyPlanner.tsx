@@ -0,0 +1,243 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import DependantFields, { resizeDependants } from "@/components/DependantFields";
+import {
+  JOURNEYS,
+  getJourneyById,
+  planJourney,
+  type DependantDetails,
+  type JourneyInput,
+  type JourneyPlan,
+} from "@/data/visaFees";
+
+const JOURNEY_RELATIONSHIPS: DependantDetails["relationship"][] = ["partner", "child"];
+
+function formatGBP(amount: number): string {
+  return new Intl.NumberFormat("en-GB", {
+    style: "currency",
+    currency: "GBP",
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+    maximumFractionDigits: 2,
+  }).format(amount);
+}
+
+function formatDate(date: string): string {
+  return new Date(date + "T00:00:00Z").toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+export default function JourneyPlanner() {
+  const [input, setInput] = useState<JourneyInput>({
+    journeyId: JOURNEYS[0].journey_id,
+    numApplicants: 1,
+    numDependants: 0,
+    dependantDetails: [],
+    stageDurations: [],
+  });
+
+  // Dates default to today, so only plan in the browser to keep the static HTML stable
+  const [mounted, setMounted] = useState(false);
+  useEffect(() => setMounted(true), []);
+
+  const journey = getJourneyById(input.journeyId);
+
+  // Cheap to price, so the plan follows every change
+  const { plan, error } = useMemo((): { plan: JourneyPlan | null; error: string | null } => {
+    if (!mounted) return { plan: null, error: null };
+    try {
+      return { plan: planJourney(input), error: null };
+    } catch (e) {
+      return { plan: null, error: (e as Error).message };
+    }
+  }, [input, mounted]);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
+      {/* Input Panel */}
+      <div className="lg:col-span-2">
+        <div className="card p-6 md:p-8 space-y-6">
+          <div>
+            <h2 className="text-xl font-bold text-slate-900">Plan Your Route</h2>
+            <p className="text-sm text-slate-500 mt-0.5">Choose a path to settlement and describe the household</p>
+          </div>
+
+          {/* Journey */}
+          <div>
+            <label className="form-label" htmlFor="journey">Journey</label>
+            <select
+              id="journey"
+              className="form-select"
+              value={input.journeyId}
+              onChange={(e) => setInput((p) => ({ ...p, journeyId: e.target.value, stageDurations: [] }))}
+            >
+              {JOURNEYS.map((j) => (
+                <option key={j.journey_id} value={j.journey_id}>{j.name}</option>
+              ))}
+            </select>
+            {journey && <p className="mt-2 text-xs text-slate-500 leading-relaxed">{journey.description}</p>}
+          </div>
+
+          {/* Start Date */}
+          <div>
+            <label className="form-label" htmlFor="startDate">
+              First Application Date
+              <span className="ml-1 text-xs font-normal text-slate-400">— optional</span>
+            </label>
+            <input
+              type="date"
+              id="startDate"
+              className="form-input"
+              value={input.startDate ?? ""}
+              onChange={(e) => setInput((p) => ({ ...p, startDate: e.target.value || undefined }))}
+            />
+            <p className="mt-1.5 text-xs text-slate-400">Leave blank to start today.</p>
+          </div>
+
+          {/* Stage Durations */}
+          {journey && (
+            <div>
+              <label className="form-label">Length of Each Visa (months)</label>
+              <div className="space-y-2">
+                {journey.stages.map((stage, i) =>
+                  stage.duration_months ? (
+                    <div key={i} className="flex items-center justify-between gap-3">
+                      <label className="text-xs text-slate-600" htmlFor={`stage-${i}-duration`}>{stage.label}</label>
+                      <input
+                        type="number"
+                        id={`stage-${i}-duration`}
+                        className="form-input w-24 text-center"
+                        min={1}
+                        max={120}
+                        value={input.stageDurations?.[i] ?? stage.duration_months}
+                        onChange={(e) => {
+                          const months = Number(e.target.value);
+                          setInput((p) => {
+                            const stageDurations = [...(p.stageDurations ?? [])];
+                            stageDurations[i] = months > 0 ? months : undefined;
+                            return { ...p, stageDurations };
+                          });
+                        }}
+                      />
+                    </div>
+                  ) : null
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Household */}
+          <div>
+            <label className="form-label" htmlFor="numDependants">Dependants</label>
+            <select
+              id="numDependants"
+              className="form-select"
+              value={input.numDependants}
+              onChange={(e) => {
+                const numDependants = Number(e.target.value);
+                setInput((p) => ({
+                  ...p,
+                  numDependants,
+                  dependantDetails: resizeDependants(p.dependantDetails ?? [], numDependants, JOURNEY_RELATIONSHIPS),
+                }));
+              }}
+            >
+              {[0, 1, 2, 3, 4, 5, 6].map((n) => (
+                <option key={n} value={n}>{n} {n === 1 ? "dependant" : "dependants"}</option>
+              ))}
+            </select>
+          </div>
+          {input.numDependants > 0 && (
+            <DependantFields
+              details={input.dependantDetails ?? []}
+              relationships={JOURNEY_RELATIONSHIPS}
+              onChange={(details) => setInput((p) => ({ ...p, dependantDetails: details }))}
+            />
+          )}
+        </div>
+      </div>
+
+      {/* Timeline */}
+      <div className="lg:col-span-3 space-y-4">
+        {error && <div className="alert-warning text-sm">{error}</div>}
+
+        {plan && (
+          <>
+            <div className="card-premium p-6 text-center">
+              <p className="text-xs font-bold uppercase tracking-widest text-indigo-500 mb-2">Estimated Total Cost</p>
+              <div className="cost-total mb-1">{formatGBP(plan.total)}</div>
+              <p className="text-xs text-slate-400">
+                {plan.stages.length} applications from {formatDate(plan.startDate)} to{" "}
+                {formatDate(plan.stages[plan.stages.length - 1].applicationDate)}
+              </p>
+            </div>
+
+            <ol className="relative border-l-2 border-indigo-100 ml-3 space-y-4">
+              {plan.stages.map((stage, i) => (
+                <li key={i} className="ml-6">
+                  <span className="absolute -left-[9px] mt-5 w-4 h-4 rounded-full bg-indigo-500 border-2 border-white" />
+                  <div className="card p-5">
+                    <div className="flex items-start justify-between gap-3 mb-3">
+                      <div>
+                        <p className="text-xs font-semibold text-indigo-600">{formatDate(stage.applicationDate)}</p>
+                        <h3 className="text-sm font-bold text-slate-800">{stage.label}</h3>
+                        {stage.leaveEnds && (
+                          <p className="text-xs text-slate-400">Leave until {formatDate(stage.leaveEnds)}</p>
+                        )}
+                      </div>
+                      <div className="text-right">
+                        <p className="text-sm font-bold text-slate-900">{formatGBP(stage.total)}</p>
+                        <p className="text-xs text-slate-400">Running total {formatGBP(stage.cumulativeTotal)}</p>
+                      </div>
+                    </div>
+                    <div className="space-y-1.5">
+                      {stage.result.breakdown.map((item, j) => (
+                        <div key={j} className="flex items-start justify-between gap-3 text-xs">
+                          <span className="text-slate-600">
+                            {item.label}
+                            {item.note && <span className="block text-slate-400">{item.note}</span>}
+                          </span>
+                          <span className="font-semibold text-slate-800 whitespace-nowrap">{formatGBP(item.amount)}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ol>
+
+            {plan.assumptions.length > 0 && (
+              <div className="alert-info">
+                <div>
+                  <p className="font-semibold text-xs mb-1">Assumptions used</p>
+                  <ul className="space-y-1">
+                    {plan.assumptions.map((a, i) => (
+                      <li key={i} className="text-xs leading-relaxed">{a}</li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            )}
+
+            {plan.warnings.length > 0 && (
+              <div className="alert-warning">
+                <div>
+                  <p className="font-semibold text-xs mb-1">Please note</p>
+                  <ul className="space-y-1">
+                    {plan.warnings.map((w, i) => (
+                      <li key={i} className="text-xs leading-relaxed">{w}</li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
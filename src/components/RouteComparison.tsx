@@ -0,0 +1,270 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import DependantFields, { resizeDependants } from "@/components/DependantFields";
+import {
+  VISA_GROUPS,
+  getVisasByGroup,
+  compareVisas,
+  FEE_DISCLAIMER,
+  type ApplyFrom,
+  type ComparisonInput,
+  type DependantDetails,
+  type RouteComparison as Comparison,
+} from "@/data/visaFees";
+
+const COMPARISON_RELATIONSHIPS: DependantDetails["relationship"][] = ["partner", "child"];
+const MIN_ROUTES = 2;
+const MAX_ROUTES = 4;
+
+function formatGBP(amount: number): string {
+  return new Intl.NumberFormat("en-GB", {
+    style: "currency",
+    currency: "GBP",
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+    maximumFractionDigits: 2,
+  }).format(amount);
+}
+
+// Duration notes and route warnings, without the disclaimer repeated on every card
+function notesFor(route: Comparison["routes"][number]): string[] {
+  return [...route.notes, ...route.result.warnings.filter((warning) => warning !== FEE_DISCLAIMER)];
+}
+
+export default function RouteComparison() {
+  const visasByGroup = getVisasByGroup();
+  const [input, setInput] = useState<ComparisonInput>({
+    visaIds: ["skilled-worker", "global-talent", "scale-up-3y"],
+    applyFrom: "outside_uk",
+    durationMonths: 36,
+    numApplicants: 1,
+    numDependants: 0,
+    dependantDetails: [],
+  });
+
+  // Fees are priced for today, so only compare in the browser to keep the static HTML stable
+  const [mounted, setMounted] = useState(false);
+  useEffect(() => setMounted(true), []);
+
+  const { comparison, error } = useMemo((): { comparison: Comparison | null; error: string | null } => {
+    if (!mounted) return { comparison: null, error: null };
+    try {
+      return { comparison: compareVisas(input), error: null };
+    } catch (e) {
+      return { comparison: null, error: (e as Error).message };
+    }
+  }, [input, mounted]);
+
+  const setVisaId = (index: number, visaId: string) =>
+    setInput((p) => ({ ...p, visaIds: p.visaIds.map((id, i) => (i === index ? visaId : id)) }));
+
+  return (
+    <div className="space-y-8">
+      {/* Input Panel */}
+      <div className="card p-6 md:p-8 space-y-6">
+        <div>
+          <h2 className="text-xl font-bold text-slate-900">Choose Routes to Compare</h2>
+          <p className="text-sm text-slate-500 mt-0.5">
+            Pick {MIN_ROUTES} to {MAX_ROUTES} visa types and describe the household once
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {input.visaIds.map((visaId, i) => (
+            <div key={i}>
+              <div className="flex items-center justify-between">
+                <label className="form-label" htmlFor={`compare-visa-${i}`}>Route {i + 1}</label>
+                {input.visaIds.length > MIN_ROUTES && (
+                  <button
+                    type="button"
+                    className="text-xs text-slate-400 hover:text-red-500 transition-colors"
+                    onClick={() => setInput((p) => ({ ...p, visaIds: p.visaIds.filter((_, j) => j !== i) }))}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+              <select
+                id={`compare-visa-${i}`}
+                className="form-select"
+                value={visaId}
+                onChange={(e) => setVisaId(i, e.target.value)}
+              >
+                {VISA_GROUPS.map((group) => (
+                  <optgroup key={group} label={`── ${group} ──`}>
+                    {(visasByGroup[group] ?? []).map((visa) => (
+                      <option key={visa.id} value={visa.id}>{visa.label}</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+        {input.visaIds.length < MAX_ROUTES && (
+          <button
+            type="button"
+            className="btn-secondary text-sm"
+            onClick={() => setInput((p) => ({ ...p, visaIds: [...p.visaIds, p.visaIds[p.visaIds.length - 1]] }))}
+          >
+            + Add another route
+          </button>
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div>
+            <label className="form-label" htmlFor="compare-apply-from">Applying From</label>
+            <select
+              id="compare-apply-from"
+              className="form-select"
+              value={input.applyFrom}
+              onChange={(e) => setInput((p) => ({ ...p, applyFrom: e.target.value as ApplyFrom }))}
+            >
+              <option value="outside_uk">Outside the UK</option>
+              <option value="inside_uk">Inside the UK</option>
+            </select>
+          </div>
+          <div>
+            <label className="form-label" htmlFor="compare-duration">Duration (months)</label>
+            <input
+              type="number"
+              id="compare-duration"
+              className="form-input"
+              min={1}
+              max={120}
+              value={input.durationMonths}
+              onChange={(e) => setInput((p) => ({ ...p, durationMonths: Math.max(1, Number(e.target.value) || 1) }))}
+            />
+          </div>
+          <div>
+            <label className="form-label" htmlFor="compare-applicants">Main Applicants</label>
+            <select
+              id="compare-applicants"
+              className="form-select"
+              value={input.numApplicants}
+              onChange={(e) => setInput((p) => ({ ...p, numApplicants: Number(e.target.value) }))}
+            >
+              {[1, 2, 3, 4, 5].map((n) => (
+                <option key={n} value={n}>{n} {n === 1 ? "person" : "people"}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label" htmlFor="compare-dependants">Dependants</label>
+            <select
+              id="compare-dependants"
+              className="form-select"
+              value={input.numDependants}
+              onChange={(e) => {
+                const numDependants = Number(e.target.value);
+                setInput((p) => ({
+                  ...p,
+                  numDependants,
+                  dependantDetails: resizeDependants(p.dependantDetails ?? [], numDependants, COMPARISON_RELATIONSHIPS),
+                }));
+              }}
+            >
+              {[0, 1, 2, 3, 4, 5, 6].map((n) => (
+                <option key={n} value={n}>{n} {n === 1 ? "dependant" : "dependants"}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {input.numDependants > 0 && (
+          <DependantFields
+            details={input.dependantDetails ?? []}
+            relationships={COMPARISON_RELATIONSHIPS}
+            onChange={(details) => setInput((p) => ({ ...p, dependantDetails: details }))}
+          />
+        )}
+      </div>
+
+      {error && <div className="alert-warning text-sm">{error}</div>}
+
+      {comparison && (
+        <>
+          {/* Aligned Breakdown */}
+          <div className="card p-6 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-200">
+                  <th className="text-left py-2 pr-4 font-semibold text-slate-500">Cost</th>
+                  {comparison.routes.map((route, i) => (
+                    <th key={i} className="text-right py-2 px-3 font-bold text-slate-900 align-bottom">
+                      {route.routeName}
+                      {route.routeId === comparison.cheapestRouteId && (
+                        <span className="badge-green ml-2 align-middle">Lowest</span>
+                      )}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.rows.map((row) => (
+                  <tr key={row.key} className={`border-b border-slate-100 ${row.differs ? "bg-amber-50" : ""}`}>
+                    <td className="py-2 pr-4 text-slate-600">{row.label}</td>
+                    {row.amounts.map((amount, i) => (
+                      <td key={i} className="py-2 px-3 text-right whitespace-nowrap">
+                        {amount === null ? (
+                          <span className="text-slate-300">—</span>
+                        ) : (
+                          <span className="font-semibold text-slate-800" title={row.notes[i] ?? undefined}>
+                            {formatGBP(amount)}
+                          </span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td className="pt-3 pr-4 font-bold text-slate-900">Estimated total</td>
+                  {comparison.routes.map((route, i) => (
+                    <td key={i} className="pt-3 px-3 text-right whitespace-nowrap">
+                      <span className="font-bold text-slate-900">{formatGBP(route.total)}</span>
+                      {route.difference > 0 && (
+                        <span className="block text-xs text-red-500">+{formatGBP(route.difference)}</span>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              </tfoot>
+            </table>
+            <p className="mt-3 text-xs text-slate-400">Highlighted rows differ between the routes.</p>
+          </div>
+
+          {/* Route Notes */}
+          <div className={`grid grid-cols-1 gap-4 ${comparison.routes.length > 2 ? "md:grid-cols-3" : "md:grid-cols-2"}`}>
+            {comparison.routes.map((route, i) => (
+              <div key={i} className="card p-5">
+                <h3 className="text-sm font-bold text-slate-800 mb-3">{route.routeName}</h3>
+                <ul className="space-y-1.5">
+                  {route.options.map((option) => (
+                    <li key={option.label} className="flex items-center gap-2 text-xs">
+                      <span className={option.available ? "text-emerald-600" : "text-slate-300"}>
+                        {option.available ? "✓" : "✕"}
+                      </span>
+                      <span className={option.available ? "text-slate-700" : "text-slate-400"}>{option.label}</span>
+                    </li>
+                  ))}
+                </ul>
+                {notesFor(route).length > 0 && (
+                  <ul className="mt-3 space-y-1">
+                    {notesFor(route).map((note, j) => (
+                      <li key={j} className="text-xs text-amber-700 leading-relaxed">{note}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="alert-warning">
+            <p className="text-xs leading-relaxed">{FEE_DISCLAIMER}</p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
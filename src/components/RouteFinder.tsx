@@ -0,0 +1,133 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import Link from "next/link";
+import {
+  findVisas,
+  getFinderQuestions,
+  getSuggestionHref,
+  type FinderAnswers,
+} from "@/data/visaFees";
+
+const CATEGORY_BADGES: Record<string, string> = {
+  work: "badge-blue",
+  study: "badge-green",
+  family: "badge-amber",
+};
+
+// Answers to questions that are no longer asked (e.g. the job question after switching to study) are dropped
+function pruneAnswers(answers: FinderAnswers): FinderAnswers {
+  const asked = getFinderQuestions(answers).map((question) => question.id);
+  return Object.fromEntries(Object.entries(answers).filter(([id, value]) => value && asked.includes(id)));
+}
+
+export default function RouteFinder() {
+  const [answers, setAnswers] = useState<FinderAnswers>({});
+
+  const questions = getFinderQuestions(answers);
+  const suggestions = useMemo(() => findVisas(answers), [answers]);
+  const answered = Object.keys(answers).length;
+
+  const answer = (id: string, value: string) => setAnswers((prev) => pruneAnswers({ ...prev, [id]: value }));
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
+      {/* Questions */}
+      <div className="lg:col-span-2">
+        <div className="card p-6 md:p-8 space-y-6">
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <h2 className="text-xl font-bold text-slate-900">About You</h2>
+              <p className="text-sm text-slate-500 mt-0.5">Answer what you can — skip anything you are unsure of</p>
+            </div>
+            {answered > 0 && (
+              <button type="button" className="btn-secondary text-sm" onClick={() => setAnswers({})}>
+                Start again
+              </button>
+            )}
+          </div>
+
+          {questions.map((question) => (
+            <fieldset key={question.id}>
+              <legend className="form-label">{question.question}</legend>
+              <div className="space-y-2">
+                {[...question.options, { value: "", label: "Not sure / skip" }].map((option) => {
+                  const checked = (answers[question.id] ?? "") === option.value;
+                  return (
+                    <label
+                      key={option.value}
+                      className={`flex items-start gap-3 p-3 rounded-xl border cursor-pointer transition-colors ${checked ? "bg-indigo-50 border-indigo-200" : "bg-white border-slate-200 hover:border-slate-300"}`}
+                    >
+                      <input
+                        type="radio"
+                        name={question.id}
+                        className="mt-0.5"
+                        checked={checked}
+                        onChange={() => answer(question.id, option.value)}
+                      />
+                      <span className={`text-sm ${option.value ? "text-slate-800" : "text-slate-500"}`}>{option.label}</span>
+                    </label>
+                  );
+                })}
+              </div>
+            </fieldset>
+          ))}
+        </div>
+      </div>
+
+      {/* Suggestions */}
+      <div className="lg:col-span-3 space-y-4">
+        {answered === 0 ? (
+          <div className="card p-6 text-center">
+            <p className="text-sm text-slate-500">Answer a question to see the visa routes that could fit.</p>
+          </div>
+        ) : suggestions.length === 0 ? (
+          <div className="alert-warning text-sm">
+            No visa route fits all of these answers. Try skipping a question, or check the full list on GOV.UK.
+          </div>
+        ) : (
+          <>
+            <p className="text-sm text-slate-500">
+              {suggestions.length} route{suggestions.length > 1 ? "s" : ""} could fit, best matches first.
+            </p>
+            {suggestions.map((suggestion) => {
+              const href = getSuggestionHref(suggestion);
+              return (
+                <div key={suggestion.routeId} className="card p-5 space-y-3">
+                  <div className="flex items-start justify-between gap-3">
+                    <h3 className="text-base font-bold text-slate-800">{suggestion.routeName}</h3>
+                    <span className={`${CATEGORY_BADGES[suggestion.category] ?? "badge-gray"} capitalize`}>{suggestion.category}</span>
+                  </div>
+                  <p className="text-sm text-slate-600 leading-relaxed">
+                    <span className="font-semibold text-slate-700">You will need: </span>
+                    {suggestion.summary}
+                  </p>
+                  <ul className="space-y-1">
+                    {suggestion.reasons.map((reason) => (
+                      <li key={reason} className="text-xs text-emerald-700">✓ {reason}</li>
+                    ))}
+                    {suggestion.unanswered.map((question) => (
+                      <li key={question} className="text-xs text-slate-400">? {question}</li>
+                    ))}
+                  </ul>
+                  {href ? (
+                    <Link href={href} className="btn-primary text-sm inline-flex">
+                      Price this visa
+                    </Link>
+                  ) : (
+                    <p className="text-xs text-slate-400">This route is not in the calculator yet.</p>
+                  )}
+                </div>
+              );
+            })}
+          </>
+        )}
+
+        <div className="alert-info text-xs leading-relaxed">
+          Suggestions are a starting point, not immigration advice. Each route has further requirements —
+          check the GOV.UK guidance before you apply.
+        </div>
+      </div>
+    </div>
+  );
+}
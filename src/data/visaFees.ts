@@ -6,6 +6,10 @@
  * - Home Office Immigration and Nationality Fees (effective April 2024)
  * - Immigration Health Surcharge: https://www.gov.uk/healthcare-immigration-application
  *
+ * Fee amounts and IHS rates are read from data/*.json and priced by the shared
+ * fee engine in js/fee-engine.js, the same code used by the static route pages.
+ * This file only holds the presentation catalogue for the Next.js calculator.
+ *
  * IMPORTANT: These fees are provided for estimation purposes only.
  * Fees are subject to change by the UK Home Office without notice.
  * Always verify current fees at https://www.gov.uk before submitting an application.
@@ -13,35 +17,72 @@
  * Last reviewed: July 2025
  */
 
+import FeeEngine from "../../js/fee-engine";
+import QuoteExport from "../../js/quote-export";
+import routesData from "../../data/routes.json";
+import feesData from "../../data/fees.json";
+import rulesData from "../../data/rules.json";
+import journeysData from "../../data/journeys.json";
+import routeFinderData from "../../data/route-finder.json";
+import exchangeRatesData from "../../data/exchange-rates.json";
+import financialRequirementsData from "../../data/financial-requirements.json";
+import nationalitiesData from "../../data/nationalities.json";
+import processingTimesData from "../../data/processing-times.json";
+
 export const LAST_UPDATED = "July 2025";
 export const FEE_SOURCE_URL =
   "https://www.gov.uk/government/publications/visa-regulations-revised-table";
+export const FEE_DISCLAIMER = FeeEngine.disclaimer;
+
+// ─── Shared Fee Data ─────────────────────────────────────────────────────────
+export const FEE_DATA = {
+  routes: routesData,
+  fees: feesData,
+  rules: rulesData,
+  nationalities: nationalitiesData,
+} as unknown as FeeEngine.Data;
+
+export type ApplyFrom = FeeEngine.ApplyFrom;
 
 // ─── Immigration Health Surcharge ────────────────────────────────────────────
+// Rates in force today; quotes for other dates resolve their own rate
 export const IHS_RATES = {
-  standard: 1035, // £ per year — most visa categories
-  reduced: 776, // £ per year — students, Youth Mobility Scheme, children under 18
+  standard: currentIHSRate("standard"), // £ per year — most visa categories
+  reduced: currentIHSRate("student"), // £ per year — students and their dependants, Youth Mobility, children under 18
 };
 
+function currentIHSRate(rateKey: string): number {
+  const entry = FeeEngine.getEffectiveEntry(
+    FEE_DATA.rules.ihs_rates[rateKey].history,
+    FeeEngine.today()
+  );
+  return entry?.rate_per_year ?? 0;
+}
+
 // ─── Optional Services ────────────────────────────────────────────────────────
+export type OptionalServiceKey = "priority" | "superPriority" | "premiumLounge";
+
 export const OPTIONAL_SERVICES = {
   priority: {
     label: "Priority Service",
-    fee: 500,
+    feeKey: "priority",
+    extra: "priority",
     description:
-      "Aims to process your application within 5 working days (UK applications only). Not available for all visa types.",
+      "Aims to process your application within 5 working days. Not available for all visa types.",
   },
   superPriority: {
     label: "Super Priority Service",
-    fee: 1000,
+    feeKey: "super_priority",
+    extra: "super_priority",
     description:
-      "Aims to process your application by the end of the next working day (UK applications only). Not available for all visa types.",
+      "Aims to process your application by the end of the next working day. Not available for all visa types.",
   },
   premiumLounge: {
     label: "Premium Customer Service",
-    fee: 200,
+    feeKey: "premium_customer_service",
+    extra: null,
     description:
-      "Access to a dedicated premium lounge at a UKVCAS service point for biometric enrolment.",
+      "Access to a dedicated premium lounge at a UKVCAS service point for biometric enrolment (UK applications only).",
   },
 };
 
@@ -51,14 +92,12 @@ export type VisaCategory = {
   label: string;
   group: string;
   description: string;
-  baseFee: number | null; // null = variable / not supported
-  ihsApplies: boolean;
-  ihsRate: "standard" | "reduced" | "none";
+  routeId: string; // route_id in data/routes.json — all pricing comes from the route
+  durationMonths?: number; // fixed length of leave (e.g. visitor visa validity)
+  minDurationMonths?: number;
+  maxDurationMonths?: number;
   durationOptions?: DurationOption[];
-  dependantFee?: number | null;
   notes: string[];
-  priorityAvailable: boolean;
-  superPriorityAvailable: boolean;
   officialLink: string;
 };
 
@@ -76,17 +115,13 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Visitor",
     description:
       "For tourism, visiting family/friends, business meetings, or short courses.",
-    baseFee: 115,
-    ihsApplies: false,
-    ihsRate: "none",
-    dependantFee: 115,
+    routeId: "standard-visitor",
+    durationMonths: 6,
     notes: [
       "IHS does not apply to visitor visas.",
       "Each dependant (family member travelling separately) requires their own application at the same fee.",
       "A Standard Visitor visa can be valid for up to 10 years but each stay is limited to 6 months.",
     ],
-    priorityAvailable: false,
-    superPriorityAvailable: false,
     officialLink: "https://www.gov.uk/standard-visitor",
   },
   {
@@ -95,16 +130,12 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Visitor",
     description:
       "Multi-entry visitor visa valid for 2 years. Each stay limited to 6 months.",
-    baseFee: 400,
-    ihsApplies: false,
-    ihsRate: "none",
-    dependantFee: 400,
+    routeId: "standard-visitor",
+    durationMonths: 24,
     notes: [
       "IHS does not apply to visitor visas.",
       "Allows multiple entries over 2 years; each stay must not exceed 6 months.",
     ],
-    priorityAvailable: false,
-    superPriorityAvailable: false,
     officialLink: "https://www.gov.uk/standard-visitor",
   },
   {
@@ -113,16 +144,12 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Visitor",
     description:
       "Multi-entry visitor visa valid for 5 years. Each stay limited to 6 months.",
-    baseFee: 771,
-    ihsApplies: false,
-    ihsRate: "none",
-    dependantFee: 771,
+    routeId: "standard-visitor",
+    durationMonths: 60,
     notes: [
       "IHS does not apply to visitor visas.",
       "Allows multiple entries over 5 years; each stay must not exceed 6 months.",
     ],
-    priorityAvailable: false,
-    superPriorityAvailable: false,
     officialLink: "https://www.gov.uk/standard-visitor",
   },
   {
@@ -131,16 +158,12 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Visitor",
     description:
       "Multi-entry visitor visa valid for 10 years. Each stay limited to 6 months.",
-    baseFee: 963,
-    ihsApplies: false,
-    ihsRate: "none",
-    dependantFee: 963,
+    routeId: "standard-visitor",
+    durationMonths: 120,
     notes: [
       "IHS does not apply to visitor visas.",
       "Allows multiple entries over 10 years; each stay must not exceed 6 months.",
     ],
-    priorityAvailable: false,
-    superPriorityAvailable: false,
     officialLink: "https://www.gov.uk/standard-visitor",
   },
 
@@ -151,19 +174,13 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Student",
     description:
       "For studying a full-time course at a licensed student sponsor in the UK (applying from outside the UK).",
-    baseFee: 490,
-    ihsApplies: true,
-    ihsRate: "reduced",
-    dependantFee: 490,
+    routeId: "student-visa",
     notes: [
-      "IHS applies at the reduced rate of £776/year for students.",
-      "IHS is calculated on the full visa duration, rounded up to the nearest year.",
+      "IHS applies at the reduced rate for students.",
+      "IHS is calculated on the full visa duration, rounded up to the nearest 6 months.",
       "Dependants of students also pay IHS at the reduced rate.",
-      "If applying from inside the UK (extension), the fee is also £490.",
       "A Confirmation of Acceptance for Studies (CAS) from your sponsor is required.",
     ],
-    priorityAvailable: true,
-    superPriorityAvailable: true,
     officialLink: "https://www.gov.uk/student-visa",
   },
   {
@@ -172,97 +189,47 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Student",
     description:
       "For children aged 4–17 studying at an independent school in the UK.",
-    baseFee: 490,
-    ihsApplies: true,
-    ihsRate: "reduced",
-    dependantFee: null,
+    routeId: "child-student",
     notes: [
-      "IHS applies at the reduced rate of £776/year.",
+      "IHS applies at the reduced rate.",
       "Dependants are not applicable for this visa type.",
       "Parents or guardians do not automatically get leave to accompany the child.",
     ],
-    priorityAvailable: true,
-    superPriorityAvailable: false,
     officialLink: "https://www.gov.uk/child-study-visa",
   },
 
   // ── WORK ─────────────────────────────────────────────────────────────────
   {
-    id: "skilled-worker-3y",
-    label: "Skilled Worker Visa (up to 3 years)",
-    group: "Work",
-    description:
-      "For working in an eligible skilled job with a UK employer who holds a sponsor licence. Visa duration up to 3 years.",
-    baseFee: 719,
-    ihsApplies: true,
-    ihsRate: "standard",
-    dependantFee: 719,
-    notes: [
-      "New entrant rate (under 26, switching from student visa, or working in certain roles): £551.",
-      "IHS applies at £1,035/year for the full visa duration.",
-      "Each dependant pays the same visa fee and IHS.",
-      "A Certificate of Sponsorship (CoS) from your employer is required.",
-      "This estimate uses the standard (non-new-entrant) rate. If you qualify as a new entrant, your fee will be lower.",
-    ],
-    priorityAvailable: true,
-    superPriorityAvailable: true,
-    officialLink: "https://www.gov.uk/skilled-worker-visa",
-  },
-  {
-    id: "skilled-worker-5y",
-    label: "Skilled Worker Visa (more than 3 years)",
+    id: "skilled-worker",
+    label: "Skilled Worker Visa",
     group: "Work",
     description:
-      "For working in an eligible skilled job with a UK employer. Visa duration more than 3 years (up to 5 years).",
-    baseFee: 1423,
-    ihsApplies: true,
-    ihsRate: "standard",
-    dependantFee: 1423,
+      "For working in an eligible skilled job with a UK employer who holds a sponsor licence. Visa duration up to 5 years.",
+    routeId: "skilled-worker",
+    maxDurationMonths: 60,
     notes: [
-      "New entrant rate: £1,084.",
-      "IHS applies at £1,035/year for the full visa duration.",
-      "Each dependant pays the same visa fee and IHS.",
-      "This estimate uses the standard (non-new-entrant) rate.",
+      "The visa fee is higher for a visa of more than 3 years; the estimate uses the fee for the duration you choose.",
+      "New entrant rate (under 26, switching from student visa, or working in certain roles): a lower fee, also higher for more than 3 years. Tick the new entrant option to use it.",
+      "IHS applies at the standard rate for the full visa duration.",
+      "Each dependant pays the same visa fee. Adults pay the same IHS; children under 18 pay the reduced rate.",
+      "A Certificate of Sponsorship (CoS) from your employer is required. Add the employer's CoS fee and Immigration Skills Charge under Additional Costs to see them separately.",
     ],
-    priorityAvailable: true,
-    superPriorityAvailable: true,
     officialLink: "https://www.gov.uk/skilled-worker-visa",
   },
   {
-    id: "health-care-worker-3y",
-    label: "Health and Care Worker Visa (up to 3 years)",
+    id: "health-care-worker",
+    label: "Health and Care Worker Visa",
     group: "Work",
     description:
-      "For doctors, nurses, and other health or adult social care professionals. Reduced fee visa.",
-    baseFee: 247,
-    ihsApplies: false,
-    ihsRate: "none",
-    dependantFee: 247,
+      "For doctors, nurses, and other health or adult social care professionals. Reduced fee visa, up to 5 years.",
+    routeId: "health-care-worker",
+    maxDurationMonths: 60,
     notes: [
+      "The visa fee is higher for a visa of more than 3 years; the estimate uses the fee for the duration you choose.",
       "IHS is exempt for Health and Care Worker visa holders and their dependants.",
       "You must be sponsored by an NHS body, NHS GP practice, or an employer registered with the Care Quality Commission.",
       "This is a significant cost saving compared to the standard Skilled Worker route.",
     ],
-    priorityAvailable: true,
-    superPriorityAvailable: false,
-    officialLink: "https://www.gov.uk/health-care-worker-visa",
-  },
-  {
-    id: "health-care-worker-5y",
-    label: "Health and Care Worker Visa (more than 3 years)",
-    group: "Work",
-    description:
-      "For health and adult social care professionals. Visa duration more than 3 years.",
-    baseFee: 479,
-    ihsApplies: false,
-    ihsRate: "none",
-    dependantFee: 479,
-    notes: [
-      "IHS is exempt for Health and Care Worker visa holders and their dependants.",
-      "Must be sponsored by an eligible NHS or CQC-registered employer.",
-    ],
-    priorityAvailable: true,
-    superPriorityAvailable: false,
     officialLink: "https://www.gov.uk/health-care-worker-visa",
   },
   {
@@ -271,18 +238,12 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Work",
     description:
       "For leaders or potential leaders in academia, research, arts, culture, or digital technology.",
-    baseFee: 716,
-    ihsApplies: true,
-    ihsRate: "standard",
-    dependantFee: 716,
+    routeId: "global-talent",
     notes: [
       "You must be endorsed by a recognised UK endorsing body before applying.",
-      "Endorsement fees are separate and vary by endorsing body (typically £456 for Tech Nation / UKRI).",
-      "IHS applies at £1,035/year.",
-      "This estimate does not include the endorsement fee — add this separately.",
+      "IHS applies at the standard rate.",
+      "This estimate includes the endorsement fee. Untick it under Additional Costs if you were endorsed through an eligible prize.",
     ],
-    priorityAvailable: false,
-    superPriorityAvailable: false,
     officialLink: "https://www.gov.uk/global-talent",
   },
   {
@@ -291,17 +252,12 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Work",
     description:
       "For experienced businesspeople seeking to establish an innovative, viable, and scalable business in the UK.",
-    baseFee: 1191,
-    ihsApplies: true,
-    ihsRate: "standard",
-    dependantFee: 1191,
+    routeId: "innovator-founder",
     notes: [
       "You must be endorsed by an approved endorsing body.",
       "Endorsement fees are separate and vary by endorsing body.",
-      "IHS applies at £1,035/year.",
+      "IHS applies at the standard rate.",
     ],
-    priorityAvailable: false,
-    superPriorityAvailable: false,
     officialLink: "https://www.gov.uk/innovator-founder-visa",
   },
   {
@@ -310,18 +266,13 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Work",
     description:
       "For young people (18–30, or up to 35 for some nationalities) from participating countries to live and work in the UK for up to 2 years.",
-    baseFee: 259,
-    ihsApplies: true,
-    ihsRate: "reduced",
-    dependantFee: null,
+    routeId: "youth-mobility",
     notes: [
-      "IHS applies at the reduced rate of £776/year.",
+      "IHS applies at the reduced rate.",
       "Dependants cannot be added to a Youth Mobility Scheme visa.",
       "Available to nationals of: Australia, Canada, Japan, Monaco, New Zealand, Hong Kong (BN(O)), South Korea, Taiwan.",
       "Places are limited and allocated by ballot for some nationalities.",
     ],
-    priorityAvailable: false,
-    superPriorityAvailable: false,
     officialLink: "https://www.gov.uk/youth-mobility",
   },
   {
@@ -330,17 +281,13 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Work",
     description:
       "For working at a fast-growing UK business that holds a scale-up sponsor licence.",
-    baseFee: 719,
-    ihsApplies: true,
-    ihsRate: "standard",
-    dependantFee: 719,
+    routeId: "scale-up-worker",
+    maxDurationMonths: 36,
     notes: [
-      "IHS applies at £1,035/year.",
+      "IHS applies at the standard rate.",
       "After 6 months, you may work for other employers without needing sponsorship.",
-      "New entrant rate: £551.",
+      "A lower new entrant rate applies to some applicants. Tick the new entrant option to use it.",
     ],
-    priorityAvailable: true,
-    superPriorityAvailable: false,
     officialLink: "https://www.gov.uk/scale-up-worker-visa",
   },
 
@@ -351,18 +298,13 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Family",
     description:
       "For joining a spouse, civil partner, or unmarried partner who is a British citizen or settled person in the UK.",
-    baseFee: 1846,
-    ihsApplies: true,
-    ihsRate: "standard",
-    dependantFee: 1846,
+    routeId: "spouse-partner",
     notes: [
-      "IHS applies at £1,035/year.",
-      "The UK sponsor must meet the minimum income requirement (currently £29,000/year as of April 2024, rising to £38,700 by early 2025).",
+      "IHS applies at the standard rate.",
+      "The UK sponsor must meet the minimum income requirement, shown with the estimate.",
       "Each child applying as a dependant pays the same fee.",
       "This is one of the most expensive visa routes — budget carefully.",
     ],
-    priorityAvailable: true,
-    superPriorityAvailable: true,
     officialLink: "https://www.gov.uk/uk-family-visa",
   },
   {
@@ -371,17 +313,12 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Family",
     description:
       "For a child joining a parent who is a British citizen or settled person in the UK.",
-    baseFee: 1846,
-    ihsApplies: true,
-    ihsRate: "standard",
-    dependantFee: null,
+    routeId: "child-dependent",
     notes: [
-      "IHS applies at £1,035/year.",
+      "IHS applies at the standard rate.",
       "The child must be under 18 at the time of application.",
       "Both parents must either be settled in the UK or one parent must have sole responsibility.",
     ],
-    priorityAvailable: true,
-    superPriorityAvailable: true,
     officialLink: "https://www.gov.uk/uk-family-visa/child",
   },
   {
@@ -390,18 +327,13 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Family",
     description:
       "For an adult relative who needs long-term personal care that can only be provided by a relative in the UK.",
-    baseFee: 3250,
-    ihsApplies: true,
-    ihsRate: "standard",
-    dependantFee: null,
+    routeId: "adult-dependent-relative",
     notes: [
-      "IHS applies at £1,035/year.",
+      "IHS applies at the standard rate.",
       "This is one of the most expensive and difficult visa routes to obtain.",
       "The applicant must demonstrate they require long-term personal care due to illness, disability, or age.",
       "The UK relative must be a British citizen, settled person, or refugee.",
     ],
-    priorityAvailable: false,
-    superPriorityAvailable: false,
     officialLink: "https://www.gov.uk/uk-family-visa/adult-relative",
   },
 
@@ -412,19 +344,14 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Settlement",
     description:
       "Permanent residence in the UK. Allows you to live and work in the UK without any time restrictions.",
-    baseFee: 2885,
-    ihsApplies: false,
-    ihsRate: "none",
-    dependantFee: 2885,
+    routeId: "indefinite-leave-remain-work",
     notes: [
       "IHS does not apply to ILR applications.",
       "Each dependant applying at the same time pays the same fee.",
       "You must usually have lived in the UK for 5 years on a qualifying visa.",
-      "The Life in the UK test (£50) and English language requirement must usually be met.",
-      "This estimate does not include the Life in the UK test fee.",
+      "The Life in the UK test and English language requirement must usually be met.",
+      "This estimate includes the Life in the UK test fee.",
     ],
-    priorityAvailable: true,
-    superPriorityAvailable: true,
     officialLink: "https://www.gov.uk/indefinite-leave-to-remain",
   },
   {
@@ -433,19 +360,14 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "Settlement",
     description:
       "Apply to become a British citizen after holding ILR or settled status for the required period.",
-    baseFee: 1500,
-    ihsApplies: false,
-    ihsRate: "none",
-    dependantFee: 1012,
+    routeId: "naturalisation-citizenship",
     notes: [
       "IHS does not apply to citizenship applications.",
-      "Child registration as a British citizen: £1,012.",
+      "Registering a child as a British citizen is a separate application with its own fee.",
       "You must usually have held ILR for 12 months (or be married to a British citizen).",
-      "The Life in the UK test (£50) must usually be passed before applying.",
-      "A citizenship ceremony fee may apply (varies by local council, typically £80–£100).",
+      "The Life in the UK test must usually be passed before applying.",
+      "The citizenship ceremony fee is included in this estimate.",
     ],
-    priorityAvailable: false,
-    superPriorityAvailable: false,
     officialLink: "https://www.gov.uk/british-citizenship",
   },
 
@@ -456,26 +378,30 @@ export const VISA_CATEGORIES: VisaCategory[] = [
     group: "EU Settlement",
     description:
       "For EU, EEA, and Swiss citizens and their family members who were living in the UK before 31 December 2020.",
-    baseFee: 0,
-    ihsApplies: false,
-    ihsRate: "none",
-    dependantFee: 0,
+    routeId: "euss-settled-status",
     notes: [
       "There is no application fee for the EU Settlement Scheme.",
       "IHS does not apply.",
       "The deadline for most applications was 30 June 2021, but late applications may still be accepted with a valid reason.",
       "Family members joining an EUSS holder after 31 December 2020 must apply under the standard family visa route (fees apply).",
     ],
-    priorityAvailable: false,
-    superPriorityAvailable: false,
     officialLink: "https://www.gov.uk/settled-status-eu-citizens-families",
   },
 ];
 
 // ─── Helper Functions ─────────────────────────────────────────────────────────
 
+// Ids from when each fee duration had its own category, still found in saved links
+const RETIRED_VISA_IDS: Record<string, string> = {
+  "skilled-worker-3y": "skilled-worker",
+  "skilled-worker-5y": "skilled-worker",
+  "health-care-worker-3y": "health-care-worker",
+  "health-care-worker-5y": "health-care-worker",
+};
+
 export function getVisaById(id: string): VisaCategory | undefined {
-  return VISA_CATEGORIES.find((v) => v.id === id);
+  const current = RETIRED_VISA_IDS[id] ?? id;
+  return VISA_CATEGORIES.find((v) => v.id === current);
 }
 
 export function getVisasByGroup(): Record<string, VisaCategory[]> {
@@ -489,6 +415,106 @@ export function getVisasByGroup(): Record<string, VisaCategory[]> {
   );
 }
 
+export function getRouteForVisa(visa: VisaCategory): FeeEngine.Route {
+  const route = FeeEngine.getRoute(FEE_DATA, visa.routeId);
+  if (!route) {
+    throw new Error(`Visa "${visa.id}" references unknown route "${visa.routeId}"`);
+  }
+  return route;
+}
+
+// Visas someone can hold in the UK before extending or switching: everything but settlement and citizenship
+export const CURRENT_VISA_OPTIONS = FEE_DATA.routes
+  .filter((route) => route.indexable && route.duration_policy !== "permanent")
+  .map((route) => ({ routeId: route.route_id, label: route.name }));
+
+export function getApplyFromOptions(visa: VisaCategory): ApplyFrom[] {
+  const option = getRouteForVisa(visa).apply_from_options;
+  return option === "both" ? ["outside_uk", "inside_uk"] : [option];
+}
+
+export function ihsAppliesToVisa(visa: VisaCategory): boolean {
+  return FeeEngine.ihsApplies(getRouteForVisa(visa));
+}
+
+export function visaAllowsDependants(visa: VisaCategory): boolean {
+  return getRouteForVisa(visa).dependants_allowed !== false;
+}
+
+// Relationships a dependant may have on this visa (empty when dependants are not allowed)
+export function getDependantRelationships(visa: VisaCategory): FeeEngine.DependantRelationship[] {
+  const route = getRouteForVisa(visa);
+  if (route.dependants_allowed === false) return [];
+  return route.dependant_rules?.relationships ?? ["partner", "child"];
+}
+
+// Whether the route is normally granted extra leave around the CoS or course dates
+export function visaHasLeavePadding(visa: VisaCategory): boolean {
+  return (getRouteForVisa(visa).leave_padding ?? []).length > 0;
+}
+
+// Whether leave is granted to end with the main applicant's, for dependants joining later
+export function visaMatchesSponsorLeave(visa: VisaCategory): boolean {
+  return getRouteForVisa(visa).duration_policy === "match_sponsor";
+}
+
+export function visaSupportsNewEntrant(visa: VisaCategory): boolean {
+  return Boolean(getRouteForVisa(visa).new_entrant_fee_items);
+}
+
+export function getIHSYears(durationMonths: number): number {
+  return FeeEngine.getIHSYears(FEE_DATA, durationMonths);
+}
+
+export function getServiceFee(
+  key: OptionalServiceKey,
+  applyFrom: ApplyFrom,
+  applicationDate?: string
+): number | null {
+  return FeeEngine.getServiceFee(FEE_DATA, OPTIONAL_SERVICES[key].feeKey, applyFrom, applicationDate);
+}
+
+export function isServiceAvailable(
+  visa: VisaCategory,
+  key: OptionalServiceKey,
+  applyFrom: ApplyFrom,
+  applicationDate?: string
+): boolean {
+  const extra = OPTIONAL_SERVICES[key].extra;
+  if (extra && !getRouteForVisa(visa).extras_supported.includes(extra)) return false;
+  return getServiceFee(key, applyFrom, applicationDate) !== null;
+}
+
+// Tests, endorsements and sponsorship costs beyond the Home Office fee (rules.json additional_costs)
+// default follows the nationality, so the TB test starts ticked where it is needed
+export type AdditionalCostOption = FeeEngine.AdditionalCost & { id: string; amount: number };
+
+export function getAdditionalCostOptions(
+  visa: VisaCategory,
+  applyFrom: ApplyFrom,
+  applicationDate?: string,
+  nationality?: string
+): AdditionalCostOption[] {
+  return FeeEngine.getRouteCosts(FEE_DATA, getRouteForVisa(visa), applyFrom, applicationDate).map((cost) => ({
+    ...cost,
+    default: FeeEngine.isDefaultCost(FEE_DATA, cost.id, nationality),
+    amount: FeeEngine.getServiceFee(FEE_DATA, cost.fee_key, applyFrom, applicationDate) ?? 0,
+  }));
+}
+
+// Lowest main-applicant fee across locations, for "from £X" labels
+export function getBaseFee(visa: VisaCategory): number | null {
+  const route = getRouteForVisa(visa);
+  const duration = visa.durationMonths ?? visa.minDurationMonths ?? 0;
+  const amounts = getApplyFromOptions(visa)
+    .map((applyFrom) => {
+      const feeKey = FeeEngine.getFeeKey(route, applyFrom, duration);
+      return feeKey ? FeeEngine.getFeeAmount(FEE_DATA, feeKey, applyFrom) : null;
+    })
+    .filter((amount): amount is number => amount !== null);
+  return amounts.length > 0 ? Math.min(...amounts) : null;
+}
+
 export const VISA_GROUPS = [
   "Visitor",
   "Student",
@@ -498,188 +524,480 @@ export const VISA_GROUPS = [
   "EU Settlement",
 ];
 
+// ─── Nationality ──────────────────────────────────────────────────────────────
+// Visitor status, TB test, route restrictions and reciprocal arrangements (data/nationalities.json)
+export const NATIONALITY_OPTIONS = Object.entries(FEE_DATA.nationalities?.nationalities ?? {}).map(([code, nationality]) => ({
+  code,
+  name: nationality.name,
+}));
+
+// Whether nationals of a country can apply for the visa, and why not when they cannot
+export function getVisaAccess(visa: VisaCategory, nationality?: string): FeeEngine.RouteAccess {
+  return FeeEngine.getRouteAccess(FEE_DATA.nationalities, getRouteForVisa(visa), nationality);
+}
+
 // ─── Calculator Logic ─────────────────────────────────────────────────────────
 
 export type CalculatorInput = {
   visaId: string;
+  applyFrom: ApplyFrom;
+  nationality?: string; // code from nationalities.json, shared by everyone on the application
   durationMonths: number; // how long the visa will be granted for
+  leaveStart?: string; // YYYY-MM-DD — with leaveEnd, prices the IHS for the exact period instead
+  leaveEnd?: string;
+  addExtraLeave?: boolean; // add the leave normally granted around a CoS or course (default true)
+  sponsorLeaveEnd?: string; // YYYY-MM-DD — for a dependant joining later, when the main applicant's leave ends
+  joiningDate?: string; // YYYY-MM-DD — with sponsorLeaveEnd, when the dependant's leave starts
   numApplicants: number; // main applicant = 1
   numDependants: number;
+  dependantDetails?: DependantDetails[]; // per-dependant relationship and age, in order
   addPriority: boolean;
   addSuperPriority: boolean;
   addPremiumLounge: boolean;
   isNewEntrant?: boolean; // for Skilled Worker
+  applicationDate?: string; // YYYY-MM-DD — prices the fee schedule in force on that date
+  currentRouteId?: string; // route_id of the visa held now, for an extension or switch from inside the UK
+  currentLeaveEnd?: string; // YYYY-MM-DD — IHS is already paid up to this date
+  extraCosts?: Record<string, boolean | number>; // additional cost id → on/off, or a count for per-item costs
+  smallSponsor?: boolean; // the employer pays the small or charitable sponsor Immigration Skills Charge
+  financial?: FeeEngine.FinancialOptions; // study location, course length, income and exemption for the money to show
+  decisionBy?: string; // YYYY-MM-DD — the start or travel date the submission planner works back from
 };
 
-export type CostBreakdownItem = {
-  label: string;
-  amount: number;
-  perPerson?: boolean;
-  note?: string;
+export type DependantDetails = {
+  relationship: FeeEngine.DependantRelationship;
+  age?: number;
+  dateOfBirth?: string; // YYYY-MM-DD — takes precedence over age
 };
 
-export type CalculatorResult = {
-  visaFeeTotal: number;
-  ihsTotal: number;
-  optionalServicesTotal: number;
-  grandTotal: number;
-  breakdown: CostBreakdownItem[];
-  assumptions: string[];
-  warnings: string[];
-};
+export type CostBreakdownItem = FeeEngine.BreakdownItem;
+
+export type CalculatorResult = FeeEngine.Result;
 
 export function calculateCosts(input: CalculatorInput): CalculatorResult {
   const visa = getVisaById(input.visaId);
   if (!visa) {
-    return {
-      visaFeeTotal: 0,
-      ihsTotal: 0,
-      optionalServicesTotal: 0,
-      grandTotal: 0,
-      breakdown: [],
-      assumptions: ["Visa type not found."],
-      warnings: ["Please select a valid visa type."],
-    };
+    return emptyResult(input, "Visa type not found.", "Please select a valid visa type.");
   }
 
-  const breakdown: CostBreakdownItem[] = [];
-  const assumptions: string[] = [];
-  const warnings: string[] = [];
-  const totalPeople = input.numApplicants + input.numDependants;
-
-  // ── Visa Application Fee ──────────────────────────────────────────────────
-  let visaFeePerPerson = visa.baseFee ?? 0;
-
-  // New entrant adjustment for Skilled Worker
-  if (
-    input.isNewEntrant &&
-    (visa.id === "skilled-worker-3y" || visa.id === "skilled-worker-5y" || visa.id === "scale-up-3y")
-  ) {
-    if (visa.id === "skilled-worker-3y" || visa.id === "scale-up-3y") {
-      visaFeePerPerson = 551;
-      assumptions.push("New entrant rate applied: £551 (instead of £719).");
-    } else if (visa.id === "skilled-worker-5y") {
-      visaFeePerPerson = 1084;
-      assumptions.push("New entrant rate applied: £1,084 (instead of £1,423).");
-    }
+  try {
+    return FeeEngine.calculate(FEE_DATA, toCalculateParams(visa, input));
+  } catch (error) {
+    // Bad user input such as a date of birth after the application date
+    return emptyResult(input, "No estimate could be calculated.", `${(error as Error).message}.`);
   }
+}
 
-  const mainApplicantVisaFee = visaFeePerPerson * input.numApplicants;
-  breakdown.push({
-    label: `Visa application fee (main applicant${input.numApplicants > 1 ? "s" : ""})`,
-    amount: mainApplicantVisaFee,
-    note: `£${visaFeePerPerson.toLocaleString()} × ${input.numApplicants}`,
-  });
+function emptyResult(input: CalculatorInput, assumption: string, warning: string): CalculatorResult {
+  return {
+    routeId: "",
+    routeName: "",
+    applyFrom: input.applyFrom,
+    nationality: input.nationality ?? null,
+    visaFree: null,
+    duration: 0,
+    applicants: 0,
+    dependants: 0,
+    people: [],
+    leavePeriod: null,
+    switching: null,
+    applicationDate: input.applicationDate ?? FeeEngine.today(),
+    feeSchedule: { feesEffectiveDate: null, ihsEffectiveDate: null, recordedFrom: null },
+    breakdown: [],
+    visaFeeTotal: 0,
+    ihsTotal: 0,
+    optionalServicesTotal: 0,
+    otherCostsTotal: 0,
+    applicantTotal: 0,
+    employerTotal: 0,
+    total: 0,
+    assumptions: [assumption],
+    warnings: [warning],
+    lastReviewed: "",
+  };
+}
+
+// ─── Shareable Links ──────────────────────────────────────────────────────────
+
+// Every calculator input as a query string, starting with ?visa= as older links did
+export function inputToQuery(input: CalculatorInput): string {
+  const visa = getVisaById(input.visaId);
+  const query = new URLSearchParams({ visa: input.visaId });
+  const encoded = new URLSearchParams(
+    FeeEngine.encodeQuery({
+      applyFrom: input.applyFrom,
+      nationality: input.nationality,
+      duration: visa?.durationMonths === undefined ? input.durationMonths : undefined,
+      leaveStart: input.leaveStart,
+      leaveEnd: input.leaveEnd,
+      addExtraLeave: input.addExtraLeave,
+      sponsorLeaveEnd: input.sponsorLeaveEnd,
+      joiningDate: input.joiningDate,
+      people: buildHousehold(input),
+      isNewEntrant: input.isNewEntrant,
+      addPriority: input.addPriority,
+      addSuperPriority: input.addSuperPriority,
+      addPremiumLounge: input.addPremiumLounge,
+      applicationDate: input.applicationDate,
+      currentRouteId: input.currentRouteId,
+      currentLeaveEnd: input.currentLeaveEnd,
+      extraCosts: input.extraCosts,
+      smallSponsor: input.smallSponsor,
+    })
+  );
+  encoded.forEach((value, key) => query.set(key, value));
+  new URLSearchParams(FeeEngine.encodeFinancialOptions(input.financial)).forEach((value, key) => query.set(key, value));
+  if (input.decisionBy) query.set("decision_by", input.decisionBy);
+  return query.toString();
+}
 
-  let dependantVisaFee = 0;
-  if (input.numDependants > 0) {
-    if (visa.dependantFee == null) {
-      warnings.push(
-        `Dependants cannot be added to a ${visa.label}. Dependant visa fees have not been included.`
-      );
+export type QueryInput = {
+  input: (Partial<CalculatorInput> & { visaId: string }) | null; // null when ?visa= is missing or unknown
+  rejected: string[]; // query keys that were malformed or not allowed for the visa
+};
+
+// Read a shared link back, validated against routes.json and the visa's own duration limits
+export function inputFromQuery(search: URLSearchParams | string): QueryInput {
+  const query = new URLSearchParams(search);
+  const visa = getVisaById(query.get("visa") ?? "");
+  if (!visa) {
+    return { input: null, rejected: query.has("visa") ? ["visa"] : [] };
+  }
+
+  query.set("route", visa.routeId);
+  const { params, rejected } = FeeEngine.decodeQuery(FEE_DATA, query);
+  const input: Partial<CalculatorInput> & { visaId: string } = { visaId: visa.id };
+  if (!params) return { input, rejected };
+
+  if (params.duration !== undefined) {
+    const min = visa.minDurationMonths ?? 1;
+    const max = visa.maxDurationMonths ?? 60;
+    if (visa.durationMonths === undefined && params.duration >= min && params.duration <= max) {
+      input.durationMonths = params.duration;
+    } else if (params.duration !== visa.durationMonths) {
+      rejected.push("months");
+    }
+  }
+
+  const set = <K extends keyof CalculatorInput>(key: K, value: CalculatorInput[K] | undefined) => {
+    if (value !== undefined) input[key] = value;
+  };
+  set("applyFrom", params.applyFrom);
+  set("nationality", params.nationality);
+  set("leaveStart", params.leaveStart);
+  set("leaveEnd", params.leaveEnd);
+  set("addExtraLeave", params.addExtraLeave);
+  set("sponsorLeaveEnd", params.sponsorLeaveEnd);
+  set("joiningDate", params.joiningDate);
+  set("numApplicants", params.applicants);
+  set("numDependants", params.dependants);
+  set("isNewEntrant", params.isNewEntrant);
+  set("addPriority", params.addPriority);
+  set("addSuperPriority", params.addSuperPriority);
+  set("addPremiumLounge", params.addPremiumLounge);
+  set("applicationDate", params.applicationDate);
+  set("currentRouteId", params.currentRouteId);
+  set("currentLeaveEnd", params.currentLeaveEnd);
+  set("extraCosts", params.extraCosts);
+  set("smallSponsor", params.smallSponsor);
+
+  const financial = FeeEngine.decodeFinancialOptions(query);
+  rejected.push(...financial.rejected);
+  if (Object.keys(financial.options).length > 0) set("financial", financial.options);
+
+  const decisionBy = query.get("decision_by");
+  if (decisionBy !== null) {
+    if (FeeEngine.isValidDate(decisionBy) && visaHasProcessingTimes(visa)) {
+      set("decisionBy", decisionBy);
     } else {
-      dependantVisaFee = (visa.dependantFee as number) * input.numDependants;
-      breakdown.push({
-        label: `Visa application fee (dependant${input.numDependants > 1 ? "s" : ""})`,
-        amount: dependantVisaFee,
-        note: `£${visa.dependantFee.toLocaleString()} × ${input.numDependants}`,
-      });
+      rejected.push("decision_by");
     }
   }
 
-  const visaFeeTotal = mainApplicantVisaFee + dependantVisaFee;
+  if (params.people) {
+    // Links typed by hand may say "dependant"; fall back to the first relationship the route allows
+    const [fallback] = getDependantRelationships(visa);
+    set(
+      "dependantDetails",
+      params.people
+        .filter((person) => person.relationship !== "main")
+        .map((person) => ({
+          relationship: person.relationship === "dependant" ? fallback : (person.relationship as FeeEngine.DependantRelationship),
+          age: person.age,
+          dateOfBirth: person.dateOfBirth,
+        }))
+    );
+  }
+
+  return { input, rejected: Array.from(new Set(rejected)) };
+}
 
-  // ── Immigration Health Surcharge ──────────────────────────────────────────
-  let ihsTotal = 0;
-  if (visa.ihsApplies) {
-    const ihsRatePerYear =
-      visa.ihsRate === "reduced" ? IHS_RATES.reduced : IHS_RATES.standard;
-    const durationYears = Math.ceil(input.durationMonths / 12);
-    const ihsPerPerson = ihsRatePerYear * durationYears;
+// ─── Secondary Currency ───────────────────────────────────────────────────────
 
-    // Dependants who can't be added don't get IHS either
-    const ihsPeople =
-      visa.dependantFee == null
-        ? input.numApplicants
-        : totalPeople;
+export const EXCHANGE_RATES = exchangeRatesData as unknown as FeeEngine.ExchangeRates;
 
-    ihsTotal = ihsPerPerson * ihsPeople;
+export const DISPLAY_CURRENCIES = Object.entries(EXCHANGE_RATES.currencies).map(([code, currency]) => ({
+  code,
+  name: currency.name,
+}));
 
-    breakdown.push({
-      label: `Immigration Health Surcharge (IHS)`,
-      amount: ihsTotal,
-      note: `£${ihsRatePerYear.toLocaleString()}/year × ${durationYears} year${durationYears > 1 ? "s" : ""} × ${ihsPeople} person${ihsPeople > 1 ? "s" : ""}`,
-    });
+// e.g. "≈ ₹81,792"; empty for pounds only or an unlisted currency
+export function formatInCurrency(amount: number, code: string): string {
+  return FeeEngine.formatConverted(EXCHANGE_RATES, amount, code);
+}
 
-    assumptions.push(
-      `IHS calculated at £${ihsRatePerYear.toLocaleString()}/year (${visa.ihsRate} rate) for ${durationYears} year${durationYears > 1 ? "s" : ""} (${input.durationMonths} months, rounded up).`
-    );
-  } else if (visa.ihsRate === "none") {
-    assumptions.push(`IHS does not apply to the ${visa.label}.`);
+export function describeExchangeRate(code: string): string {
+  return FeeEngine.describeExchangeRate(EXCHANGE_RATES, code);
+}
+
+// ─── Money to Show ────────────────────────────────────────────────────────────
+
+export type FinancialOptions = FeeEngine.FinancialOptions;
+export type FinancialResult = FeeEngine.FinancialResult;
+
+export const FINANCIAL_REQUIREMENTS = financialRequirementsData as unknown as FeeEngine.FinancialRequirements;
+
+// Maintenance and minimum income requirements that apply to a visa
+export function getVisaRequirements(visa: VisaCategory): FeeEngine.FinancialRequirement[] {
+  return Object.values(FINANCIAL_REQUIREMENTS.requirements).filter((requirement) =>
+    requirement.routes.includes(visa.routeId)
+  );
+}
+
+// Money to show for a calculated result; null when the visa has no financial requirement
+export function getFinancialRequirements(
+  input: CalculatorInput,
+  result: CalculatorResult
+): FeeEngine.FinancialResult | null {
+  if (!result.routeId) return null;
+  const financial = FeeEngine.getFinancialRequirements(FINANCIAL_REQUIREMENTS, result, input.financial);
+  return financial.requirements.length > 0 ? financial : null;
+}
+
+// ─── Submission Planner ───────────────────────────────────────────────────────
+
+export type SubmissionPlan = FeeEngine.SubmissionPlan;
+
+export const PROCESSING_TIMES = processingTimesData as unknown as FeeEngine.ProcessingTimes;
+
+// Whether decision times are recorded for a visa, so the planner can be offered
+export function visaHasProcessingTimes(visa: VisaCategory): boolean {
+  return PROCESSING_TIMES.routes[visa.routeId] !== undefined;
+}
+
+// Latest submission date and cost under each processing service; null without a decision date
+export function getSubmissionPlan(input: CalculatorInput): SubmissionPlan | null {
+  const visa = getVisaById(input.visaId);
+  if (!visa || !input.decisionBy || !FeeEngine.isValidDate(input.decisionBy)) return null;
+  try {
+    return FeeEngine.planSubmission(PROCESSING_TIMES, FEE_DATA, toCalculateParams(visa, input), input.decisionBy);
+  } catch {
+    // The estimate above already explains input the engine cannot price
+    return null;
   }
+}
 
-  // ── Optional Services ─────────────────────────────────────────────────────
-  let optionalServicesTotal = 0;
+// ─── Quote Export ─────────────────────────────────────────────────────────────
 
-  if (input.addPriority) {
-    if (!visa.priorityAvailable) {
-      warnings.push(
-        `Priority service is not available for the ${visa.label}. It has not been included.`
-      );
-    } else {
-      optionalServicesTotal += OPTIONAL_SERVICES.priority.fee;
-      breakdown.push({
-        label: OPTIONAL_SERVICES.priority.label,
-        amount: OPTIONAL_SERVICES.priority.fee,
-        note: "Per application (not per person)",
-      });
+export type Quote = QuoteExport.Quote;
+export type QuoteFormat = QuoteExport.Format;
+
+const QUOTE_MIME_TYPES: Record<QuoteFormat, string> = {
+  pdf: "application/pdf",
+  csv: "text/csv;charset=utf-8",
+  json: "application/json",
+};
+
+// A quote document for a result, with a reference number, in the same format as the static pages
+export function exportQuote(
+  result: CalculatorResult,
+  format: QuoteFormat,
+  url?: string
+): { fileName: string; content: BlobPart; type: string } {
+  const quote = QuoteExport.create(result, { url });
+  // The PDF bytes always sit in a plain ArrayBuffer
+  const content =
+    format === "pdf"
+      ? (QuoteExport.toPDF(quote) as BlobPart)
+      : format === "csv"
+        ? QuoteExport.toCSV(quote)
+        : QuoteExport.toJSON(quote);
+  return { fileName: QuoteExport.getFileName(quote, format), content, type: QUOTE_MIME_TYPES[format] };
+}
+
+// ─── Route Comparison ─────────────────────────────────────────────────────────
+
+export type ComparisonInput = Pick<
+  CalculatorInput,
+  "applyFrom" | "durationMonths" | "numApplicants" | "numDependants" | "dependantDetails" | "applicationDate"
+> & {
+  visaIds: string[]; // two to four visa types, priced for the same household
+};
+
+export type RouteComparison = FeeEngine.Comparison;
+
+export function compareVisas(input: ComparisonInput): RouteComparison {
+  const visas = input.visaIds.map((id) => {
+    const visa = getVisaById(id);
+    if (!visa) {
+      throw new Error(`Unknown visa type "${id}"`);
     }
-  }
+    return visa;
+  });
 
-  if (input.addSuperPriority) {
-    if (!visa.superPriorityAvailable) {
-      warnings.push(
-        `Super Priority service is not available for the ${visa.label}. It has not been included.`
-      );
-    } else {
-      optionalServicesTotal += OPTIONAL_SERVICES.superPriority.fee;
-      breakdown.push({
-        label: OPTIONAL_SERVICES.superPriority.label,
-        amount: OPTIONAL_SERVICES.superPriority.fee,
-        note: "Per application (not per person)",
-      });
+  // Visas with a fixed validity (e.g. visitor visas) keep it; the rest share the household duration
+  return FeeEngine.compareRoutes(
+    FEE_DATA,
+    visas.map((visa) => ({ routeId: visa.routeId, duration: visa.durationMonths ?? input.durationMonths })),
+    {
+      applyFrom: input.applyFrom,
+      people: buildHousehold(input),
+      applicationDate: input.applicationDate,
     }
-  }
+  );
+}
 
-  if (input.addPremiumLounge) {
-    optionalServicesTotal += OPTIONAL_SERVICES.premiumLounge.fee;
-    breakdown.push({
-      label: OPTIONAL_SERVICES.premiumLounge.label,
-      amount: OPTIONAL_SERVICES.premiumLounge.fee,
-      note: "Per person at UKVCAS service point",
-    });
-  }
+// Calculator input as FeeEngine.calculate() parameters
+function toCalculateParams(visa: VisaCategory, input: CalculatorInput): FeeEngine.CalculateParams {
+  return {
+    routeId: visa.routeId,
+    applyFrom: input.applyFrom,
+    nationality: input.nationality,
+    duration: visa.durationMonths ?? input.durationMonths,
+    leaveStart: input.leaveStart,
+    leaveEnd: input.leaveEnd,
+    addExtraLeave: input.addExtraLeave,
+    sponsorLeaveEnd: input.sponsorLeaveEnd,
+    joiningDate: input.joiningDate,
+    people: buildHousehold(input),
+    isNewEntrant: input.isNewEntrant,
+    addPriority: input.addPriority,
+    addSuperPriority: input.addSuperPriority,
+    addPremiumLounge: input.addPremiumLounge,
+    applicationDate: input.applicationDate,
+    currentRouteId: input.currentRouteId,
+    currentLeaveEnd: input.currentLeaveEnd,
+    extraCosts: input.extraCosts,
+    smallSponsor: input.smallSponsor,
+  };
+}
 
-  const grandTotal = visaFeeTotal + ihsTotal + optionalServicesTotal;
+// Main applicants followed by each dependant; dependants without details are
+// priced as unspecified adults, as before per-person pricing existed
+function buildHousehold(
+  input: Pick<CalculatorInput, "numApplicants" | "numDependants" | "dependantDetails">
+): FeeEngine.Person[] {
+  const applicants: FeeEngine.Person[] = Array.from({ length: input.numApplicants }, () => ({
+    relationship: "main",
+  }));
+  const dependants: FeeEngine.Person[] = Array.from({ length: input.numDependants }, (_, i) => {
+    const details = input.dependantDetails?.[i];
+    return details
+      ? { relationship: details.relationship, age: details.age, dateOfBirth: details.dateOfBirth }
+      : { relationship: "dependant" };
+  });
+  return [...applicants, ...dependants];
+}
 
-  // ── General Warnings ──────────────────────────────────────────────────────
-  warnings.push(
-    "This is an estimate only. Always confirm the exact fee on GOV.UK before submitting your application."
-  );
+// ─── Employer Bulk Quote ──────────────────────────────────────────────────────
 
-  if (visa.baseFee === null) {
-    warnings.push(
-      "The fee for this visa type varies. Please check GOV.UK for the exact amount."
-    );
-  }
+export type Hire = FeeEngine.Hire;
+export type HireBatch = FeeEngine.HireBatch;
+
+export type BulkQuoteInput = {
+  hires: Hire[];
+  applicationDate?: string; // YYYY-MM-DD, defaults to today
+  employerCosts: boolean; // add the CoS and Immigration Skills Charge each route needs
+  smallSponsor: boolean;
+};
+
+// Hires are priced on routes directly, as in the CSV files the sponsor imports
+export const HIRE_ROUTES = FEE_DATA.routes
+  .filter((route) => route.indexable)
+  .map((route) => ({ id: route.route_id, name: route.name, category: route.category }));
 
+export const HIRES_CSV_TEMPLATE = QuoteExport.getHiresTemplate();
+
+export function priceHires(input: BulkQuoteInput): HireBatch {
+  return FeeEngine.priceHires(FEE_DATA, input.hires, {
+    applicationDate: input.applicationDate,
+    employerCosts: input.employerCosts,
+    smallSponsor: input.smallSponsor,
+  });
+}
+
+export function parseHiresCSV(text: string): { hires: Hire[]; errors: string[] } {
+  return QuoteExport.parseHiresCSV(text);
+}
+
+// The priced list as CSV, in the same format as the static pages
+export function exportHires(batch: HireBatch): { fileName: string; content: string; type: string } {
   return {
-    visaFeeTotal,
-    ihsTotal,
-    optionalServicesTotal,
-    grandTotal,
-    breakdown,
-    assumptions,
-    warnings,
+    fileName: `hire-quotes-${FeeEngine.today().replace(/-/g, "")}.csv`,
+    content: QuoteExport.hiresToCSV(batch),
+    type: QUOTE_MIME_TYPES.csv,
   };
 }
+
+// ─── Journey Planner ──────────────────────────────────────────────────────────
+
+export const JOURNEYS = journeysData as unknown as FeeEngine.Journey[];
+
+export type JourneyInput = {
+  journeyId: string;
+  startDate?: string; // YYYY-MM-DD of the first application, defaults to today
+  numApplicants: number;
+  numDependants: number;
+  dependantDetails?: DependantDetails[];
+  stageDurations?: (number | undefined)[]; // per-stage leave in months, overriding the template
+};
+
+export type JourneyPlan = FeeEngine.JourneyResult;
+
+export function getJourneyById(id: string): FeeEngine.Journey | undefined {
+  return JOURNEYS.find((journey) => journey.journey_id === id);
+}
+
+export function planJourney(input: JourneyInput): JourneyPlan {
+  const journey = getJourneyById(input.journeyId);
+  if (!journey) {
+    throw new Error(`Unknown journey "${input.journeyId}"`);
+  }
+
+  const stages = FeeEngine.getJourneyStages(journey).map((stage, i) => ({
+    ...stage,
+    duration: input.stageDurations?.[i] ?? stage.duration,
+  }));
+  return FeeEngine.planJourney(FEE_DATA, {
+    stages,
+    startDate: input.startDate,
+    people: buildHousehold(input),
+  });
+}
+
+// ─── Route Finder ─────────────────────────────────────────────────────────────
+
+export const ROUTE_FINDER = routeFinderData as unknown as FeeEngine.RouteFinder;
+
+export type FinderAnswers = FeeEngine.FinderAnswers;
+
+export type RouteSuggestion = FeeEngine.RouteMatch & {
+  visaId: string | null; // first calculator visa type for the route, null when the calculator does not offer it
+};
+
+export function getFinderQuestions(answers: FinderAnswers): FeeEngine.FinderQuestion[] {
+  return FeeEngine.getFinderQuestions(ROUTE_FINDER, answers);
+}
+
+export function findVisas(answers: FinderAnswers): RouteSuggestion[] {
+  return FeeEngine.findRoutes(FEE_DATA, ROUTE_FINDER, answers).map((match) => ({
+    ...match,
+    visaId: VISA_CATEGORIES.find((visa) => visa.routeId === match.routeId)?.id ?? null,
+  }));
+}
+
+// Calculator link for a suggestion, starting from where the answers say the person applies from
+export function getSuggestionHref(suggestion: RouteSuggestion): string | null {
+  if (!suggestion.visaId) return null;
+  return `/calculator?${new URLSearchParams({ visa: suggestion.visaId, from: suggestion.applyFrom })}`;
+}
@@ -0,0 +1,150 @@
+/**
+ * Service worker - Keeps the calculator working offline after the first visit
+ *
+ * Pages are fetched from the network first, falling back to the saved copy.
+ * Scripts, styles and data files are served from the saved copy straight away
+ * and refreshed in the background (stale-while-revalidate); when a data file
+ * has changed, open pages are sent { type: 'data-updated', url } so they can
+ * reload it. Registered by js/data-loader.js.
+ *
+ * Bump CACHE_NAME when the list of files below changes.
+ */
+
+const CACHE_NAME = 'ukvisa-v5';
+
+/**
+ * Saved on install, relative to the site root, so the calculator and route
+ * pages open offline, including a route page first opened before the service
+ * worker took control
+ */
+const PRECACHE = [
+    './',
+    'uk/work/skilled-worker/',
+    'uk/study/student-visa/',
+    'css/main.css',
+    'js/data-loader.js',
+    'js/ui.js',
+    'js/fee-engine.js',
+    'js/quote-export.js',
+    'js/calculator.js',
+    'data/routes.json',
+    'data/fees.json',
+    'data/rules.json',
+    'data/exchange-rates.json',
+    'data/financial-requirements.json',
+    'data/nationalities.json',
+    'data/processing-times.json',
+    'data/route-finder.json',
+    'content/routes/bno-visa.json',
+    'content/routes/fiance-visa.json',
+    'content/routes/global-talent.json',
+    'content/routes/graduate-visa.json',
+    'content/routes/health-care-worker.json',
+    'content/routes/indefinite-leave-remain-work.json',
+    'content/routes/naturalisation-citizenship.json',
+    'content/routes/skilled-worker.json',
+    'content/routes/spouse-partner.json',
+    'content/routes/standard-visitor.json',
+    'content/routes/student-visa.json',
+    'content/routes/youth-mobility.json'
+];
+
+/**
+ * Pages are given this long on the network before the saved copy is used (ms)
+ */
+const NETWORK_TIMEOUT = 4000;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => Promise.all(PRECACHE.map(path => {
+                const url = new URL(path, self.registration.scope).href;
+                return fetch(url).then(response => response.ok ? cache.put(url, stamp(response)) : null);
+            })))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+/**
+ * Copy a response with the time it was fetched, shown beside the data's own date
+ * @param {Response} response - Network response
+ * @returns {Response}
+ */
+function stamp(response) {
+    const headers = new Headers(response.headers);
+    headers.set('x-fetched-at', new Date().toISOString());
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+/**
+ * Fetch and save a copy of a successful response
+ * @param {Request} request
+ * @returns {Promise<Response>} The saved copy
+ */
+async function fetchAndSave(request) {
+    const response = await fetch(request);
+    if (!response.ok || response.type !== 'basic') return response;
+    const saved = stamp(response);
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, saved.clone());
+    return saved;
+}
+
+/**
+ * Pages: the network when it answers in time, otherwise the saved copy
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const network = fetchAndSave(request);
+    network.catch(() => null);
+    const timeout = new Promise(resolve => setTimeout(() => resolve(null), NETWORK_TIMEOUT));
+    const response = await Promise.race([network, timeout]).catch(() => null);
+    if (response) return response;
+
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    // Nothing saved: keep waiting on a slow connection, or fall back to the home page offline
+    return network.catch(async () => (await caches.match(self.registration.scope)) || Response.error());
+}
+
+/**
+ * Scripts, styles and data: the saved copy now, refreshed for next time
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+    const request = event.request;
+    const cached = await caches.match(request);
+    if (!cached) return fetchAndSave(request);
+
+    const previous = cached.clone();
+    event.waitUntil((async () => {
+        const response = await fetchAndSave(request).catch(() => null);
+        if (!response || !response.ok || !request.url.endsWith('.json')) return;
+        const [before, after] = await Promise.all([previous.text(), response.text()]);
+        if (before === after) return;
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(client => client.postMessage({ type: 'data-updated', url: request.url }));
+    })());
+    return cached;
+}
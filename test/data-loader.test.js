@@ -0,0 +1,69 @@
+/**
+ * Tests for loading the data files (js/data-loader.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const DataLoader = require('../js/data-loader');
+
+/**
+ * Replace fetch with one that answers from a list, recording each URL
+ */
+function stubFetch(t, answers) {
+    const calls = [];
+    const original = global.fetch;
+    global.fetch = async (url) => {
+        calls.push(url);
+        const answer = answers.shift();
+        if (answer instanceof Error) throw answer;
+        return new Response(JSON.stringify(answer.body ?? {}), { status: answer.status ?? 200, headers: answer.headers });
+    };
+    t.after(() => { global.fetch = original; });
+    return calls;
+}
+
+test('failed requests are retried, and a missing file is not', async (t) => {
+    DataLoader.retryDelay = 0;
+    DataLoader.clearCache();
+    t.after(() => { DataLoader.retryDelay = 1000; DataLoader.clearCache(); });
+
+    const calls = stubFetch(t, [
+        new TypeError('Failed to fetch'),
+        { status: 503 },
+        { body: { ok: true }, headers: { 'x-fetched-at': '2026-10-01T08:00:00.000Z' } },
+        { status: 404 },
+        new TypeError('Failed to fetch'), new TypeError('Failed to fetch'), new TypeError('Failed to fetch')
+    ]);
+
+    assert.deepStrictEqual(await DataLoader.load('data/fees.json'), { ok: true });
+    assert.strictEqual(calls.length, 3);
+    assert.deepStrictEqual(await DataLoader.load('data/fees.json'), { ok: true }, 'later loads use the cached copy');
+    assert.strictEqual(calls.length, 3);
+
+    await assert.rejects(DataLoader.load('data/missing.json'), /404/);
+    assert.strictEqual(calls.length, 4);
+    await assert.rejects(DataLoader.load('data/rules.json'), /Failed to fetch/);
+    assert.strictEqual(calls.length, 7, 'two retries after the first attempt');
+
+    assert.deepStrictEqual(DataLoader.getDataStatus(), { dataDate: null, fetchedAt: '2026-10-01T08:00:00.000Z', offline: false });
+});
+
+test('the data is dated by its latest change in force, not by when it was fetched', async (t) => {
+    DataLoader.clearCache();
+    t.after(() => DataLoader.clearCache());
+
+    const fees = {
+        visa: { history: [{ effective_date: '2025-04-09' }, { effective_date: '2026-04-09' }, { effective_date: '2027-04-09' }] }
+    };
+    const rules = { ihs_rates: { standard: { history: [{ effective_date: '2026-01-01' }] } } };
+    stubFetch(t, [
+        { body: fees, headers: { 'x-fetched-at': '2026-10-01T08:00:00.000Z' } },
+        { body: rules, headers: { 'x-fetched-at': '2026-09-01T08:00:00.000Z' } }
+    ]);
+    await DataLoader.loadMultiple(['data/fees.json', 'data/rules.json']);
+
+    const status = DataLoader.getDataStatus('2026-10-18');
+    assert.strictEqual(status.dataDate, '2026-04-09', 'the announced 2027 change is not in force yet');
+    assert.strictEqual(status.fetchedAt, '2026-09-01T08:00:00.000Z');
+    assert.strictEqual(DataLoader.getDataStatus('2027-05-01').dataDate, '2027-04-09');
+});
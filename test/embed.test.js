@@ -0,0 +1,42 @@
+/**
+ * Tests for the embeddable widget's settings (js/widget.js and js/embed.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Widget = require('../js/widget');
+const UKVisaEmbed = require('../js/embed');
+
+test('the host script passes its settings to the widget page', () => {
+    const url = UKVisaEmbed.getWidgetUrl(
+        'https://calculator.example/embed/index.html',
+        { route: 'skilled-worker', primary: '#0f766e', font: 'Georgia, serif', radius: '', accent: undefined },
+        'ukvisa-1',
+        'https://host.example'
+    );
+    assert.strictEqual(url, 'https://calculator.example/embed/index.html?route=skilled-worker&primary=%230f766e&font=Georgia%2C+serif&id=ukvisa-1&origin=https%3A%2F%2Fhost.example');
+
+    assert.deepStrictEqual(Widget.readOptions(new URL(url).search), {
+        route: 'skilled-worker',
+        group: null,
+        theme: { primary: '#0f766e', font: 'Georgia, serif' },
+        origin: 'https://host.example',
+        id: 'ukvisa-1'
+    });
+});
+
+test('widget settings that are not valid are dropped', () => {
+    const options = Widget.readOptions('?group=work&primary=red&accent=ABC&text=%23zzzzzz&background=fff' +
+        '&font=Arial;}body{display:none&radius=99&origin=javascript:alert(1)&route=../x&id=<b>');
+    assert.deepStrictEqual(options, {
+        route: null,
+        group: 'work',
+        theme: { accent: '#abc', background: '#fff' },
+        origin: null,
+        id: null
+    });
+
+    assert.strictEqual(Widget.readOptions('?group=holiday&radius=12').group, null);
+    assert.strictEqual(Widget.readOptions('?radius=12').theme.radius, '12px');
+    assert.strictEqual(Widget.readOptions('?origin=https://host.example/page?x=1').origin, 'https://host.example');
+});
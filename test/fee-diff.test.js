@@ -0,0 +1,106 @@
+/**
+ * Tests for the fee-change report (scripts/fee-diff.js)
+ * Two small snapshot directories are written from the data files, the newer
+ * one with known edits, and the report is read back as JSON.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert');
+const { ROOT, loadData } = require('./helpers');
+
+const SCRIPT = path.join(ROOT, 'scripts/fee-diff.js');
+const DATE = '2027-06-01';
+
+/**
+ * Write routes.json, fees.json and rules.json to a new temporary directory
+ */
+function writeSnapshot(dir, { routes, fees, rules }) {
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'routes.json'), JSON.stringify(routes));
+    fs.writeFileSync(path.join(dir, 'fees.json'), JSON.stringify(fees));
+    fs.writeFileSync(path.join(dir, 'rules.json'), JSON.stringify(rules));
+    return dir;
+}
+
+/**
+ * Old and new snapshots of two routes; the new one adds and removes a fee key,
+ * raises the Skilled Worker fee and the standard IHS rate from 2027-01-01
+ */
+function snapshots() {
+    const data = loadData();
+    const base = structuredClone({
+        routes: data.routes.filter(route => ['skilled-worker', 'student-visa'].includes(route.route_id)),
+        fees: { ...data.fees, retired_fee: { name: 'Retired Fee', per_person: false, history: [{ effective_date: '2020-01-01', amount_inside_uk: 10, amount_outside_uk: 10 }] } },
+        rules: data.rules
+    });
+    const next = structuredClone(base);
+    delete next.fees.retired_fee;
+    next.fees.new_fee = { name: 'New Fee', per_person: false, history: [{ effective_date: '2027-01-01', amount_inside_uk: 25, amount_outside_uk: 25 }] };
+    const current = next.fees.skilled_worker_outside.history.at(-1);
+    next.fees.skilled_worker_outside.history.push({ ...structuredClone(current), effective_date: '2027-01-01', amount_outside_uk: current.amount_outside_uk + 100 });
+    const ihs = next.rules.ihs_rates.standard.history;
+    ihs.push({ effective_date: '2027-01-01', rate_per_year: ihs.at(-1).rate_per_year + 100 });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fee-diff-'));
+    return {
+        dir,
+        base,
+        before: writeSnapshot(path.join(dir, 'before'), base),
+        after: writeSnapshot(path.join(dir, 'after'), next)
+    };
+}
+
+test('the report lists added and removed keys, changed versions, IHS rates and household totals', () => {
+    const { dir, base, before, after } = snapshots();
+    try {
+        const report = JSON.parse(execFileSync('node', [SCRIPT, before, after, '--date', DATE, '--json'], { encoding: 'utf8' }));
+
+        assert.deepStrictEqual(report.fees.added, [{ key: 'new_fee', name: 'New Fee' }]);
+        assert.deepStrictEqual(report.fees.removed, [{ key: 'retired_fee', name: 'Retired Fee' }]);
+
+        const amount = base.fees.skilled_worker_outside.history.at(-1).amount_outside_uk;
+        const skilled = report.fees.changed.find(fee => fee.key === 'skilled_worker_outside');
+        assert.deepStrictEqual(skilled.versions, [{
+            effective_date: '2027-01-01',
+            kind: 'added',
+            changes: [{ field: 'amount_outside_uk', before: amount, after: amount + 100 }]
+        }]);
+        assert.strictEqual(report.fees.changed.length, 1);
+
+        const rate = base.rules.ihs_rates.standard.history.at(-1).rate_per_year;
+        assert.deepStrictEqual(report.ihs.changed.map(item => item.key), ['standard']);
+        assert.deepStrictEqual(report.ihs.changed[0].versions[0].changes, [{ field: 'rate_per_year', before: rate, after: rate + 100 }]);
+
+        // A single applicant from outside the UK pays the new fee and a year's higher IHS
+        const single = report.totals.changed.find(change => change.id === 'skilled-worker/outside_uk/12m/single');
+        assert.strictEqual(single.difference, 200);
+        // Students pay the reduced IHS rate, so only Skilled Worker totals move
+        assert.ok(report.totals.changed.every(change => change.route_id === 'skilled-worker'));
+
+        const notes = execFileSync('node', [SCRIPT, before, after, '--date', DATE, '--markdown'], { encoding: 'utf8' });
+        assert.match(notes, /\| Skilled Worker Visa \| outside UK, 12 months, single applicant \| .+ \| .+ \| \+£200 /);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the report refuses a snapshot without dated fee histories', () => {
+    const { dir, base, after } = snapshots();
+    try {
+        const undated = structuredClone(base);
+        const { history, ...fee } = undated.fees.skilled_worker_outside;
+        undated.fees.skilled_worker_outside = { ...fee, amount_outside_uk: history.at(-1).amount_outside_uk };
+        const old = writeSnapshot(path.join(dir, 'undated'), undated);
+
+        const run = spawnSync('node', [SCRIPT, old, after, '--date', DATE, '--json'], { encoding: 'utf8' });
+        assert.strictEqual(run.status, 2);
+        assert.match(run.stderr, /skilled_worker_outside without a dated history/);
+        assert.strictEqual(run.stdout, '');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,700 @@
+/**
+ * Unit tests for FeeEngine pricing rules
+ * Amounts are read from the data files where possible, so these tests check
+ * how fees combine rather than what they are; test/golden.test.js pins the figures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const FeeEngine = require('../js/fee-engine');
+const { ROOT, loadData, getGoldenDate } = require('./helpers');
+
+const data = loadData();
+const finder = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/route-finder.json'), 'utf8'));
+const financial = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/financial-requirements.json'), 'utf8'));
+const processing = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/processing-times.json'), 'utf8'));
+const date = getGoldenDate(data);
+
+const fee = (key, applyFrom) => FeeEngine.getFeeAmount(data, key, applyFrom, date);
+const ihsRate = key => FeeEngine.getIHSRateEntryByKey(data, key, date).rate_per_year;
+const line = (result, key) => result.breakdown.find(item => item.key === key);
+const quote = params => FeeEngine.calculate(data, { applicationDate: date, ...params });
+
+// Minimal data set for rules that the real data does not exercise
+function fixture(routeOverrides = {}) {
+    return {
+        routes: [{
+            route_id: 'test-route',
+            name: 'Test Visa',
+            category: 'work',
+            indexable: false,
+            apply_from_options: 'both',
+            duration_policy: 'custom',
+            ihs_policy: 'required',
+            fee_items: ['test_inside', 'test_outside'],
+            extras_supported: [],
+            last_reviewed: '2026-01-01',
+            ...routeOverrides
+        }],
+        fees: {
+            test_inside: {
+                name: 'Test - Inside UK',
+                per_person: true,
+                history: [
+                    { effective_date: '2025-04-09', amount_inside_uk: 100, amount_outside_uk: null },
+                    { effective_date: '2026-04-09', amount_inside_uk: 120, amount_outside_uk: null }
+                ]
+            },
+            test_outside: {
+                name: 'Test - Outside UK',
+                per_person: true,
+                history: [{ effective_date: '2025-04-09', amount_inside_uk: null, amount_outside_uk: 90 }]
+            }
+        },
+        rules: data.rules
+    };
+}
+
+test('invalid inputs are rejected', () => {
+    assert.throws(() => quote({ routeId: 'no-such-route' }), /Route not found/);
+    assert.throws(() => quote({ routeId: 'skilled-worker', applicationDate: '2026-02-30' }), /Invalid application date/);
+    assert.throws(() => quote({
+        routeId: 'skilled-worker',
+        people: [{ relationship: 'main' }, { relationship: 'child', dateOfBirth: '2099-01-01' }]
+    }), /Invalid date of birth/);
+    assert.throws(() => quote({ routeId: 'skilled-worker', people: [{ relationship: 'partner' }] }), /main applicant/);
+});
+
+test('inside and outside UK applications use their own fee', () => {
+    const inside = quote({ routeId: 'skilled-worker', applyFrom: 'inside_uk', duration: 36 });
+    const outside = quote({ routeId: 'skilled-worker', applyFrom: 'outside_uk', duration: 36 });
+
+    assert.strictEqual(line(inside, 'application_main').amount, fee('skilled_worker_inside', 'inside_uk'));
+    assert.strictEqual(line(outside, 'application_main').amount, fee('skilled_worker_outside', 'outside_uk'));
+    assert.notStrictEqual(inside.total, outside.total);
+});
+
+test('a location the route does not allow falls back to the allowed one with a warning', () => {
+    const result = quote({ routeId: 'graduate-visa', applyFrom: 'outside_uk', duration: 24 });
+    assert.strictEqual(result.applyFrom, 'inside_uk');
+    assert.ok(result.warnings.some(text => text.includes('cannot be applied for outside the UK')));
+});
+
+test('extensions and switches are priced from inside the UK', () => {
+    const extension = quote({ routeId: 'skilled-worker', currentRouteId: 'skilled-worker', applyFrom: 'outside_uk', duration: 36 });
+    assert.strictEqual(extension.applyFrom, 'inside_uk');
+    assert.strictEqual(extension.switching.type, 'extension');
+    assert.ok(extension.switching.allowed);
+    assert.strictEqual(line(extension, 'application_main').amount, fee('skilled_worker_inside', 'inside_uk'));
+
+    const graduate = quote({ routeId: 'skilled-worker', currentRouteId: 'graduate-visa', duration: 36 });
+    assert.strictEqual(graduate.switching.type, 'switch');
+    assert.ok(graduate.switching.allowed);
+    assert.ok(graduate.assumptions.some(text => text.startsWith('Switching from the')));
+    assert.strictEqual(quote({ routeId: 'skilled-worker', duration: 36 }).switching, null);
+});
+
+test('a switch the rules do not allow is flagged and priced from outside the UK', () => {
+    const visitor = quote({ routeId: 'skilled-worker', currentRouteId: 'standard-visitor', duration: 36 });
+    assert.strictEqual(visitor.switching.allowed, false);
+    assert.strictEqual(visitor.applyFrom, 'outside_uk');
+    assert.strictEqual(line(visitor, 'application_main').amount, fee('skilled_worker_outside', 'outside_uk'));
+    assert.ok(visitor.warnings.some(text => text.includes('must leave the UK')));
+
+    assert.strictEqual(quote({ routeId: 'graduate-visa', currentRouteId: 'graduate-visa', duration: 24 }).switching.allowed, false);
+    assert.strictEqual(quote({ routeId: 'graduate-visa', currentRouteId: 'student-visa', duration: 24 }).switching.allowed, true);
+    assert.throws(() => quote({ routeId: 'skilled-worker', currentRouteId: 'no-such-route' }), /Current visa route not found/);
+});
+
+test('IHS already paid on the current visa is not charged again', () => {
+    const params = {
+        routeId: 'skilled-worker',
+        currentRouteId: 'graduate-visa',
+        leaveStart: '2027-01-01',
+        leaveEnd: '2029-12-31',
+        applicationDate: date
+    };
+    const full = quote(params);
+    const overlap = quote({ ...params, currentLeaveEnd: '2027-06-30' });
+    assert.strictEqual(full.switching.ihsCredit, 0);
+    assert.ok(overlap.switching.ihsCredit > 0);
+    assert.strictEqual(overlap.ihsTotal, full.ihsTotal - overlap.switching.ihsCredit);
+    assert.ok(overlap.assumptions.some(text => text.startsWith('IHS is already paid until')));
+
+    // Charging starts the day after current leave ends. With the route's 14 days of
+    // extra leave either side, 2027-07-01 to 2029-06-30 is exactly two years
+    const boundary = quote({ ...params, leaveStart: '2027-05-01', leaveEnd: '2029-06-16', currentLeaveEnd: '2027-06-30' });
+    assert.strictEqual(boundary.leavePeriod.end, '2029-06-30');
+    assert.strictEqual(boundary.switching.ihsCredit, ihsRate('standard') * 0.5);
+    assert.strictEqual(boundary.ihsTotal, ihsRate('standard') * 2);
+
+    // Nothing is credited when the switch is not allowed
+    const visitor = quote({ ...params, currentRouteId: 'standard-visitor', currentLeaveEnd: '2027-06-30' });
+    assert.strictEqual(visitor.switching.ihsCredit, 0);
+});
+
+test('a dependant joining later is priced for the main applicant\'s remaining leave', () => {
+    const joiningDate = FeeEngine.addMonths(date, 3);
+    const sponsorLeaveEnd = FeeEngine.addDays(FeeEngine.addMonths(joiningDate, 30), -1);
+    const result = quote({ routeId: 'child-dependent', applyFrom: 'outside_uk', sponsorLeaveEnd, joiningDate });
+
+    assert.deepStrictEqual(result.leavePeriod, { start: joiningDate, end: sponsorLeaveEnd, padded: false, padding: null });
+    assert.strictEqual(result.duration, 30);
+    assert.strictEqual(result.people[0].ihsYears, 2.5);
+    assert.ok(result.ihsTotal > 0);
+    assert.ok(result.assumptions.some(text => text.startsWith('Leave granted to match the main applicant\'s')));
+
+    // Leave cannot start before the application, and must not end before it starts
+    const early = quote({ routeId: 'child-dependent', applyFrom: 'outside_uk', sponsorLeaveEnd, joiningDate: FeeEngine.addMonths(date, -2) });
+    assert.strictEqual(early.leavePeriod.start, date);
+    assert.ok(early.warnings.some(text => text.startsWith('Leave cannot start before the application')));
+    assert.throws(() => quote({ routeId: 'child-dependent', sponsorLeaveEnd: date }), /must end after the dependant joins/);
+
+    const missing = quote({ routeId: 'child-dependent', applyFrom: 'outside_uk' });
+    assert.strictEqual(missing.ihsTotal, 0);
+    assert.ok(missing.warnings.some(text => text.includes('main applicant\'s leave ends was not given')));
+
+    const link = FeeEngine.decodeQuery(data, FeeEngine.encodeQuery({ routeId: 'child-dependent', sponsorLeaveEnd, joiningDate }));
+    assert.deepStrictEqual(link.params, { routeId: 'child-dependent', sponsorLeaveEnd, joiningDate });
+    assert.deepStrictEqual(FeeEngine.decodeQuery(data, `route=skilled-worker&sponsor_end=${sponsorLeaveEnd}`).rejected, ['sponsor_end']);
+});
+
+test('a missing fee for a location is never borrowed from the other location', () => {
+    const missing = fixture({ fee_items: ['test_outside'] });
+    assert.strictEqual(FeeEngine.getFeeKey(missing.routes[0], 'inside_uk', 12), null);
+
+    const result = FeeEngine.calculate(missing, { routeId: 'test-route', applyFrom: 'inside_uk', duration: 12, applicationDate: '2026-01-01' });
+    assert.strictEqual(line(result, 'application_main'), undefined);
+    assert.ok(result.warnings.some(text => text.startsWith('No application fee is recorded')));
+});
+
+test('dependants pay the application fee and IHS, children at the reduced rate', () => {
+    const result = quote({
+        routeId: 'skilled-worker',
+        applyFrom: 'inside_uk',
+        duration: 24,
+        people: [{ relationship: 'main' }, { relationship: 'partner', age: 35 }, { relationship: 'child', age: 6 }]
+    });
+    const applicationFee = fee('skilled_worker_inside', 'inside_uk');
+
+    assert.strictEqual(result.applicants, 1);
+    assert.strictEqual(result.dependants, 2);
+    assert.strictEqual(line(result, 'application_dependants').amount, applicationFee * 2);
+    assert.strictEqual(line(result, 'ihs_standard').amount, ihsRate('standard') * 2 * 2);
+    assert.strictEqual(line(result, 'ihs_student').amount, ihsRate('student') * 2);
+    assert.strictEqual(result.total, result.visaFeeTotal + result.ihsTotal + result.optionalServicesTotal + result.otherCostsTotal);
+});
+
+test('dependants are dropped with a warning where the route does not allow them', () => {
+    const result = quote({ routeId: 'youth-mobility', duration: 24, applicants: 1, dependants: 2 });
+    assert.strictEqual(result.dependants, 0);
+    assert.ok(result.warnings.some(text => text.includes('Dependants cannot be added')));
+});
+
+test('IHS is charged per whole year plus half a year for up to 6 remaining months', () => {
+    assert.strictEqual(FeeEngine.getIHSYears(data, 6), 0.5);
+    assert.strictEqual(FeeEngine.getIHSYears(data, 18), 1.5);
+    assert.strictEqual(FeeEngine.getIHSYears(data, 19), 2);
+    assert.strictEqual(FeeEngine.getIHSYears(data, 36), 3);
+});
+
+test('IHS is not charged on exempt routes or routes without it', () => {
+    assert.strictEqual(quote({ routeId: 'health-care-worker', applyFrom: 'outside_uk', duration: 36 }).ihsTotal, 0);
+    assert.strictEqual(quote({ routeId: 'standard-visitor', duration: 6 }).ihsTotal, 0);
+});
+
+test('optional services are priced per person and only where offered', () => {
+    const priority = quote({ routeId: 'skilled-worker', applyFrom: 'inside_uk', duration: 12, applicants: 1, dependants: 1, addPriority: true });
+    assert.strictEqual(line(priority, 'priority').amount, fee('priority', 'inside_uk') * 2);
+
+    const both = quote({ routeId: 'skilled-worker', applyFrom: 'inside_uk', duration: 12, addPriority: true, addSuperPriority: true });
+    assert.strictEqual(line(both, 'priority'), undefined);
+    assert.ok(line(both, 'super_priority'));
+    assert.ok(both.warnings.some(text => text.includes('cannot be combined')));
+
+    const unsupported = quote({ routeId: 'youth-mobility', duration: 24, addPriority: true });
+    assert.strictEqual(line(unsupported, 'priority'), undefined);
+    assert.ok(unsupported.warnings.some(text => text.includes('Priority Service is not available')));
+});
+
+test('permanent routes ignore duration and add the Life in the UK test', () => {
+    const result = quote({ routeId: 'indefinite-leave-remain-work', duration: 36 });
+    assert.strictEqual(result.duration, 0);
+    assert.strictEqual(result.ihsTotal, 0);
+    assert.ok(line(result, 'life_in_uk_test'));
+
+    const passed = quote({ routeId: 'indefinite-leave-remain-work', lifeInUKTestPassed: true });
+    assert.strictEqual(line(passed, 'life_in_uk_test'), undefined);
+});
+
+test('employer costs are priced from rules.json and totalled apart from the applicant\'s', () => {
+    const sponsored = { routeId: 'skilled-worker', applyFrom: 'outside_uk', duration: 30, people: [{ relationship: 'main' }, { relationship: 'partner', age: 35 }] };
+    const result = quote({ ...sponsored, extraCosts: { immigration_skills_charge: true, certificate_of_sponsorship: true } });
+
+    // The skills charge is per main applicant, for each year and remaining half year of leave
+    assert.strictEqual(line(result, 'immigration_skills_charge').amount, fee('immigration_skills_charge', 'outside_uk') * 2.5);
+    assert.strictEqual(line(result, 'certificate_of_sponsorship').amount, fee('certificate_of_sponsorship', 'outside_uk'));
+    assert.strictEqual(result.employerTotal, line(result, 'immigration_skills_charge').amount + line(result, 'certificate_of_sponsorship').amount);
+    assert.strictEqual(result.applicantTotal, quote(sponsored).total);
+    assert.strictEqual(result.total, result.applicantTotal + result.employerTotal);
+
+    const small = quote({ ...sponsored, smallSponsor: true, extraCosts: { immigration_skills_charge: true } });
+    assert.strictEqual(line(small, 'immigration_skills_charge').amount, fee('immigration_skills_charge_small', 'outside_uk') * 2.5);
+
+    const fromStudent = quote({ ...sponsored, currentRouteId: 'student-visa', extraCosts: { immigration_skills_charge: true } });
+    assert.strictEqual(line(fromStudent, 'immigration_skills_charge'), undefined);
+    assert.strictEqual(fromStudent.employerTotal, 0);
+});
+
+test('a journey prices each stage on the day the previous leave ends, with ages moving on', () => {
+    const journey = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/journeys.json'), 'utf8'))
+        .find(item => item.journey_id === 'skilled-worker-to-citizenship');
+    const plan = FeeEngine.planJourney(data, {
+        stages: FeeEngine.getJourneyStages(journey),
+        startDate: date,
+        people: [{ relationship: 'main' }, { relationship: 'child', age: 16 }]
+    });
+
+    // 3 years, then 2 more, then ILR straight away and citizenship after a 12-month wait
+    assert.deepStrictEqual(plan.stages.map(stage => stage.applicationDate),
+        [date, FeeEngine.addMonths(date, 36), FeeEngine.addMonths(date, 60), FeeEngine.addMonths(date, 72)]);
+    assert.strictEqual(plan.stages[0].leaveEnds, FeeEngine.addDays(FeeEngine.addMonths(date, 36), -1));
+    assert.strictEqual(plan.stages[2].leaveEnds, null);
+
+    // Each stage is the calculate() result for its date; the child is 19 by the extension
+    const first = FeeEngine.getJourneyStages(journey)[0];
+    assert.strictEqual(plan.stages[0].total, quote({ ...first, people: [{ relationship: 'main' }, { relationship: 'child', age: 16 }] }).total);
+    assert.strictEqual(plan.stages[1].result.people[1].age, 19);
+    assert.strictEqual(plan.stages[1].result.people[1].ihsRate, plan.stages[1].result.people[0].ihsRate);
+
+    assert.strictEqual(plan.total, plan.stages.reduce((sum, stage) => sum + stage.total, 0));
+    assert.strictEqual(plan.stages.at(-1).cumulativeTotal, plan.total);
+    assert.strictEqual(plan.payments.reduce((sum, payment) => sum + payment.amount, 0), plan.total);
+    assert.strictEqual(plan.payments.at(-1).cumulativeTotal, plan.total);
+    assert.deepStrictEqual(plan.payments.filter(payment => payment.key === 'life_in_uk_test').map(payment => payment.stage), ['Indefinite Leave to Remain']);
+    assert.strictEqual(plan.warnings.at(-1), FeeEngine.disclaimer);
+
+    assert.throws(() => FeeEngine.planJourney(data, { stages: [], startDate: date }), /at least one stage/);
+    assert.throws(() => FeeEngine.planJourney(data, { stages: [first], startDate: '2026-02-30' }), /Invalid start date/);
+});
+
+test('routes are compared for the same household with breakdown rows aligned', () => {
+    const household = { applyFrom: 'outside_uk', duration: 36, people: [{ relationship: 'main' }, { relationship: 'partner' }] };
+    const comparison = FeeEngine.compareRoutes(data, ['skilled-worker', 'health-care-worker', 'global-talent'], { ...household, applicationDate: date });
+    const totals = ['skilled-worker', 'health-care-worker', 'global-talent'].map(routeId => quote({ ...household, routeId }).total);
+
+    assert.deepStrictEqual(comparison.routes.map(route => route.total), totals);
+    assert.deepStrictEqual(comparison.routes.map(route => route.difference), totals.map(total => total - Math.min(...totals)));
+    assert.strictEqual(comparison.cheapestRouteId, 'health-care-worker');
+
+    // A cost only some routes have gets a row with null for the others, after the fees and IHS
+    const ihs = comparison.rows.find(row => row.key === 'ihs_standard');
+    assert.strictEqual(ihs.amounts[1], null);
+    assert.strictEqual(ihs.differs, true);
+    const endorsement = comparison.rows.find(row => row.key === 'global_talent_endorsement');
+    assert.deepStrictEqual(endorsement.amounts.slice(0, 2), [null, null]);
+    assert.strictEqual(comparison.rows.at(-1), endorsement);
+    assert.match(comparison.routes[2].notes[0], /^The Global Talent Visa is normally granted for /);
+    assert.deepStrictEqual(comparison.routes[0].notes, []);
+
+    // Per-route overrides, and notes where the duration does not apply
+    const settled = FeeEngine.compareRoutes(data, ['skilled-worker', { routeId: 'indefinite-leave-remain-work', applyFrom: 'inside_uk' }], { duration: 36, applicationDate: date });
+    assert.strictEqual(settled.routes[1].result.applyFrom, 'inside_uk');
+    assert.match(settled.routes[1].notes[0], /is permanent, so the duration does not apply/);
+    const same = FeeEngine.compareRoutes(data, ['skilled-worker', 'skilled-worker'], { duration: 36, applicationDate: date });
+    assert.ok(same.rows.every(row => !row.differs));
+
+    assert.throws(() => FeeEngine.compareRoutes(data, ['skilled-worker'], household), /between 2 and 4 routes/);
+    assert.throws(() => FeeEngine.compareRoutes(data, Array(5).fill('skilled-worker'), household), /between 2 and 4 routes/);
+});
+
+test('a batch of hires is priced hire by hire, with failures left out of the totals', () => {
+    const hires = [
+        { reference: 'Engineer', routeId: 'skilled-worker', applyFrom: 'outside_uk', duration: 36, startDate: '2026-09-01', partners: 1, children: 1 },
+        { routeId: 'skilled-worker', applyFrom: 'inside_uk', duration: 24, isNewEntrant: true },
+        { reference: 'Typo', routeId: 'skiled-worker', duration: 24 }
+    ];
+    const batch = FeeEngine.priceHires(data, hires, { applicationDate: date, employerCosts: true });
+
+    const engineer = batch.hires[0].result;
+    assert.strictEqual(engineer.total, quote({
+        routeId: 'skilled-worker',
+        applyFrom: 'outside_uk',
+        leaveStart: '2026-09-01',
+        leaveEnd: '2029-08-31',
+        people: [{ relationship: 'main' }, { relationship: 'partner' }, { relationship: 'child' }],
+        extraCosts: { immigration_skills_charge: true, certificate_of_sponsorship: true }
+    }).total);
+    // The skills charge covers the 3 sponsored years, not the extra leave granted around them
+    assert.strictEqual(line(engineer, 'immigration_skills_charge').amount, fee('immigration_skills_charge', 'outside_uk') * 3);
+    assert.strictEqual(batch.hires[1].reference, 'Hire 2');
+    assert.strictEqual(line(batch.hires[1].result, 'application_main').amount, fee('skilled_worker_new_entrant_inside', 'inside_uk'));
+    assert.match(batch.hires[2].error, /Unknown route "skiled-worker"/);
+
+    const priced = batch.hires.slice(0, 2).map(hire => hire.result);
+    assert.deepStrictEqual(
+        [batch.totals.priced, batch.totals.failed, batch.totals.people],
+        [2, 1, 4]
+    );
+    assert.strictEqual(batch.totals.employer, priced[0].employerTotal + priced[1].employerTotal);
+    assert.strictEqual(batch.totals.total, batch.totals.applicant + batch.totals.employer);
+    assert.deepStrictEqual(batch.routes.map(route => [route.routeId, route.hires, route.total]), [['skilled-worker', 2, batch.totals.total]]);
+
+    const withoutEmployer = FeeEngine.priceHires(data, hires.slice(1, 2), { applicationDate: date });
+    assert.strictEqual(withoutEmployer.totals.employer, 0);
+    assert.throws(() => FeeEngine.priceHires(data, []), /at least one hire/);
+    assert.match(FeeEngine.priceHires(data, [{ routeId: 'skilled-worker', startDate: '2026-09-01' }]).hires[0].error, /needs a duration/);
+});
+
+test('hire lists are read from and written to CSV', () => {
+    const QuoteExport = require('../js/quote-export');
+    const template = QuoteExport.parseHiresCSV(QuoteExport.getHiresTemplate());
+    assert.deepStrictEqual(template.errors, []);
+    assert.deepStrictEqual(template.hires.map(hire => [hire.routeId, hire.duration, hire.partners, hire.isNewEntrant]), [
+        ['skilled-worker', 36, 1, false],
+        ['skilled-worker', 24, 0, true]
+    ]);
+
+    const { hires, errors } = QuoteExport.parseHiresCSV(
+        '\uFEFFRoute,Reference,Duration Months\r\n' +
+        'health-care-worker,"Nurse, ward 3",60\r\n' +
+        'skilled-worker,Bad,forever\r\n' +
+        ',No route,12\r\n'
+    );
+    assert.deepStrictEqual(hires.map(hire => [hire.reference, hire.routeId, hire.duration]), [['Nurse, ward 3', 'health-care-worker', 60]]);
+    assert.deepStrictEqual(errors, [
+        'Row 3 (Bad): duration_months must be a whole number from 0 to 120.',
+        'Row 4 (No route): route is missing.'
+    ]);
+    assert.deepStrictEqual(QuoteExport.parseHiresCSV('reference,duration_months\r\nA,12').errors, ['The first row must name the columns, including "route".']);
+
+    const batch = FeeEngine.priceHires(data, [...hires, { routeId: 'nope' }], { applicationDate: date });
+    const rows = QuoteExport.splitCSV(QuoteExport.hiresToCSV(batch));
+    assert.deepStrictEqual(rows.map(row => row[0]), ['Reference', 'Nurse, ward 3', 'Hire 2', 'Subtotal', 'Total']);
+    assert.strictEqual(rows[4][12], String(batch.totals.total));
+
+    const risky = FeeEngine.priceHires(data, [{ ...hires[0], reference: '=HYPERLINK("http://example.com")' }, { ...hires[0], reference: '@SUM(A1)' }], { applicationDate: date });
+    const protectedRows = QuoteExport.splitCSV(QuoteExport.hiresToCSV(risky));
+    assert.deepStrictEqual(protectedRows.slice(1, 3).map(row => row[0]), ['\'=HYPERLINK("http://example.com")', '\'@SUM(A1)']);
+    assert.deepStrictEqual(QuoteExport.splitCSV(QuoteExport.joinCSV([['+44 20', '-', '-120', '-12.50']])), [['\'+44 20', '\'-', '-120', '-12.50']]);
+    assert.deepStrictEqual(QuoteExport.splitCSV(QuoteExport.joinCSV([['\t=1+1', 'ok']])), [['\'\t=1+1', 'ok']]);
+    assert.deepStrictEqual(QuoteExport.splitCSV(QuoteExport.joinCSV([['\r=1+1', 'ok']])), [['\'\r=1+1', 'ok']]);
+});
+
+test('additional costs apply only where the route, location and stay need them', () => {
+    const endorsed = quote({ routeId: 'global-talent', applyFrom: 'outside_uk', duration: 36 });
+    assert.strictEqual(line(endorsed, 'global_talent_endorsement').amount, fee('global_talent_endorsement', 'outside_uk'));
+    const prizeWinner = quote({ routeId: 'global-talent', applyFrom: 'outside_uk', duration: 36, extraCosts: { global_talent_endorsement: false } });
+    assert.strictEqual(prizeWinner.total, endorsed.total - fee('global_talent_endorsement', 'outside_uk'));
+
+    const tb = { routeId: 'student-visa', applyFrom: 'outside_uk', duration: 12, applicants: 1, dependants: 1, extraCosts: { tb_test: true } };
+    assert.strictEqual(line(quote(tb), 'tb_test').amount, fee('tb_test', 'outside_uk') * 2);
+    assert.ok(quote({ ...tb, applyFrom: 'inside_uk' }).warnings.some(text => text.startsWith('Tuberculosis Test is not needed')));
+    assert.strictEqual(line(quote({ ...tb, duration: 6 }), 'tb_test'), undefined);
+
+    const translated = quote({ routeId: 'standard-visitor', duration: 6, extraCosts: { document_translation: 3, immigration_skills_charge: true } });
+    assert.strictEqual(line(translated, 'document_translation').amount, fee('document_translation', 'outside_uk') * 3);
+    assert.ok(translated.warnings.some(text => text.startsWith('Immigration Skills Charge does not apply')));
+});
+
+test('the new entrant rate is used only where the route offers it', () => {
+    const standard = quote({ routeId: 'skilled-worker', applyFrom: 'outside_uk', duration: 36 });
+    const newEntrant = quote({ routeId: 'skilled-worker', applyFrom: 'outside_uk', duration: 36, isNewEntrant: true });
+    assert.strictEqual(line(newEntrant, 'application_main').amount, fee('skilled_worker_new_entrant_outside', 'outside_uk'));
+    assert.ok(newEntrant.total <= standard.total);
+
+    const unavailable = quote({ routeId: 'global-talent', applyFrom: 'outside_uk', duration: 60, isNewEntrant: true });
+    assert.ok(unavailable.warnings.some(text => text.includes('new entrant rate is not available')));
+});
+
+test('application fees follow the duration band for the length of leave', () => {
+    const banded = fixture({ leave_padding: [{ min_months: 0, before_days: 14, after_days: 14 }] });
+    banded.fees.test_outside.history[0].duration_bands = [
+        { over_months: 60, amount_inside_uk: null, amount_outside_uk: 200 },
+        { over_months: 36, amount_inside_uk: null, amount_outside_uk: 150 }
+    ];
+    const price = params => FeeEngine.calculate(banded, { routeId: 'test-route', applyFrom: 'outside_uk', applicationDate: date, ...params });
+
+    assert.deepStrictEqual([36, 37, 60, 61].map(duration => price({ duration }).visaFeeTotal), [90, 150, 150, 200]);
+    assert.ok(price({ duration: 37 }).assumptions.includes('The fee for leave of more than 3 years has been used.'));
+    assert.deepStrictEqual(FeeEngine.getDurationBands(banded, banded.routes[0], date), [36, 60]);
+
+    // The band is set by the period applied for, not the extra leave granted around it
+    const padded = price({ leaveStart: '2027-01-01', leaveEnd: '2029-12-31' });
+    assert.strictEqual(padded.duration, 37);
+    assert.strictEqual(padded.visaFeeTotal, 90);
+
+    const long = quote({ routeId: 'skilled-worker', applyFrom: 'outside_uk', duration: 60 });
+    const longNewEntrant = quote({ routeId: 'skilled-worker', applyFrom: 'outside_uk', duration: 60, isNewEntrant: true });
+    assert.ok(line(long, 'application_main').amount > fee('skilled_worker_outside', 'outside_uk'));
+    assert.ok(line(longNewEntrant, 'application_main').amount > fee('skilled_worker_new_entrant_outside', 'outside_uk'));
+    assert.ok(line(longNewEntrant, 'application_main').amount < line(long, 'application_main').amount);
+});
+
+test('the money to show is priced per person from the requirements in force', () => {
+    const version = id => FeeEngine.getEffectiveEntry(financial.requirements[id].history, date);
+    const show = (params, options) => FeeEngine.getFinancialRequirements(financial, quote(params), options);
+
+    // Students: a monthly amount for up to the maximum months, by study location
+    const student = version('student_maintenance');
+    const study = show({ routeId: 'student-visa', applyFrom: 'outside_uk', duration: 12 }, { studyLocation: 'london' });
+    assert.strictEqual(study.fundsTotal, student.main.london * student.max_months);
+    assert.ok(study.assumptions.includes(`Maintenance funds are capped at ${student.max_months} months.`));
+    assert.strictEqual(show({ routeId: 'student-visa', applyFrom: 'outside_uk', duration: 12 }, { courseMonths: 4 }).fundsTotal, student.main.outside_london * 4);
+
+    // Workers: the main applicant, a partner, then the first and each further child
+    const work = version('work_maintenance');
+    const family = [{ relationship: 'main' }, { relationship: 'partner' }, { relationship: 'child', age: 6 }, { relationship: 'child', age: 3 }];
+    const worker = show({ routeId: 'skilled-worker', applyFrom: 'outside_uk', duration: 36, people: family });
+    assert.strictEqual(worker.fundsTotal, work.main + work.partner + work.first_child + work.other_child);
+    assert.strictEqual(show({ routeId: 'skilled-worker', duration: 36, people: family }, { maintenanceExempt: true }).fundsTotal, 0);
+    assert.deepStrictEqual(show({ routeId: 'standard-visitor', duration: 6 }).requirements, []);
+
+    // Partners: a minimum income, or savings above the threshold making up the shortfall
+    const income = version('family_minimum_income');
+    const partner = show({ routeId: 'spouse-partner', applyFrom: 'outside_uk', duration: 33 });
+    assert.strictEqual(partner.fundsTotal, null);
+    assert.strictEqual(partner.requirements[0].income, income.income);
+    assert.strictEqual(partner.requirements[0].savingsOnly, income.savings_threshold + income.savings_multiplier * income.income);
+    const shortfall = show({ routeId: 'spouse-partner', applyFrom: 'outside_uk', duration: 33 }, { income: income.income - 1000 });
+    assert.strictEqual(shortfall.fundsTotal, income.savings_threshold + income.savings_multiplier * 1000);
+    assert.strictEqual(show({ routeId: 'spouse-partner', duration: 33 }, { income: income.income }).fundsTotal, 0);
+
+    // Older versions added an amount for each child
+    const dated = show({ routeId: 'spouse-partner', duration: 33, applicationDate: '2020-01-01', people: family.slice(0, 1).concat(family.slice(2)) });
+    const before = FeeEngine.getEffectiveEntry(financial.requirements.family_minimum_income.history, '2020-01-01');
+    assert.strictEqual(dated.requirements[0].income, before.income + before.first_child + before.other_child);
+
+    const options = { studyLocation: 'london', courseMonths: 6, income: 25000, maintenanceExempt: true };
+    assert.deepStrictEqual(FeeEngine.decodeFinancialOptions(FeeEngine.encodeFinancialOptions(options)), { options, rejected: [] });
+    assert.deepStrictEqual(FeeEngine.decodeFinancialOptions('study_location=paris&income=-5').rejected, ['study_location', 'income']);
+});
+
+test('route copy is filled with the money to show in force', () => {
+    const text = 'London: {financial:student_maintenance.main.london} a month.';
+    const current = FeeEngine.getEffectiveEntry(financial.requirements.student_maintenance.history, date);
+    const first = financial.requirements.student_maintenance.history[0];
+    assert.strictEqual(FeeEngine.fillAmounts(text, financial, date), `London: ${FeeEngine.formatAmount(current.main.london)} a month.`);
+    assert.strictEqual(FeeEngine.fillAmounts(text, financial, first.effective_date), `London: ${FeeEngine.formatAmount(first.main.london)} a month.`);
+    assert.strictEqual(FeeEngine.fillAmounts(text, null), 'London: the amount on GOV.UK a month.');
+    assert.strictEqual(FeeEngine.fillAmounts('No amounts here.', financial), 'No amounts here.');
+    assert.throws(() => FeeEngine.fillAmounts('{financial:student_maintenance.main}', financial), /No amount for \{financial:student_maintenance\.main\}/);
+    assert.throws(() => FeeEngine.fillAmounts('{financial:no_such.main}', financial), /No amount/);
+});
+
+test('nationality decides the visitor fee, the TB test, open routes and reciprocal discounts', () => {
+    const rules = data.nationalities;
+    const nationalOf = visitor => Object.keys(rules.nationalities).find(code => rules.nationalities[code].visitor === visitor);
+    const visit = nationality => quote({ routeId: 'standard-visitor', duration: 6, people: [{ relationship: 'main' }, { relationship: 'partner' }], nationality });
+
+    // Visitors: a visa, an ETA for each person, or nothing at all
+    assert.strictEqual(visit(nationalOf('visa')).total, fee('visitor_6m', 'outside_uk') * 2);
+    const eta = visit(nationalOf('eta'));
+    assert.strictEqual(eta.total, fee(rules.eta.fee_key, 'outside_uk') * 2);
+    assert.strictEqual(line(eta, 'application_main').label, `${rules.eta.label} (main applicant)`);
+    assert.strictEqual(visit(nationalOf('exempt')).total, 0);
+    assert.strictEqual(quote({ routeId: 'standard-visitor', duration: 24, nationality: nationalOf('eta') }).total, fee('visitor_2y', 'outside_uk'));
+
+    // The TB test is included by default where it is needed, from outside the UK for longer stays
+    const worker = (nationality, params = {}) => quote({ routeId: 'skilled-worker', applyFrom: 'outside_uk', duration: 36, nationality, ...params });
+    const tbNational = Object.keys(rules.nationalities).find(code => rules.nationalities[code].tb_test && rules.nationalities[code].visitor === 'visa');
+    assert.ok(line(worker(tbNational), rules.tb_test_cost));
+    assert.strictEqual(line(worker(tbNational, { extraCosts: { [rules.tb_test_cost]: false } }), rules.tb_test_cost), undefined);
+    assert.strictEqual(line(worker(tbNational, { applyFrom: 'inside_uk' }), rules.tb_test_cost), undefined);
+    const noTest = Object.keys(rules.nationalities).find(code => !rules.nationalities[code].tb_test);
+    assert.strictEqual(line(worker(noTest), rules.tb_test_cost), undefined);
+
+    // Routes kept to some nationalities are still priced, with a warning
+    const [restricted, { nationalities: allowed }] = Object.entries(rules.restricted_routes)[0];
+    const route = FeeEngine.getRoute(data, restricted);
+    const closedTo = Object.keys(rules.nationalities).find(code => !allowed.includes(code));
+    assert.strictEqual(FeeEngine.getRouteAccess(rules, route, allowed[0]).open, true);
+    assert.strictEqual(FeeEngine.getRouteAccess(rules, route, closedTo).open, false);
+    assert.ok(quote({ routeId: restricted, nationality: closedTo, duration: 24 }).warnings.includes(FeeEngine.getRouteAccess(rules, route, closedTo).reason));
+
+    // A fee discount comes off each person's application fee
+    const discount = Object.values(rules.arrangements).find(arrangement => arrangement.type === 'fee_discount');
+    const discounted = quote({ routeId: discount.routes[0], applyFrom: 'outside_uk', duration: 36, nationality: discount.nationalities[0] });
+    const full = quote({ routeId: discount.routes[0], applyFrom: 'outside_uk', duration: 36 });
+    assert.strictEqual(line(full, 'application_main').amount - line(discounted, 'application_main').amount, fee(discount.fee_key, 'outside_uk'));
+
+    assert.throws(() => quote({ routeId: 'standard-visitor', duration: 6, nationality: 'XX' }), /Nationality not found/);
+    assert.deepStrictEqual(FeeEngine.decodeQuery(data, FeeEngine.encodeQuery({ routeId: 'standard-visitor', nationality: tbNational })).params.nationality, tbNational);
+    assert.deepStrictEqual(FeeEngine.decodeQuery(data, 'route=standard-visitor&nationality=XX').rejected, ['nationality']);
+});
+
+test('the submission planner works back from the decision date under each processing service', () => {
+    // Working days skip weekends in both directions
+    assert.strictEqual(FeeEngine.addWorkingDays('2026-10-16', 1), '2026-10-19');
+    assert.strictEqual(FeeEngine.addWorkingDays('2026-10-19', -5), '2026-10-12');
+
+    const plan = (params, targetDate, fromDate) =>
+        FeeEngine.planSubmission(processing, data, { applicationDate: date, ...params }, targetDate, fromDate);
+    const worker = { routeId: 'skilled-worker', applyFrom: 'outside_uk', duration: 36, people: [{ relationship: 'main' }, { relationship: 'partner' }] };
+    const option = (result, service) => result.options.find(item => item.service === service);
+
+    // Each faster service buys a later submission date, at its fee for everyone on the application
+    const roomy = plan(worker, '2027-03-01', '2026-10-19');
+    const [standard, priority, superPriority] = roomy.options;
+    assert.ok(standard.latestSubmission < priority.latestSubmission && priority.latestSubmission < superPriority.latestSubmission);
+    assert.strictEqual(standard.extraCost, 0);
+    assert.strictEqual(priority.extraCost, fee('priority', 'outside_uk') * 2);
+    assert.strictEqual(roomy.recommended, 'standard');
+    assert.strictEqual(roomy.earliestSubmission, FeeEngine.addMonths('2027-03-01', -processing.profiles.visa_outside_uk.earliest_months));
+
+    // Too late for a standard decision: the cheapest service that still makes it is recommended
+    const tight = plan(worker, '2026-11-16', '2026-10-19');
+    assert.strictEqual(option(tight, 'standard').feasible, false);
+    assert.strictEqual(tight.recommended, 'priority');
+    assert.ok(tight.summary.includes(FeeEngine.formatAmount(option(tight, 'priority').extraCost)));
+
+    // Services the route, the location or the published times do not offer are listed as unavailable
+    assert.strictEqual(option(plan({ routeId: 'innovator-founder', applyFrom: 'outside_uk', duration: 36 }, '2027-03-01'), 'super_priority').available, false);
+    assert.match(option(plan({ routeId: 'spouse-partner', applyFrom: 'outside_uk', duration: 33 }, '2027-03-01'), 'super_priority').reason, /outside the UK/);
+
+    // Visitors who need no visa have nothing to apply for; an ETA has its own decision time
+    const rules = data.nationalities;
+    const nationalOf = visitor => Object.keys(rules.nationalities).find(code => rules.nationalities[code].visitor === visitor);
+    assert.deepStrictEqual(plan({ routeId: 'standard-visitor', duration: 6, nationality: nationalOf('exempt') }, '2027-03-01').options, []);
+    const eta = plan({ routeId: 'standard-visitor', duration: 6, nationality: nationalOf('eta') }, '2027-03-01');
+    assert.strictEqual(option(eta, 'standard').processingTime, FeeEngine.describeProcessingTime(processing.eta.standard));
+    assert.strictEqual(option(eta, 'priority').available, false);
+
+    assert.strictEqual(plan({ routeId: 'euss-settled-status' }, '2027-03-01'), null);
+    assert.throws(() => plan(worker, '2027-02-30'), /Invalid target date/);
+});
+
+test('amounts convert to a secondary currency at the listed rate, rounded to whole units', () => {
+    const rates = {
+        source: 'Test rates',
+        effective_date: '2026-10-01',
+        currencies: { USD: { name: 'US dollar', rate: 1.25 }, INR: { name: 'Indian rupee', rate: 112.5 } }
+    };
+    assert.strictEqual(FeeEngine.convertCurrency(rates, 999, 'USD'), 1248.75);
+    assert.strictEqual(FeeEngine.convertCurrency(rates, 999, 'JPY'), null);
+    assert.strictEqual(FeeEngine.convertCurrency(null, 999, 'USD'), null);
+
+    assert.strictEqual(FeeEngine.formatConverted(rates, 999, 'USD'), '≈ US$1,249');
+    assert.strictEqual(FeeEngine.formatConverted(rates, 1000, 'INR'), '≈ ₹112,500');
+    assert.strictEqual(FeeEngine.formatConverted(rates, 999, 'JPY'), '');
+
+    assert.strictEqual(FeeEngine.describeExchangeRate(rates, 'USD'),
+        'Fees are payable in GBP (£). US dollar amounts are indicative, converted at £1 = 1.25 USD (Test rates, 2026-10-01).');
+    assert.strictEqual(FeeEngine.describeExchangeRate(null, 'USD'), '');
+});
+
+test('worked examples are priced from their inputs and checked against the expected total', () => {
+    const example = {
+        title: 'Couple with a child, new entrant, 5 years from inside the UK',
+        apply_from: 'inside_uk',
+        duration_months: 60,
+        people: [{ relationship: 'main' }, { relationship: 'partner' }, { relationship: 'child', age: 4 }],
+        services: ['super_priority'],
+        new_entrant: true,
+        expected_total: 0
+    };
+    const params = FeeEngine.getExampleParams('skilled-worker', example);
+    assert.strictEqual(params.isNewEntrant, true);
+    assert.strictEqual(params.addSuperPriority, true);
+    assert.strictEqual(params.addPriority, false);
+    assert.deepStrictEqual(params.people.map(person => person.age), [undefined, undefined, 4]);
+
+    const priced = FeeEngine.priceExample(data, 'skilled-worker', example, date);
+    const result = quote(params);
+    assert.strictEqual(priced.total, result.total);
+    assert.strictEqual(priced.matches, false);
+    assert.strictEqual(FeeEngine.priceExample(data, 'skilled-worker', { ...example, expected_total: result.total }, date).matches, true);
+
+    assert.strictEqual(priced.details, '1 main applicant + 1 partner + 1 child, 60 months, applying from inside the UK, Super Priority Service');
+    assert.deepStrictEqual(priced.breakdown.map(row => row.label), [...result.breakdown.map(item => item.label), 'Total']);
+    assert.strictEqual(priced.breakdown.at(-1).value, FeeEngine.formatAmount(result.total));
+    assert.strictEqual(priced.breakdown[0].value, `${FeeEngine.formatAmount(result.breakdown[0].amount)} (${result.breakdown[0].note})`);
+    assert.throws(() => FeeEngine.priceExample(data, 'no-such-route', example, date));
+});
+
+test('fees are priced from the version in force on the application date', () => {
+    const dated = fixture();
+    const params = { routeId: 'test-route', applyFrom: 'inside_uk', duration: 12 };
+
+    assert.strictEqual(FeeEngine.calculate(dated, { ...params, applicationDate: '2025-12-01' }).visaFeeTotal, 100);
+    assert.strictEqual(FeeEngine.calculate(dated, { ...params, applicationDate: '2026-04-09' }).visaFeeTotal, 120);
+
+    const early = FeeEngine.calculate(dated, { ...params, applicationDate: '2024-01-01' });
+    assert.strictEqual(early.visaFeeTotal, 100);
+    assert.match(early.warnings[0], /^No fee schedule is recorded before 2025-04-09, so this is not what an application dated 2024-01-01 cost/);
+    assert.strictEqual(early.feeSchedule.recordedFrom, '2025-04-09');
+    assert.strictEqual(FeeEngine.calculate(dated, { ...params, applicationDate: '2025-12-01' }).feeSchedule.recordedFrom, null);
+});
+
+test('shared links round-trip and reject values the route does not allow', () => {
+    const params = {
+        routeId: 'skilled-worker',
+        applyFrom: 'inside_uk',
+        duration: 36,
+        people: [{ relationship: 'main' }, { relationship: 'partner', age: 35 }],
+        addPriority: true,
+        applicationDate: date
+    };
+    const decoded = FeeEngine.decodeQuery(data, FeeEngine.encodeQuery(params));
+    assert.deepStrictEqual(decoded.rejected, []);
+    assert.strictEqual(FeeEngine.calculate(data, decoded.params).total, FeeEngine.calculate(data, params).total);
+
+    const tampered = FeeEngine.decodeQuery(data, 'route=youth-mobility&from=inside_uk&dependants=3&priority=1');
+    assert.deepStrictEqual(tampered.rejected.sort(), ['dependants', 'from', 'priority']);
+    assert.strictEqual(FeeEngine.decodeQuery(data, 'route=nope').params, null);
+
+    const current = FeeEngine.decodeQuery(data, FeeEngine.encodeQuery({ ...params, currentRouteId: 'graduate-visa', currentLeaveEnd: '2027-06-30' }));
+    assert.strictEqual(current.params.currentRouteId, 'graduate-visa');
+    assert.strictEqual(current.params.currentLeaveEnd, '2027-06-30');
+    assert.deepStrictEqual(FeeEngine.decodeQuery(data, 'route=skilled-worker&current=nope').rejected, ['current']);
+
+    const costs = FeeEngine.decodeQuery(data, FeeEngine.encodeQuery({ ...params, extraCosts: { immigration_skills_charge: true, document_translation: 2 }, smallSponsor: true }));
+    assert.deepStrictEqual(costs.params.extraCosts, { immigration_skills_charge: true, document_translation: 2 });
+    assert.strictEqual(costs.params.smallSponsor, true);
+    assert.deepStrictEqual(FeeEngine.decodeQuery(data, 'route=standard-visitor&tb_test=1&small_sponsor=1').rejected.sort(), ['small_sponsor', 'tb_test']);
+});
+
+test('the route finder only asks follow-up questions that apply', () => {
+    const asked = answers => FeeEngine.getFinderQuestions(finder, answers).map(question => question.id);
+    assert.ok(!asked({}).includes('job'));
+    assert.ok(asked({ purpose: 'work' }).includes('job'));
+    assert.ok(!asked({ purpose: 'study' }).includes('job'));
+});
+
+test('the route finder narrows routes by answers without ruling out on unanswered questions', () => {
+    const found = answers => FeeEngine.findRoutes(data, finder, answers).map(match => match.routeId);
+    assert.deepStrictEqual(found({}), []);
+
+    const work = found({ purpose: 'work' });
+    assert.ok(work.includes('skilled-worker'));
+    assert.ok(!work.includes('student-visa'));
+
+    const sponsored = FeeEngine.findRoutes(data, finder, { purpose: 'work', job: 'sponsored', uk_status: 'visa' });
+    assert.strictEqual(sponsored[0].routeId, 'skilled-worker');
+    assert.strictEqual(sponsored[0].applyFrom, 'inside_uk');
+    assert.strictEqual(sponsored[0].reasons.length, 2);
+    assert.deepStrictEqual(sponsored[0].unanswered, []);
+    assert.ok(!sponsored.some(match => match.routeId === 'health-care-worker'));
+
+    // Scheme routes wait for the scheme question, then rank above partial matches
+    assert.ok(!found({ purpose: 'work', uk_status: 'outside' }).includes('youth-mobility'));
+    assert.strictEqual(found({ purpose: 'work', uk_status: 'outside', scheme: 'youth' })[0], 'youth-mobility');
+});
+
+test('the route finder ignores answers to questions that are not asked', () => {
+    const study = FeeEngine.findRoutes(data, finder, { purpose: 'study', job: 'sponsored' });
+    assert.ok(study.length > 0);
+    assert.ok(study.every(match => match.category === 'study'));
+});
+
+test('Calculator.calculate() prices with the fee engine', () => {
+    global.FeeEngine = FeeEngine;
+    const Calculator = require('../js/calculator');
+    Object.assign(Calculator, data);
+
+    const params = { routeId: 'student-visa', applyFrom: 'outside_uk', duration: 18, applicationDate: date };
+    assert.deepStrictEqual(Calculator.calculate(params), FeeEngine.calculate(data, params));
+    delete global.FeeEngine;
+});
@@ -0,0 +1,163 @@
+/**
+ * Golden quotes for every route in routes.json and every VISA_CATEGORIES entry
+ * Any edit to the data files that changes a quote fails here and lists the
+ * quotes affected. After checking the changes are intended, accept them with
+ * `npm run test:update-golden`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FeeEngine = require('../js/fee-engine');
+const { loadData, loadVisaFees, getGoldenDate, summarise, checkGolden } = require('./helpers');
+
+const data = loadData();
+const date = getGoldenDate(data);
+
+const PARTNER = { relationship: 'partner', age: 35 };
+const CHILD = { relationship: 'child', age: 6 };
+
+function locationsFor(applyFromOptions) {
+    return applyFromOptions === 'both' ? ['inside_uk', 'outside_uk'] : [applyFromOptions];
+}
+
+function durationsFor(route) {
+    if (route.duration_policy === 'permanent') return [0];
+    if (route.fee_items_by_duration) return Object.keys(route.fee_items_by_duration).map(Number);
+    const first = (route.duration_options && route.duration_options[0]) || Math.min(route.max_duration_months || 12, 12);
+    // One more case past each duration band of the fee, e.g. more than 3 years
+    const longer = FeeEngine.getDurationBands(data, route, date)
+        .map(months => (route.duration_options || []).find(option => option > months) || months + 1);
+    return [first, ...longer];
+}
+
+function householdFor(route) {
+    const allowed = (route.dependant_rules && route.dependant_rules.relationships) || ['partner', 'child'];
+    return [
+        { relationship: 'main' },
+        ...(allowed.includes('partner') ? [PARTNER] : []),
+        ...(allowed.includes('child') ? [CHILD] : [])
+    ];
+}
+
+/**
+ * calculate() parameters for each route, keyed 'route/location/case'
+ */
+function routeCases(route) {
+    const cases = {};
+    const durations = durationsFor(route);
+    const duration = durations[0];
+    const term = months => (route.duration_policy === 'permanent' ? 'permanent' : `${months}m`);
+
+    locationsFor(route.apply_from_options).forEach(applyFrom => {
+        const base = { routeId: route.route_id, applyFrom, applicationDate: date };
+        const id = name => `${route.route_id}/${applyFrom}/${name}`;
+
+        durations.forEach(months => {
+            cases[id(`${term(months)}/single`)] = { ...base, duration: months };
+        });
+        if (route.dependants_allowed !== false) {
+            cases[id(`${term(duration)}/family`)] = { ...base, duration, people: householdFor(route) };
+        }
+        FeeEngine.services.forEach(service => {
+            if (service.extra && !route.extras_supported.includes(service.extra)) return;
+            cases[id(`${term(duration)}/${service.feeKey}`)] = { ...base, duration, [service.param]: true };
+        });
+        // Costs offered on every route are priced the same everywhere; the unit tests cover them
+        FeeEngine.getRouteCosts(data, route).filter(cost => !cost.all_routes).forEach(cost => {
+            cases[id(`${term(duration)}/${cost.id}`)] = { ...base, duration, extraCosts: { [cost.id]: !cost.default } };
+        });
+        if (route.new_entrant_fee_items) {
+            cases[id(`${term(duration)}/new-entrant`)] = { ...base, duration, isNewEntrant: true };
+        }
+        if (route.duration_policy === 'match_sponsor') {
+            // Joining two and a half years before the main applicant's leave ends
+            cases[id('joining-later')] = { ...base, sponsorLeaveEnd: FeeEngine.addDays(FeeEngine.addMonths(date, 30), -1) };
+        }
+    });
+
+    // Requests the route does not allow are priced with a warning, not silently
+    const other = { inside_uk: 'outside_uk', outside_uk: 'inside_uk' }[route.apply_from_options];
+    if (other) {
+        cases[`${route.route_id}/${other}/not-allowed`] = { routeId: route.route_id, applyFrom: other, duration, applicationDate: date };
+    }
+    if (route.dependants_allowed === false) {
+        cases[`${route.route_id}/dependants-not-allowed`] = {
+            routeId: route.route_id,
+            duration,
+            people: [{ relationship: 'main' }, PARTNER, CHILD],
+            applicationDate: date
+        };
+    }
+    return cases;
+}
+
+/**
+ * calculateCosts() inputs for each visa category, keyed 'visa/location/case'
+ */
+function visaCases(V, visa) {
+    const cases = {};
+    const durationMonths = visa.durationMonths ??
+        (visa.durationOptions && visa.durationOptions[0].months) ??
+        visa.minDurationMonths ?? 12;
+
+    V.getApplyFromOptions(visa).forEach(applyFrom => {
+        const base = {
+            visaId: visa.id,
+            applyFrom,
+            durationMonths,
+            numApplicants: 1,
+            numDependants: 0,
+            dependantDetails: [],
+            addPriority: false,
+            addSuperPriority: false,
+            addPremiumLounge: false,
+            applicationDate: date
+        };
+        const id = name => `${visa.id}/${applyFrom}/${name}`;
+
+        cases[id('single')] = base;
+        if (V.visaAllowsDependants(visa)) {
+            const details = V.getDependantRelationships(visa).map(relationship => (relationship === 'partner' ? PARTNER : CHILD));
+            cases[id('family')] = { ...base, numDependants: details.length, dependantDetails: details };
+        }
+        Object.keys(V.OPTIONAL_SERVICES).forEach(key => {
+            if (!V.isServiceAvailable(visa, key, applyFrom, date)) return;
+            const param = `add${key[0].toUpperCase()}${key.slice(1)}`;
+            cases[id(key)] = { ...base, [param]: true };
+        });
+        if (V.visaSupportsNewEntrant(visa)) {
+            cases[id('new-entrant')] = { ...base, isNewEntrant: true };
+        }
+    });
+    return cases;
+}
+
+function assertGolden(name, quotes) {
+    const differences = checkGolden(name, { date, quotes });
+    assert.ok(
+        differences.length === 0,
+        `${differences.length} quote(s) differ from test/golden/${name}:\n${differences.join('\n')}\n` +
+        'If the fee data change is intended, run `npm run test:update-golden`.'
+    );
+}
+
+test('every route in routes.json matches its golden quotes', () => {
+    const quotes = {};
+    data.routes.forEach(route => {
+        Object.entries(routeCases(route)).forEach(([id, params]) => {
+            quotes[id] = summarise(FeeEngine.calculate(data, params));
+        });
+    });
+    assertGolden('routes.json', quotes);
+});
+
+test('every VISA_CATEGORIES entry matches its golden quotes', () => {
+    const V = loadVisaFees();
+    const quotes = {};
+    V.VISA_CATEGORIES.forEach(visa => {
+        Object.entries(visaCases(V, visa)).forEach(([id, input]) => {
+            quotes[id] = summarise(V.calculateCosts(input));
+        });
+    });
+    assertGolden('visa-categories.json', quotes);
+});
@@ -0,0 +1,143 @@
+/**
+ * Shared test helpers: data loading, the Next.js fee module and golden files
+ * Everything runs offline with Node; visaFees.ts is transpiled with the
+ * TypeScript compiler already installed for the Next.js build.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const ts = require('typescript');
+const FeeEngine = require('../js/fee-engine');
+
+const ROOT = path.join(__dirname, '..');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+/**
+ * Parsed data files in the shape FeeEngine expects
+ * @returns {Object} { routes, fees, rules, nationalities }
+ */
+function loadData() {
+    const read = file => JSON.parse(fs.readFileSync(path.join(ROOT, 'data', file), 'utf8'));
+    return {
+        routes: read('routes.json'),
+        fees: read('fees.json'),
+        rules: read('rules.json'),
+        nationalities: read('nationalities.json')
+    };
+}
+
+let visaFees = null;
+
+/**
+ * Load src/data/visaFees.ts as a CommonJS module
+ * Relative imports (the engine and data files) resolve from its own directory.
+ */
+function loadVisaFees() {
+    if (visaFees) return visaFees;
+
+    const fileName = path.join(ROOT, 'src/data/visaFees.ts');
+    const { outputText } = ts.transpileModule(fs.readFileSync(fileName, 'utf8'), {
+        fileName,
+        compilerOptions: {
+            module: ts.ModuleKind.CommonJS,
+            target: ts.ScriptTarget.ES2020,
+            esModuleInterop: true,
+            resolveJsonModule: true
+        }
+    });
+    const compiled = new Module(fileName, module);
+    compiled.filename = fileName;
+    compiled.paths = Module._nodeModulePaths(path.dirname(fileName));
+    compiled._compile(outputText, fileName);
+    visaFees = compiled.exports;
+    return visaFees;
+}
+
+/**
+ * Date golden quotes are priced at: the newest effective date in any fee or
+ * IHS history, so a newly added fee version shows up as changed quotes
+ */
+function getGoldenDate(data) {
+    const dates = [
+        ...Object.values(data.fees).flatMap(fee => fee.history.map(version => version.effective_date)),
+        ...Object.values(data.rules.ihs_rates).flatMap(rate => rate.history.map(version => version.effective_date))
+    ];
+    return dates.sort()[dates.length - 1];
+}
+
+/**
+ * Reduce a result to what a quote shows, for golden files
+ */
+function summarise(result) {
+    const lines = {};
+    result.breakdown.forEach(item => {
+        lines[item.key] = item.amount;
+    });
+    return {
+        total: result.total,
+        lines,
+        warnings: result.warnings.filter(text => text !== FeeEngine.disclaimer)
+    };
+}
+
+function describeChange(id, before, after) {
+    if (!before) return `  + ${id}: new quote, total ${FeeEngine.formatAmount(after.total)}`;
+    if (!after) return `  - ${id}: no longer quoted`;
+
+    const changes = [];
+    if (before.total !== after.total) {
+        changes.push(`total ${FeeEngine.formatAmount(before.total)} → ${FeeEngine.formatAmount(after.total)}`);
+    }
+    new Set([...Object.keys(before.lines), ...Object.keys(after.lines)]).forEach(key => {
+        const was = before.lines[key];
+        const now = after.lines[key];
+        if (was === now) return;
+        changes.push(`${key} ${was === undefined ? '—' : FeeEngine.formatAmount(was)} → ${now === undefined ? '—' : FeeEngine.formatAmount(now)}`);
+    });
+    if (JSON.stringify(before.warnings) !== JSON.stringify(after.warnings)) {
+        changes.push('warnings changed');
+    }
+    return `  ~ ${id}: ${changes.join(', ')}`;
+}
+
+/**
+ * Compare quotes with a golden file, or rewrite it when updating
+ * @param {string} name - File name in test/golden
+ * @param {Object} golden - { date, quotes: { [caseId]: summary } }
+ * @returns {string[]} One line per changed, new or removed quote
+ */
+function checkGolden(name, golden) {
+    const file = path.join(GOLDEN_DIR, name);
+    if (process.argv.includes('--update')) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(golden, null, 4));
+        return [];
+    }
+    if (!fs.existsSync(file)) {
+        return [`  test/golden/${name} does not exist yet`];
+    }
+
+    const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const differences = [];
+    if (expected.date !== golden.date) {
+        differences.push(`  Priced at ${golden.date}, golden file priced at ${expected.date}`);
+    }
+    new Set([...Object.keys(expected.quotes), ...Object.keys(golden.quotes)]).forEach(id => {
+        const before = expected.quotes[id];
+        const after = golden.quotes[id];
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            differences.push(describeChange(id, before, after));
+        }
+    });
+    return differences;
+}
+
+module.exports = {
+    ROOT,
+    loadData,
+    loadVisaFees,
+    getGoldenDate,
+    summarise,
+    checkGolden
+};
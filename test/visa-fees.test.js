@@ -0,0 +1,136 @@
+/**
+ * Unit tests for calculateCosts() and the helpers in src/data/visaFees.ts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadData, loadVisaFees, getGoldenDate } = require('./helpers');
+
+const V = loadVisaFees();
+const date = getGoldenDate(loadData());
+
+function input(overrides) {
+    return {
+        visaId: 'skilled-worker',
+        applyFrom: 'outside_uk',
+        durationMonths: 36,
+        numApplicants: 1,
+        numDependants: 0,
+        dependantDetails: [],
+        addPriority: false,
+        addSuperPriority: false,
+        addPremiumLounge: false,
+        applicationDate: date,
+        ...overrides
+    };
+}
+
+test('every visa category points at a route in routes.json', () => {
+    V.VISA_CATEGORIES.forEach(visa => {
+        assert.ok(V.getRouteForVisa(visa), `${visa.id} has no route ${visa.routeId}`);
+    });
+});
+
+test('links to the retired per-duration visa ids still open the visa', () => {
+    assert.strictEqual(V.getVisaById('skilled-worker-5y').id, 'skilled-worker');
+    const { input: restored } = V.inputFromQuery('visa=health-care-worker-3y&months=48');
+    assert.deepStrictEqual(restored, { visaId: 'health-care-worker', durationMonths: 48 });
+});
+
+test('an unknown visa returns an empty result instead of throwing', () => {
+    const result = V.calculateCosts(input({ visaId: 'no-such-visa' }));
+    assert.strictEqual(result.total, 0);
+    assert.deepStrictEqual(result.breakdown, []);
+    assert.ok(result.warnings[0].includes('valid visa type'));
+});
+
+test('bad household details return an empty result with the reason', () => {
+    const result = V.calculateCosts(input({
+        numDependants: 1,
+        dependantDetails: [{ relationship: 'child', dateOfBirth: '2099-01-01' }]
+    }));
+    assert.strictEqual(result.total, 0);
+    assert.ok(result.warnings[0].includes('Invalid date of birth'));
+});
+
+test('a visa with a fixed length ignores the requested duration', () => {
+    const visa = V.VISA_CATEGORIES.find(v => v.durationMonths);
+    const short = V.calculateCosts(input({ visaId: visa.id, applyFrom: V.getApplyFromOptions(visa)[0], durationMonths: 1 }));
+    const long = V.calculateCosts(input({ visaId: visa.id, applyFrom: V.getApplyFromOptions(visa)[0], durationMonths: 120 }));
+    assert.strictEqual(short.duration, visa.durationMonths);
+    assert.strictEqual(short.total, long.total);
+});
+
+test('dependant details are priced person by person', () => {
+    const result = V.calculateCosts(input({
+        numDependants: 2,
+        dependantDetails: [{ relationship: 'partner', age: 35 }, { relationship: 'child', age: 6 }]
+    }));
+    assert.strictEqual(result.people.length, 3);
+    assert.ok(result.breakdown.some(item => item.key === 'ihs_student'));
+});
+
+test('services are only offered where available', () => {
+    V.VISA_CATEGORIES.forEach(visa => {
+        V.getApplyFromOptions(visa).forEach(applyFrom => {
+            Object.keys(V.OPTIONAL_SERVICES).forEach(key => {
+                const param = `add${key[0].toUpperCase()}${key.slice(1)}`;
+                const result = V.calculateCosts(input({ visaId: visa.id, applyFrom, [param]: true }));
+                const included = result.optionalServicesTotal > 0;
+                assert.strictEqual(included, V.isServiceAvailable(visa, key, applyFrom, date), `${visa.id} ${applyFrom} ${key}`);
+            });
+        });
+    });
+});
+
+test('additional cost options are the costs calculateCosts prices', () => {
+    const visa = V.getVisaById('skilled-worker');
+    const options = V.getAdditionalCostOptions(visa, 'outside_uk', date);
+    assert.ok(options.some(cost => cost.id === 'immigration_skills_charge' && cost.paid_by === 'employer'));
+    options.filter(cost => cost.charged !== 'per_year').forEach(cost => {
+        const result = V.calculateCosts(input({ extraCosts: { [cost.id]: true } }));
+        const item = result.breakdown.find(line => line.key === cost.id);
+        assert.strictEqual(item.amount, cost.amount, cost.id);
+        assert.strictEqual(item.paidBy, cost.paid_by, cost.id);
+    });
+});
+
+test('shared links restore the same quote', () => {
+    const original = input({
+        applyFrom: 'inside_uk',
+        numDependants: 1,
+        dependantDetails: [{ relationship: 'child', age: 4 }],
+        addPriority: true
+    });
+    const restored = V.inputFromQuery(V.inputToQuery(original));
+    assert.deepStrictEqual(restored.rejected, []);
+    assert.strictEqual(
+        V.calculateCosts({ ...original, ...restored.input }).total,
+        V.calculateCosts(original).total
+    );
+});
+
+test('a current visa is kept in shared links and prices from inside the UK', () => {
+    const original = input({ currentRouteId: 'graduate-visa', currentLeaveEnd: '2027-06-30' });
+    const restored = V.inputFromQuery(V.inputToQuery(original));
+    assert.deepStrictEqual(restored.rejected, []);
+    assert.strictEqual(restored.input.currentRouteId, 'graduate-visa');
+    assert.strictEqual(restored.input.currentLeaveEnd, '2027-06-30');
+
+    const result = V.calculateCosts(original);
+    assert.strictEqual(result.applyFrom, 'inside_uk');
+    assert.strictEqual(result.switching.fromRouteId, 'graduate-visa');
+});
+
+test('route finder suggestions open the calculator pre-filled', () => {
+    const suggestions = V.findVisas({ purpose: 'settle', uk_status: 'visa' });
+    const priced = suggestions.filter(suggestion => suggestion.visaId);
+    assert.ok(priced.length > 0);
+    priced.forEach(suggestion => {
+        const href = V.getSuggestionHref(suggestion);
+        const restored = V.inputFromQuery(href.slice(href.indexOf('?')));
+        assert.deepStrictEqual(restored.rejected, []);
+        assert.strictEqual(restored.input.visaId, suggestion.visaId);
+        assert.strictEqual(restored.input.applyFrom, suggestion.applyFrom);
+    });
+});
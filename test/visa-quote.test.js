@@ -0,0 +1,86 @@
+/**
+ * Tests for the programmatic quote API (js/visa-quote.js) and its CLI
+ */
+
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert');
+const FeeEngine = require('../js/fee-engine');
+const VisaQuote = require('../js/visa-quote');
+const QuoteExport = require('../js/quote-export');
+const { ROOT, loadData, getGoldenDate } = require('./helpers');
+
+const data = loadData();
+const date = getGoldenDate(data);
+const CLI = path.join(ROOT, 'scripts/quote.js');
+
+test('the API reads the data files and prices scenarios with the fee engine', () => {
+    assert.deepStrictEqual(VisaQuote.readData(), data);
+
+    const scenario = {
+        routeId: 'skilled-worker',
+        applyFrom: 'outside_uk',
+        duration: 36,
+        people: [{ relationship: 'main' }, { relationship: 'child', age: 6 }],
+        extraCosts: { immigration_skills_charge: true },
+        applicationDate: date
+    };
+    const quote = VisaQuote.quote(data, scenario, { generatedAt: new Date('2026-01-01T00:00:00Z') });
+    const result = FeeEngine.calculate(data, scenario);
+    assert.strictEqual(quote.total, result.total);
+    assert.strictEqual(quote.totals.employer, result.employerTotal);
+    assert.match(quote.reference, /^UKV-20260101-/);
+
+    const routes = VisaQuote.listRoutes(data);
+    assert.strictEqual(routes.length, data.routes.length);
+    const skilled = routes.find(route => route.routeId === 'skilled-worker');
+    assert.ok(skilled.services.includes('addPriority'));
+    assert.ok(skilled.costs.includes('immigration_skills_charge'));
+});
+
+test('scenarios with unknown fields or wrong types are rejected with every problem listed', () => {
+    assert.deepStrictEqual(VisaQuote.checkScenario({ routeId: 'skilled-worker', duration: 36 }), []);
+    assert.deepStrictEqual(VisaQuote.checkScenario({
+        aplyFrom: 'outside_uk',
+        duration: '36',
+        people: [{ relationship: 'spouse', age: 40 }, { relationship: 'child', dob: '2020-01-01' }],
+        applicationDate: '2026-13-01'
+    }), [
+        'routeId is required.',
+        'Unknown field "aplyFrom".',
+        'duration must be a whole number of 0 or more.',
+        'people[0].relationship must be one of main, partner, child, dependant.',
+        'Unknown field "people[1].dob".',
+        'applicationDate must be a date as YYYY-MM-DD.'
+    ]);
+    assert.throws(() => VisaQuote.quote(data, { routeId: 'skilled-worker', addPriorty: true }), /Invalid scenario: Unknown field "addPriorty"/);
+    assert.throws(() => VisaQuote.quote(data, { routeId: 'no-such-route' }), /Route not found/);
+});
+
+test('the CLI prints the same quote from flags or a JSON scenario', () => {
+    const scenario = { routeId: 'student-visa', applyFrom: 'outside_uk', duration: 18, people: [{ relationship: 'main' }, { relationship: 'partner', age: 30 }], applicationDate: date };
+    const expected = FeeEngine.calculate(data, scenario).total;
+
+    const fromFlags = JSON.parse(execFileSync('node', [CLI, 'student-visa', '--from', 'outside_uk', '--duration', '18', '--person', 'partner:30', '--date', date, '--format', 'json'], { encoding: 'utf8' }));
+    assert.strictEqual(fromFlags.total, expected);
+
+    const fromStdin = JSON.parse(execFileSync('node', [CLI, '--scenario', '-', '--format', 'json'], { input: JSON.stringify(scenario), encoding: 'utf8' }));
+    assert.strictEqual(fromStdin.total, expected);
+
+    const text = execFileSync('node', [CLI, 'student-visa', '--duration', '18', '--person', 'partner:30', '--date', date], { encoding: 'utf8' });
+    assert.ok(text.split('\n').some(row => row.startsWith('Total ') && row.endsWith(QuoteExport.formatAmount(expected))), text);
+
+    const invalid = spawnSync('node', [CLI, '--scenario', '-'], { input: '{"routeId":"student-visa","durations":18}', encoding: 'utf8' });
+    assert.strictEqual(invalid.status, 1);
+    assert.match(invalid.stderr, /Unknown field "durations"/);
+    assert.strictEqual(spawnSync('node', [CLI, 'no-such-route'], { encoding: 'utf8' }).status, 2);
+
+    for (const flag of ['--help', '-h']) {
+        const help = spawnSync('node', [CLI, flag], { encoding: 'utf8' });
+        assert.strictEqual(help.status, 0);
+        assert.match(help.stdout, /^Usage: node scripts\/quote\.js/);
+        assert.match(help.stdout, /--output <file> +Write to a file/);
+    }
+});
+